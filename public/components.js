@@ -8,17 +8,356 @@
  * =============================================================================
  */
 
+const DEFAULT_CONDITION = {field: 'ip.src', operator: 'is_not_null', value: ''};
+
+// Client characteristics a RATE_LIMIT rule can count by. Headers are keyed as `request.headers.<name>`.
+const RATE_LIMIT_CHARACTERISTICS = [
+    {id: 'ip.src', label: 'IP Address'},
+    {id: 'request.cf.botManagement.ja4', label: 'JA4 Fingerprint'},
+    {id: 'request.cf.asn', label: 'ASN'},
+];
+
+const DEFAULT_RATE_LIMIT = {characteristics: ['ip.src'], threshold: 100, period: 60, mitigation_timeout: 0};
+
+const RATE_LIMIT_ACTIONS = ['BLOCK', 'CHALLENGE', 'LOG'];
+
+const GROUP_TYPES = [
+    {id: 'all', negated: false, label: 'ALL of (AND)'},
+    {id: 'any', negated: false, label: 'ANY of (OR)'},
+    {id: 'all', negated: true, label: 'NOT ALL of (NAND)'},
+    {id: 'any', negated: true, label: 'NONE of (NOR)'},
+];
+
+// Converts a stored expression node into the editor's group representation:
+// groups become `{type, negated, children}` and conditions are left as-is.
+const toEditorNode = (node) => {
+    if (Array.isArray(node)) return {type: 'all', negated: false, children: node.map(toEditorNode)};
+    if (Array.isArray(node.all)) return {type: 'all', negated: false, children: node.all.map(toEditorNode)};
+    if (Array.isArray(node.any)) return {type: 'any', negated: false, children: node.any.map(toEditorNode)};
+    if ('not' in node) {
+        const inner = toEditorNode(node.not);
+        if (inner.children) return {...inner, negated: !inner.negated};
+        return {type: 'all', negated: true, children: [inner]};
+    }
+    return {...node};
+};
+
+const toEditorGroup = (expression) => {
+    const node = toEditorNode(expression || []);
+    return node.children ? node : {type: 'all', negated: false, children: [node]};
+};
+
+// Shows list-valued conditions as editable text: arrays as comma-separated items and list references as `$name`.
+const formatConditionValue = (value) => {
+    if (Array.isArray(value)) return value.join(', ');
+    if (value && typeof value === 'object' && value.list) return `$${value.list}`;
+    return value ?? '';
+};
+
+const normalizeCondition = (condition) => {
+    if (Array.isArray(condition.transforms) && condition.transforms.length === 0) {
+        const {transforms, ...rest} = condition;
+        return normalizeCondition(rest);
+    }
+    if (LIST_OPERATORS.includes(condition.operator) && typeof condition.value === 'string') {
+        const text = condition.value.trim();
+        const value = text.startsWith('$') ? {list: text.slice(1)} : text.split(',').map(v => v.trim()).filter(Boolean);
+        return {...condition, value};
+    }
+    return condition;
+};
+
+const fromEditorNode = (node) => {
+    if (!node.children) return normalizeCondition(node);
+    const group = {[node.type]: node.children.map(fromEditorNode)};
+    return node.negated ? {not: group} : group;
+};
+
+// A plain AND of conditions is stored as a flat array, matching the original format.
+const fromEditorGroup = (group) => {
+    if (group.type === 'all' && !group.negated && group.children.every(c => !c.children)) {
+        return group.children.map(fromEditorNode);
+    }
+    return fromEditorNode(group);
+};
+
+const updateNodeAtPath = (node, path, updater) => {
+    if (path.length === 0) return updater(node);
+    const [index, ...rest] = path;
+    const children = [...node.children];
+    children[index] = updateNodeAtPath(children[index], rest, updater);
+    return {...node, children};
+};
+
+// Lists a condition's transformations in the order they run, with a picker to append more.
+const TransformationsEditor = ({transforms, onChange}) => {
+    const move = (index, offset) => {
+        const next = [...transforms];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        onChange(next);
+    };
+
+    return e('div', {className: "flex items-center flex-wrap gap-2 mt-2 text-xs"},
+        e('span', {className: "font-medium text-gray-500"}, "Transformations:"),
+        transforms.map((id, index) =>
+            e('span', {
+                    key: `${id}-${index}`,
+                    className: "flex items-center gap-1 px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-800 font-mono",
+                    title: FIELD_TRANSFORMATIONS.find(t => t.id === id)?.description
+                },
+                index > 0 && e('button', {onClick: () => move(index, -1), className: "hover:text-indigo-600", title: "Run earlier"}, '‹'),
+                `${index + 1}. ${id}`,
+                index < transforms.length - 1 && e('button', {onClick: () => move(index, 1), className: "hover:text-indigo-600", title: "Run later"}, '›'),
+                e('button', {onClick: () => onChange(transforms.filter((_, i) => i !== index)), className: "hover:text-red-600", title: "Remove"}, '×')
+            )
+        ),
+        e('select', {
+                value: '',
+                onChange: ev => ev.target.value && onChange([...transforms, ev.target.value]),
+                className: "border rounded px-1 py-0.5 bg-white text-gray-600"
+            },
+            e('option', {value: ''}, transforms.length === 0 ? "None, add..." : "Add..."),
+            FIELD_TRANSFORMATIONS.map(t => e('option', {key: t.id, value: t.id}, `${t.id} (${t.name})`))
+        )
+    );
+};
+
+const ConditionEditor = ({condition, path, error, getFieldDetails, onChange, onRemove}) => {
+    const fieldDetails = getFieldDetails(condition.field);
+    const isNullOperator = condition.operator === 'is_null' || condition.operator === 'is_not_null';
+    const transforms = condition.transforms || [];
+    const dataType = getTransformedDataType(fieldDetails?.dataType, transforms);
+
+    // Dynamic fields start with an empty key, which the user fills in next to the field select.
+    const handleFieldChange = (fieldId) => {
+        const definition = ALL_FIELDS.find(f => f.id === fieldId);
+        onChange(path, 'field', definition?.dynamic ? `${fieldId}.` : fieldId);
+    };
+
+    return e('div', {className: "p-3 bg-gray-50 rounded-md border"},
+        e('div', {className: "grid grid-cols-1 md:grid-cols-4 gap-2 items-start"},
+            e('div', {className: "md:col-span-2"},
+                e('div', {className: "flex items-center gap-2"},
+                    e('select', {
+                            value: fieldDetails?.dynamic ? fieldDetails.id : condition.field,
+                            onChange: ev => handleFieldChange(ev.target.value),
+                            className: "cf-select"
+                        },
+                        Object.entries(WAF_FIELD_GROUPS).map(([groupName, fields]) =>
+                            e('optgroup', {key: groupName, label: groupName},
+                                fields.map(f => e('option', {
+                                    key: f.id,
+                                    value: f.id
+                                }, f.dynamic ? `${f.id}.<${f.keyName}> (${f.name})` : `${f.id} (${f.name})`))
+                            )
+                        )
+                    ),
+                    fieldDetails?.dynamic && e('input', {
+                        type: "text",
+                        value: condition.field.substring(fieldDetails.id.length + 1),
+                        onChange: ev => onChange(path, 'field', `${fieldDetails.id}.${ev.target.value.trim()}`),
+                        className: "cf-input font-mono",
+                        placeholder: fieldDetails.keyName
+                    }),
+                    e('a', {
+                            href: fieldDetails?.docUrl || '#',
+                            target: "_blank",
+                            rel: "noopener noreferrer",
+                            className: "text-gray-400 hover:text-indigo-600 p-2 cursor-pointer",
+                            title: "View Documentation"
+                        },
+                        ICONS.info
+                    )
+                )
+            ),
+            e('select', {
+                    value: condition.operator,
+                    onChange: ev => onChange(path, 'operator', ev.target.value),
+                    className: "cf-select"
+                },
+                WAF_OPERATORS.map(o => e('option', {
+                    key: o,
+                    value: o
+                }, o.replace(/_/g, ' ').toUpperCase()))
+            ),
+            e('div', {className: "relative flex items-center gap-2"},
+                dataType === 'boolean' ?
+                    e('select', {
+                            value: condition.value,
+                            onChange: ev => onChange(path, 'value', ev.target.value),
+                            className: "cf-select",
+                            disabled: isNullOperator
+                        },
+                        e('option', {value: "true"}, "True"),
+                        e('option', {value: "false"}, "False")
+                    ) :
+                    e('input', {
+                        type: "text",
+                        value: isNullOperator ? '' : formatConditionValue(condition.value),
+                        onChange: ev => onChange(path, 'value', ev.target.value),
+                        className: `cf-input ${isNullOperator ? 'bg-gray-100 cursor-not-allowed' : ''} ${error ? 'border-red-500' : ''}`,
+                        placeholder: isNullOperator ? "N/A" : "Value...",
+                        disabled: isNullOperator
+                    }),
+                e('button', {
+                    onClick: () => onRemove(path),
+                    className: "p-2 text-gray-500 hover:text-red-600"
+                }, ICONS.trash),
+                error && e('div', {className: "absolute top-full left-0 text-xs text-red-600 mt-1"}, error)
+            )
+        ),
+        e(TransformationsEditor, {transforms, onChange: value => onChange(path, 'transforms', value)})
+    );
+};
+
+const ExpressionGroupEditor = ({group, path, errors, getFieldDetails, onConditionChange, onGroupChange, onAdd, onRemove}) => {
+    const isRoot = path.length === 0;
+    const groupTypeIndex = GROUP_TYPES.findIndex(t => t.id === group.type && t.negated === group.negated);
+
+    return e('div', {className: `space-y-3 ${isRoot ? '' : 'p-3 border-l-4 border-indigo-300 bg-white rounded-md border'}`},
+        e('div', {className: "flex items-center gap-2"},
+            e('span', {className: "text-sm text-gray-600"}, "Match"),
+            e('select', {
+                    value: groupTypeIndex,
+                    onChange: ev => onGroupChange(path, GROUP_TYPES[ev.target.value]),
+                    className: "cf-select w-auto"
+                },
+                GROUP_TYPES.map((t, i) => e('option', {key: i, value: i}, t.label))
+            ),
+            e('span', {className: "text-sm text-gray-600"}, "the following:"),
+            !isRoot && e('button', {
+                onClick: () => onRemove(path),
+                className: "ml-auto p-2 text-gray-500 hover:text-red-600",
+                title: "Remove Group"
+            }, ICONS.trash)
+        ),
+        group.children.map((child, index) => {
+            const childPath = [...path, index];
+            return child.children ?
+                e(ExpressionGroupEditor, {
+                    key: index,
+                    group: child,
+                    path: childPath,
+                    errors,
+                    getFieldDetails,
+                    onConditionChange,
+                    onGroupChange,
+                    onAdd,
+                    onRemove
+                }) :
+                e(ConditionEditor, {
+                    key: index,
+                    condition: child,
+                    path: childPath,
+                    error: errors[childPath.join('.')],
+                    getFieldDetails,
+                    onChange: onConditionChange,
+                    onRemove
+                });
+        }),
+        e('div', {className: "flex items-center gap-2"},
+            e('button', {
+                onClick: () => onAdd(path, {...DEFAULT_CONDITION}),
+                className: "flex items-center gap-2 text-sm cf-button-secondary px-3 py-1.5 rounded-md"
+            }, ICONS.plus, " Add Condition"),
+            e('button', {
+                onClick: () => onAdd(path, {type: 'any', negated: false, children: [{...DEFAULT_CONDITION}]}),
+                className: "flex items-center gap-2 text-sm cf-button-secondary px-3 py-1.5 rounded-md"
+            }, ICONS.plus, " Add Group")
+        )
+    );
+};
+
+const RateLimitEditor = ({rateLimit, errors, onChange}) => {
+    const headerField = rateLimit.characteristics.find(c => c.startsWith('request.headers.'));
+    const headerName = headerField ? headerField.substring('request.headers.'.length) : '';
+
+    const toggleCharacteristic = (id) => {
+        const characteristics = rateLimit.characteristics.includes(id)
+            ? rateLimit.characteristics.filter(c => c !== id)
+            : [...rateLimit.characteristics, id];
+        onChange({...rateLimit, characteristics});
+    };
+
+    const setHeaderName = (name) => {
+        const characteristics = rateLimit.characteristics.filter(c => !c.startsWith('request.headers.'));
+        const trimmed = name.trim().toLowerCase();
+        onChange({...rateLimit, characteristics: trimmed ? [...characteristics, `request.headers.${trimmed}`] : characteristics});
+    };
+
+    const numberInput = (key, label, min) => e('div', null,
+        e('label', {className: "block text-sm font-medium text-gray-700"}, label),
+        e('input', {
+            type: "number",
+            min,
+            value: rateLimit[key],
+            onChange: ev => onChange({...rateLimit, [key]: ev.target.value === '' ? '' : Number(ev.target.value)}),
+            className: `cf-input ${errors[key] ? 'border-red-500' : ''}`
+        }),
+        errors[key] && e('p', {className: "text-xs text-red-600 mt-1"}, errors[key])
+    );
+
+    return e('div', {className: "border-t pt-4 space-y-4"},
+        e('h3', {className: "font-semibold text-lg"}, "Rate Limit"),
+        e('p', {className: "text-sm text-gray-500"}, "Requests matching the expression are counted per client over a sliding window. Once a client exceeds the threshold, the rule's action applies until the mitigation timeout (or the current period) ends."),
+        e('div', null,
+            e('label', {className: "block text-sm font-medium text-gray-700 mb-1"}, "Count Requests By"),
+            e('div', {className: "flex flex-wrap gap-4"},
+                RATE_LIMIT_CHARACTERISTICS.map(c => e('label', {key: c.id, className: "flex items-center gap-2 text-sm"},
+                    e('input', {
+                        type: "checkbox",
+                        checked: rateLimit.characteristics.includes(c.id),
+                        onChange: () => toggleCharacteristic(c.id)
+                    }),
+                    c.label
+                ))
+            ),
+            e('input', {
+                type: "text",
+                value: headerName,
+                onChange: ev => setHeaderName(ev.target.value),
+                className: "cf-input mt-2",
+                placeholder: "Header name (optional), e.g. x-api-key"
+            }),
+            errors.characteristics && e('p', {className: "text-xs text-red-600 mt-1"}, errors.characteristics)
+        ),
+        e('div', {className: "grid grid-cols-3 gap-4"},
+            numberInput('threshold', "Requests", 1),
+            numberInput('period', "Period (seconds)", 1),
+            numberInput('mitigation_timeout', "Mitigation Timeout (seconds)", 0)
+        )
+    );
+};
+
 const RuleEditor = ({rule, onSave, onCancel, onNavigateToDocs, context}) => {
     const [editedRule, setEditedRule] = useState(rule);
+    const [expressionTree, setExpressionTree] = useState(() => toEditorGroup(rule.expression));
+    const [editorMode, setEditorMode] = useState('visual');
+    const [expressionText, setExpressionText] = useState('');
+    const [textError, setTextError] = useState(null);
     const [hoveredField, setHoveredField] = useState(null);
-    const [errors, setErrors] = useState({});
+    // Errors the rules API returned for the last save, cleared as soon as the rule is edited again.
+    const [saveErrors, setSaveErrors] = useState(null);
+    useEffect(() => setSaveErrors(null), [editedRule, expressionTree, expressionText]);
 
-    const validateValue = (value, operator, fieldDetails) => {
+    const validateValue = (value, operator, fieldDetails, transforms) => {
         if (!fieldDetails) return 'Invalid field selected.';
-        const {dataType} = fieldDetails;
-        if (operator === 'in' && dataType === 'ip') {
+        if (operator === 'is_null' || operator === 'is_not_null') return null;
+        const dataType = getTransformedDataType(fieldDetails.dataType, transforms);
+        if (operator === 'in_cidr' || operator === 'not_in_cidr') {
+            const items = value.split(',').map(item => item.trim());
+            for (const item of items) {
+                if (item.startsWith('$')) continue;
+                if (!isValidIp(item) && !isValidCidr(item)) {
+                    return 'Must be a comma-separated list of CIDR prefixes (IPv4 or IPv6) or a $list.';
+                }
+            }
+            return null;
+        }
+        if ((operator === 'in' || operator === 'not_in') && dataType === 'ip') {
             const items = value.split(',').map(item => item.trim());
             for (const item of items) {
+                if (item.startsWith('$')) continue;
                 if (!isValidIp(item) && !isValidCidr(item)) {
                     return 'Must be a comma-separated list of IPs or CIDRs.';
                 }
@@ -26,50 +365,157 @@ const RuleEditor = ({rule, onSave, onCancel, onNavigateToDocs, context}) => {
             return null;
         }
 
-        if (dataType === 'integer' && !/^-?\d+$/.test(value)) return 'Value must be an integer.';
-        if (dataType === 'float' && !/^-?\d*(\.\d+)?$/.test(value)) return 'Value must be a number.';
-        if (dataType === 'ip' && !isValidIp(value)) return 'Value must be a valid IPv4 or IPv6 address.';
-        if (dataType === 'array' && !/^[a-zA-Z0-9, ]*$/.test(value)) return 'Value must be a comma-separated list.';
+        if (operator === 'between') {
+            const bounds = value.split(',').map(item => item.trim());
+            if (bounds.length !== 2 || bounds.some(bound => !/^-?\d*(\.\d+)?$/.test(bound) || bound === '')) {
+                return 'Must be two numbers separated by a comma, e.g. 10, 100.';
+            }
+            return null;
+        }
+        if ((operator === 'greater_than' || operator === 'less_than') && !/^-?\d+(\.\d+)?$/.test(value.trim())) {
+            return 'Value must be a number.';
+        }
+
+        // List fields are compared item by item, and list operators take comma-separated values.
+        const valueType = dataType === 'array' ? (fieldDetails.itemType || 'string') : dataType;
+        const items = LIST_OPERATORS.includes(operator)
+            ? value.split(',').map(item => item.trim()).filter(item => !item.startsWith('$'))
+            : [value];
+        for (const item of items) {
+            if (valueType === 'integer' && !/^-?\d+$/.test(item)) return LIST_OPERATORS.includes(operator) ? 'Values must be integers.' : 'Value must be an integer.';
+            if (valueType === 'float' && !/^-?\d*(\.\d+)?$/.test(item)) return LIST_OPERATORS.includes(operator) ? 'Values must be numbers.' : 'Value must be a number.';
+            if (valueType === 'ip' && !isValidIp(item)) return 'Value must be a valid IPv4 or IPv6 address.';
+        }
 
         return null;
     };
 
-    const handleExpressionChange = (index, field, value) => {
-        const newExpression = [...editedRule.expression];
-        const currentCond = newExpression[index];
-        newExpression[index] = {...currentCond, [field]: value};
+    const getFieldDetails = findFieldDefinition;
 
-        if (field === 'value' || field === 'operator' || field === 'field') {
-            const fieldDetails = getFieldDetails(newExpression[index].field);
-            const error = validateValue(newExpression[index].value, newExpression[index].operator, fieldDetails);
-            setErrors(prev => ({...prev, [index]: error}));
-        }
+    const collectErrors = (node, path, acc) => {
+        node.children.forEach((child, index) => {
+            const childPath = [...path, index];
+            if (child.children) {
+                collectErrors(child, childPath, acc);
+            } else {
+                const fieldDetails = getFieldDetails(child.field);
+                const key = fieldDetails?.dynamic ? child.field.substring(fieldDetails.id.length + 1) : null;
+                const error = key === ''
+                    ? `Enter a ${fieldDetails.keyName}.`
+                    : key !== null && fieldDetails.keyPattern && !fieldDetails.keyPattern.test(key)
+                        ? `Enter a valid ${fieldDetails.keyName}.`
+                        : validateValue(String(formatConditionValue(child.value)), child.operator, fieldDetails, child.transforms);
+                if (error) acc[childPath.join('.')] = error;
+            }
+        });
+        return acc;
+    };
+    // The API keys condition errors by the same paths as the visual builder, so they are shown inline there.
+    const apiErrors = saveErrors ? (saveErrors.errors || [{message: saveErrors.error}]) : [];
+    const errors = collectErrors(expressionTree, [], Object.fromEntries(
+        apiErrors.filter(err => err.condition !== undefined).map(err => [err.condition, err.message])
+    ));
+    const apiMessages = apiErrors
+        .filter(err => err.condition === undefined || editorMode === 'text')
+        .map(err => err.condition === undefined ? err.message : `Condition ${err.condition} (${err.field}): ${err.message}`);
+
+    const isRateLimit = editedRule.type === 'RATE_LIMIT';
+    const rateLimit = editedRule.rate_limit || DEFAULT_RATE_LIMIT;
+    const rateLimitErrors = {};
+    if (isRateLimit) {
+        if (rateLimit.characteristics.length === 0) rateLimitErrors.characteristics = 'Select at least one characteristic.';
+        if (!Number.isInteger(rateLimit.threshold) || rateLimit.threshold < 1) rateLimitErrors.threshold = 'Must be a whole number of at least 1.';
+        if (!Number.isInteger(rateLimit.period) || rateLimit.period < 1) rateLimitErrors.period = 'Must be a whole number of at least 1.';
+        if (!Number.isInteger(rateLimit.mitigation_timeout) || rateLimit.mitigation_timeout < 0) rateLimitErrors.mitigation_timeout = 'Must be a whole number of at least 0.';
+    }
 
-        setEditedRule(prev => ({...prev, expression: newExpression}));
+    const isScore = editedRule.action === 'SCORE';
+    const scoreErrors = {};
+    if (isScore) {
+        if (!Number.isInteger(editedRule.score) || editedRule.score === 0) scoreErrors.score = 'Must be a non-zero whole number.';
+        if (editedRule.category && !/^[\w-]{1,32}$/.test(editedRule.category)) scoreErrors.category = 'Use up to 32 letters, digits, underscores or hyphens.';
+    }
+
+    const handleTypeChange = (type) => {
+        setEditedRule(prev => type === 'RATE_LIMIT' ? {
+            ...prev,
+            type,
+            rate_limit: prev.rate_limit || {...DEFAULT_RATE_LIMIT},
+            action: RATE_LIMIT_ACTIONS.includes(prev.action) ? prev.action : 'BLOCK'
+        } : {...prev, type, rate_limit: null});
     };
 
-    const addExpression = () => setEditedRule(prev => ({
-        ...prev,
-        expression: [...prev.expression, {
-            field: 'request.headers.cf-connecting-ip',
-            operator: 'is_not_null',
-            value: ''
-        }]
-    }));
-    const removeExpression = (index) => {
-        setEditedRule(prev => ({...prev, expression: prev.expression.filter((_, i) => i !== index)}));
-        setErrors(prev => {
-            const newErrors = {...prev};
-            delete newErrors[index];
-            return newErrors;
-        });
+    const handleConditionChange = (path, field, value) => {
+        setExpressionTree(prev => updateNodeAtPath(prev, path, cond => ({...cond, [field]: value})));
+    };
+
+    const handleGroupChange = (path, groupType) => {
+        setExpressionTree(prev => updateNodeAtPath(prev, path, group => ({
+            ...group,
+            type: groupType.id,
+            negated: groupType.negated
+        })));
+    };
+
+    const addNode = (path, node) => {
+        setExpressionTree(prev => updateNodeAtPath(prev, path, group => ({...group, children: [...group.children, node]})));
+    };
+
+    const removeNode = (path) => {
+        const parentPath = path.slice(0, -1);
+        const index = path[path.length - 1];
+        setExpressionTree(prev => updateNodeAtPath(prev, parentPath, group => ({
+            ...group,
+            children: group.children.filter((_, i) => i !== index)
+        })));
+    };
+
+    // The parser accepts any function name around a field, so transformations are checked against the known ones here.
+    const parseExpressionText = (text) => {
+        const expression = parseRuleExpression(text);
+        const unknown = collectConditions(expression).flatMap(c => c.transforms || []).find(t => !FIELD_TRANSFORMATION_IDS.includes(t));
+        if (unknown) throw new Error(`Unknown transformation "${unknown}". Available: ${FIELD_TRANSFORMATION_IDS.join(', ')}.`);
+        return expression;
+    };
+
+    const handleExpressionTextChange = (text) => {
+        setExpressionText(text);
+        try {
+            parseExpressionText(text);
+            setTextError(null);
+        } catch (err) {
+            setTextError(err);
+        }
+    };
+
+    const switchEditorMode = (mode) => {
+        if (mode === editorMode) return;
+        if (mode === 'text') {
+            setExpressionText(stringifyRuleExpression(fromEditorGroup(expressionTree)));
+            setTextError(null);
+        } else {
+            try {
+                setExpressionTree(toEditorGroup(parseExpressionText(expressionText)));
+            } catch (err) {
+                setTextError(err);
+                return;
+            }
+        }
+        setEditorMode(mode);
     };
-    const getFieldDetails = (fieldId) => ALL_FIELDS.find(f => f.id === fieldId);
 
     const handleSave = () => {
-        let finalRule = {...editedRule};
-        const autoTags = finalRule.expression.map(e => e.field);
-        const customTags = Array.isArray(finalRule.tags) ? finalRule.tags.filter(t => !ALL_FIELDS.some(f => f.id === t)) : [];
+        const expression = editorMode === 'text' ? parseExpressionText(expressionText) : fromEditorGroup(expressionTree);
+        let finalRule = {...editedRule, expression, type: editedRule.type || 'CUSTOM'};
+        if (!isRateLimit) finalRule.rate_limit = null;
+        if (isScore) {
+            finalRule.category = finalRule.category || null;
+        } else {
+            finalRule.score = null;
+            finalRule.category = null;
+        }
+        const autoTags = collectConditions(finalRule.expression).map(c => c.field);
+        const customTags = Array.isArray(finalRule.tags) ? finalRule.tags.filter(t => !findFieldDefinition(t)) : [];
         finalRule.tags = [...new Set([...autoTags, ...customTags])];
 
         if (finalRule.id.startsWith('new-rule')) {
@@ -80,10 +526,13 @@ const RuleEditor = ({rule, onSave, onCancel, onNavigateToDocs, context}) => {
 
         if (!finalRule.name) finalRule.name = finalRule.id;
 
-        onSave(finalRule);
+        // `onSave` may return the rules API's error body for a rejected save, or a promise of it.
+        Promise.resolve(onSave(finalRule)).then(result => {
+            if (result && (result.error || result.errors)) setSaveErrors(result);
+        });
     };
 
-    const hasErrors = Object.values(errors).some(e => e !== null);
+    const hasErrors = (editorMode === 'text' ? !!textError : Object.keys(errors).length > 0) || apiMessages.length > 0 || Object.keys(rateLimitErrors).length > 0 || Object.keys(scoreErrors).length > 0;
 
     return e('div', {className: "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"},
         e('div', {className: "cf-card w-full max-w-3xl max-h-[90vh] overflow-y-auto"},
@@ -110,24 +559,62 @@ const RuleEditor = ({rule, onSave, onCancel, onNavigateToDocs, context}) => {
                             placeholder: "Auto-generated if left blank"
                         })
                     ),
-                    e('div', null,
-                        e('label', {className: "block text-sm font-medium text-gray-700"}, "Action"),
-                        e('select', {
-                                value: editedRule.action,
-                                onChange: ev => setEditedRule(prev => ({...prev, action: ev.target.value})),
-                                className: "cf-select"
-                            },
-                            e('option', null, "BLOCK"),
-                            e('option', null, "CHALLENGE"),
-                            e('option', null, "ALLOW"),
-                            e('option', null, "LOG")
+                    e('div', {className: "grid grid-cols-2 gap-4"},
+                        e('div', null,
+                            e('label', {className: "block text-sm font-medium text-gray-700"}, "Rule Type"),
+                            e('select', {
+                                    value: editedRule.type || 'CUSTOM',
+                                    onChange: ev => handleTypeChange(ev.target.value),
+                                    className: "cf-select"
+                                },
+                                e('option', {value: 'CUSTOM'}, "Custom"),
+                                e('option', {value: 'RATE_LIMIT'}, "Rate Limit")
+                            )
+                        ),
+                        e('div', null,
+                            e('label', {className: "block text-sm font-medium text-gray-700"}, "Action"),
+                            e('select', {
+                                    value: editedRule.action,
+                                    onChange: ev => setEditedRule(prev => ({...prev, action: ev.target.value})),
+                                    className: "cf-select"
+                                },
+                                (isRateLimit ? RATE_LIMIT_ACTIONS : ['BLOCK', 'CHALLENGE', 'ALLOW', 'LOG', 'SCORE']).map(action =>
+                                    e('option', {key: action}, action)
+                                )
+                            )
                         )
                     ),
+                    isScore && e('div', {className: "grid grid-cols-2 gap-4"},
+                        e('div', null,
+                            e('label', {className: "block text-sm font-medium text-gray-700"}, "Score"),
+                            e('input', {
+                                type: "number",
+                                step: 1,
+                                value: editedRule.score ?? '',
+                                onChange: ev => setEditedRule(prev => ({...prev, score: ev.target.value === '' ? null : Number(ev.target.value)})),
+                                className: `cf-input ${scoreErrors.score ? 'border-red-500' : ''}`,
+                                placeholder: "e.g., 5, or -10 for a trusted signal"
+                            }),
+                            scoreErrors.score && e('p', {className: "text-xs text-red-600 mt-1"}, scoreErrors.score)
+                        ),
+                        e('div', null,
+                            e('label', {className: "block text-sm font-medium text-gray-700"}, "Category (Optional)"),
+                            e('input', {
+                                type: "text",
+                                value: editedRule.category || '',
+                                onChange: ev => setEditedRule(prev => ({...prev, category: ev.target.value.trim()})),
+                                className: `cf-input ${scoreErrors.category ? 'border-red-500' : ''}`,
+                                placeholder: "e.g., bot, reputation"
+                            }),
+                            scoreErrors.category && e('p', {className: "text-xs text-red-600 mt-1"}, scoreErrors.category)
+                        ),
+                        e('p', {className: "col-span-2 text-sm text-gray-500"}, "SCORE rules add to the request's anomaly score instead of ending evaluation. They only take effect while anomaly scoring is enabled for this scope.")
+                    ),
                     e('div', null,
                         e('label', {className: "block text-sm font-medium text-gray-700"}, "Custom Tags (comma-separated)"),
                         e('input', {
                             type: "text",
-                            value: Array.isArray(editedRule.tags) ? editedRule.tags.filter(t => !ALL_FIELDS.some(f => f.id === t)).join(', ') : '',
+                            value: Array.isArray(editedRule.tags) ? editedRule.tags.filter(t => !findFieldDefinition(t)).join(', ') : '',
                             onChange: ev => setEditedRule(prev => ({
                                 ...prev,
                                 tags: ev.target.value.split(',').map(t => t.trim())
@@ -136,85 +623,65 @@ const RuleEditor = ({rule, onSave, onCancel, onNavigateToDocs, context}) => {
                             placeholder: "e.g., critical, api-v1"
                         })
                     ),
+                    e('label', {className: "flex items-start gap-2 text-sm"},
+                        e('input', {
+                            type: "checkbox",
+                            className: "mt-1",
+                            checked: !!editedRule.shadow,
+                            onChange: ev => setEditedRule(prev => ({...prev, shadow: ev.target.checked}))
+                        }),
+                        e('span', null,
+                            e('span', {className: "font-medium text-gray-700"}, "Shadow mode (log only)"),
+                            e('span', {className: "block text-gray-500"}, "The rule is evaluated and its would-be action is logged, but requests are handled as if it had not matched. Compare its shadow hits on the Overview page before enforcing it.")
+                        )
+                    ),
                     e('div', {className: "border-t pt-4"},
-                        e('h3', {className: "font-semibold text-lg mb-2"}, "Expression"),
-                        e('p', {className: "text-sm text-gray-500 mb-4"}, "Requests will be matched if ALL of these conditions are true."),
-                        e('div', {className: "space-y-3"},
-                            editedRule.expression.map((expr, index) => {
-                                const fieldDetails = getFieldDetails(expr.field);
-                                const isNullOperator = expr.operator === 'is_null' || expr.operator === 'is_not_null';
-                                return e('div', {key: index, className: "p-3 bg-gray-50 rounded-md border"},
-                                    e('div', {className: "grid grid-cols-1 md:grid-cols-4 gap-2 items-start"},
-                                        e('div', {className: "md:col-span-2"},
-                                            e('div', {className: "flex items-center gap-2"},
-                                                e('select', {
-                                                        value: expr.field,
-                                                        onChange: ev => handleExpressionChange(index, 'field', ev.target.value),
-                                                        className: "cf-select"
-                                                    },
-                                                    Object.entries(WAF_FIELD_GROUPS).map(([groupName, fields]) =>
-                                                        e('optgroup', {key: groupName, label: groupName},
-                                                            fields.map(f => e('option', {
-                                                                key: f.id,
-                                                                value: f.id
-                                                            }, `${f.id} (${f.name})`))
-                                                        )
-                                                    )
-                                                ),
-                                                e('a', {
-                                                        href: fieldDetails?.docUrl || '#',
-                                                        target: "_blank",
-                                                        rel: "noopener noreferrer",
-                                                        className: "text-gray-400 hover:text-indigo-600 p-2 cursor-pointer",
-                                                        title: "View Documentation"
-                                                    },
-                                                    ICONS.info
-                                                )
-                                            )
-                                        ),
-                                        e('select', {
-                                                value: expr.operator,
-                                                onChange: ev => handleExpressionChange(index, 'operator', ev.target.value),
-                                                className: "cf-select"
-                                            },
-                                            WAF_OPERATORS.map(o => e('option', {
-                                                key: o,
-                                                value: o
-                                            }, o.replace(/_/g, ' ').toUpperCase()))
-                                        ),
-                                        e('div', {className: "relative flex items-center gap-2"},
-                                            fieldDetails?.dataType === 'boolean' ?
-                                                e('select', {
-                                                        value: expr.value,
-                                                        onChange: ev => handleExpressionChange(index, 'value', ev.target.value),
-                                                        className: "cf-select",
-                                                        disabled: isNullOperator
-                                                    },
-                                                    e('option', {value: "true"}, "True"),
-                                                    e('option', {value: "false"}, "False")
-                                                ) :
-                                                e('input', {
-                                                    type: "text",
-                                                    value: isNullOperator ? '' : expr.value,
-                                                    onChange: ev => handleExpressionChange(index, 'value', ev.target.value),
-                                                    className: `cf-input ${isNullOperator ? 'bg-gray-100 cursor-not-allowed' : ''} ${errors[index] ? 'border-red-500' : ''}`,
-                                                    placeholder: isNullOperator ? "N/A" : "Value...",
-                                                    disabled: isNullOperator
-                                                }),
-                                            e('button', {
-                                                onClick: () => removeExpression(index),
-                                                className: "p-2 text-gray-500 hover:text-red-600"
-                                            }, ICONS.trash),
-                                            errors[index] && e('div', {className: "absolute top-full left-0 text-xs text-red-600 mt-1"}, errors[index])
-                                        )
-                                    )
-                                );
-                            })
+                        e('div', {className: "flex justify-between items-center mb-2"},
+                            e('h3', {className: "font-semibold text-lg"}, "Expression"),
+                            e('div', {className: "flex rounded-md border overflow-hidden text-sm"},
+                                ['visual', 'text'].map(mode => e('button', {
+                                    key: mode,
+                                    onClick: () => switchEditorMode(mode),
+                                    className: `px-3 py-1 ${editorMode === mode ? 'bg-indigo-100 text-indigo-700 font-semibold' : 'bg-white text-gray-600 hover:bg-gray-100'}`
+                                }, mode === 'visual' ? 'Visual Builder' : 'Text'))
+                            )
                         ),
-                        e('button', {
-                            onClick: addExpression,
-                            className: "mt-4 flex items-center gap-2 text-sm cf-button-secondary px-3 py-1.5 rounded-md"
-                        }, ICONS.plus, " Add Condition")
+                        editorMode === 'visual' ?
+                            e(React.Fragment, null,
+                                e('p', {className: "text-sm text-gray-500 mb-4"}, "Requests will be matched if the expression below is true. Add groups to combine conditions with ANY (OR) or NOT logic."),
+                                e(ExpressionGroupEditor, {
+                                    group: expressionTree,
+                                    path: [],
+                                    errors,
+                                    getFieldDetails,
+                                    onConditionChange: handleConditionChange,
+                                    onGroupChange: handleGroupChange,
+                                    onAdd: addNode,
+                                    onRemove: removeNode
+                                })
+                            ) :
+                            e(React.Fragment, null,
+                                e('p', {className: "text-sm text-gray-500 mb-4"}, 'Write the expression in the rule language, e.g. (ip.src in $bad_ips and http.request.uri.path matches "^/admin") or not cf.country in {"US" "CA"}. Wrap a field in transformations, e.g. lower(url_decode(http.request.uri.path)). Leave empty to match all traffic.'),
+                                e('textarea', {
+                                    value: expressionText,
+                                    onChange: ev => handleExpressionTextChange(ev.target.value),
+                                    rows: 8,
+                                    spellCheck: false,
+                                    className: `cf-input font-mono text-sm ${textError ? 'border-red-500' : ''}`
+                                }),
+                                textError && e('p', {className: "text-xs text-red-600 mt-1"}, textError.message)
+                            )
+                    ),
+                    isRateLimit && e(RateLimitEditor, {
+                        rateLimit,
+                        errors: rateLimitErrors,
+                        onChange: value => setEditedRule(prev => ({...prev, rate_limit: value}))
+                    }),
+                    apiMessages.length > 0 && e('div', {className: "p-3 bg-red-50 border border-red-200 rounded-md"},
+                        e('p', {className: "text-sm font-semibold text-red-700"}, "The rule was not saved:"),
+                        e('ul', {className: "list-disc list-inside text-sm text-red-600 mt-1"},
+                            apiMessages.map((message, index) => e('li', {key: index}, message))
+                        )
                     )
                 )
             ),
@@ -230,13 +697,383 @@ const RuleEditor = ({rule, onSave, onCancel, onNavigateToDocs, context}) => {
     );
 };
 
+const ManagedRulesPanel = ({managedRules, onChange}) => {
+    const update = (changes) => onChange({...managedRules, ...changes});
+
+    return e('div', {className: "space-y-4"},
+        e('div', {className: "flex justify-between items-center"},
+            e('div', null,
+                e('h2', {className: "text-xl font-semibold"}, "Managed Ruleset"),
+                e('p', {className: "text-sm text-gray-500 mt-1"}, "Built-in signatures for SQL injection, XSS, path traversal, command injection and scanner user agents. They run before the rules below.")
+            ),
+            e('label', {className: "flex items-center gap-2 text-sm font-medium"},
+                e('input', {
+                    type: "checkbox",
+                    checked: !!managedRules.enabled,
+                    onChange: ev => update({enabled: ev.target.checked})
+                }),
+                "Enabled"
+            )
+        ),
+        managedRules.enabled && e('div', {className: "grid grid-cols-1 md:grid-cols-4 gap-4"},
+            e('div', null,
+                e('label', {className: "block text-sm font-medium text-gray-700"}, "Mode"),
+                e('select', {
+                        value: managedRules.mode,
+                        onChange: ev => update({mode: ev.target.value}),
+                        className: "cf-select"
+                    },
+                    e('option', {value: 'anomaly'}, "Anomaly Scoring"),
+                    e('option', {value: 'first_match'}, "First Match")
+                )
+            ),
+            e('div', null,
+                e('label', {className: "block text-sm font-medium text-gray-700"}, "Action"),
+                e('select', {
+                        value: managedRules.action,
+                        onChange: ev => update({action: ev.target.value}),
+                        className: "cf-select"
+                    },
+                    ['BLOCK', 'CHALLENGE', 'LOG'].map(action => e('option', {key: action}, action))
+                )
+            ),
+            managedRules.mode === 'anomaly' && e('div', null,
+                e('label', {className: "block text-sm font-medium text-gray-700"}, "Anomaly Threshold"),
+                e('input', {
+                    type: "number",
+                    min: 1,
+                    value: managedRules.anomaly_threshold,
+                    onChange: ev => update({anomaly_threshold: Number(ev.target.value)}),
+                    className: "cf-input"
+                })
+            ),
+            e('div', {className: managedRules.mode === 'anomaly' ? '' : 'md:col-span-2'},
+                e('label', {className: "block text-sm font-medium text-gray-700"}, "Disabled Signature IDs"),
+                e('input', {
+                    type: "text",
+                    value: managedRules.disabled_ids.join(', '),
+                    onChange: ev => update({disabled_ids: ev.target.value.split(',').map(id => id.trim()).filter(Boolean)}),
+                    className: "cf-input font-mono",
+                    placeholder: "e.g., WAFU-XSS-005"
+                })
+            )
+        )
+    );
+};
+
+const AnomalyScoringPanel = ({anomalyScoring, onChange}) => {
+    const update = (changes) => onChange({...anomalyScoring, ...changes});
+    const thresholdInput = (key, label) => e('div', null,
+        e('label', {className: "block text-sm font-medium text-gray-700"}, label),
+        e('input', {
+            type: "number",
+            min: 1,
+            value: anomalyScoring[key] ?? '',
+            onChange: ev => update({[key]: ev.target.value === '' ? null : Number(ev.target.value)}),
+            className: "cf-input",
+            placeholder: "Off"
+        })
+    );
+
+    return e('div', {className: "space-y-4"},
+        e('div', {className: "flex justify-between items-center"},
+            e('div', null,
+                e('h2', {className: "text-xl font-semibold"}, "Anomaly Scoring"),
+                e('p', {className: "text-sm text-gray-500 mt-1"}, "SCORE rules add to a per-request score. Once the rules have run, the most severe threshold the score reaches decides the action. BLOCK and CHALLENGE rules still end evaluation immediately.")
+            ),
+            e('label', {className: "flex items-center gap-2 text-sm font-medium"},
+                e('input', {
+                    type: "checkbox",
+                    checked: !!anomalyScoring.enabled,
+                    onChange: ev => update({enabled: ev.target.checked})
+                }),
+                "Enabled"
+            )
+        ),
+        anomalyScoring.enabled && e('div', {className: "grid grid-cols-1 md:grid-cols-3 gap-4"},
+            thresholdInput('block_threshold', "Block Threshold"),
+            thresholdInput('challenge_threshold', "Challenge Threshold"),
+            thresholdInput('log_threshold', "Log Threshold")
+        )
+    );
+};
+
+const ACTION_COLORS = {
+    BLOCK: 'bg-red-100 text-red-800',
+    CHALLENGE: 'bg-yellow-100 text-yellow-800',
+    LOG: 'bg-blue-100 text-blue-800',
+    ALLOW: 'bg-green-100 text-green-800',
+    SCORE: 'bg-orange-100 text-orange-800',
+    NONE: 'bg-gray-200 text-gray-700'
+};
+
+const formatTraceValue = (value) => {
+    if (value === null || value === undefined) return 'null';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+// One stage (global or route) of a simulation: the stage's decision and every rule it evaluated, in order.
+const SimulationTrace = ({title, decision}) => {
+    const trace = decision.trace || [];
+    const shadowMatches = decision.shadowMatches || [];
+    return e('div', {className: "border rounded-md"},
+        e('div', {className: "px-4 py-2 bg-gray-50 border-b flex items-center gap-2"},
+            e('h4', {className: "font-semibold"}, title),
+            e('span', {className: `px-2 py-0.5 rounded-full text-xs font-medium ${ACTION_COLORS[decision.action] || ACTION_COLORS.NONE}`}, decision.action),
+            decision.matchedRuleId && e('span', {className: "text-sm text-gray-500 font-mono"}, decision.matchedRuleId),
+            decision.anomalyScore !== undefined && e('span', {className: "text-sm text-orange-700"}, `Anomaly score ${decision.anomalyScore}`)
+        ),
+        shadowMatches.length > 0 && e('div', {className: "px-4 py-2 border-b bg-slate-50 text-sm text-slate-700"},
+            "Shadow matches (logged, not enforced): ",
+            shadowMatches.map(match => `${match.ruleId || 'route'} → ${match.action}${match.routeShadow ? ' (shadowed route)' : ''}`).join(', ')
+        ),
+        trace.length === 0 && e('p', {className: "px-4 py-3 text-sm text-gray-500"},
+            decision.matchedRuleId && !decision.matchedRuleId.startsWith('default') ? "Decided before any custom rule ran." : "No custom rules were evaluated."
+        ),
+        trace.map(entry => e('div', {key: entry.ruleId, className: "px-4 py-3 border-b last:border-b-0"},
+            e('div', {className: "flex items-center gap-2 mb-2"},
+                e('span', {className: `font-semibold ${entry.matched ? 'text-green-700' : 'text-gray-500'}`}, entry.matched ? '✓' : '✗'),
+                e('span', {className: "font-medium text-gray-800"}, entry.name || entry.ruleId),
+                e('span', {className: `px-2 py-0.5 rounded-full text-xs font-medium ${ACTION_COLORS[entry.action] || ACTION_COLORS.NONE}`}, entry.action),
+                entry.action === 'SCORE' && e('span', {className: "text-xs text-orange-700"}, `${entry.score > 0 ? '+' : ''}${entry.score} ${entry.category}`),
+                entry.shadow && e('span', {className: "px-2 py-0.5 rounded-full text-xs font-medium bg-slate-700 text-white"}, "SHADOW"),
+                entry.rateLimit && e('span', {className: "text-xs text-purple-700"}, `Rate limit ${entry.rateLimit}`)
+            ),
+            entry.conditions.length === 0
+                ? e('p', {className: "text-sm text-gray-500"}, "Matches all traffic.")
+                : e('table', {className: "w-full text-sm"},
+                    e('thead', null,
+                        e('tr', {className: "text-left text-gray-500"},
+                            ['', 'Field', 'Operator', 'Expected', 'Actual'].map(label => e('th', {key: label, className: "font-normal pr-3"}, label))
+                        )
+                    ),
+                    e('tbody', null,
+                        entry.conditions.map(condition => e('tr', {key: condition.path, className: "align-top"},
+                            e('td', {className: `pr-3 ${condition.passed ? 'text-green-700' : 'text-red-600'}`}, condition.passed ? '✓' : '✗'),
+                            e('td', {className: "pr-3 font-mono"}, (condition.transforms || []).reduce((text, transform) => `${transform}(${text})`, condition.field)),
+                            e('td', {className: "pr-3"}, condition.operator.replace(/_/g, ' ').toUpperCase()),
+                            e('td', {className: "pr-3 font-mono break-all"}, formatTraceValue(condition.value)),
+                            e('td', {className: "font-mono break-all"}, formatTraceValue(condition.actual))
+                        ))
+                    )
+                )
+        ))
+    );
+};
+
+const TestRequestPanel = ({defaultHost}) => {
+    const [requestText, setRequestText] = useState(() => JSON.stringify({
+        method: 'GET',
+        url: `https://${defaultHost.replace(/^\*\./, 'www.')}/admin?debug=1`,
+        headers: {'user-agent': 'curl/8.4.0', 'cf-connecting-ip': '203.0.113.7'},
+        cf: {country: 'US', asn: 13335}
+    }, null, 2));
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [isRunning, setIsRunning] = useState(false);
+
+    const runSimulation = async () => {
+        setError(null);
+        let simulationRequest;
+        try {
+            simulationRequest = toSimulationRequest(JSON.parse(requestText));
+        } catch (err) {
+            setError(err.message);
+            return;
+        }
+        setIsRunning(true);
+        try {
+            setResult(await wafuApiRequest('/simulate', {method: 'POST', body: simulationRequest}));
+        } catch (err) {
+            setResult(null);
+            setError(err.message);
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    return e('div', {className: "space-y-4"},
+        e('div', null,
+            e('h2', {className: "text-xl font-semibold"}, "Test Request"),
+            e('p', {className: "text-sm text-gray-500 mt-1"}, "Runs a request through the deployed global and route rules without forwarding it or counting it against rate limits. Paste a request with method, url, headers, cf and an optional body, or a row copied from the event log.")
+        ),
+        e('textarea', {
+            value: requestText,
+            onChange: ev => setRequestText(ev.target.value),
+            rows: 8,
+            spellCheck: false,
+            className: `cf-input font-mono text-sm ${error ? 'border-red-500' : ''}`
+        }),
+        error && e('p', {className: "text-xs text-red-600"}, error),
+        e('div', {className: "flex justify-end"},
+            e('button', {
+                onClick: runSimulation,
+                disabled: isRunning,
+                className: "cf-button-primary px-4 py-2 rounded-md text-sm"
+            }, isRunning ? "Running..." : "Run Test")
+        ),
+        result && e('div', {className: "space-y-3"},
+            e('div', {className: "flex items-center gap-2"},
+                e('span', {className: "font-semibold"}, "Final decision:"),
+                e('span', {className: `px-2 py-0.5 rounded-full text-xs font-medium ${ACTION_COLORS[result.action] || ACTION_COLORS.NONE}`}, result.action),
+                e('span', {className: "text-sm text-gray-500"},
+                    result.matchedRuleId ? `by ${result.matchedRuleId} in the ${result.stage} rules` : `in the ${result.stage} rules`,
+                    result.route ? ` (route ${result.route.incomingHost})` : ' (no matching route)'
+                )
+            ),
+            e(SimulationTrace, {title: "Global Rules", decision: result.global}),
+            result.routeDecision && e(SimulationTrace, {title: "Route Rules", decision: result.routeDecision})
+        )
+    );
+};
+
+// Shadow hits of the last 24 hours next to the same rules' enforced hits, for the active scope.
+const ShadowHitsPanel = ({activeRouteId, config}) => {
+    const [rows, setRows] = useState(null);
+    const [error, setError] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const isGlobal = activeRouteId === 'global';
+    const route = isGlobal ? null : config.routes.find(r => r.id === activeRouteId);
+    const rules = isGlobal ? config.globalRules : route?.customRules || [];
+
+    const loadShadowHits = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const data = await wafuApiRequest('/global/analytics/shadow');
+            setRows(data.rules || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadShadowHits();
+    }, []);
+
+    const scopeRows = (rows || []).filter(row => isGlobal
+        ? row.context === 'global'
+        : row.context === 'route' && row.route_host === route?.incomingHost);
+
+    return e('div', {className: "space-y-4"},
+        e('div', {className: "flex justify-between items-center"},
+            e('div', null,
+                e('h2', {className: "text-xl font-semibold"}, "Shadow Mode"),
+                e('p', {className: "text-sm text-gray-500 mt-1"}, "Would-be actions of shadowed rules over the last 24 hours, next to the hits the same rules had while enforced. Promote a rule once its shadow hits only catch traffic you mean to stop.")
+            ),
+            e('button', {
+                onClick: loadShadowHits,
+                disabled: isLoading,
+                className: "cf-button-secondary px-3 py-1.5 rounded-md text-sm"
+            }, isLoading ? "Loading..." : "Refresh")
+        ),
+        error && e('p', {className: "text-sm text-red-600"}, `Could not load shadow hits: ${error}`),
+        rows && scopeRows.length === 0 && e('p', {className: "text-sm text-gray-500"}, "No shadow hits in the last 24 hours for this scope."),
+        scopeRows.length > 0 && e('table', {className: "w-full text-sm"},
+            e('thead', null,
+                e('tr', {className: "text-left text-gray-500 border-b"},
+                    ['Rule', 'Status', 'Shadow Hits', 'Enforced Hits', 'Last Shadow Hit'].map(label => e('th', {key: label, className: "font-normal py-2 pr-3"}, label))
+                )
+            ),
+            e('tbody', null,
+                scopeRows.map(row => {
+                    const rule = rules.find(r => r.id === row.rule_id);
+                    const status = route?.shadow ? 'Route in shadow mode' : rule ? (rule.shadow ? 'Shadow' : 'Enforced') : 'Deleted';
+                    return e('tr', {key: row.rule_id, className: "border-b last:border-b-0"},
+                        e('td', {className: "py-2 pr-3"},
+                            e('span', {className: "font-medium text-gray-800"}, rule?.name || row.rule_id),
+                            rule?.name && e('span', {className: "block text-xs text-gray-500 font-mono"}, row.rule_id)
+                        ),
+                        e('td', {className: "py-2 pr-3 text-gray-600"}, status),
+                        e('td', {className: "py-2 pr-3 font-semibold text-slate-700"}, row.shadow_hits),
+                        e('td', {className: "py-2 pr-3 text-gray-700"}, row.enforced_hits),
+                        e('td', {className: "py-2 text-gray-500"}, row.last_shadow_hit ? new Date(row.last_shadow_hit).toLocaleString() : '—')
+                    );
+                })
+            )
+        )
+    );
+};
+
+// The differences between two snapshots of a rule or config, one row per changed leaf.
+const JsonDiff = ({before, after}) => {
+    const changes = diffJson(before, after);
+    const formatLeaf = (value) => value === undefined ? '' : JSON.stringify(value);
+    if (changes.length === 0) return e('p', {className: "text-sm text-gray-500"}, "No differences.");
+    return e('table', {className: "w-full text-xs font-mono"},
+        e('thead', null,
+            e('tr', {className: "text-left text-gray-500 border-b"},
+                ['Path', 'Before', 'After'].map(label => e('th', {key: label, className: "font-normal py-1 pr-3"}, label))
+            )
+        ),
+        e('tbody', null,
+            changes.map(change => e('tr', {key: change.path, className: "border-b last:border-b-0 align-top"},
+                e('td', {className: "py-1 pr-3 text-gray-700"}, change.path),
+                e('td', {className: `py-1 pr-3 break-all ${change.change === 'added' ? '' : 'bg-red-50 text-red-700'}`}, formatLeaf(change.before)),
+                e('td', {className: `py-1 break-all ${change.change === 'removed' ? '' : 'bg-green-50 text-green-700'}`}, formatLeaf(change.after))
+            ))
+        )
+    );
+};
+
+// Previews reverting an audit log entry, as a diff from the target's current state to the state the revert
+// restores, and reverts it on confirmation. Reverts are refused while the target has changed since the entry.
+const AuditRevertPanel = ({entry, onReverted, onClose}) => {
+    const [preview, setPreview] = useState(null);
+    const [error, setError] = useState(null);
+    const [isReverting, setIsReverting] = useState(false);
+
+    useEffect(() => {
+        setPreview(null);
+        setError(null);
+        wafuApiRequest(`/global/audit-logs/${encodeURIComponent(entry.id)}/revert`)
+            .then(setPreview)
+            .catch(err => setError(err.message));
+    }, [entry.id]);
+
+    const handleRevert = async () => {
+        setIsReverting(true);
+        setError(null);
+        try {
+            await wafuApiRequest(`/global/audit-logs/${encodeURIComponent(entry.id)}/revert`, {method: 'POST'});
+            onReverted();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsReverting(false);
+        }
+    };
+
+    return e('div', {className: "border border-indigo-200 rounded-md p-4 space-y-3 bg-indigo-50/30"},
+        e('div', {className: "flex justify-between items-center"},
+            e('h3', {className: "font-semibold"}, `Revert ${entry.action} of ${entry.target_id}`),
+            e('button', {onClick: onClose, className: "text-sm text-gray-500 hover:text-gray-700"}, "Close")
+        ),
+        !preview && !error && e('p', {className: "text-sm text-gray-500"}, "Loading preview..."),
+        error && e('p', {className: "text-sm text-red-600"}, error),
+        preview && !preview.revertible && e('p', {className: "text-sm text-gray-600"}, preview.reason),
+        preview?.revertible && e(React.Fragment, null,
+            preview.conflict && e('p', {className: "text-sm text-amber-700"}, "The target has changed since this entry, so it cannot be reverted. Revert the later changes first."),
+            e('p', {className: "text-sm text-gray-600"}, preview.restore === null
+                ? "Reverting deletes the target, which this entry created."
+                : preview.current === null ? "Reverting recreates the target, which has been deleted." : "Reverting makes these changes:"),
+            e(JsonDiff, {before: preview.current, after: preview.restore}),
+            e('div', {className: "flex justify-end"},
+                e('button', {
+                    onClick: handleRevert,
+                    disabled: preview.conflict || isReverting,
+                    className: "cf-button-primary px-3 py-1.5 rounded-md text-sm disabled:opacity-50"
+                }, isReverting ? "Reverting..." : "Revert")
+            )
+        )
+    );
+};
+
 const RuleCardContent = ({rule, onToggle, onDelete, onEdit}) => {
-    const actionColor = {
-        BLOCK: 'bg-red-100 text-red-800',
-        CHALLENGE: 'bg-yellow-100 text-yellow-800',
-        LOG: 'bg-blue-100 text-blue-800',
-        ALLOW: 'bg-green-100 text-green-800'
-    }[rule.action];
+    const actionColor = ACTION_COLORS[rule.action];
     const description = rule.description || generateRuleDescription(rule.expression);
     const name = rule.name || rule.id;
 
@@ -247,6 +1084,15 @@ const RuleCardContent = ({rule, onToggle, onDelete, onEdit}) => {
             e('p', {className: "text-sm text-gray-500 mt-1"}, description),
             e('div', {className: "mt-2 flex items-center flex-wrap gap-2"},
                 e('span', {className: `px-2 py-0.5 rounded-full text-xs font-medium ${actionColor}`}, rule.action),
+                rule.shadow && e('span', {
+                    className: "px-2 py-0.5 rounded-full text-xs font-medium bg-slate-700 text-white"
+                }, "SHADOW"),
+                rule.type === 'RATE_LIMIT' && rule.rate_limit && e('span', {
+                    className: "px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800"
+                }, `${rule.rate_limit.threshold} req / ${rule.rate_limit.period}s per ${rule.rate_limit.characteristics.join(' + ')}`),
+                rule.action === 'SCORE' && e('span', {
+                    className: "px-2 py-0.5 rounded-full text-xs font-medium bg-orange-50 text-orange-700"
+                }, `${rule.score > 0 ? '+' : ''}${rule.score} ${rule.category || 'uncategorized'}`),
                 rule.tags && rule.tags.map(tag =>
                     e('span', {
                         key: tag,
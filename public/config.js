@@ -9,6 +9,24 @@
  * =============================================================================
  */
 
+// Mirrors the defaults of the managed ruleset in src/managed-rules.js.
+const DEFAULT_MANAGED_RULES_CONFIG = {
+    enabled: false,
+    mode: 'anomaly',
+    action: 'BLOCK',
+    anomaly_threshold: 5,
+    disabled_ids: [],
+    overrides: {}
+};
+
+// Mirrors the defaults of anomaly scoring in src/anomaly-scoring.js.
+const DEFAULT_ANOMALY_SCORING_CONFIG = {
+    enabled: false,
+    block_threshold: 25,
+    challenge_threshold: 15,
+    log_threshold: null
+};
+
 const DEFAULT_CONFIG = {
     blockResponse: {
         statusCode: 403,
@@ -21,6 +39,8 @@ const DEFAULT_CONFIG = {
             incomingHost: 'www.domain.com',
             originUrl: 'https://my-frontend.pages.dev',
             enabled: true,
+            inspectBody: false,
+            maxBodySize: 8192,
             customRules: [
                 {
                     id: 'www.domain.com-ALLOW-12a3b4-1',
@@ -39,6 +59,10 @@ const DEFAULT_CONFIG = {
             incomingHost: 'api.domain.com',
             originUrl: 'https://my-backend.workers.dev',
             enabled: true,
+            inspectBody: true,
+            maxBodySize: 16384,
+            managedRules: {...DEFAULT_MANAGED_RULES_CONFIG, enabled: true, mode: 'first_match'},
+            anomalyScoring: {...DEFAULT_ANOMALY_SCORING_CONFIG, enabled: true, log_threshold: 5},
             customRules: []
         },
     ],
@@ -73,5 +97,7 @@ const DEFAULT_CONFIG = {
             expression: [{field: 'request.headers.host', operator: 'equals', value: 'api.domain.com'}],
             tags: ['auto-generated', 'route-rule']
         }
-    ]
+    ],
+    globalManagedRules: {...DEFAULT_MANAGED_RULES_CONFIG, enabled: true},
+    globalAnomalyScoring: {...DEFAULT_ANOMALY_SCORING_CONFIG}
 };
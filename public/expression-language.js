@@ -0,0 +1,400 @@
+/*
+ * =============================================================================
+ * FILE: public/expression-language.js
+ *
+ * DESCRIPTION:
+ * The WAFu text rule language. It contains a tokenizer, a recursive-descent
+ * parser that compiles wirefilter-style text such as
+ *
+ *     (ip.src in $bad_ips and http.request.uri.path matches "^/admin")
+ *         or not cf.country in {"US" "CA"}
+ *
+ * into the engine's structured expression format, and a stringifier that
+ * turns a structured expression back into text. Field transformations are
+ * written as function calls around the field, innermost first:
+ * `lower(url_decode(http.request.uri.path)) contains "/admin"`.
+ *
+ * This file is loaded as a plain script by the admin UI and imported by the
+ * worker bundle (via the CommonJS export at the bottom), so both sides always
+ * agree on the grammar.
+ * =============================================================================
+ */
+
+// Wirefilter-style field names mapped to the engine's field IDs. Any other
+// `cf.*` name is mapped to `request.cf.*`, and engine IDs are accepted as-is.
+const EXPRESSION_FIELD_ALIASES = {
+    'ip.geoip.country': 'request.cf.country',
+    'ip.geoip.continent': 'request.cf.continent',
+    'ip.geoip.asnum': 'request.cf.asn',
+    'ip.geoip.is_in_european_union': 'request.cf.isEUCountry',
+    'http.host': 'request.headers.host',
+    'http.referer': 'request.headers.referer',
+    'http.user_agent': 'request.headers.user-agent',
+    'http.request.method': 'request.method',
+    'http.request.full_uri': 'request.url',
+    'http.request.uri.path': 'derived.uri.path',
+    'http.request.uri.query': 'derived.uri.query.string',
+    'http.request.uri.args.names': 'derived.uri.query.names',
+    'http.cookie': 'request.headers.cookie',
+    'http.request.body.raw': 'request.body.raw',
+    'http.request.body.size': 'request.body.size',
+    'http.request.body.truncated': 'request.body.truncated',
+    'cf.threat_score': 'request.cf.threatScore',
+    'cf.bot_management.score': 'request.cf.botManagement.score',
+    'cf.bot_management.verified_bot': 'request.cf.botManagement.verifiedBot',
+    'cf.bot_management.static_resource': 'request.cf.botManagement.staticResource',
+    'cf.bot_management.ja3_hash': 'request.cf.botManagement.ja3Hash',
+    'cf.bot_management.ja4': 'request.cf.botManagement.ja4',
+};
+
+const EXPRESSION_OPERATORS = {
+    '==': 'equals',
+    'eq': 'equals',
+    '!=': 'not_equals',
+    'ne': 'not_equals',
+    '>': 'greater_than',
+    'gt': 'greater_than',
+    '<': 'less_than',
+    'lt': 'less_than',
+    '~': 'matches',
+    '!~': 'not_matches',
+    'matches': 'matches',
+    'contains': 'contains',
+    'in': 'in',
+};
+
+// Operators that may be prefixed with `not` after the field, e.g. `path not contains "x"`.
+const NEGATABLE_OPERATORS = {in: 'not_in', contains: 'not_contains', matches: 'not_matches', in_cidr: 'not_in_cidr'};
+
+// Operators whose value is a set literal (`{...}`) or a `$list` reference.
+const LIST_OPERATORS = ['in', 'not_in', 'in_cidr', 'not_in_cidr', 'has_any', 'has_all', 'between'];
+
+// For IP fields, `in` matches addresses against networks, as in wirefilter: `ip.src in {10.0.0.0/8 2001:db8::/32}`.
+const EXPRESSION_IP_FIELDS = ['ip.src'];
+const IP_FIELD_OPERATORS = {in: 'in_cidr', not_in: 'not_in_cidr'};
+
+const EXPRESSION_OPERATOR_SYMBOLS = {
+    equals: '==',
+    not_equals: '!=',
+    greater_than: '>',
+    less_than: '<',
+    contains: 'contains',
+    not_contains: 'not contains',
+    matches: 'matches',
+    not_matches: 'not matches',
+    in: 'in',
+    not_in: 'not in',
+    in_cidr: 'in_cidr',
+    not_in_cidr: 'not in_cidr',
+};
+
+const EXPRESSION_KEYWORDS = ['and', 'or', 'not', 'is', 'null'];
+
+class RuleExpressionSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'RuleExpressionSyntaxError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Splits expression text into tokens, tracking the line and column of each.
+ * @param {string} text - The expression source.
+ * @returns {object[]} Tokens of the form `{type, value, line, column}`.
+ */
+const tokenizeRuleExpression = (text) => {
+    const tokens = [];
+    let pos = 0, line = 1, column = 1;
+
+    const advance = (count) => {
+        for (let i = 0; i < count; i++) {
+            if (text[pos] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            pos++;
+        }
+    };
+
+    while (pos < text.length) {
+        const ch = text[pos];
+        if (/\s/.test(ch)) {
+            advance(1);
+            continue;
+        }
+
+        const start = {line, column};
+        const twoChars = text.slice(pos, pos + 2);
+
+        if (['==', '!=', '>=', '<=', '&&', '||', '!~'].includes(twoChars)) {
+            tokens.push({type: 'op', value: twoChars, ...start});
+            advance(2);
+        } else if ('()'.includes(ch)) {
+            tokens.push({type: ch === '(' ? 'lparen' : 'rparen', value: ch, ...start});
+            advance(1);
+        } else if ('{}'.includes(ch)) {
+            tokens.push({type: ch === '{' ? 'lbrace' : 'rbrace', value: ch, ...start});
+            advance(1);
+        } else if (ch === ',') {
+            tokens.push({type: 'comma', value: ch, ...start});
+            advance(1);
+        } else if ('<>~!'.includes(ch)) {
+            tokens.push({type: 'op', value: ch, ...start});
+            advance(1);
+        } else if (ch === '"' || (ch === 'r' && text[pos + 1] === '"')) {
+            // Raw strings (r"...") take their contents literally, which is convenient for regexes.
+            const isRaw = ch === 'r';
+            advance(isRaw ? 2 : 1);
+            let value = '';
+            while (pos < text.length && text[pos] !== '"') {
+                if (!isRaw && text[pos] === '\\') {
+                    const next = text[pos + 1];
+                    if (next === undefined) break;
+                    value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+                    advance(2);
+                } else {
+                    value += text[pos];
+                    advance(1);
+                }
+            }
+            if (pos >= text.length) {
+                throw new RuleExpressionSyntaxError('Unterminated string literal', start.line, start.column);
+            }
+            advance(1);
+            tokens.push({type: 'string', value, ...start});
+        } else if (ch === '$') {
+            const match = /^\$([A-Za-z_][\w\-]*)/.exec(text.slice(pos));
+            if (!match) throw new RuleExpressionSyntaxError('Expected a list name after "$"', line, column);
+            tokens.push({type: 'list', value: match[1], ...start});
+            advance(match[0].length);
+        } else {
+            const match = /^[\w.\-:\/]+/.exec(text.slice(pos));
+            if (!match) throw new RuleExpressionSyntaxError(`Unexpected character "${ch}"`, line, column);
+            tokens.push({type: 'word', value: match[0], ...start});
+            advance(match[0].length);
+        }
+    }
+
+    tokens.push({type: 'eof', value: null, line, column});
+    return tokens;
+};
+
+/**
+ * Parses and compiles expression text into the engine's structured format. A
+ * plain conjunction of conditions is returned as a flat array; anything else
+ * is returned as an `all`/`any`/`not` group tree.
+ * @param {string} text - The expression source.
+ * @returns {object[]|object} The structured expression.
+ * @throws {RuleExpressionSyntaxError} If the text is not a valid expression.
+ */
+const parseRuleExpression = (text) => {
+    const tokens = tokenizeRuleExpression(text || '');
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isKeyword = (token, keyword) => token.type === 'word' && token.value.toLowerCase() === keyword;
+    const fail = (message, token = peek()) => {
+        throw new RuleExpressionSyntaxError(message, token.line, token.column);
+    };
+    const describe = (token) => token.type === 'eof' ? 'end of expression' : `"${token.value}"`;
+
+    // Returns the field and its transformations, in the order they are applied: `lower(url_decode(f))` is
+    // `{field: 'f', transforms: ['url_decode', 'lower']}`.
+    const parseField = () => {
+        const token = next();
+        if (token.type !== 'word' || !/^[A-Za-z_][\w.\-]*$/.test(token.value) || EXPRESSION_KEYWORDS.includes(token.value.toLowerCase())) {
+            fail(`Expected a field name but found ${describe(token)}`, token);
+        }
+        if (peek().type === 'lparen') {
+            if (!/^[a-z_][a-z0-9_]*$/.test(token.value)) fail(`Expected a transformation name but found ${describe(token)}`, token);
+            next();
+            const inner = parseField();
+            if (peek().type !== 'rparen') fail(`Expected ")" but found ${describe(peek())}`);
+            next();
+            return {field: inner.field, transforms: [...inner.transforms, token.value]};
+        }
+        if (EXPRESSION_FIELD_ALIASES[token.value]) return {field: EXPRESSION_FIELD_ALIASES[token.value], transforms: []};
+        if (token.value.startsWith('cf.')) return {field: `request.${token.value}`, transforms: []};
+        return {field: token.value, transforms: []};
+    };
+
+    const parseScalar = () => {
+        const token = next();
+        if (token.type === 'string') return token.value;
+        if (token.type === 'word') {
+            if (token.value === 'true') return true;
+            if (token.value === 'false') return false;
+            if (/^-?\d+(\.\d+)?$/.test(token.value)) return Number(token.value);
+            if (!EXPRESSION_KEYWORDS.includes(token.value.toLowerCase())) return token.value;
+        }
+        fail(`Expected a value but found ${describe(token)}`, token);
+    };
+
+    const parseSetOrList = () => {
+        const token = peek();
+        if (token.type === 'list') {
+            next();
+            return {list: token.value};
+        }
+        if (token.type !== 'lbrace') fail(`Expected "{" or a $list but found ${describe(token)}`);
+        next();
+        const values = [];
+        while (peek().type !== 'rbrace') {
+            if (peek().type === 'eof') fail('Unterminated set, expected "}"');
+            values.push(parseScalar());
+            if (peek().type === 'comma') next();
+        }
+        next();
+        return values;
+    };
+
+    const parseComparison = () => {
+        const {field, transforms} = parseField();
+        const withTransforms = (condition) => transforms.length > 0 ? {...condition, transforms} : condition;
+        const token = peek();
+
+        if (isKeyword(token, 'is')) {
+            next();
+            const negated = isKeyword(peek(), 'not');
+            if (negated) next();
+            if (!isKeyword(peek(), 'null')) fail(`Expected "null" but found ${describe(peek())}`);
+            next();
+            return withTransforms({field, operator: negated ? 'is_not_null' : 'is_null', value: ''});
+        }
+
+        let negated = false;
+        if (isKeyword(token, 'not')) {
+            next();
+            negated = true;
+        }
+
+        const opToken = peek();
+        const endsComparison = opToken.type === 'eof' || opToken.type === 'rparen' || isKeyword(opToken, 'and') ||
+            isKeyword(opToken, 'or') || (opToken.type === 'op' && ['&&', '||'].includes(opToken.value));
+        if (endsComparison && !negated) {
+            // A bare field is shorthand for `field == true`, e.g. `cf.bot_management.verified_bot`.
+            return withTransforms({field, operator: 'equals', value: true});
+        }
+        if (opToken.type === 'op' && ['>=', '<='].includes(opToken.value)) {
+            fail(`Unsupported operator "${opToken.value}"`);
+        }
+        if (endsComparison || (opToken.type !== 'op' && opToken.type !== 'word')) {
+            fail(`Expected an operator but found ${describe(opToken)}`);
+        }
+
+        next();
+        const opName = opToken.type === 'word' ? opToken.value.toLowerCase() : opToken.value;
+        let operator = EXPRESSION_OPERATORS[opName];
+        if (!operator && opToken.type === 'word' && /^[a-z_]+$/.test(opName)) {
+            // Operators without a symbol can be written by their engine name, e.g. `path starts_with "/api"`.
+            operator = opName;
+        }
+        if (!operator) fail(`Unknown operator ${describe(opToken)}`, opToken);
+        if (negated) {
+            if (!NEGATABLE_OPERATORS[operator]) fail(`Operator ${describe(opToken)} cannot be negated`, opToken);
+            operator = NEGATABLE_OPERATORS[operator];
+        }
+
+        if (EXPRESSION_IP_FIELDS.includes(field) && transforms.length === 0 && IP_FIELD_OPERATORS[operator]) {
+            operator = IP_FIELD_OPERATORS[operator];
+        }
+
+        const value = LIST_OPERATORS.includes(operator) ? parseSetOrList() : parseScalar();
+        return withTransforms({field, operator, value});
+    };
+
+    const parsePrimary = () => {
+        if (peek().type === 'lparen') {
+            next();
+            const node = parseOr();
+            if (peek().type !== 'rparen') fail(`Expected ")" but found ${describe(peek())}`);
+            next();
+            return node;
+        }
+        return parseComparison();
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (isKeyword(token, 'not') || (token.type === 'op' && token.value === '!')) {
+            next();
+            return {not: parseUnary()};
+        }
+        return parsePrimary();
+    };
+
+    const parseChain = (parseOperand, keyword, symbol, groupType) => {
+        const operands = [parseOperand()];
+        while (isKeyword(peek(), keyword) || (peek().type === 'op' && peek().value === symbol)) {
+            next();
+            operands.push(parseOperand());
+        }
+        return operands.length === 1 ? operands[0] : {[groupType]: operands};
+    };
+
+    const parseAnd = () => parseChain(parseUnary, 'and', '&&', 'all');
+    const parseOr = () => parseChain(parseAnd, 'or', '||', 'any');
+
+    if (peek().type === 'eof') return [];
+    const root = parseOr();
+    if (peek().type !== 'eof') fail(`Unexpected ${describe(peek())}`);
+
+    const isCondition = (node) => !Array.isArray(node.all) && !Array.isArray(node.any) && !('not' in node);
+    if (isCondition(root)) return [root];
+    if (Array.isArray(root.all) && root.all.every(isCondition)) return root.all;
+    return root;
+};
+
+const stringifyExpressionValue = (value) => {
+    if (Array.isArray(value)) return `{${value.map(stringifyExpressionValue).join(' ')}}`;
+    if (value && typeof value === 'object' && value.list) return `$${value.list}`;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+};
+
+const stringifyExpressionNode = (node, isRoot) => {
+    if (Array.isArray(node)) return stringifyExpressionNode({all: node}, isRoot);
+    const wrap = (text) => isRoot ? text : `(${text})`;
+    if (Array.isArray(node.all)) {
+        return node.all.length === 1 ? stringifyExpressionNode(node.all[0], isRoot) : wrap(node.all.map(n => stringifyExpressionNode(n, false)).join(' and '));
+    }
+    if (Array.isArray(node.any)) {
+        return node.any.length === 1 ? stringifyExpressionNode(node.any[0], isRoot) : wrap(node.any.map(n => stringifyExpressionNode(n, false)).join(' or '));
+    }
+    if ('not' in node) {
+        const inner = stringifyExpressionNode(node.not, true);
+        return `not (${inner})`;
+    }
+    const field = (node.transforms || []).reduce((text, transform) => `${transform}(${text})`, node.field);
+    if (node.operator === 'is_null') return `${field} is null`;
+    if (node.operator === 'is_not_null') return `${field} is not null`;
+    let value = node.value;
+    if (LIST_OPERATORS.includes(node.operator) && !Array.isArray(value) && !(value && value.list)) {
+        value = String(value ?? '').split(',').map(v => v.trim()).filter(Boolean);
+    }
+    let symbol = EXPRESSION_OPERATOR_SYMBOLS[node.operator] || node.operator;
+    if (EXPRESSION_IP_FIELDS.includes(node.field) && !(node.transforms || []).length) {
+        const ipOperator = Object.keys(IP_FIELD_OPERATORS).find(op => IP_FIELD_OPERATORS[op] === node.operator);
+        if (ipOperator) symbol = EXPRESSION_OPERATOR_SYMBOLS[ipOperator];
+    }
+    return `${field} ${symbol} ${stringifyExpressionValue(value)}`;
+};
+
+/**
+ * Converts a structured expression back into the text rule language.
+ * @param {object[]|object} expression - A flat condition array or group tree.
+ * @returns {string} The equivalent expression text.
+ */
+const stringifyRuleExpression = (expression) => {
+    if (!expression || (Array.isArray(expression) && expression.length === 0)) return '';
+    return stringifyExpressionNode(expression, true);
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {parseRuleExpression, stringifyRuleExpression, tokenizeRuleExpression, RuleExpressionSyntaxError};
+}
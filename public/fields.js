@@ -6,6 +6,10 @@
  * Contains all static data related to the WAFu rule engine fields.
  * This includes field definitions, groups, operators, and documentation links.
  * Isolating this data makes the main application easier to manage.
+ *
+ * It is also imported by the worker bundle (via the CommonJS export at the
+ * bottom): the rule engine coerces values to each field's `dataType`, and
+ * compares list fields (`array`) item by item as their `itemType`.
  * =============================================================================
  */
 
@@ -88,6 +92,54 @@ const WAF_FIELD_GROUPS = {
             docUrl: DOC_BASE_URL,
             dataType: 'integer'
         },
+        {
+            id: 'derived.uri.query.names',
+            name: 'Query Parameter Names',
+            description: 'The names of all query parameters, without duplicates, in the order they first appear.',
+            example: 'id, sort',
+            docUrl: 'https://developer.mozilla.org/en-US/docs/Web/API/URLSearchParams',
+            dataType: 'array',
+            itemType: 'string'
+        },
+        {
+            id: 'request.query',
+            name: 'Query Parameter',
+            description: 'The decoded value of a query parameter. A repeated parameter is the list of its values: a condition matches if any value does, and HAS ANY / HAS ALL test the whole list.',
+            example: 'request.query.id',
+            docUrl: 'https://developer.mozilla.org/en-US/docs/Web/API/URLSearchParams',
+            dataType: 'array',
+            itemType: 'string',
+            dynamic: true,
+            keyName: 'parameter name'
+        },
+        {
+            id: 'derived.uri.path.segments',
+            name: 'URI Path Segments',
+            description: 'The non-empty segments of the path, still percent-encoded.',
+            example: 'api, v1, users',
+            docUrl: DOC_BASE_URL,
+            dataType: 'array',
+            itemType: 'string'
+        },
+        {
+            id: 'derived.uri.path.segment',
+            name: 'URI Path Segment',
+            description: 'The segment of the path at a zero-based index, e.g. 0 for "api" in /api/v1/users. Only the first 32 segments are indexed.',
+            example: 'derived.uri.path.segment.0',
+            docUrl: DOC_BASE_URL,
+            dataType: 'string',
+            dynamic: true,
+            keyName: 'index',
+            keyPattern: /^\d+$/
+        },
+        {
+            id: 'derived.uri.extension',
+            name: 'URI File Extension',
+            description: 'The file extension of the last path segment, without the dot and in its original case. Null when the last segment has none.',
+            example: 'php',
+            docUrl: DOC_BASE_URL,
+            dataType: 'string'
+        },
         {
             id: 'request.headers.referer',
             name: 'Referer Header',
@@ -130,6 +182,17 @@ const WAF_FIELD_GROUPS = {
             docUrl: 'https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Cookie',
             dataType: 'string'
         },
+        {
+            id: 'request.cookies',
+            name: 'Cookie',
+            description: 'The value of a cookie, as sent (still percent-encoded). A repeated cookie is the list of its values, matched like a repeated query parameter.',
+            example: 'request.cookies.session_id',
+            docUrl: 'https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Cookie',
+            dataType: 'array',
+            itemType: 'string',
+            dynamic: true,
+            keyName: 'cookie name'
+        },
         {
             id: 'request.headers.origin',
             name: 'Origin Header',
@@ -146,8 +209,75 @@ const WAF_FIELD_GROUPS = {
             docUrl: 'https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Accept-Encoding',
             dataType: 'string'
         },
+        {
+            id: 'request.headers',
+            name: 'Other Header',
+            description: 'The value of any other request header, by its lowercase name.',
+            example: 'request.headers.x-api-key',
+            docUrl: 'https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers',
+            dataType: 'string',
+            dynamic: true,
+            keyName: 'header name',
+            keyPattern: /^[a-z0-9!#$%&'*+.^_`|~-]+$/
+        },
+    ],
+    // Body fields are only populated for routes with body inspection enabled.
+    "Request Body": [
+        {
+            id: 'request.body.raw',
+            name: 'Raw Body',
+            description: "The request body as text, up to the route's maximum inspected size.",
+            example: '{"user": {"role": "admin"}}',
+            docUrl: 'https://developer.mozilla.org/en-US/docs/Web/API/Request/body',
+            dataType: 'string'
+        },
+        {
+            id: 'request.body.size',
+            name: 'Body Size',
+            description: 'The size of the request body in bytes, from the Content-Length header when present.',
+            example: '1024',
+            docUrl: 'https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Content-Length',
+            dataType: 'integer'
+        },
+        {
+            id: 'request.body.truncated',
+            name: 'Body Truncated',
+            description: "A boolean indicating if the body was larger than the route's maximum inspected size, so only its start was inspected. A truncated JSON body has no JSON fields, so pair JSON rules with a rule on this field.",
+            example: 'false',
+            docUrl: 'https://developer.mozilla.org/en-US/docs/Web/API/Request/body',
+            dataType: 'boolean'
+        },
+        {
+            id: 'request.body.json',
+            name: 'JSON Body Field',
+            description: 'A value from a JSON body, addressed by its dot-separated path. Array items are addressed by index, e.g. items.0.id. Absent when the body is malformed or truncated.',
+            example: 'request.body.json.user.role',
+            docUrl: 'https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Content-Type',
+            dataType: 'string',
+            dynamic: true,
+            keyName: 'JSON path'
+        },
+        {
+            id: 'request.body.form',
+            name: 'Form Field',
+            description: 'A field from a URL-encoded or multipart form body. File uploads expose their filename. A repeated field is the list of its values, matched like a repeated query parameter.',
+            example: 'request.body.form.username',
+            docUrl: 'https://developer.mozilla.org/en-US/docs/Web/HTML/Element/form',
+            dataType: 'array',
+            itemType: 'string',
+            dynamic: true,
+            keyName: 'field name'
+        },
     ],
     "IP & ASN": [
+        {
+            id: 'ip.src',
+            name: 'Client IP',
+            description: 'The normalized client IP address (IPv4 or IPv6). IPv4-mapped IPv6 addresses are reported as IPv4. Use IN CIDR / NOT IN CIDR to match networks.',
+            example: '203.0.113.1',
+            docUrl: 'https://developers.cloudflare.com/ruleset-engine/rules-language/fields/reference/ip.src/',
+            dataType: 'ip'
+        },
         {
             id: 'request.headers.cf-connecting-ip',
             name: 'CF-Connecting-IP',
@@ -366,7 +496,8 @@ const WAF_FIELD_GROUPS = {
             description: 'An array of IDs of the bot detection mechanisms that were triggered.',
             example: '123,456',
             docUrl: DOC_BASE_URL,
-            dataType: 'array'
+            dataType: 'array',
+            itemType: 'integer'
         },
         {
             id: 'request.cf.botManagement.jsDetection.passed',
@@ -413,6 +544,17 @@ const WAF_FIELD_GROUPS = {
     ],
 };
 
-const WAF_OPERATORS = ['is_not_null', 'is_null', 'equals', 'not_equals', 'contains', 'not_contains', 'matches', 'not_matches', 'in', 'not_in', 'greater_than', 'less_than'];
+const WAF_OPERATORS = ['is_not_null', 'is_null', 'equals', 'not_equals', 'equals_ci', 'contains', 'not_contains', 'starts_with', 'ends_with', 'wildcard', 'matches', 'not_matches', 'in', 'not_in', 'has_any', 'has_all', 'greater_than', 'less_than', 'between', 'in_cidr', 'not_in_cidr'];
 
 const ALL_FIELDS = Object.values(WAF_FIELD_GROUPS).flat();
+
+// Finds the definition of a field ID. Dynamic fields (`dynamic: true`) take a key after their ID, such as the
+// JSON path in `request.body.json.user.role`, so they match any ID with their prefix.
+const findFieldDefinition = (fieldId) => {
+    if (typeof fieldId !== 'string') return undefined;
+    return ALL_FIELDS.find(f => f.id === fieldId) || ALL_FIELDS.find(f => f.dynamic && fieldId.startsWith(`${f.id}.`));
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {WAF_FIELD_GROUPS, WAF_OPERATORS, ALL_FIELDS, findFieldDefinition};
+}
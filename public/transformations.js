@@ -0,0 +1,178 @@
+/*
+ * =============================================================================
+ * FILE: public/transformations.js
+ *
+ * DESCRIPTION:
+ * Field transformations. A condition can list transformations, such as
+ * `["url_decode", "lower"]`, that are applied in order to the field value
+ * before it is compared, so that encoding, case and path tricks cannot slip
+ * past a `contains` or `matches` rule. In the text rule language they are
+ * written as functions: `lower(url_decode(http.request.uri.path))`.
+ *
+ * This file is loaded as a plain script by the admin UI and imported by the
+ * worker bundle (via the CommonJS export at the bottom), so the editor
+ * documents exactly the transformations the engine applies.
+ * =============================================================================
+ */
+
+// How many times `url_decode` decodes at most, enough for any realistic multiple encoding.
+const MAX_URL_DECODE_PASSES = 8;
+
+const HTML_NAMED_ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', sol: '/', bsol: '\\', colon: ':', lpar: '(', rpar: ')', tab: '\t', newline: '\n'};
+
+// Decodes one level of percent-encoding, leaving malformed escapes and invalid UTF-8 sequences as they are.
+const decodePercentEncoding = (text) => text.replace(/(?:%[0-9a-f]{2})+/gi, (run) => {
+    try {
+        return decodeURIComponent(run);
+    } catch (e) {
+        return run.replace(/%([0-9a-f]{2})/gi, (escape, hex) => {
+            const code = parseInt(hex, 16);
+            return code < 0x80 ? String.fromCharCode(code) : escape;
+        });
+    }
+});
+
+const FIELD_TRANSFORMATIONS = [
+    {
+        id: 'lower',
+        name: 'Lowercase',
+        description: 'Converts the value to lowercase.',
+        example: '/Admin → /admin',
+        outputType: 'string',
+        apply: (value) => value.toLowerCase()
+    },
+    {
+        id: 'upper',
+        name: 'Uppercase',
+        description: 'Converts the value to uppercase.',
+        example: 'get → GET',
+        outputType: 'string',
+        apply: (value) => value.toUpperCase()
+    },
+    {
+        id: 'url_decode',
+        name: 'URL Decode',
+        description: 'Decodes percent-encoding, repeatedly, until the value stops changing, so double-encoded payloads are caught. As in form encoding, "+" becomes a space.',
+        example: '%252e%252e%252f → ../',
+        outputType: 'string',
+        apply: (value) => {
+            let decoded = value;
+            for (let i = 0; i < MAX_URL_DECODE_PASSES; i++) {
+                const next = decodePercentEncoding(decoded.replace(/\+/g, ' '));
+                if (next === decoded) break;
+                decoded = next;
+            }
+            return decoded;
+        }
+    },
+    {
+        id: 'html_entity_decode',
+        name: 'HTML Entity Decode',
+        description: 'Decodes HTML character references: named ones such as &lt; and numeric ones such as &#60; or &#x3c;, with or without the trailing semicolon.',
+        example: '&lt;script&gt; → <script>',
+        outputType: 'string',
+        apply: (value) => value.replace(/&(?:#x([0-9a-f]{1,6})|#(\d{1,7})|([a-z]+));?/gi, (reference, hex, decimal, name) => {
+            if (name) return HTML_NAMED_ENTITIES[name.toLowerCase()] ?? reference;
+            const code = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+            return code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+        })
+    },
+    {
+        id: 'base64_decode',
+        name: 'Base64 Decode',
+        description: 'Decodes standard or URL-safe Base64, with or without padding, as UTF-8. Values that are not valid Base64 are left unchanged.',
+        example: 'PHNjcmlwdD4= → <script>',
+        outputType: 'string',
+        apply: (value) => {
+            const base64 = value.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+            if (!/^[A-Za-z0-9+/]*$/.test(base64) || base64.length % 4 === 1) return value;
+            try {
+                const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+                return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+            } catch (e) {
+                return value;
+            }
+        }
+    },
+    {
+        id: 'remove_whitespace',
+        name: 'Remove Whitespace',
+        description: 'Removes all whitespace, including tabs and line breaks.',
+        example: 'un ion  se\tlect → unionselect',
+        outputType: 'string',
+        apply: (value) => value.replace(/\s+/g, '')
+    },
+    {
+        id: 'normalize_path',
+        name: 'Normalize Path',
+        description: 'Turns backslashes into slashes, collapses repeated slashes and resolves "." and ".." segments, without going above the root.',
+        example: '//admin/./x/../config → /admin/config',
+        outputType: 'string',
+        apply: (value) => {
+            const path = value.replace(/\\/g, '/');
+            const isAbsolute = path.startsWith('/');
+            const segments = [];
+            for (const segment of path.split('/')) {
+                if (segment === '' || segment === '.') continue;
+                if (segment !== '..') {
+                    segments.push(segment);
+                } else if (segments.length > 0 && segments[segments.length - 1] !== '..') {
+                    segments.pop();
+                } else if (!isAbsolute) {
+                    segments.push(segment);
+                }
+            }
+            const trailingSlash = segments.length > 0 && /\/\.{0,2}$/.test(path) ? '/' : '';
+            return (isAbsolute ? '/' : '') + segments.join('/') + trailingSlash;
+        }
+    },
+    {
+        id: 'length',
+        name: 'Length',
+        description: 'Replaces the value with its length in characters, or the number of items in a list. Use it with GREATER THAN or LESS THAN.',
+        example: '/api/users → 10',
+        outputType: 'integer',
+        apply: (value) => value.length
+    },
+];
+
+const FIELD_TRANSFORMATION_IDS = FIELD_TRANSFORMATIONS.map(t => t.id);
+
+/**
+ * Builds the function that applies a condition's transformations, in order,
+ * to a field value. Missing values stay missing, and values other than
+ * strings and lists are converted to strings first.
+ * @param {string[]} transforms - Transformation IDs, in the order they are applied.
+ * @returns {function(*): *} The transform function.
+ * @throws {Error} If a transformation is unknown.
+ */
+const compileFieldTransformations = (transforms) => {
+    const steps = transforms.map(id => {
+        const transformation = FIELD_TRANSFORMATIONS.find(t => t.id === id);
+        if (!transformation) throw new Error(`Unknown transformation "${id}"`);
+        // `length` also counts the items of list fields; everything else works on the string form of each item.
+        if (id === 'length') return (value) => Array.isArray(value) ? value.length : String(value).length;
+        return (value) => Array.isArray(value) ? value.map(item => transformation.apply(String(item))) : transformation.apply(String(value));
+    });
+    return (value) => {
+        if (value === null || value === undefined) return value;
+        let result = value;
+        for (const step of steps) result = step(result);
+        return result;
+    };
+};
+
+/**
+ * Returns the data type a condition compares against once its transformations have run.
+ * @param {string} dataType - The field's data type.
+ * @param {string[]} [transforms] - The condition's transformations.
+ * @returns {string} The data type of the transformed value.
+ */
+const getTransformedDataType = (dataType, transforms) => {
+    if (!Array.isArray(transforms) || transforms.length === 0) return dataType;
+    return FIELD_TRANSFORMATIONS.find(t => t.id === transforms[transforms.length - 1])?.outputType || dataType;
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {FIELD_TRANSFORMATIONS, FIELD_TRANSFORMATION_IDS, compileFieldTransformations, getTransformedDataType};
+}
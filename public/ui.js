@@ -34,12 +34,17 @@ function App() {
         } else if (view !== 'rules') {
             setActiveRouteId('global');
         }
-        setRoute({view, group: parts[1] || null, field: parts[2] || null});
+        // Rules deep-link to a rule as #/rules/route/<route ID or global>/rule-<rule ID>.
+        setRoute({view, group: parts[1] || null, field: (view === 'rules' && parts[1] === 'route' ? parts[3] : parts[2]) || null});
     }, []);
 
     useEffect(() => {
         // The DEFAULT_CONFIG variable is loaded from config.js
         setConfig(DEFAULT_CONFIG);
+        // Route settings are stored by the API: show them as stored. A route the API does not know keeps its defaults.
+        DEFAULT_CONFIG.routes.forEach(r => loadRouteSettings(r.id)
+            .then(settings => setConfig(prev => ({...prev, routes: prev.routes.map(pr => pr.id === r.id ? {...pr, ...settings} : pr)})))
+            .catch(() => {}));
         parseRoute();
         window.addEventListener('hashchange', parseRoute);
         return () => window.removeEventListener('hashchange', parseRoute);
@@ -71,7 +76,13 @@ function App() {
         // These view components are loaded from views.js
         switch (route.view) {
             case 'rules':
-                return e(FirewallRulesView, {config, setConfig, onNavigateToDocs: handleNavToField, activeRouteId});
+                return e(FirewallRulesView, {
+                    config,
+                    setConfig,
+                    onNavigateToDocs: handleNavToField,
+                    activeRouteId,
+                    focusRuleId: route.field?.startsWith('rule-') ? decodeURIComponent(route.field.slice(5)) : null
+                });
             case 'routes':
                 return e(RoutesView, {config, setConfig});
             case 'geolocation':
@@ -83,7 +94,7 @@ function App() {
             case 'authentication':
                 return e(AuthView, null);
             case 'audit-log':
-                return e(AuditLogView, null);
+                return e(AuditLogView, {config});
             default:
                 return e(OverviewView, {activeRouteId, config});
         }
@@ -143,7 +154,7 @@ function App() {
                 e('div', {className: "mt-auto"},
                     e('button', {
                             onClick: handleSaveChanges,
-                            disabled: isSaving || currentUser.role === 'viewer',
+                            disabled: isSaving || !['administrator', 'editor'].includes(currentUser.role),
                             className: "w-full cf-button-primary px-4 py-2 rounded-md font-semibold"
                         },
                         isSaving ? 'Deploying...' : 'Deploy Changes'
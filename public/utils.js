@@ -18,11 +18,32 @@ const simpleHash = (str) => {
     return new Uint32Array([hash])[0].toString(16);
 };
 
+const isExpressionGroup = (node) => !!node && !Array.isArray(node) && (Array.isArray(node.all) || Array.isArray(node.any) || 'not' in node);
+
+const collectConditions = (expression) => {
+    if (!expression) return [];
+    if (Array.isArray(expression)) return expression.flatMap(collectConditions);
+    if (Array.isArray(expression.all)) return expression.all.flatMap(collectConditions);
+    if (Array.isArray(expression.any)) return expression.any.flatMap(collectConditions);
+    if ('not' in expression) return collectConditions(expression.not);
+    return [expression];
+};
+
+const describeExpressionNode = (node) => {
+    if (Array.isArray(node)) return describeExpressionNode({all: node});
+    if (Array.isArray(node.all)) return node.all.length === 1 ? describeExpressionNode(node.all[0]) : `(${node.all.map(describeExpressionNode).join(' AND ')})`;
+    if (Array.isArray(node.any)) return node.any.length === 1 ? describeExpressionNode(node.any[0]) : `(${node.any.map(describeExpressionNode).join(' OR ')})`;
+    if ('not' in node) return `NOT ${describeExpressionNode(node.not)}`;
+    const field = (node.transforms || []).reduce((text, transform) => `${transform}(${text})`, node.field);
+    return `\`${field}\` ${node.operator.replace(/_/g, ' ').toUpperCase()} \`${node.value}\``;
+};
+
 const generateRuleDescription = (expression) => {
-    if (!expression || expression.length === 0) return 'Matches all traffic.';
-    return "WHEN " + expression.map(cond =>
-        `\`${cond.field}\` ${cond.operator.replace(/_/g, ' ').toUpperCase()} \`${cond.value}\``
-    ).join(' AND ');
+    if (!expression || (Array.isArray(expression) && expression.length === 0)) return 'Matches all traffic.';
+    const root = Array.isArray(expression) ? {all: expression} : expression;
+    if (Array.isArray(root.all)) return "WHEN " + root.all.map(describeExpressionNode).join(' AND ');
+    if (Array.isArray(root.any)) return "WHEN " + root.any.map(describeExpressionNode).join(' OR ');
+    return "WHEN " + describeExpressionNode(root);
 };
 
 const isValidIp = (ip) => {
@@ -32,7 +53,109 @@ const isValidIp = (ip) => {
 };
 
 const isValidCidr = (cidr) => {
-    const cidrRegex = /^([0-9]{1,3}\.){3}[0-9]{1,3}(\/([0-9]|[1-2][0-9]|3[0-2]))$/;
-    // Basic IPv4 CIDR check for demo purposes. A full library would be needed for IPv6.
-    return cidrRegex.test(cidr);
+    const [address, prefix, ...rest] = String(cidr).trim().split('/');
+    if (rest.length > 0 || prefix === undefined || !/^\d{1,3}$/.test(prefix)) return false;
+    if (address.includes(':')) return isValidIp(address) && Number(prefix) <= 128;
+    return isValidIp(address) && Number(prefix) <= 32;
+};
+
+// Lists the differences between two JSON values as leaf paths (`expression[0].value`), each with its value before
+// and after. Objects are compared key by key and arrays index by index; anything else is a leaf.
+const diffJson = (before, after) => {
+    const flatten = (value, path, leaves) => {
+        if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+            Object.entries(value).forEach(([key, child]) => {
+                flatten(child, Array.isArray(value) ? `${path}[${key}]` : path ? `${path}.${key}` : key, leaves);
+            });
+        } else {
+            leaves.set(path, value);
+        }
+        return leaves;
+    };
+    const beforeLeaves = flatten(before ?? null, '', new Map());
+    const afterLeaves = flatten(after ?? null, '', new Map());
+    const paths = [...new Set([...beforeLeaves.keys(), ...afterLeaves.keys()])].sort();
+    return paths
+        .filter(path => JSON.stringify(beforeLeaves.get(path)) !== JSON.stringify(afterLeaves.get(path)))
+        .map(path => ({
+            path: path || '(value)',
+            before: beforeLeaves.get(path),
+            after: afterLeaves.get(path),
+            change: !beforeLeaves.has(path) ? 'added' : !afterLeaves.has(path) ? 'removed' : 'changed'
+        }));
+};
+
+// Calls the admin API under /wafu/api. The session token from the admin login is kept in localStorage.
+const wafuApiRequest = async (path, {method = 'GET', body} = {}) => {
+    const headers = {'Content-Type': 'application/json'};
+    const token = localStorage.getItem('wafu_token');
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`/wafu/api${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(data?.error || `The request failed with status ${response.status}.`);
+    return data;
+};
+
+// Downloads a file served by the admin API under /wafu/api, with the session token, as the browser cannot add it to
+// a plain link. The file name comes from the response's Content-Disposition.
+const wafuApiDownload = async (path) => {
+    const token = localStorage.getItem('wafu_token');
+    const response = await fetch(`/wafu/api${path}`, {headers: token ? {Authorization: `Bearer ${token}`} : {}});
+    if (!response.ok) {
+        const data = await response.json().catch(() => null);
+        throw new Error(data?.error || `The download failed with status ${response.status}.`);
+    }
+    const fileName = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || 'download';
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// The route fields stored by the route settings API, by the name the API gives them.
+const ROUTE_SETTING_FIELDS = {inspectBody: 'inspect_body', maxBodySize: 'max_body_size', shadow: 'shadow', allowSampleRate: 'allow_sample_rate'};
+
+// Reads a route's stored settings, as route fields.
+const loadRouteSettings = async (routeId) => {
+    const settings = await wafuApiRequest(`/routes/${encodeURIComponent(routeId)}/settings`);
+    return Object.fromEntries(Object.entries(ROUTE_SETTING_FIELDS).map(([field, key]) => [field, settings[key]]));
+};
+
+// Stores changed route fields as the route's settings, and returns all of its settings as stored.
+const saveRouteSettings = async (routeId, changes) => {
+    const body = Object.fromEntries(Object.entries(changes).map(([field, value]) => [ROUTE_SETTING_FIELDS[field], value]));
+    const settings = await wafuApiRequest(`/routes/${encodeURIComponent(routeId)}/settings`, {method: 'PUT', body});
+    return Object.fromEntries(Object.entries(ROUTE_SETTING_FIELDS).map(([field, key]) => [field, settings[key]]));
+};
+
+// Turns a pasted request into the format of the simulate API. Rows copied from the event log keep their headers
+// and cf object as JSON text and record no method or path, so they are replayed as GET / on the route's host.
+const toSimulationRequest = (captured) => {
+    if (!captured || typeof captured !== 'object' || Array.isArray(captured)) throw new Error('Paste a JSON object.');
+    const parseJson = (value) => typeof value === 'string' ? JSON.parse(value) : (value || {});
+
+    if (captured.url) {
+        return {
+            method: captured.method || 'GET',
+            url: captured.url,
+            headers: parseJson(captured.headers),
+            cf: parseJson(captured.cf || captured.cf_blob),
+            ...(captured.body ? {body: captured.body} : {})
+        };
+    }
+    if (captured.route_host || captured.cf_blob) {
+        const headers = parseJson(captured.headers);
+        const host = captured.route_host || headers.host;
+        if (!host) throw new Error('The event has no route host to send the request to.');
+        if (captured.ip_address && !headers['cf-connecting-ip']) headers['cf-connecting-ip'] = captured.ip_address;
+        if (captured.user_agent && !headers['user-agent']) headers['user-agent'] = captured.user_agent;
+        return {method: 'GET', url: `https://${host}/`, headers, cf: parseJson(captured.cf_blob)};
+    }
+    throw new Error('Expected a request with a "url", or a row from the event log.');
 };
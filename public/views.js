@@ -13,16 +13,26 @@ const OverviewView = ({activeRouteId, config}) => {
     return e('div', {className: "p-4 sm:p-6 lg:p-8"},
         e('h1', {className: "text-3xl font-bold mb-2"}, "Overview"),
         e('p', {className: "text-gray-600 mb-8"}, "Displaying analytics for ", e('span', {className: "font-semibold text-indigo-600"}, contextName)),
-        e('div', {className: "cf-card p-6 border-t-indigo-500"},
-            e('p', {className: "text-center text-gray-500"}, "Analytics Dashboard would be displayed here.")
+        e('div', {className: "space-y-8"},
+            e('div', {className: "cf-card p-6 border-t-indigo-500"},
+                e('p', {className: "text-center text-gray-500"}, "Analytics Dashboard would be displayed here.")
+            ),
+            e('div', {className: "cf-card p-6 border-t-slate-500"},
+                e(ShadowHitsPanel, {activeRouteId, config})
+            )
         )
     );
 };
 
-const FirewallRulesView = ({config, setConfig, onNavigateToDocs, activeRouteId}) => {
+const FirewallRulesView = ({config, setConfig, onNavigateToDocs, activeRouteId, focusRuleId}) => {
     const [isEditing, setIsEditing] = useState(false);
     const [editingRule, setEditingRule] = useState(null);
 
+    // A deep link to a rule, e.g. from the audit log, scrolls to it.
+    useEffect(() => {
+        if (focusRuleId) document.getElementById(`rule-${focusRuleId}`)?.scrollIntoView({block: 'center'});
+    }, [focusRuleId, activeRouteId]);
+
     const isGlobal = activeRouteId === 'global';
     const currentRoute = isGlobal ? null : config.routes.find(r => r.id === activeRouteId);
     const currentRules = isGlobal ? config.globalRules : currentRoute?.customRules || [];
@@ -125,6 +135,20 @@ const FirewallRulesView = ({config, setConfig, onNavigateToDocs, activeRouteId})
 
     const currentRouteName = isGlobal ? "GLOBAL" : config.routes.find(r => r.id === activeRouteId)?.incomingHost || "Select Route";
 
+    const managedRules = (isGlobal ? config.globalManagedRules : currentRoute?.managedRules) || DEFAULT_MANAGED_RULES_CONFIG;
+    const updateManagedRules = (newManagedRules) => {
+        setConfig(prev => isGlobal
+            ? {...prev, globalManagedRules: newManagedRules}
+            : {...prev, routes: prev.routes.map(r => r.id === activeRouteId ? {...r, managedRules: newManagedRules} : r)});
+    };
+
+    const anomalyScoring = (isGlobal ? config.globalAnomalyScoring : currentRoute?.anomalyScoring) || DEFAULT_ANOMALY_SCORING_CONFIG;
+    const updateAnomalyScoring = (newAnomalyScoring) => {
+        setConfig(prev => isGlobal
+            ? {...prev, globalAnomalyScoring: newAnomalyScoring}
+            : {...prev, routes: prev.routes.map(r => r.id === activeRouteId ? {...r, anomalyScoring: newAnomalyScoring} : r)});
+    };
+
     return e('div', {className: "p-4 sm:p-6 lg:p-8"},
         isEditing && e(RuleEditor, {
             rule: editingRule,
@@ -134,6 +158,20 @@ const FirewallRulesView = ({config, setConfig, onNavigateToDocs, activeRouteId})
             context: isGlobal ? 'global' : currentRoute.incomingHost
         }),
         e('div', {className: "space-y-8"},
+            currentRoute?.shadow && e('div', {className: "p-4 bg-slate-100 border border-slate-300 rounded-md text-sm text-slate-700"},
+                e('span', {className: "font-semibold"}, "This route is in shadow mode. "),
+                "Its rules are evaluated and their would-be BLOCK and CHALLENGE actions are logged, but every request reaches the origin. Turn the route's shadow mode off on the Routes page to enforce them; the change applies to new requests at once."
+            ),
+            e('div', {className: "cf-card border-t-red-500"},
+                e('div', {className: "p-6"},
+                    e(ManagedRulesPanel, {managedRules, onChange: updateManagedRules})
+                )
+            ),
+            e('div', {className: "cf-card border-t-orange-500"},
+                e('div', {className: "p-6"},
+                    e(AnomalyScoringPanel, {anomalyScoring, onChange: updateAnomalyScoring})
+                )
+            ),
             e('div', {className: "cf-card border-t-indigo-500"},
                 e('div', {className: "p-6"},
                     e('div', {className: "flex justify-between items-center mb-4"},
@@ -147,7 +185,8 @@ const FirewallRulesView = ({config, setConfig, onNavigateToDocs, activeRouteId})
                         activeRules.map((rule, index) =>
                             e('div', {
                                     key: rule.id,
-                                    className: "border rounded-md p-4 bg-white hover:bg-gray-50 transition-colors flex items-center gap-4"
+                                    id: `rule-${rule.id}`,
+                                    className: `border rounded-md p-4 bg-white hover:bg-gray-50 transition-colors flex items-center gap-4 ${rule.id === focusRuleId ? 'ring-2 ring-indigo-400' : ''}`
                                 },
                                 e('div', {className: "flex flex-col"},
                                     e('button', {
@@ -180,7 +219,8 @@ const FirewallRulesView = ({config, setConfig, onNavigateToDocs, activeRouteId})
                         disabledRules.map(rule =>
                             e('div', {
                                     key: rule.id,
-                                    className: "border rounded-md p-4 bg-gray-50 flex items-center gap-4"
+                                    id: `rule-${rule.id}`,
+                                    className: `border rounded-md p-4 bg-gray-50 flex items-center gap-4 ${rule.id === focusRuleId ? 'ring-2 ring-indigo-400' : ''}`
                                 },
                                 e('div', {className: "flex flex-col"},
                                     e('button', {
@@ -203,6 +243,14 @@ const FirewallRulesView = ({config, setConfig, onNavigateToDocs, activeRouteId})
                         disabledRules.length === 0 && e('p', {className: "text-gray-500 text-center py-4"}, "No disabled rules.")
                     )
                 )
+            ),
+            e('div', {className: "cf-card border-t-teal-500"},
+                e('div', {className: "p-6"},
+                    e(TestRequestPanel, {
+                        key: activeRouteId,
+                        defaultHost: (isGlobal ? config.routes[0]?.incomingHost : currentRoute?.incomingHost) || 'app.example.com'
+                    })
+                )
             )
         )
     );
@@ -223,6 +271,22 @@ const RoutesView = ({config, setConfig}) => {
         });
     };
 
+    const handleRouteChange = (routeId, changes) => {
+        setConfig(prev => ({...prev, routes: prev.routes.map(r => r.id === routeId ? {...r, ...changes} : r)}));
+    };
+
+    // Body inspection, shadow mode and the sample rate are stored by the API as soon as they change.
+    const [settingsErrors, setSettingsErrors] = useState({});
+    const handleRouteSettingsChange = async (routeId, changes) => {
+        handleRouteChange(routeId, changes);
+        try {
+            handleRouteChange(routeId, await saveRouteSettings(routeId, changes));
+            setSettingsErrors(prev => ({...prev, [routeId]: null}));
+        } catch (error) {
+            setSettingsErrors(prev => ({...prev, [routeId]: error.message}));
+        }
+    };
+
     const addRoute = () => {
         const newRouteId = `route-${Date.now()}`;
         const newHost = `new-route-${Math.random().toString(36).substring(2, 6)}.domain.com`;
@@ -231,6 +295,10 @@ const RoutesView = ({config, setConfig}) => {
             incomingHost: newHost,
             originUrl: '',
             enabled: true,
+            inspectBody: false,
+            maxBodySize: 8192,
+            shadow: false,
+            allowSampleRate: 0.01,
             customRules: []
         };
 
@@ -313,7 +381,58 @@ const RoutesView = ({config, setConfig}) => {
                                     onClick: () => removeRoute(route),
                                     className: "p-2 text-gray-500 hover:text-red-600"
                                 }, ICONS.trash)
-                            )
+                            ),
+                            e('div', {className: "md:col-span-6 flex flex-wrap items-center gap-4 text-sm"},
+                                e('label', {className: "flex items-center gap-2"},
+                                    e('input', {
+                                        type: "checkbox",
+                                        checked: !!route.inspectBody,
+                                        onChange: ev => handleRouteSettingsChange(route.id, {inspectBody: ev.target.checked})
+                                    }),
+                                    "Inspect request bodies"
+                                ),
+                                route.inspectBody && e('label', {className: "flex items-center gap-2"},
+                                    "Max inspected size (bytes)",
+                                    e('input', {
+                                        type: "number",
+                                        min: 1,
+                                        max: 1048576,
+                                        value: route.maxBodySize,
+                                        onChange: ev => handleRouteChange(route.id, {maxBodySize: Number(ev.target.value)}),
+                                        onBlur: () => handleRouteSettingsChange(route.id, {maxBodySize: route.maxBodySize}),
+                                        className: "cf-input w-32"
+                                    })
+                                ),
+                                route.inspectBody && e('span', {className: "text-gray-500"}, "Bodies are buffered up to this size and exposed as request.body.* fields; the origin still receives the full body.")
+                            ),
+                            e('div', {className: "md:col-span-6 flex flex-wrap items-center gap-4 text-sm"},
+                                e('label', {className: "flex items-center gap-2"},
+                                    e('input', {
+                                        type: "checkbox",
+                                        checked: !!route.shadow,
+                                        onChange: ev => handleRouteSettingsChange(route.id, {shadow: ev.target.checked})
+                                    }),
+                                    "Shadow mode (log only)"
+                                ),
+                                route.shadow && e('span', {className: "text-gray-500"}, "The route's BLOCK and CHALLENGE decisions are logged as shadow hits and the request is forwarded anyway.")
+                            ),
+                            e('div', {className: "md:col-span-6 flex flex-wrap items-center gap-4 text-sm"},
+                                e('label', {className: "flex items-center gap-2"},
+                                    "Log allowed requests (%)",
+                                    e('input', {
+                                        type: "number",
+                                        min: 0,
+                                        max: 100,
+                                        step: 0.1,
+                                        value: Math.round((route.allowSampleRate ?? 0.01) * 1000) / 10,
+                                        onChange: ev => handleRouteChange(route.id, {allowSampleRate: Math.min(Math.max(Number(ev.target.value) || 0, 0), 100) / 100}),
+                                        onBlur: () => handleRouteSettingsChange(route.id, {allowSampleRate: route.allowSampleRate ?? 0.01}),
+                                        className: "cf-input w-24"
+                                    })
+                                ),
+                                e('span', {className: "text-gray-500"}, "BLOCK, CHALLENGE and LOG decisions are always logged; this share of ALLOW decisions is sampled into the event log.")
+                            ),
+                            settingsErrors[route.id] && e('p', {className: "md:col-span-6 text-sm text-red-600"}, `The route's settings were not saved: ${settingsErrors[route.id]}`)
                         )
                     )
                 ),
@@ -351,8 +470,8 @@ const GeolocationView = ({config, setConfig, activeRouteId}) => {
                     geoJsonLayer.current = L.geoJSON(data, {
                         style: (feature) => {
                             const countryCode = feature.id;
-                            const hasBlock = currentRules.some(r => r.action === 'BLOCK' && r.expression.some(e => e.field === 'request.cf.country' && e.value === countryCode));
-                            const hasAllow = currentRules.some(r => r.action === 'ALLOW' && r.expression.some(e => e.field === 'request.cf.country' && e.value === countryCode));
+                            const hasBlock = currentRules.some(r => r.action === 'BLOCK' && collectConditions(r.expression).some(e => e.field === 'request.cf.country' && e.value === countryCode));
+                            const hasAllow = currentRules.some(r => r.action === 'ALLOW' && collectConditions(r.expression).some(e => e.field === 'request.cf.country' && e.value === countryCode));
                             return {
                                 fillColor: hasBlock ? '#ef4444' : (hasAllow ? '#22c55e' : '#cbd5e1'),
                                 weight: 1,
@@ -380,8 +499,8 @@ const GeolocationView = ({config, setConfig, activeRouteId}) => {
         if (geoJsonLayer.current) {
             geoJsonLayer.current.eachLayer(layer => {
                 const countryCode = layer.feature.id;
-                const hasBlock = currentRules.some(r => r.action === 'BLOCK' && r.expression.some(e => e.field === 'request.cf.country' && e.value === countryCode));
-                const hasAllow = currentRules.some(r => r.action === 'ALLOW' && r.expression.some(e => e.field === 'request.cf.country' && e.value === countryCode));
+                const hasBlock = currentRules.some(r => r.action === 'BLOCK' && collectConditions(r.expression).some(e => e.field === 'request.cf.country' && e.value === countryCode));
+                const hasAllow = currentRules.some(r => r.action === 'ALLOW' && collectConditions(r.expression).some(e => e.field === 'request.cf.country' && e.value === countryCode));
                 layer.setStyle({fillColor: hasBlock ? '#ef4444' : (hasAllow ? '#22c55e' : '#cbd5e1')});
             });
         }
@@ -463,13 +582,30 @@ const FieldsView = ({onNavigateToDocs, activeRouteId, config}) => {
                                 key: field.id,
                                 className: "cf-card border-t-transparent p-4 hover:shadow-lg transition-shadow"
                             },
-                            e('p', {className: "font-mono text-sm text-indigo-600"}, field.id),
+                            e('p', {className: "font-mono text-sm text-indigo-600"}, field.dynamic ? `${field.id}.<${field.keyName}>` : field.id),
                             e('p', {className: "font-semibold mt-1"}, field.name),
                             e('p', {className: "text-xs text-gray-500 mt-1"}, field.description)
                         )
                     )
                 )
             )
+        ),
+        e('div', {className: "mb-8"},
+            e('h2', {className: "text-xl font-semibold border-b pb-2 mb-2"}, "Transformations"),
+            e('p', {className: "text-sm text-gray-600 mb-4"}, "Each condition can apply an ordered list of transformations to the field value before comparing it, so encoding, case and path tricks do not bypass a rule. In the text rule language, wrap the field in them, innermost first: lower(url_decode(http.request.uri.path)) contains \"/admin\"."),
+            e('div', {className: "grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4"},
+                FIELD_TRANSFORMATIONS.map(transformation =>
+                    e('div', {
+                            key: transformation.id,
+                            className: "cf-card border-t-transparent p-4 hover:shadow-lg transition-shadow"
+                        },
+                        e('p', {className: "font-mono text-sm text-indigo-600"}, `${transformation.id}(field)`),
+                        e('p', {className: "font-semibold mt-1"}, transformation.name),
+                        e('p', {className: "text-xs text-gray-500 mt-1"}, transformation.description),
+                        e('p', {className: "text-xs font-mono text-gray-400 mt-1"}, transformation.example)
+                    )
+                )
+            )
         )
     );
 };
@@ -494,12 +630,194 @@ const AuthView = () => {
     );
 };
 
-const AuditLogView = () => {
+const AUDIT_ACTIONS = [
+    'CREATE_RULE', 'UPDATE_RULE', 'DELETE_RULE', 'REVERT_RULE', 'UPDATE_MANAGED_RULES', 'REVERT_MANAGED_RULES',
+    'UPDATE_ANOMALY_SCORING', 'REVERT_ANOMALY_SCORING', 'UPDATE_RETENTION', 'REVERT_RETENTION', 'CREATE_USER',
+    'UPDATE_USER', 'DELETE_USER', 'SQL_QUERY'
+];
+
+const EMPTY_AUDIT_FILTERS = {userId: '', context: '', action: '', targetId: '', since: '', until: ''};
+
+// Where in the UI the object an audit entry changed can be found: the rule itself, the rules page holding the
+// managed rules and anomaly scoring of its context, or the routes page.
+const getAuditTargetLink = (log) => {
+    const rulesPage = `#/rules/route/${encodeURIComponent(log.context)}`;
+    if (/_RULE$/.test(log.action)) return `${rulesPage}/rule-${encodeURIComponent(log.target_id)}`;
+    if (log.target_id === 'managed-rules' || log.target_id === 'anomaly-scoring') return rulesPage;
+    if (/_ROUTE$/.test(log.action)) return '#/routes';
+    return null;
+};
+
+const parseAuditSnapshot = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return text ?? null;
+    }
+};
+
+const AuditLogView = ({config}) => {
+    const [draftFilters, setDraftFilters] = useState(EMPTY_AUDIT_FILTERS);
+    const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [expandedId, setExpandedId] = useState(null);
+    const [revertingEntry, setRevertingEntry] = useState(null);
+
+    // The filter as API query parameters; the date-time inputs are in local time.
+    const filterParams = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) filterParams.set(key, key === 'since' || key === 'until' ? String(new Date(value).getTime()) : value);
+    });
+    const filterQuery = filterParams.toString();
+
+    const loadLogs = async () => {
+        setError(null);
+        try {
+            setResult(await wafuApiRequest(`/global/audit-logs?${filterQuery}${filterQuery ? '&' : ''}page=${page}&limit=50`));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    useEffect(() => {
+        loadLogs();
+    }, [filterQuery, page]);
+
+    const handleApplyFilters = (ev) => {
+        ev.preventDefault();
+        setFilters(draftFilters);
+        setPage(1);
+    };
+
+    const handleClearFilters = () => {
+        setDraftFilters(EMPTY_AUDIT_FILTERS);
+        setFilters(EMPTY_AUDIT_FILTERS);
+        setPage(1);
+    };
+
+    const handleExport = async (format) => {
+        setError(null);
+        try {
+            await wafuApiDownload(`/global/audit-logs?${filterQuery}${filterQuery ? '&' : ''}format=${format}`);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const updateDraft = (key) => (ev) => setDraftFilters(prev => ({...prev, [key]: ev.target.value}));
+    const contextName = (context) => context === 'global' ? 'GLOBAL' : config?.routes.find(r => r.id === context)?.incomingHost || context;
+    const logs = result?.logs;
+    const totalPages = Math.max(1, result?.totalPages || 0);
+
     return e('div', {className: "p-4 sm:p-6 lg:p-8"},
         e('h1', {className: "text-3xl font-bold mb-2"}, "Audit Log"),
         e('p', {className: "text-gray-600 mb-8"}, "Review all configuration changes made to the WAFu platform."),
-        e('div', {className: "cf-card p-6 border-t-indigo-500"},
-            e('p', {className: "text-center text-gray-500"}, "A filterable, paginated view of all audit log entries would be here.")
+        e('div', {className: "cf-card p-6 border-t-indigo-500 space-y-4"},
+            e('form', {onSubmit: handleApplyFilters, className: "grid grid-cols-2 lg:grid-cols-3 gap-3 text-sm"},
+                e('label', {className: "flex flex-col gap-1"}, "User",
+                    e('input', {value: draftFilters.userId, onChange: updateDraft('userId'), placeholder: "user@example.com", className: "cf-input"})
+                ),
+                e('label', {className: "flex flex-col gap-1"}, "Context",
+                    e('select', {value: draftFilters.context, onChange: updateDraft('context'), className: "cf-select"},
+                        e('option', {value: ""}, "All contexts"),
+                        e('option', {value: "global"}, "GLOBAL"),
+                        (config?.routes || []).map(r => e('option', {key: r.id, value: r.id}, r.incomingHost))
+                    )
+                ),
+                e('label', {className: "flex flex-col gap-1"}, "Action",
+                    e('select', {value: draftFilters.action, onChange: updateDraft('action'), className: "cf-select"},
+                        e('option', {value: ""}, "All actions"),
+                        AUDIT_ACTIONS.map(action => e('option', {key: action, value: action}, action))
+                    )
+                ),
+                e('label', {className: "flex flex-col gap-1"}, "Target ID",
+                    e('input', {value: draftFilters.targetId, onChange: updateDraft('targetId'), placeholder: "Rule ID or config", className: "cf-input font-mono"})
+                ),
+                e('label', {className: "flex flex-col gap-1"}, "From",
+                    e('input', {type: "datetime-local", value: draftFilters.since, onChange: updateDraft('since'), className: "cf-input"})
+                ),
+                e('label', {className: "flex flex-col gap-1"}, "To",
+                    e('input', {type: "datetime-local", value: draftFilters.until, onChange: updateDraft('until'), className: "cf-input"})
+                ),
+                e('div', {className: "col-span-full flex flex-wrap justify-between gap-2"},
+                    e('div', {className: "flex gap-2"},
+                        e('button', {type: "submit", className: "cf-button-primary px-3 py-1.5 rounded-md"}, "Apply Filters"),
+                        e('button', {type: "button", onClick: handleClearFilters, className: "cf-button-secondary px-3 py-1.5 rounded-md"}, "Clear")
+                    ),
+                    e('div', {className: "flex gap-2"},
+                        e('button', {type: "button", onClick: () => handleExport('csv'), className: "cf-button-secondary px-3 py-1.5 rounded-md"}, "Export CSV"),
+                        e('button', {type: "button", onClick: () => handleExport('ndjson'), className: "cf-button-secondary px-3 py-1.5 rounded-md"}, "Export NDJSON")
+                    )
+                )
+            ),
+            error && e('p', {className: "text-sm text-red-600"}, `Could not load the audit log: ${error}`),
+            logs && logs.length === 0 && e('p', {className: "text-center text-gray-500"}, filterQuery
+                ? "No recorded changes match these filters."
+                : "No configuration changes have been recorded yet."),
+            revertingEntry && e(AuditRevertPanel, {
+                entry: revertingEntry,
+                onClose: () => setRevertingEntry(null),
+                onReverted: () => {
+                    setRevertingEntry(null);
+                    loadLogs();
+                }
+            }),
+            logs && logs.length > 0 && e('table', {className: "w-full text-sm"},
+                e('thead', null,
+                    e('tr', {className: "text-left text-gray-500 border-b"},
+                        ['Time', 'User', 'Context', 'Action', 'Target', ''].map(label => e('th', {key: label, className: "font-normal py-2 pr-3"}, label))
+                    )
+                ),
+                e('tbody', null,
+                    logs.map(log => {
+                        const link = getAuditTargetLink(log);
+                        const isExpanded = expandedId === log.id;
+                        return e(React.Fragment, {key: log.id},
+                            e('tr', {className: "border-b last:border-b-0"},
+                                e('td', {className: "py-2 pr-3 text-gray-500"}, new Date(log.timestamp).toLocaleString()),
+                                e('td', {className: "py-2 pr-3"}, log.user_id),
+                                e('td', {className: "py-2 pr-3 text-gray-600"}, contextName(log.context)),
+                                e('td', {className: "py-2 pr-3 font-mono text-xs"}, log.action),
+                                e('td', {className: "py-2 pr-3 font-mono text-xs"},
+                                    link ? e('a', {href: link, className: "text-indigo-600 hover:underline"}, log.target_id) : log.target_id
+                                ),
+                                e('td', {className: "py-2 text-right whitespace-nowrap space-x-2"},
+                                    e('button', {
+                                        onClick: () => setExpandedId(isExpanded ? null : log.id),
+                                        className: "cf-button-secondary px-2 py-1 rounded-md text-xs"
+                                    }, isExpanded ? "Hide Changes" : "Changes"),
+                                    log.action !== 'SQL_QUERY' && e('button', {
+                                        onClick: () => setRevertingEntry(log),
+                                        className: "cf-button-secondary px-2 py-1 rounded-md text-xs"
+                                    }, "Revert...")
+                                )
+                            ),
+                            isExpanded && e('tr', {className: "border-b bg-gray-50"},
+                                e('td', {colSpan: 6, className: "p-3"},
+                                    e(JsonDiff, {before: parseAuditSnapshot(log.data_before), after: parseAuditSnapshot(log.data_after)})
+                                )
+                            )
+                        );
+                    })
+                )
+            ),
+            result && e('div', {className: "flex justify-between items-center text-sm text-gray-600"},
+                e('span', null, `${result.total ?? logs.length} entries, page ${result.currentPage} of ${totalPages}`),
+                e('div', {className: "flex gap-2"},
+                    e('button', {
+                        onClick: () => setPage(page - 1),
+                        disabled: page <= 1,
+                        className: "cf-button-secondary px-3 py-1 rounded-md disabled:opacity-50"
+                    }, "Previous"),
+                    e('button', {
+                        onClick: () => setPage(page + 1),
+                        disabled: page >= totalPages,
+                        className: "cf-button-secondary px-3 py-1 rounded-md disabled:opacity-50"
+                    }, "Next")
+                )
+            )
         )
     );
 };
@@ -0,0 +1,149 @@
+/*
+ * =============================================================================
+ * FILE: src/anomaly-scoring.js
+ *
+ * DESCRIPTION:
+ * Anomaly scoring, an optional alternative to first-match evaluation. In a
+ * scope (the global rules or a route) with scoring enabled, rules with the
+ * `SCORE` action add their score, under a category such as `bot` or
+ * `reputation`, instead of ending evaluation. Once the rules have run, or a
+ * non-blocking rule (ALLOW or LOG) matches, the accumulated score is compared
+ * against the scope's thresholds to decide whether the request is blocked,
+ * challenged or logged. BLOCK and CHALLENGE rules stay terminal.
+ * =============================================================================
+ */
+
+export const DEFAULT_SCORING_CONFIG = {
+    enabled: false,
+    block_threshold: 25,
+    challenge_threshold: 15,
+    log_threshold: null
+};
+
+const THRESHOLDS = [
+    {key: 'block_threshold', action: 'BLOCK'},
+    {key: 'challenge_threshold', action: 'CHALLENGE'},
+    {key: 'log_threshold', action: 'LOG'},
+];
+
+/**
+ * Validates an anomaly scoring config submitted to the API.
+ * @param {object} config - The submitted config.
+ * @returns {string|null} An error message, or null if the config is valid.
+ */
+export function getScoringConfigError(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return 'The anomaly scoring config must be an object.';
+    for (const {key} of THRESHOLDS) {
+        const value = config[key];
+        if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+            return `${key} must be null or an integer of at least 1.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Starts a score tally for one request.
+ * @param {object} config - The scope's scoring config.
+ * @returns {{score: number, breakdown: object[]}|null} An empty tally, or null if scoring is disabled.
+ */
+export function createScoreTally(config) {
+    return config?.enabled ? {score: 0, breakdown: []} : null;
+}
+
+/**
+ * Adds a matched SCORE rule to a tally.
+ * @param {{score: number, breakdown: object[]}} tally - The request's tally.
+ * @param {object} rule - The matched rule.
+ */
+export function addRuleScore(tally, rule) {
+    tally.score += rule.score || 0;
+    tally.breakdown.push({ruleId: rule.id, score: rule.score || 0, category: rule.category || 'uncategorized'});
+}
+
+/**
+ * Summarizes a tally for the decision returned to the worker, with the total
+ * per category alongside the per-rule breakdown.
+ * @param {{score: number, breakdown: object[]}|null} tally - The request's tally.
+ * @returns {{anomalyScore?: number, scoreBreakdown?: object[], scoreByCategory?: object}} Decision fields.
+ */
+export function summarizeScore(tally) {
+    if (!tally || tally.breakdown.length === 0) return {};
+    const scoreByCategory = {};
+    for (const {category, score} of tally.breakdown) {
+        scoreByCategory[category] = (scoreByCategory[category] || 0) + score;
+    }
+    return {anomalyScore: tally.score, scoreBreakdown: tally.breakdown, scoreByCategory};
+}
+
+/**
+ * Finds the action for an accumulated score: the most severe threshold it reaches.
+ * @param {object} config - The scope's scoring config.
+ * @param {{score: number}} tally - The request's tally.
+ * @param {boolean} [challengeCleared] - Whether the client holds a challenge clearance, which skips the challenge threshold.
+ * @returns {{action: string, matchedRuleId: string, threshold: number}|null} The score decision, or null if no threshold is reached.
+ */
+export function getScoreDecision(config, tally, challengeCleared = false) {
+    if (!tally) return null;
+    for (const {key, action} of THRESHOLDS) {
+        const threshold = config[key];
+        if (threshold === null || threshold === undefined || tally.score < threshold) continue;
+        if (action === 'CHALLENGE' && challengeCleared) continue;
+        return {action, matchedRuleId: 'anomaly-score', threshold};
+    }
+    return null;
+}
+
+// --- Storage and API ---
+
+/**
+ * Creates the single-row table holding a scope's anomaly scoring config.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ */
+export async function initializeScoringTable(sql) {
+    await sql.exec(`CREATE TABLE IF NOT EXISTS anomaly_scoring_config (id INTEGER PRIMARY KEY CHECK (id = 1), config TEXT)`);
+}
+
+/**
+ * Reads a scope's anomaly scoring config, with defaults applied.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @returns {Promise<object>} The config.
+ */
+export async function loadScoringConfig(sql) {
+    const {results} = await sql.exec("SELECT config FROM anomaly_scoring_config WHERE id = 1");
+    return {...DEFAULT_SCORING_CONFIG, ...(results.length > 0 ? JSON.parse(results[0].config) : {})};
+}
+
+/**
+ * Handles `GET` and `PUT` for a scope's anomaly scoring config.
+ * @param {Request} request - The API request.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @returns {Promise<Response>} The API response.
+ */
+export async function handleScoringApi(request, sql) {
+    const headers = {'Content-Type': 'application/json'};
+
+    if (request.method === 'GET') {
+        return new Response(JSON.stringify(await loadScoringConfig(sql)), {headers});
+    }
+
+    if (request.method === 'PUT') {
+        let submitted;
+        try {
+            submitted = await request.json();
+        } catch (e) {
+            return new Response(JSON.stringify({error: 'Invalid JSON body'}), {status: 400, headers});
+        }
+        const error = getScoringConfigError(submitted);
+        if (error) return new Response(JSON.stringify({error}), {status: 400, headers});
+
+        const config = {...DEFAULT_SCORING_CONFIG, ...submitted, enabled: !!submitted.enabled};
+        await sql.exec(
+            "INSERT INTO anomaly_scoring_config (id, config) VALUES (1, ?) ON CONFLICT(id) DO UPDATE SET config = excluded.config",
+            [JSON.stringify(config)]
+        );
+        return new Response(JSON.stringify(config), {headers});
+    }
+
+    return new Response(JSON.stringify({error: 'Invalid request for anomaly scoring API'}), {status: 400, headers});
+}
@@ -4,10 +4,44 @@
  *
  * DESCRIPTION:
  * Defines the `AuditLogsDO` class. This version has been corrected to use
- * the proper `?` placeholder for all SQL parameter bindings.
+ * the proper `?` placeholder for all SQL parameter bindings. Entries older
+ * than the audit retention (see `retention.js`) are pruned, and optionally
+ * archived, from an alarm.
+ *
+ * Entries form a hash chain: each is numbered (`seq`) and stores the SHA-256
+ * of its own content together with the previous entry's hash, so changing,
+ * removing or reordering an entry breaks every link after it. The verify API
+ * walks the chain; the export includes its head, which can be recorded
+ * outside WAFu to anchor it. Pruning removes entries from the start of the
+ * chain only and keeps the last removed entry's hash as the new start.
+ *
+ * The query API pages through the entries, filtered by user, context,
+ * action, target and time range, and exports the filtered entries as CSV or
+ * NDJSON.
+ *
+ * The module also exports the helpers that write to the audit log: the
+ * config Durable Objects queue each change's entry in an outbox stored
+ * alongside the change and deliver it from there.
  * =============================================================================
  */
 
+import {RETENTION_BATCH_SIZE, RETENTION_CONTINUE_MS, RETENTION_INTERVAL_MS, RETENTION_MAX_BATCHES, archiveRows, ensureRetentionAlarm, getArchiveBucket, getRetentionCutoff} from './retention.js';
+import {addMissingColumns} from './utils.js';
+
+// The previous hash of the first entry in the chain.
+export const AUDIT_CHAIN_GENESIS = '0'.repeat(64);
+
+// How many entries the verify API and the export read at a time.
+const CHAIN_PAGE_SIZE = 500;
+
+// The most entries the query API returns per page.
+const MAX_AUDIT_PAGE_SIZE = 200;
+
+const AUDIT_EXPORT_FORMATS = ['csv', 'ndjson'];
+
+// The CSV export's columns, in order.
+const AUDIT_EXPORT_COLUMNS = ['seq', 'id', 'timestamp', 'user_id', 'context', 'action', 'target_id', 'data_before', 'data_after', 'hash'];
+
 export class AuditLogsDO {
     /**
      * The constructor for the Durable Object.
@@ -19,6 +53,7 @@ export class AuditLogsDO {
         this.env = env;
         this.state.blockConcurrencyWhile(async () => {
             await this.initializeDatabase();
+            await ensureRetentionAlarm(this.state.storage);
         });
     }
 
@@ -37,9 +72,236 @@ export class AuditLogsDO {
                     action                     TEXT    NOT NULL, -- e.g., 'CREATE_RULE', 'UPDATE_ROUTE', 'DELETE_USER'
                     target_id                  TEXT    NOT NULL, -- The ID of the object that was changed
                     data_before                TEXT,             -- JSON string of the object before the change
-                    data_after                 TEXT              -- JSON string of the object after the change
+                    data_after                 TEXT,             -- JSON string of the object after the change
+                    seq                        INTEGER,          -- The entry's position in the hash chain
+                    prev_hash                  TEXT,             -- The previous entry's hash
+                    hash                       TEXT              -- SHA-256 of this entry, including prev_hash
                 )
         `);
+        await addMissingColumns(this.state.storage.sql, 'audit_logs', {seq: 'INTEGER', prev_hash: 'TEXT', hash: 'TEXT'});
+        await this.state.storage.sql.exec(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_logs_seq ON audit_logs (seq);
+            CREATE INDEX IF NOT EXISTS idx_audit_logs_timestamp ON audit_logs (timestamp);
+            CREATE INDEX IF NOT EXISTS idx_audit_logs_target ON audit_logs (target_id);
+            CREATE TABLE IF NOT EXISTS audit_chain_start
+                (
+                    id                         INTEGER
+                        PRIMARY KEY CHECK (id = 1),
+                    seq                        INTEGER NOT NULL, -- The last pruned entry's seq
+                    hash                       TEXT    NOT NULL  -- The last pruned entry's hash
+                )
+        `);
+        await this.chainUnchainedEntries();
+    }
+
+    /**
+     * Adds entries written before the log was chained to the end of the
+     * chain, in timestamp order.
+     */
+    async chainUnchainedEntries() {
+        const sql = this.state.storage.sql;
+        const {results} = await sql.exec("SELECT * FROM audit_logs WHERE hash IS NULL ORDER BY timestamp, id");
+        for (const row of results) {
+            await this.appendToChain(row, {stored: true});
+        }
+    }
+
+    /**
+     * Returns the last entry of the chain, or where the chain starts if it is empty.
+     * @returns {Promise<{seq: number, hash: string}>} The head.
+     */
+    async getChainHead() {
+        const sql = this.state.storage.sql;
+        const {results} = await sql.exec("SELECT seq, hash FROM audit_logs WHERE hash IS NOT NULL ORDER BY seq DESC LIMIT 1");
+        if (results.length > 0) return results[0];
+        return this.getChainStart();
+    }
+
+    /**
+     * Returns what the first remaining entry links to: the last pruned entry, or the genesis hash.
+     * @returns {Promise<{seq: number, hash: string}>} The start.
+     */
+    async getChainStart() {
+        const {results} = await this.state.storage.sql.exec("SELECT seq, hash FROM audit_chain_start WHERE id = 1");
+        return results.length > 0 ? results[0] : {seq: 0, hash: AUDIT_CHAIN_GENESIS};
+    }
+
+    /**
+     * Links an entry to the head of the chain and stores it.
+     * @param {object} row - The entry, with the columns of `audit_logs` up to `data_after`.
+     * @param {{stored?: boolean}} [options] - Whether the entry is already stored, unchained.
+     */
+    async appendToChain(row, {stored = false} = {}) {
+        const sql = this.state.storage.sql;
+        const head = await this.getChainHead();
+        const entry = {...row, seq: head.seq + 1, prev_hash: head.hash};
+        entry.hash = await hashAuditEntry(entry);
+        if (stored) {
+            await sql.exec("UPDATE audit_logs SET seq = ?, prev_hash = ?, hash = ? WHERE id = ?", [entry.seq, entry.prev_hash, entry.hash, entry.id]);
+            return;
+        }
+        await sql.exec(
+            `INSERT INTO
+                 audit_logs (id, timestamp, user_id, context, action, target_id, data_before, data_after, seq, prev_hash, hash)
+                 VALUES
+                     (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [entry.id, entry.timestamp, entry.user_id, entry.context, entry.action, entry.target_id, entry.data_before, entry.data_after, entry.seq, entry.prev_hash, entry.hash]
+        );
+    }
+
+    /**
+     * Walks the chain from its start and checks every link.
+     * @returns {Promise<{valid: boolean, entries: number, start: object, head: object, firstBrokenLink: object|null}>}
+     *     The result. `entries` counts the valid entries before the first broken link. `firstBrokenLink` names the first entry whose hash does not match its content, whose previous
+     *     hash does not match the entry before it, or that does not follow it in sequence.
+     */
+    async verifyChain() {
+        const sql = this.state.storage.sql;
+        const start = await this.getChainStart();
+        let previous = start;
+        let entries = 0;
+        while (true) {
+            const {results} = await sql.exec("SELECT * FROM audit_logs WHERE seq > ? ORDER BY seq LIMIT ?", [previous.seq, CHAIN_PAGE_SIZE]);
+            for (const row of results) {
+                let reason = null;
+                if (row.seq !== previous.seq + 1) reason = `Expected entry ${previous.seq + 1}, found ${row.seq}.`;
+                else if (row.prev_hash !== previous.hash) reason = "The previous hash does not match the entry before it.";
+                else if (row.hash !== await hashAuditEntry(row)) reason = "The hash does not match the entry's content.";
+                if (reason) {
+                    return {valid: false, entries, start, head: await this.getChainHead(), firstBrokenLink: {seq: row.seq, id: row.id, reason}};
+                }
+                previous = row;
+                entries++;
+            }
+            if (results.length < CHAIN_PAGE_SIZE) break;
+        }
+        return {valid: true, entries, start, head: {seq: previous.seq, hash: previous.hash}, firstBrokenLink: null};
+    }
+
+    /**
+     * Exports the chain as NDJSON: a `start` line with what the first entry
+     * links to, every entry in order, and a `head` line with the last
+     * entry's hash, which can be recorded elsewhere to anchor the chain.
+     * @returns {Promise<Response>} The export.
+     */
+    async exportChain() {
+        const sql = this.state.storage.sql;
+        const start = await this.getChainStart();
+        const head = await this.getChainHead();
+        const encoder = new TextEncoder();
+        let lastSeq = start.seq;
+        let finished = false;
+        const body = new ReadableStream({
+            start(controller) {
+                controller.enqueue(encoder.encode(JSON.stringify({type: 'start', seq: start.seq, hash: start.hash}) + '\n'));
+            },
+            async pull(controller) {
+                if (finished) return;
+                const {results} = await sql.exec("SELECT * FROM audit_logs WHERE seq > ? AND seq <= ? ORDER BY seq LIMIT ?", [lastSeq, head.seq, CHAIN_PAGE_SIZE]);
+                if (results.length > 0) {
+                    lastSeq = results[results.length - 1].seq;
+                    controller.enqueue(encoder.encode(results.map(row => JSON.stringify({type: 'entry', ...row}) + '\n').join('')));
+                }
+                if (results.length < CHAIN_PAGE_SIZE) {
+                    finished = true;
+                    controller.enqueue(encoder.encode(JSON.stringify({type: 'head', seq: head.seq, hash: head.hash, exportedAt: Date.now()}) + '\n'));
+                    controller.close();
+                }
+            }
+        });
+        return new Response(body, {
+            headers: {
+                'Content-Type': 'application/x-ndjson',
+                'Content-Disposition': `attachment; filename="wafu-audit-log-${head.seq}.ndjson"`,
+                'X-WAFu-Audit-Chain-Head': `${head.seq}:${head.hash}`
+            }
+        });
+    }
+
+    /**
+     * Exports the entries matching a filter, in chain order, as NDJSON (one
+     * `audit_logs` row per line) or as CSV. Unlike the chain export, a
+     * filtered export cannot be verified on its own.
+     * @param {{where: string[], bindings: Array}} filter - A filter from `parseAuditLogFilter`.
+     * @param {string} format - `csv` or `ndjson`.
+     * @returns {Response} The export.
+     */
+    exportLogs(filter, format) {
+        const sql = this.state.storage.sql;
+        const encoder = new TextEncoder();
+        const where = ['seq > ?', ...filter.where].join(' AND ');
+        const toLine = format === 'csv'
+            ? row => AUDIT_EXPORT_COLUMNS.map(column => _toCsvField(row[column])).join(',') + '\r\n'
+            : row => JSON.stringify(row) + '\n';
+        let lastSeq = -1;
+        const body = new ReadableStream({
+            start(controller) {
+                if (format === 'csv') controller.enqueue(encoder.encode(AUDIT_EXPORT_COLUMNS.join(',') + '\r\n'));
+            },
+            async pull(controller) {
+                const {results} = await sql.exec(`SELECT * FROM audit_logs WHERE ${where} ORDER BY seq LIMIT ?`, [lastSeq, ...filter.bindings, CHAIN_PAGE_SIZE]);
+                if (results.length > 0) {
+                    lastSeq = results[results.length - 1].seq;
+                    controller.enqueue(encoder.encode(results.map(toLine).join('')));
+                }
+                if (results.length < CHAIN_PAGE_SIZE) controller.close();
+            }
+        });
+        return new Response(body, {
+            headers: {
+                'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+                'Content-Disposition': `attachment; filename="wafu-audit-log-filtered.${format}"`
+            }
+        });
+    }
+
+    /**
+     * Deletes expired entries from the start of the chain, in bounded
+     * batches. An entry is only deleted once every entry before it is, so the
+     * chain never has a gap; the last deleted entry becomes the chain's start.
+     * @param {number} cutoff - Entries with an earlier `timestamp` are expired.
+     * @param {object|null} bucket - The archive bucket, if archiving is enabled.
+     * @returns {Promise<{deleted: number, done: boolean}>} How many entries were deleted, and whether none are left.
+     */
+    async pruneChain(cutoff, bucket) {
+        const sql = this.state.storage.sql;
+        let deleted = 0;
+        for (let batch = 0; batch < RETENTION_MAX_BATCHES; batch++) {
+            const {results} = await sql.exec("SELECT * FROM audit_logs ORDER BY seq LIMIT ?", [RETENTION_BATCH_SIZE]);
+            const firstKept = results.findIndex(row => row.timestamp >= cutoff);
+            const expired = firstKept === -1 ? results : results.slice(0, firstKept);
+            if (expired.length === 0) return {deleted, done: true};
+            const last = expired[expired.length - 1];
+            if (bucket) await archiveRows(bucket, `audit/${String(expired[0].seq).padStart(12, '0')}-${last.seq}.ndjson.gz`, expired);
+            await sql.exec("DELETE FROM audit_logs WHERE seq <= ?", [last.seq]);
+            await sql.exec("INSERT OR REPLACE INTO audit_chain_start (id, seq, hash) VALUES (1, ?, ?)", [last.seq, last.hash]);
+            deleted += expired.length;
+            if (expired.length < results.length || results.length < RETENTION_BATCH_SIZE) return {deleted, done: true};
+        }
+        return {deleted, done: false};
+    }
+
+    /**
+     * The retention alarm: deletes a bounded number of expired entries,
+     * archiving each batch first if archiving is enabled, and comes back
+     * shortly while more are left.
+     */
+    async alarm() {
+        const globalDO = this.env.WAFU_GLOBAL_DO.get(this.env.WAFU_GLOBAL_DO.idFromName('singleton'));
+        const config = await globalDO.getRetentionConfig();
+        const bucket = getArchiveBucket(this.env, config);
+        const {done} = await this.pruneChain(getRetentionCutoff(config.audit_days), bucket);
+        await this.state.storage.setAlarm(Date.now() + (done ? RETENTION_INTERVAL_MS : RETENTION_CONTINUE_MS));
+    }
+
+    /**
+     * Returns the config Durable Object that owns the objects of an audit context.
+     * @param {string} context - `global` or a route ID.
+     * @returns {DurableObjectStub} The `GlobalRulesDO` or the route's `RouteRulesDO`.
+     */
+    getConfigObject(context) {
+        if (context === 'global') return this.env.WAFU_GLOBAL_DO.get(this.env.WAFU_GLOBAL_DO.idFromName('singleton'));
+        return this.env.WAFU_ROUTE_DO.get(this.env.WAFU_ROUTE_DO.idFromName(context));
     }
 
     /**
@@ -49,37 +311,56 @@ export class AuditLogsDO {
         const url = new URL(request.url);
         const sql = this.state.storage.sql;
 
-        // --- API Endpoint for UI to Query Logs ---
-        if (url.pathname.startsWith('/api/global/audit-logs') && request.method === 'GET') {
-            try {
-                const params = url.searchParams;
-                const page = parseInt(params.get('page') || '1', 10);
-                const limit = parseInt(params.get('limit') || '50', 10);
-                const offset = (page - 1) * limit;
+        if (url.pathname === '/api/global/audit-logs/verify' && request.method === 'GET') {
+            return new Response(JSON.stringify(await this.verifyChain()), {headers: {'Content-Type': 'application/json'}});
+        }
 
-                let whereClauses = [];
-                let bindings = [];
+        if (url.pathname === '/api/global/audit-logs/export' && request.method === 'GET') {
+            return this.exportChain();
+        }
 
-                if (params.get('userId')) {
-                    whereClauses.push("user_id = ?");
-                    bindings.push(params.get('userId'));
-                }
-                if (params.get('context')) {
-                    whereClauses.push("context = ?");
-                    bindings.push(params.get('context'));
+        // --- Reverting an Entry: GET previews, POST reverts ---
+        const revertMatch = url.pathname.match(/^\/api\/global\/audit-logs\/([^/]+)\/revert$/);
+        if (revertMatch && (request.method === 'GET' || request.method === 'POST')) {
+            const headers = {'Content-Type': 'application/json'};
+            const {results} = await sql.exec("SELECT * FROM audit_logs WHERE id = ?", [decodeURIComponent(revertMatch[1])]);
+            if (results.length === 0) return new Response(JSON.stringify({error: 'Audit log entry not found'}), {status: 404, headers});
+            const entry = results[0];
+            const target = this.getConfigObject(entry.context);
+            if (request.method === 'GET') {
+                return new Response(JSON.stringify({entry, ...await target.previewRevert(entry)}), {headers});
+            }
+            const {status, body} = await target.revertAuditEntry(entry, getAuditUserId(request));
+            return new Response(JSON.stringify(body), {status, headers});
+        }
+
+        // --- API Endpoint for UI to Query Logs, or Export the Filtered Entries ---
+        if (url.pathname === '/api/global/audit-logs' && request.method === 'GET') {
+            try {
+                const params = url.searchParams;
+                const filter = parseAuditLogFilter(params);
+                if (filter.error) {
+                    return new Response(JSON.stringify({error: filter.error}), {status: 400, headers: {'Content-Type': 'application/json'}});
                 }
-                if (params.get('action')) {
-                    whereClauses.push("action = ?");
-                    bindings.push(params.get('action'));
+                const format = params.get('format');
+                if (format) {
+                    if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+                        return new Response(JSON.stringify({error: `format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}.`}), {status: 400, headers: {'Content-Type': 'application/json'}});
+                    }
+                    return this.exportLogs(filter, format);
                 }
 
-                const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+                const page = Math.max(1, parseInt(params.get('page') || '1', 10) || 1);
+                const limit = Math.min(MAX_AUDIT_PAGE_SIZE, Math.max(1, parseInt(params.get('limit') || '50', 10) || 50));
+                const offset = (page - 1) * limit;
+
+                const whereString = filter.where.length > 0 ? `WHERE ${filter.where.join(' AND ')}` : '';
 
-                const dataQuery = `SELECT * FROM audit_logs ${whereString} ORDER BY timestamp DESC LIMIT ? OFFSET ?`;
-                const dataBindings = [...bindings, limit, offset];
+                const dataQuery = `SELECT * FROM audit_logs ${whereString} ORDER BY timestamp DESC, seq DESC LIMIT ? OFFSET ?`;
+                const dataBindings = [...filter.bindings, limit, offset];
 
                 const countQuery = `SELECT COUNT(*) AS total FROM audit_logs ${whereString}`;
-                const countBindings = [...bindings];
+                const countBindings = [...filter.bindings];
 
                 const dataPromise = sql.exec(dataQuery, dataBindings);
                 const totalPromise = sql.exec(countQuery, countBindings);
@@ -90,6 +371,7 @@ export class AuditLogsDO {
 
                 const responsePayload = {
                     logs: logs,
+                    total: total,
                     totalPages: Math.ceil(total / limit),
                     currentPage: page,
                 };
@@ -114,22 +396,23 @@ export class AuditLogsDO {
                     return new Response('Invalid audit log entry: Missing required fields.', {status: 400});
                 }
 
-                await sql.exec(
-                    `INSERT INTO
-                         audit_logs (id, timestamp, user_id, context, action, target_id, data_before, data_after)
-                         VALUES
-                             (?, ?, ?, ?, ?, ?, ?, ?)`,
-                    [
-                        crypto.randomUUID(),
-                        logEntry.timestamp || Date.now(),
-                        logEntry.userId,
-                        logEntry.context,
-                        logEntry.action,
-                        logEntry.targetId,
-                        JSON.stringify(logEntry.dataBefore || null),
-                        JSON.stringify(logEntry.dataAfter || null)
-                    ]
-                );
+                // Entries carry their own ID when delivered from an outbox, so a retried delivery is recorded once.
+                // Appends are serialized so that no two entries link to the same head.
+                await this.state.blockConcurrencyWhile(async () => {
+                    const id = logEntry.id || crypto.randomUUID();
+                    const {results: existing} = await sql.exec("SELECT id FROM audit_logs WHERE id = ?", [id]);
+                    if (existing.length > 0) return;
+                    await this.appendToChain({
+                        id,
+                        timestamp: logEntry.timestamp || Date.now(),
+                        user_id: logEntry.userId,
+                        context: logEntry.context,
+                        action: logEntry.action,
+                        target_id: logEntry.targetId,
+                        data_before: JSON.stringify(logEntry.dataBefore || null),
+                        data_after: JSON.stringify(logEntry.dataAfter || null)
+                    });
+                });
 
                 return new Response('Log recorded.');
             } catch (e) {
@@ -141,3 +424,171 @@ export class AuditLogsDO {
         return new Response('Not found in AuditLogsDO', {status: 404});
     }
 }
+
+// A filter time: milliseconds since the epoch, or an ISO 8601 date or date-time.
+function _parseAuditTime(value) {
+    return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+/**
+ * Builds the SQL filter of an audit log query.
+ * @param {URLSearchParams} searchParams - Any of `userId`, `context`, `action` and `targetId`, matched exactly,
+ *     and `since` (inclusive) and `until` (exclusive), as timestamps in milliseconds or ISO 8601 dates.
+ * @returns {{error: string}|{where: string[], bindings: Array}} An error, or the conditions and their bindings.
+ */
+export function parseAuditLogFilter(searchParams) {
+    const where = [];
+    const bindings = [];
+    for (const [param, column] of [['userId', 'user_id'], ['context', 'context'], ['action', 'action'], ['targetId', 'target_id']]) {
+        if (searchParams.get(param)) {
+            where.push(`${column} = ?`);
+            bindings.push(searchParams.get(param));
+        }
+    }
+    const times = {};
+    for (const [param, operator] of [['since', '>='], ['until', '<']]) {
+        if (!searchParams.get(param)) continue;
+        times[param] = _parseAuditTime(searchParams.get(param));
+        if (!Number.isFinite(times[param])) return {error: `${param} must be a timestamp in milliseconds or an ISO 8601 date.`};
+        where.push(`timestamp ${operator} ?`);
+        bindings.push(times[param]);
+    }
+    if (times.since !== undefined && times.until !== undefined && times.since >= times.until) {
+        return {error: 'since must be before until.'};
+    }
+    return {where, bindings};
+}
+
+// Quotes a CSV field where needed, and defuses text a spreadsheet would run as a formula.
+function _toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Computes the hash of an audit entry: the SHA-256, in hex, of its position,
+ * content and previous hash.
+ * @param {object} entry - An `audit_logs` row.
+ * @returns {Promise<string>} The hash.
+ */
+export async function hashAuditEntry(entry) {
+    const content = JSON.stringify([
+        entry.seq, entry.id, entry.timestamp, entry.user_id, entry.context, entry.action, entry.target_id,
+        entry.data_before, entry.data_after, entry.prev_hash
+    ]);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// How soon a config Durable Object retries delivering its queued audit entries.
+const AUDIT_RETRY_MS = 60 * 1000;
+
+/**
+ * Sends an entry to the audit log.
+ * @param {object} env - The worker or Durable Object environment.
+ * @param {{id?: string, timestamp?: number, userId: string, context: string, action: string, targetId: string,
+ *     dataBefore?: *, dataAfter?: *}} entry - The entry. An entry sent again with the same `id` is recorded once.
+ * @returns {Promise<void>}
+ * @throws {Error} If the audit log did not record the entry.
+ */
+export async function sendAuditLog(env, entry) {
+    const auditDO = env.WAFU_AUDIT_LOGS_DO.get(env.WAFU_AUDIT_LOGS_DO.idFromName('singleton'));
+    const response = await auditDO.fetch('https://wafu.internal/log', {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(entry)
+    });
+    if (!response.ok) throw new Error(`Audit log write failed with status ${response.status}.`);
+}
+
+/**
+ * Records an entry in the audit log. A failed write is logged rather than
+ * thrown, so it never fails the operation being audited.
+ * @param {object} env - The worker or Durable Object environment.
+ * @param {object} entry - The entry, as for `sendAuditLog`.
+ * @returns {Promise<void>}
+ */
+export async function recordAuditLog(env, entry) {
+    try {
+        await sendAuditLog(env, entry);
+    } catch (e) {
+        console.error("Audit Log Write Error:", e);
+    }
+}
+
+// --- Audit Outbox for the Config Durable Objects ---
+// A config change and its audit entry are written to the config object's own
+// storage together, so neither is stored without the other. The entry is
+// then delivered to `AuditLogsDO` from the outbox, and retried from an alarm
+// until it is.
+
+/**
+ * Creates the outbox of audit entries waiting to be delivered.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ */
+export async function initializeAuditOutbox(sql) {
+    await sql.exec(`CREATE TABLE IF NOT EXISTS audit_outbox (id TEXT PRIMARY KEY, timestamp INTEGER NOT NULL, entry TEXT NOT NULL)`);
+}
+
+/**
+ * Returns the user an API request acts for, as set by the worker.
+ * @param {Request} request - The API request.
+ * @returns {string} The user ID, or `system` for requests the worker made itself.
+ */
+export function getAuditUserId(request) {
+    return request.headers.get('X-WAFu-User-ID') || 'system';
+}
+
+/**
+ * Adds an audit entry to the outbox. Call it right after the change it
+ * records, with no other I/O in between, so both are written together.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {{userId: string, context: string, action: string, targetId: string, dataBefore?: *, dataAfter?: *}} entry
+ *     - The entry.
+ */
+export async function queueAuditLog(sql, entry) {
+    const queued = {id: crypto.randomUUID(), timestamp: Date.now(), ...entry};
+    await sql.exec("INSERT INTO audit_outbox (id, timestamp, entry) VALUES (?, ?, ?)", [queued.id, queued.timestamp, JSON.stringify(queued)]);
+}
+
+/**
+ * Delivers the outbox to the audit log, oldest first. If delivery fails, the
+ * rest stays queued and an alarm is set to try again.
+ * @param {object} env - The Durable Object's environment.
+ * @param {DurableObjectStorage} storage - The Durable Object's storage.
+ * @returns {Promise<void>}
+ */
+export async function flushAuditOutbox(env, storage) {
+    const {results} = await storage.sql.exec("SELECT id, entry FROM audit_outbox ORDER BY timestamp, rowid");
+    for (const row of results) {
+        try {
+            await sendAuditLog(env, JSON.parse(row.entry));
+        } catch (e) {
+            console.error("Audit Log Delivery Error:", e);
+            await storage.setAlarm(Date.now() + AUDIT_RETRY_MS);
+            return;
+        }
+        await storage.sql.exec("DELETE FROM audit_outbox WHERE id = ?", [row.id]);
+    }
+}
+
+/**
+ * Runs a config API handler and queues an audit entry if it changed the
+ * config, with snapshots of the config before and after.
+ * @param {Request} request - The API request.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {{context: string, action: string, targetId: string, load: function(SqlStorage): Promise<*>}} audit - How
+ *     to describe the change, and how to read the config.
+ * @param {function(): Promise<Response>} handle - Runs the handler.
+ * @returns {Promise<Response>} The handler's response.
+ */
+export async function auditConfigChange(request, sql, {context, action, targetId, load}, handle) {
+    if (request.method === 'GET') return handle();
+    const dataBefore = await load(sql);
+    const response = await handle();
+    if (response.ok) {
+        await queueAuditLog(sql, {userId: getAuditUserId(request), context, action, targetId, dataBefore, dataAfter: await load(sql)});
+    }
+    return response;
+}
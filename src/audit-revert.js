@@ -0,0 +1,107 @@
+/*
+ * =============================================================================
+ * FILE: src/audit-revert.js
+ *
+ * DESCRIPTION:
+ * Reverting a change recorded in the audit log. The config Durable Object
+ * that owns the changed object restores the entry's `data_before` snapshot:
+ * a deleted rule is recreated, a created one deleted, and an updated rule or
+ * config put back as it was. A revert is refused as a conflict when the
+ * object no longer matches the entry's `data_after`, i.e. it has changed
+ * since. The revert is itself audited, as a `REVERT_*` entry that can be
+ * reverted in turn.
+ * =============================================================================
+ */
+
+import {loadRule, saveRule} from './utils.js';
+import {handleManagedRulesApi, loadManagedRulesConfig} from './managed-rules.js';
+import {handleScoringApi, loadScoringConfig} from './anomaly-scoring.js';
+import {handleRetentionApi, loadRetentionConfig} from './retention.js';
+import {queueAuditLog} from './audit-logs-do.js';
+
+const RULE_ACTIONS = ['CREATE_RULE', 'UPDATE_RULE', 'DELETE_RULE', 'REVERT_RULE'];
+
+// Configs are restored through their API handlers, so a restored config is validated like a submitted one.
+const CONFIG_TARGETS = {
+    'managed-rules': {action: 'REVERT_MANAGED_RULES', load: loadManagedRulesConfig, handle: handleManagedRulesApi},
+    'anomaly-scoring': {action: 'REVERT_ANOMALY_SCORING', load: loadScoringConfig, handle: handleScoringApi},
+    'retention': {action: 'REVERT_RETENTION', load: loadRetentionConfig, handle: handleRetentionApi}
+};
+
+// Serializes with sorted keys, so snapshots compare equal whatever their key order.
+function _canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(_canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${_canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+function _parseSnapshot(text) {
+    return text ? JSON.parse(text) : null;
+}
+
+function _getTarget(entry, rulesTable) {
+    if (RULE_ACTIONS.includes(entry.action)) {
+        return {
+            action: 'REVERT_RULE',
+            load: sql => loadRule(sql, rulesTable, entry.target_id),
+            restore: async (sql, snapshot) => {
+                if (snapshot) await saveRule(sql, rulesTable, snapshot);
+                else await sql.exec(`DELETE FROM ${rulesTable} WHERE id = ?`, [entry.target_id]);
+                return null;
+            }
+        };
+    }
+    const config = CONFIG_TARGETS[entry.target_id];
+    if (!config || (entry.context !== 'global' && entry.target_id === 'retention')) return null;
+    return {
+        action: config.action,
+        load: config.load,
+        restore: async (sql, snapshot) => {
+            const response = await config.handle(new Request('https://wafu.internal/', {method: 'PUT', body: JSON.stringify(snapshot)}), sql);
+            return response.ok ? null : (await response.json()).error;
+        }
+    };
+}
+
+/**
+ * Describes what reverting an audit entry would do, for a preview.
+ * @param {SqlStorage} sql - The storage of the Durable Object that owns the entry's target.
+ * @param {object} entry - The `audit_logs` row.
+ * @param {{rulesTable: string}} options - The object's rules table.
+ * @returns {Promise<{revertible: boolean, reason?: string, conflict?: boolean, current?: *, expected?: *, restore?: *}>}
+ *     Whether the entry can be reverted, and if so the target as it is now (`current`), as the entry left it
+ *     (`expected`) and as the revert would leave it (`restore`). `conflict` is set when `current` differs from
+ *     `expected`.
+ */
+export async function previewRevert(sql, entry, {rulesTable}) {
+    const target = _getTarget(entry, rulesTable);
+    if (!target) return {revertible: false, reason: `Entries with the action ${entry.action} cannot be reverted.`};
+    const current = await target.load(sql);
+    const expected = _parseSnapshot(entry.data_after);
+    const restore = _parseSnapshot(entry.data_before);
+    return {revertible: true, conflict: _canonicalJson(current) !== _canonicalJson(expected), current, expected, restore};
+}
+
+/**
+ * Reverts an audit entry and queues the revert's own audit entry.
+ * @param {SqlStorage} sql - The storage of the Durable Object that owns the entry's target.
+ * @param {object} entry - The `audit_logs` row.
+ * @param {{rulesTable: string, userId: string}} options - The object's rules table, and the user reverting.
+ * @returns {Promise<{status: number, body: object}>} The API response: 200 with the restored target, 400 if the
+ *     entry cannot be reverted or the snapshot is no longer valid, or 409 if the target has changed since.
+ */
+export async function revertAuditEntry(sql, entry, {rulesTable, userId}) {
+    const preview = await previewRevert(sql, entry, {rulesTable});
+    if (!preview.revertible) return {status: 400, body: {error: preview.reason}};
+    if (preview.conflict) {
+        return {status: 409, body: {error: 'The target has changed since this entry. Revert the later changes first.', current: preview.current, expected: preview.expected}};
+    }
+    const target = _getTarget(entry, rulesTable);
+    const error = await target.restore(sql, preview.restore);
+    if (error) return {status: 400, body: {error: `The earlier state is no longer valid: ${error}`}};
+    const restored = await target.load(sql);
+    await queueAuditLog(sql, {userId, context: entry.context, action: target.action, targetId: entry.target_id, dataBefore: preview.current, dataAfter: restored});
+    return {status: 200, body: {revertedEntryId: entry.id, restored}};
+}
@@ -0,0 +1,161 @@
+/*
+ * =============================================================================
+ * FILE: src/body-inspection.js
+ *
+ * DESCRIPTION:
+ * Request body inspection for routes that opt into it. The worker tees the
+ * body so the origin still receives it intact, buffers up to the route's
+ * maximum inspected size for the rule engine, and this module turns the
+ * buffered text into rule fields: the raw body, its size, and parsed JSON
+ * paths or form fields depending on the content type. A JSON body cut off at
+ * the maximum size does not parse, so it only gets the raw fields: rules on
+ * `request.body.json.*` cannot see it, and should be paired with a rule on
+ * `request.body.truncated`.
+ * =============================================================================
+ */
+
+export const DEFAULT_MAX_BODY_SIZE = 8192;
+export const MAX_BODY_SIZE_LIMIT = 1024 * 1024;
+
+// Bounds on how much of a parsed body becomes fields, so a hostile payload cannot blow up evaluation.
+const MAX_BODY_FIELDS = 256;
+const MAX_JSON_DEPTH = 16;
+
+/**
+ * Checks whether a serialized request has a body. The worker sets `hasBody`
+ * from the request's body stream rather than its headers, as an HTTP/2 or
+ * HTTP/3 body needs neither Content-Length nor Transfer-Encoding.
+ * @param {object} payload - The serialized request, as built by the worker.
+ * @returns {boolean} True if the request has a body.
+ */
+export function hasRequestBody(payload) {
+    return payload.hasBody === true;
+}
+
+/**
+ * Buffers the start of a request body for inspection without consuming it.
+ * @param {Request} request - The incoming request.
+ * @param {number} [maxBytes] - The maximum number of bytes to inspect.
+ * @returns {Promise<{request: Request, body: {text: string, size: number, truncated: boolean}}>}
+ *     A request to forward to the origin, carrying the full body, and the inspected body.
+ */
+export async function readBodyForInspection(request, maxBytes = DEFAULT_MAX_BODY_SIZE) {
+    const limit = Math.min(Math.max(Number(maxBytes) || DEFAULT_MAX_BODY_SIZE, 1), MAX_BODY_SIZE_LIMIT);
+    if (!request.body) {
+        return {request, body: {text: '', size: 0, truncated: false}};
+    }
+
+    const [inspectStream, forwardStream] = request.body.tee();
+    const reader = inspectStream.getReader();
+    const chunks = [];
+    let received = 0;
+    let truncated = false;
+    while (true) {
+        const {done, value} = await reader.read();
+        if (done) break;
+        if (received + value.byteLength > limit) {
+            chunks.push(value.subarray(0, limit - received));
+            received = limit;
+            truncated = true;
+            break;
+        }
+        chunks.push(value);
+        received += value.byteLength;
+    }
+    // Not awaited: cancelling one branch of a tee only settles once the other branch is done too.
+    if (truncated) reader.cancel().catch(() => {});
+
+    const bytes = new Uint8Array(received);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+
+    const contentLength = request.headers.get('content-length');
+    const declaredSize = contentLength === null ? NaN : Number(contentLength);
+    return {
+        request: new Request(request, {body: forwardStream}),
+        body: {
+            text: new TextDecoder().decode(bytes),
+            size: Number.isInteger(declaredSize) && declaredSize >= 0 ? declaredSize : received,
+            truncated
+        }
+    };
+}
+
+/**
+ * Builds the body fields for the rule engine.
+ * @param {{text: string, size: number, truncated: boolean}} body - The inspected body.
+ * @param {string} [contentType] - The request's Content-Type header.
+ * @returns {object} The `request.body.*` fields.
+ */
+export function getBodyFields(body, contentType = '') {
+    const fields = {
+        'request.body.raw': body.text,
+        'request.body.size': body.size,
+        'request.body.truncated': body.truncated,
+    };
+
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+    let count = 0;
+    const addField = (name, value) => {
+        if (count >= MAX_BODY_FIELDS) return;
+        // A repeated form field is a list of its values, as a repeated query parameter is.
+        if (!(name in fields)) fields[name] = value;
+        else if (Array.isArray(fields[name])) fields[name].push(value);
+        else fields[name] = [fields[name], value];
+        count++;
+    };
+
+    if (mimeType === 'application/json' || mimeType.endsWith('+json')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(body.text);
+        } catch (e) {
+            return fields; // Truncated or malformed JSON only exposes the raw body.
+        }
+        _flattenJson(parsed, 'request.body.json', 0, addField);
+    } else if (mimeType === 'application/x-www-form-urlencoded') {
+        for (const [name, value] of new URLSearchParams(body.text)) {
+            addField(`request.body.form.${name}`, value);
+        }
+    } else if (mimeType === 'multipart/form-data') {
+        for (const [name, value] of _parseMultipart(body.text, contentType)) {
+            addField(`request.body.form.${name}`, value);
+        }
+    }
+    return fields;
+}
+
+function _flattenJson(value, path, depth, addField) {
+    if (value !== null && typeof value === 'object') {
+        if (depth >= MAX_JSON_DEPTH) return;
+        const entries = Array.isArray(value) ? value.map((item, i) => [i, item]) : Object.entries(value);
+        for (const [key, item] of entries) {
+            _flattenJson(item, `${path}.${key}`, depth + 1, addField);
+        }
+        return;
+    }
+    addField(path, value);
+}
+
+// Extracts `[name, value]` pairs from a multipart body. File parts yield their filename rather than their contents.
+function _parseMultipart(text, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!match) return [];
+    const delimiter = `--${(match[1] || match[2]).trim()}`;
+
+    const entries = [];
+    for (const part of text.split(delimiter).slice(1)) {
+        if (part.startsWith('--')) break;
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) continue;
+        const partHeaders = part.slice(0, headerEnd);
+        const name = /;\s*name="([^"]*)"/i.exec(partHeaders)?.[1];
+        if (name === undefined) continue;
+        const filename = /;\s*filename="([^"]*)"/i.exec(partHeaders)?.[1];
+        entries.push([name, filename ?? part.slice(headerEnd + 4).replace(/\r\n$/, '')]);
+    }
+    return entries;
+}
@@ -0,0 +1,247 @@
+/*
+ * =============================================================================
+ * FILE: src/challenge.js
+ *
+ * DESCRIPTION:
+ * Implements the CHALLENGE action. A challenged request receives an
+ * interstitial page that solves a SHA-256 proof-of-work puzzle in the browser
+ * and submits the solution to `/wafu/challenge/verify`. A correct solution
+ * earns a signed clearance cookie, bound to the client's IP or JA4
+ * fingerprint and scoped to the route, that lets the client skip CHALLENGE
+ * rules until it expires.
+ *
+ * Both the puzzle and the clearance are HS256 tokens signed with `JWT_SECRET`.
+ * The only state is the set of puzzle tokens already solved: each earns one
+ * clearance, and its ID is kept in an `OtpDO` instance until it expires so a
+ * solved token cannot be replayed.
+ * =============================================================================
+ */
+
+import {createJwt, verifyJwt} from './jwt.js';
+import {normalizeIp} from './ip-utils.js';
+
+export const CLEARANCE_COOKIE = 'wafu_clearance';
+
+// How long a client has to solve a puzzle once the interstitial is served.
+const CHALLENGE_TOKEN_TTL_SECONDS = 300;
+
+const DEFAULT_DIFFICULTY = 16;
+const MAX_DIFFICULTY = 32;
+const DEFAULT_CLEARANCE_TTL_SECONDS = 1800;
+
+/**
+ * Reads the challenge settings from the environment.
+ * @param {object} env - The worker environment.
+ * @returns {{difficulty: number, clearanceTtl: number, binding: string}} The settings, with defaults applied.
+ */
+export function getChallengeConfig(env) {
+    const difficulty = parseInt(env.WAFU_CHALLENGE_DIFFICULTY, 10);
+    const clearanceTtl = parseInt(env.WAFU_CHALLENGE_CLEARANCE_TTL_SECONDS, 10);
+    return {
+        difficulty: difficulty >= 1 ? Math.min(difficulty, MAX_DIFFICULTY) : DEFAULT_DIFFICULTY,
+        clearanceTtl: clearanceTtl >= 1 ? clearanceTtl : DEFAULT_CLEARANCE_TTL_SECONDS,
+        binding: env.WAFU_CHALLENGE_BINDING === 'ja4' ? 'ja4' : 'ip'
+    };
+}
+
+/**
+ * Returns the scope a clearance is valid for: the matched route, or `global`
+ * for traffic that did not match a route.
+ * @param {object|null} route - The matched route.
+ * @returns {string} The clearance scope.
+ */
+export function getChallengeScope(route) {
+    return route ? route.id : 'global';
+}
+
+async function _sha256(text) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+function _hasLeadingZeroBits(bytes, bits) {
+    for (let i = 0; i < bits; i++) {
+        if ((bytes[i >> 3] >> (7 - (i & 7))) & 1) return false;
+    }
+    return true;
+}
+
+function _getBindingValue(request, binding) {
+    if (binding === 'ja4') return request.cf?.botManagement?.ja4 || null;
+    return normalizeIp(request.headers.get('cf-connecting-ip')) || null;
+}
+
+// Hashes the bound value so the tokens do not carry the client's IP or fingerprint in clear text.
+async function _getClientSubject(request, binding) {
+    const value = _getBindingValue(request, binding);
+    if (!value) return null;
+    const digest = await _sha256(`${binding}:${value}`);
+    return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function _getCookie(request, name) {
+    const header = request.headers.get('Cookie');
+    if (!header) return null;
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) return part.slice(index + 1).trim();
+    }
+    return null;
+}
+
+/**
+ * Checks the request's clearance cookie.
+ * @param {Request} request - The incoming request.
+ * @param {object} env - The worker environment.
+ * @returns {Promise<string|null>} The scope the client is cleared for, or null if it has no valid clearance.
+ */
+export async function getClearedScope(request, env) {
+    const token = _getCookie(request, CLEARANCE_COOKIE);
+    if (!token) return null;
+    const clearance = await verifyJwt(token, env.JWT_SECRET);
+    if (!clearance || clearance.typ !== 'clearance') return null;
+    const subject = await _getClientSubject(request, clearance.bnd);
+    return subject && subject === clearance.sub ? clearance.scope : null;
+}
+
+/**
+ * Builds the interstitial for a challenged request. The page solves the puzzle
+ * and reloads once the clearance cookie has been set.
+ * @param {Request} request - The challenged request.
+ * @param {object} env - The worker environment.
+ * @param {string} scope - The scope the clearance will be valid for.
+ * @param {{retryAfter?: number}} [options] - For a RATE_LIMIT rule's challenge, the seconds until the limit lifts,
+ *     sent as `Retry-After`.
+ * @returns {Promise<Response>} The interstitial response.
+ */
+export async function createChallengeResponse(request, env, scope, {retryAfter} = {}) {
+    const {difficulty, binding: preferredBinding} = getChallengeConfig(env);
+    // Clients without a JA4 fingerprint (e.g. plain HTTP) fall back to an IP binding.
+    const binding = preferredBinding === 'ja4' && _getBindingValue(request, 'ja4') ? 'ja4' : 'ip';
+    const now = Math.floor(Date.now() / 1000);
+    const token = await createJwt({
+        typ: 'challenge',
+        scope,
+        bnd: binding,
+        sub: await _getClientSubject(request, binding),
+        difficulty,
+        jti: crypto.randomUUID(),
+        iat: now,
+        exp: now + CHALLENGE_TOKEN_TTL_SECONDS
+    }, env.JWT_SECRET);
+
+    const headers = {'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store'};
+    if (retryAfter) headers['Retry-After'] = String(retryAfter);
+    return new Response(_renderChallengePage(token, difficulty), {status: 403, headers});
+}
+
+/**
+ * Handles `POST /wafu/challenge/verify`. Expects `{token, nonce}`, where the
+ * SHA-256 digest of `<token>:<nonce>` must start with the token's number of
+ * zero bits, and sets the clearance cookie on success.
+ * @param {Request} request - The verification request.
+ * @param {object} env - The worker environment.
+ * @returns {Promise<Response>} A JSON response.
+ */
+export async function handleChallengeVerify(request, env) {
+    const jsonResponse = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), {
+        status,
+        headers: {'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers}
+    });
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return jsonResponse({error: 'Invalid request body'}, 400);
+    }
+    const {token, nonce} = body || {};
+    if (typeof token !== 'string' || !Number.isSafeInteger(nonce) || nonce < 0) {
+        return jsonResponse({error: 'A token and a non-negative integer nonce are required'}, 400);
+    }
+
+    const challenge = await verifyJwt(token, env.JWT_SECRET);
+    if (!challenge || challenge.typ !== 'challenge' || typeof challenge.jti !== 'string') {
+        return jsonResponse({error: 'Challenge is invalid or has expired'}, 403);
+    }
+    const subject = await _getClientSubject(request, challenge.bnd);
+    if (!subject || subject !== challenge.sub) {
+        return jsonResponse({error: 'Challenge was issued to a different client'}, 403);
+    }
+    if (!_hasLeadingZeroBits(await _sha256(`${token}:${nonce}`), challenge.difficulty)) {
+        return jsonResponse({error: 'Incorrect solution'}, 403);
+    }
+    const tokenState = env.WAFU_OTP_DO.get(env.WAFU_OTP_DO.idFromName(`challenge:${challenge.jti}`));
+    if (!await tokenState.useChallengeToken(challenge.exp * 1000)) {
+        return jsonResponse({error: 'Challenge has already been used'}, 403);
+    }
+
+    const {clearanceTtl} = getChallengeConfig(env);
+    const now = Math.floor(Date.now() / 1000);
+    const clearance = await createJwt({
+        typ: 'clearance',
+        scope: challenge.scope,
+        bnd: challenge.bnd,
+        sub: subject,
+        iat: now,
+        exp: now + clearanceTtl
+    }, env.JWT_SECRET);
+
+    return jsonResponse({success: true}, 200, {
+        'Set-Cookie': `${CLEARANCE_COOKIE}=${clearance}; Path=/; Max-Age=${clearanceTtl}; HttpOnly; Secure; SameSite=Lax`
+    });
+}
+
+function _renderChallengePage(token, difficulty) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex, nofollow">
+    <title>Checking your browser…</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f9fafb; color: #1f2937; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+        main { max-width: 28rem; padding: 2rem; text-align: center; }
+        h1 { font-size: 1.5rem; margin-bottom: 0.5rem; }
+        p { color: #6b7280; }
+    </style>
+</head>
+<body>
+<main>
+    <h1>Checking your browser…</h1>
+    <p id="status">This only takes a few seconds. The page will reload automatically.</p>
+    <noscript><p>Please enable JavaScript to continue.</p></noscript>
+</main>
+<script>
+    (async () => {
+        const token = ${JSON.stringify(token)};
+        const difficulty = ${difficulty};
+        const status = document.getElementById('status');
+        const encoder = new TextEncoder();
+        const hasLeadingZeroBits = (bytes) => {
+            for (let i = 0; i < difficulty; i++) {
+                if ((bytes[i >> 3] >> (7 - (i & 7))) & 1) return false;
+            }
+            return true;
+        };
+        try {
+            let nonce = 0;
+            while (!hasLeadingZeroBits(new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(token + ':' + nonce))))) {
+                nonce++;
+            }
+            const response = await fetch('/wafu/challenge/verify', {
+                method: 'POST',
+                headers: {'Content-Type': 'application/json'},
+                credentials: 'same-origin',
+                body: JSON.stringify({token, nonce})
+            });
+            if (!response.ok) throw new Error((await response.json()).error);
+            window.location.reload();
+        } catch (e) {
+            status.textContent = 'Verification failed. Please reload the page to try again.';
+        }
+    })();
+</script>
+</body>
+</html>`;
+}
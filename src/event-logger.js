@@ -0,0 +1,150 @@
+/*
+ * =============================================================================
+ * FILE: src/event-logger.js
+ *
+ * DESCRIPTION:
+ * Event logging from the worker to `EventLogsDO`. Decisions are queued in the
+ * isolate's memory and written in batches, so logging adds no Durable Object
+ * round trip to the request path: a batch is sent once it is full, or a few
+ * seconds after its first event, from the `waitUntil` of the request that
+ * started it. Each batch is split across the route-and-day partitions of
+ * the log. BLOCK, CHALLENGE and LOG decisions are always logged; ALLOW
+ * decisions are sampled at the route's rate. Events still queued when an
+ * isolate is evicted are lost, which the sampling already makes acceptable.
+ * The request headers stored with each event have their credentials redacted
+ * before they are queued, so they reach neither the log nor its archives.
+ * =============================================================================
+ */
+
+import {getEventPartition, getEventPartitionStub} from './event-logs-do.js';
+
+export const DEFAULT_ALLOW_SAMPLE_RATE = 0.01;
+
+// A batch is sent once it holds this many events, or this long after its first one.
+const MAX_BATCH_SIZE = 50;
+const FLUSH_INTERVAL_MS = 5000;
+
+// Decisions that are always logged; ALLOW is sampled and the rest are not logged.
+const LOGGED_ACTIONS = ['BLOCK', 'CHALLENGE', 'LOG'];
+
+// Headers whose values are credentials. Cookies, the challenge clearance among them, keep only their names.
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'set-cookie', 'x-api-key', 'x-auth-token'];
+export const REDACTED_VALUE = '[redacted]';
+
+let pendingEvents = [];
+let flushScheduled = false;
+
+/**
+ * Returns a route's ALLOW sample rate, between 0 and 1: its `allow_sample_rate` setting (see `route-settings.js`).
+ * @param {object|null} route - The matched route.
+ * @returns {number} The share of ALLOW decisions to log.
+ */
+export function getAllowSampleRate(route) {
+    const rate = Number(route?.allow_sample_rate ?? DEFAULT_ALLOW_SAMPLE_RATE);
+    return Number.isFinite(rate) ? Math.min(Math.max(rate, 0), 1) : DEFAULT_ALLOW_SAMPLE_RATE;
+}
+
+/**
+ * Copies a request's headers for the event log, with credentials replaced by
+ * `REDACTED_VALUE`.
+ * @param {Headers} headers - The request's headers.
+ * @returns {Object<string, string>} The headers to store.
+ */
+export function redactHeaders(headers) {
+    const stored = {};
+    for (const [name, value] of headers) {
+        if (name === 'cookie') {
+            stored[name] = value.split(';').map(cookie => `${cookie.split('=')[0].trim()}=${REDACTED_VALUE}`).join('; ');
+        } else {
+            stored[name] = REDACTED_HEADERS.includes(name) ? REDACTED_VALUE : value;
+        }
+    }
+    return stored;
+}
+
+/**
+ * Builds the events to log for an evaluated request: each stage's decision
+ * that is logged or sampled, its log-only managed ruleset matches, and the
+ * would-be actions of shadowed rules and routes. Only the request's final
+ * decision stands for the request: the managed ruleset matches, and a global
+ * LOG decision that handed the request over to its route, are marked
+ * `logOnly` so the request is not counted more than once.
+ * @param {Request} request - The evaluated request.
+ * @param {{globalDecision: object, routeDecision: object|null, route: object|null}} evaluation - The decisions.
+ * @returns {object[]} The events, in the format of `EventLogsDO.writeEvents`.
+ */
+export function getDecisionEvents(request, {globalDecision, routeDecision, route}) {
+    const timestamp = Date.now();
+    const base = {
+        timestamp,
+        routeHost: route?.incomingHost || null,
+        request: {headers: redactHeaders(request.headers), cf: request.cf || {}}
+    };
+    const events = [];
+    for (const [context, decision] of [['global', globalDecision], ['route', routeDecision]]) {
+        if (!decision) continue;
+        if (LOGGED_ACTIONS.includes(decision.action)) {
+            const handedOver = context === 'global' && Boolean(routeDecision);
+            events.push({...base, action: decision.action, ruleId: decision.matchedRuleId || null, context, logOnly: handedOver, sampleRate: 1});
+        } else if (decision.action === 'ALLOW' && (context === 'route' || !routeDecision)) {
+            // Only the final ALLOW is sampled: a global ALLOW that hands over to a route is not a decision yet.
+            const sampleRate = getAllowSampleRate(route);
+            if (sampleRate > 0 && Math.random() < sampleRate) {
+                events.push({...base, action: 'ALLOW', ruleId: decision.matchedRuleId || null, context, sampleRate});
+            }
+        }
+        for (const match of decision.logMatches || []) {
+            events.push({...base, action: match.action, ruleId: match.ruleId, context, logOnly: true, sampleRate: 1});
+        }
+        for (const match of decision.shadowMatches || []) {
+            events.push({...base, action: match.action, ruleId: match.ruleId, context, shadow: true, sampleRate: 1});
+        }
+    }
+    return events;
+}
+
+/**
+ * Queues events for the next batch written to `EventLogsDO`.
+ * @param {ExecutionContext} ctx - The worker's execution context, which keeps the flush alive after the response.
+ * @param {object} env - The worker environment.
+ * @param {object[]} events - The events to log.
+ */
+export function queueEvents(ctx, env, events) {
+    if (events.length === 0) return;
+    pendingEvents.push(...events);
+    if (pendingEvents.length >= MAX_BATCH_SIZE) {
+        ctx.waitUntil(flushEvents(env));
+    } else if (!flushScheduled) {
+        flushScheduled = true;
+        ctx.waitUntil(new Promise(resolve => setTimeout(resolve, FLUSH_INTERVAL_MS)).then(() => {
+            flushScheduled = false;
+            return flushEvents(env);
+        }));
+    }
+}
+
+/**
+ * Writes the queued events to their `EventLogsDO` partitions, one request
+ * per partition. A batch that cannot be written is dropped rather than
+ * retried, so a failing log store cannot grow the queue without bound.
+ * @param {object} env - The worker environment.
+ * @returns {Promise<void>}
+ */
+export async function flushEvents(env) {
+    if (pendingEvents.length === 0) return;
+    const batches = new Map();
+    for (const event of pendingEvents) {
+        const partition = getEventPartition(event.routeHost, event.timestamp);
+        if (!batches.has(partition.name)) batches.set(partition.name, {partition, events: []});
+        batches.get(partition.name).events.push(event);
+    }
+    pendingEvents = [];
+
+    await Promise.all([...batches.values()].map(async ({partition, events}) => {
+        try {
+            await getEventPartitionStub(env, partition.name).writeEvents(partition, events);
+        } catch (e) {
+            console.error(`Failed to write ${events.length} events to event log partition ${partition.name}:`, e);
+        }
+    }));
+}
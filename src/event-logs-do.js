@@ -3,25 +3,96 @@
  * FILE: src/event-logs-do.js
  *
  * DESCRIPTION:
- * Defines the `EventLogsDO` class. This version includes a more robust
- * analytics aggregation function that gracefully handles cases where there
- * is no data to aggregate, preventing runtime errors.
+ * Defines the `EventLogsDO` class. Events are sharded by route and by UTC
+ * day: each partition is its own instance, named `events:<route host>:<day>`
+ * (`global` for events with no route), so no single object takes every write
+ * and an old day is dropped by deleting its instances' storage. The singleton
+ * instance is the directory: it records which partitions exist, fans the
+ * analytics and SQL console queries out to them, merges their results and
+ * keeps the 24-hour analytics summary.
+ *
+ * SQL console queries are checked by `sql-console.js` before they reach a
+ * partition, cover at most `MAX_QUERY_RANGE_MS` of partitions, scan a
+ * bounded number of each partition's events, get a wall-clock budget, have
+ * their merged result capped in rows and bytes, and are recorded in the
+ * audit log. A partition whose scan was cut short, or that did not answer in
+ * time, is reported in the result's `cutOff`. The wall-clock budget only
+ * stops the directory waiting: a Durable Object cannot cancel a running
+ * query, so a late partition finishes its query anyway. What bounds that
+ * work is the sandbox: one scan of at most `MAX_CONSOLE_SCANNED_ROWS` events,
+ * no joins and no functions that build large values.
+ *
+ * Hits of shadowed (log-only) rules are stored with `shadow = 1`: they are
+ * kept out of the summary and compared against enforced hits by the shadow
+ * analytics API. ALLOW decisions are sampled, and each event keeps its
+ * `sample_rate` so the summary can count them back up. Rows logged alongside
+ * a request's decision (managed ruleset LOG matches, and a global LOG
+ * decision followed by the route's) have `log_only = 1`: they count as rule
+ * hits but not as requests, so each request is counted once.
+ *
+ * Retention (see `retention.js`) runs from the directory's alarm: partitions
+ * older than the raw event retention are summarized into a daily aggregate,
+ * optionally archived, and dropped; daily aggregates are kept for longer.
+ *
+ * Each partition also keeps minute, hour and day rollups of its events (see
+ * `rollups.js`), updated as events are written; the directory serves them as
+ * timeseries. A dropped partition's day rollups move to the directory and
+ * are kept as long as the daily aggregates.
+ *
+ * The module also exports the helpers the worker's event logger uses to find
+ * an event's partition.
  * =============================================================================
  */
 
 import {DurableObject} from "cloudflare:workers";
+import {addMissingColumns} from './utils.js';
+import {recordAuditLog} from './audit-logs-do.js';
+import {MAX_CONSOLE_ROWS, MAX_CONSOLE_SCANNED_ROWS, prepareConsoleQuery} from './sql-console.js';
+import {ROLLUP_DIMENSIONS, addToRollups, backfillRollups, initializeRollupTables, mergeTimeseries, parseTimeseriesQuery, queryRollups} from './rollups.js';
+import {
+    RETENTION_BATCH_SIZE,
+    RETENTION_CONTINUE_MS,
+    RETENTION_INTERVAL_MS,
+    RETENTION_MAX_BATCHES,
+    archiveNdjson,
+    archiveRows,
+    deleteExpiredRows,
+    ensureRetentionAlarm,
+    getArchiveBucket,
+    getRetentionCutoff
+} from './retention.js';
+
+export const EVENT_LOG_DIRECTORY = 'singleton';
+
+// How far back the analytics summary and the shadow-mode comparison look.
+const SUMMARY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const SHADOW_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// The SQL console's bounds: the default and largest time range, the time the
+// partitions get to answer (which does not cancel their queries), and the size
+// of the merged result.
+const DEFAULT_QUERY_RANGE_MS = 24 * 60 * 60 * 1000;
+const MAX_QUERY_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+const QUERY_BUDGET_MS = 5000;
+const MAX_QUERY_RESULT_BYTES = 1024 * 1024;
+
+const JSON_HEADERS = {'Content-Type': 'application/json'};
 
 export class EventLogsDO extends DurableObject {
     constructor(ctx, env) {
         super(ctx, env);
         this.ctx = ctx;
         this.env = env;
+        this.registered = false;
 
         this.ctx.waitUntil(this.initializeDatabase());
     }
 
     /**
-     * Creates all necessary SQLite tables if they don't already exist.
+     * Creates all necessary SQLite tables if they don't already exist. Every
+     * instance gets the same schema; partitions only use `events`, the
+     * rollups and `partition_info`, the directory only `partitions`, the
+     * daily aggregates, the day rollups and the summary.
      */
     async initializeDatabase() {
         const sql = this.ctx.storage.sql;
@@ -41,140 +112,536 @@ export class EventLogsDO extends DurableObject {
                     asn                        INTEGER,
                     colo                       TEXT,
                     cf_blob                    TEXT,
-                    headers                    TEXT
+                    headers                    TEXT,
+                    shadow                     INTEGER NOT NULL DEFAULT 0, -- 1: a shadowed rule's would-be action
+                    sample_rate                REAL    NOT NULL DEFAULT 1, -- The share of such decisions logged
+                    log_only                   INTEGER NOT NULL DEFAULT 0  -- 1: logged alongside the request's decision
                 );
+            CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events (timestamp);
             CREATE TABLE IF NOT EXISTS analytics_summary_24h
                 (
                     id                            INTEGER
                         PRIMARY KEY, last_updated INTEGER NOT NULL, data TEXT NOT NULL
                 );
+            CREATE TABLE IF NOT EXISTS partitions
+                (
+                    name                       TEXT
+                        PRIMARY KEY,
+                    route_host                 TEXT,
+                    day                        TEXT    NOT NULL, -- UTC, YYYY-MM-DD
+                    created_at                 INTEGER NOT NULL
+                );
+            CREATE INDEX IF NOT EXISTS idx_partitions_day ON partitions (day);
+            CREATE TABLE IF NOT EXISTS partition_aggregates
+                (
+                    name                       TEXT
+                        PRIMARY KEY,
+                    route_host                 TEXT,
+                    day                        TEXT    NOT NULL, -- UTC, YYYY-MM-DD
+                    data                       TEXT    NOT NULL  -- JSON: the dropped partition's summary
+                );
+            CREATE TABLE IF NOT EXISTS partition_info
+                (
+                    id                         INTEGER
+                        PRIMARY KEY CHECK (id = 1),
+                    name                       TEXT    NOT NULL,
+                    route_host                 TEXT,
+                    day                        TEXT    NOT NULL
+                );
         `);
+        await addMissingColumns(sql, 'events', {shadow: 'INTEGER NOT NULL DEFAULT 0', sample_rate: 'REAL NOT NULL DEFAULT 1', log_only: 'INTEGER NOT NULL DEFAULT 0'});
+        await initializeRollupTables(sql);
+        await backfillRollups(sql);
     }
 
     /**
-     * Handles all incoming fetch events for the Durable Object.
+     * Handles all incoming fetch events for the Durable Object. The API is
+     * served by the directory instance.
      */
     async fetch(request) {
         const url = new URL(request.url);
 
-        if (url.pathname === '/api/global/analytics/aggregate') {
+        if (url.pathname === '/api/global/analytics/aggregate' && request.method === 'POST') {
             await this.runAggregation();
             return new Response('Aggregation complete.');
         }
 
-        if (url.pathname === '/api/global/analytics/summary') {
+        if (url.pathname === '/api/global/analytics/summary' || url.pathname === '/api/analytics/summary') {
             const {results} = await this.ctx.storage.sql.exec("SELECT data FROM analytics_summary_24h WHERE id = 1");
             const data = results.length > 0 ? results[0].data : '{}';
-            return new Response(data, {headers: {'Content-Type': 'application/json'}});
+            return new Response(data, {headers: JSON_HEADERS});
+        }
+
+        if (url.pathname === '/api/global/analytics/shadow' && request.method === 'GET') {
+            const since = Date.now() - SHADOW_WINDOW_MS;
+            const {results, errors} = await this.fanOut(await this.listPartitions({since}), partition => partition.getShadowHits(since));
+            return new Response(JSON.stringify({windowMs: SHADOW_WINDOW_MS, rules: _mergeShadowHits(results), errors}), {headers: JSON_HEADERS});
+        }
+
+        if (url.pathname === '/api/analytics/timeseries' && request.method === 'GET') {
+            const query = parseTimeseriesQuery(url.searchParams);
+            if (query.error) return new Response(JSON.stringify({error: query.error}), {status: 400, headers: JSON_HEADERS});
+            const partitions = await this.listPartitions({since: query.since, until: query.until, routeHost: query.routeHost || undefined});
+            const {results, errors} = await this.fanOut(partitions, partition => partition.getRollups(query));
+            const rows = results.flatMap(({result}) => result);
+            // Day rollups of partitions that retention has dropped are kept on the directory.
+            if (query.granularity === 'day') rows.push(...await queryRollups(this.ctx.storage.sql, query));
+            return new Response(JSON.stringify({...query, series: mergeTimeseries(rows, query.groupBy), errors}), {headers: JSON_HEADERS});
+        }
+
+        if (url.pathname === '/api/global/analytics/daily' && request.method === 'GET') {
+            const since = Number(url.searchParams.get('since')) || 0;
+            const {results} = await this.ctx.storage.sql.exec(
+                "SELECT route_host, day, data FROM partition_aggregates WHERE day >= ? ORDER BY day, route_host",
+                [_toPartitionDay(since)]
+            );
+            const days = results.map(row => ({routeHost: row.route_host, day: row.day, ...JSON.parse(row.data)}));
+            return new Response(JSON.stringify(days), {headers: JSON_HEADERS});
+        }
+
+        if (url.pathname === '/api/global/analytics/partitions' && request.method === 'GET') {
+            const since = url.searchParams.has('since') ? Number(url.searchParams.get('since')) : undefined;
+            const partitions = await this.listPartitions({since, routeHost: url.searchParams.get('routeHost') || undefined});
+            return new Response(JSON.stringify(partitions), {headers: JSON_HEADERS});
+        }
+
+        const partitionMatch = url.pathname.match(/^\/api\/global\/analytics\/partitions\/([^/]+)$/);
+        if (partitionMatch && request.method === 'DELETE') {
+            const dropped = await this.deletePartition(decodeURIComponent(partitionMatch[1]));
+            if (!dropped) return new Response(JSON.stringify({error: 'Partition not found'}), {status: 404, headers: JSON_HEADERS});
+            return new Response(JSON.stringify({success: true}), {headers: JSON_HEADERS});
         }
 
         if (url.pathname === '/api/global/sql-query' && request.method === 'POST') {
+            let body;
             try {
-                const {query, params} = await request.json();
-                if (!query || !query.trim().toUpperCase().startsWith('SELECT')) {
-                    return new Response(JSON.stringify({error: 'Forbidden: Only SELECT queries are allowed.'}), {
-                        status: 403,
-                        headers: {'Content-Type': 'application/json'}
-                    });
-                }
-                const {results} = await this.ctx.storage.sql.exec(query, params || []);
-                return new Response(JSON.stringify(results), {headers: {'Content-Type': 'application/json'}});
+                body = await request.json();
             } catch (e) {
-                return new Response(JSON.stringify({error: e.message}), {
-                    status: 400,
-                    headers: {'Content-Type': 'application/json'}
-                });
+                return new Response(JSON.stringify({error: 'Invalid JSON body'}), {status: 400, headers: JSON_HEADERS});
+            }
+            const {query, params = [], routeHost} = body;
+            const until = body.until ?? Date.now();
+            const since = body.since ?? until - DEFAULT_QUERY_RANGE_MS;
+            if (!Number.isFinite(since) || !Number.isFinite(until) || since > until) {
+                return new Response(JSON.stringify({error: 'since and until must be timestamps, with since before until.'}), {status: 400, headers: JSON_HEADERS});
+            }
+            if (until - since > MAX_QUERY_RANGE_MS) {
+                return new Response(JSON.stringify({error: 'A query can cover at most 31 days.'}), {status: 400, headers: JSON_HEADERS});
+            }
+            const prepared = prepareConsoleQuery(query, params, {since, until});
+            if (prepared.error) {
+                return new Response(JSON.stringify({error: prepared.error}), {status: 403, headers: JSON_HEADERS});
             }
-        }
 
-        if (url.pathname === '/log' && request.method === 'POST') {
-            const logEntry = await request.json();
-            await this.ctx.storage.sql.exec(
-                `INSERT INTO
-                     events (id,
-                             timestamp,
-                             action,
-                             rule_id,
-                             context,
-                             route_host,
-                             ip_address,
-                             user_agent,
-                             country,
-                             asn,
-                             colo,
-                             cf_blob,
-                             headers)
-                     VALUES
-                         (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [
-                    crypto.randomUUID(),
-                    logEntry.timestamp || Date.now(),
-                    logEntry.action,
-                    logEntry.ruleId,
-                    logEntry.context,
-                    logEntry.routeHost,
-                    logEntry.request?.headers['cf-connecting-ip'],
-                    logEntry.request?.headers['user-agent'],
-                    logEntry.request?.cf?.country,
-                    logEntry.request?.cf?.asn,
-                    logEntry.request?.cf?.colo,
-                    JSON.stringify(logEntry.request?.cf || {}),
-                    JSON.stringify(logEntry.request?.headers || {})
-                ]
-            );
-            return new Response('Log recorded.');
+            const startedAt = Date.now();
+            const partitions = await this.listPartitions({since, until, routeHost});
+            const answers = await this.fanOut(partitions, partition => partition.queryEvents(query, params, {since, until}), {timeoutMs: QUERY_BUDGET_MS});
+            // Partitions whose rows are missing or incomplete: late ones, and those with more events in range than a scan reads.
+            const cutOff = [
+                ...answers.errors.filter(error => error.timedOut).map(({partition}) => ({partition, reason: `No answer within ${QUERY_BUDGET_MS} ms; its rows are left out (the partition still finishes its bounded scan).`})),
+                ...answers.results.filter(({result}) => result.scanCutOff).map(({partition}) => ({
+                    partition: partition.name,
+                    reason: `Only the latest ${MAX_CONSOLE_SCANNED_ROWS} events in range were read.`
+                }))
+            ];
+            const errors = answers.errors.filter(error => !error.timedOut);
+            const rows = [];
+            let bytes = 0;
+            let truncated = false;
+            for (const row of answers.results.flatMap(({partition, result}) => result.rows.map(row => ({...row, _partition: partition.name})))) {
+                bytes += JSON.stringify(row).length;
+                if (rows.length >= MAX_CONSOLE_ROWS || bytes > MAX_QUERY_RESULT_BYTES) {
+                    truncated = true;
+                    break;
+                }
+                rows.push(row);
+            }
+            const durationMs = Date.now() - startedAt;
+
+            await recordAuditLog(this.env, {
+                userId: request.headers.get('X-WAFu-User-ID') || 'unknown',
+                context: 'global',
+                action: 'SQL_QUERY',
+                targetId: 'events',
+                dataAfter: {query, params, since, until, routeHost: routeHost || null, rowCount: rows.length, truncated, cutOff, durationMs, errors}
+            });
+
+            return new Response(JSON.stringify({
+                results: rows,
+                truncated,
+                cutOff,
+                partitions: partitions.length,
+                durationMs,
+                errors
+            }), {headers: JSON_HEADERS});
         }
 
         return new Response('Not found in EventLogsDO', {status: 404});
     }
 
+    // --- Partition RPC Methods ---
     /**
-     * Runs aggregation queries against the raw `events` table.
-     * This version is more robust and handles cases with no data.
+     * Stores a batch of events in this partition, registering the partition
+     * with the directory on its first write.
+     * @param {{name: string, routeHost: string|null, day: string}} partition - This partition, from `getEventPartition`.
+     * @param {object[]} events - The events, as built by the worker's event logger.
      */
-    async runAggregation() {
-        console.log("EventLogsDO: Starting analytics aggregation...");
-        try {
-            const sql = this.ctx.storage.sql;
-            const since = Date.now() - (24 * 60 * 60 * 1000); // Last 24 hours
-
-            const queries = [
-                sql.exec("SELECT action, COUNT(*) AS count FROM events WHERE timestamp > ? GROUP BY action", [since]),
-                sql.exec("SELECT COUNT(*) AS count FROM events WHERE timestamp > ?", [since]),
-                sql.exec("SELECT COUNT(*) AS count FROM events WHERE action = 'BLOCK' AND timestamp > ?", [since]),
-                sql.exec("SELECT country, COUNT(*) AS count FROM events WHERE action = 'BLOCK' AND country IS NOT NULL AND timestamp > ? GROUP BY country ORDER BY count DESC LIMIT 5", [since]),
-                sql.exec("SELECT asn, COUNT(*) AS count FROM events WHERE action = 'BLOCK' AND asn IS NOT NULL AND timestamp > ? GROUP BY asn ORDER BY count DESC LIMIT 5", [since]),
-                sql.exec("SELECT rule_id, COUNT(*) AS count FROM events WHERE rule_id IS NOT NULL AND timestamp > ? GROUP BY rule_id ORDER BY count DESC LIMIT 5", [since]),
-                sql.exec("SELECT timestamp FROM events WHERE timestamp > ? ORDER BY timestamp ASC", [since])
-            ];
-            try {
-                const results = await Promise.all(queries);
-                console.log("EventLogsDO: Analytics aggregation queries complete.");
-            } catch (e) {
-                console.log("EventLogsDO: Analytics aggregation failed. Queries: ", JSON.stringify(queries));
-                console.error("EventLogsDO: Analytics aggregation failed.", e);
+    async writeEvents(partition, events) {
+        await this.ensureRegistered(partition);
+        for (const logEntry of events) await this.insertEvent(logEntry);
+        await addToRollups(this.ctx.storage.sql, events);
+    }
+
+    async ensureRegistered(partition) {
+        if (this.registered) return;
+        const sql = this.ctx.storage.sql;
+        const {results} = await sql.exec("SELECT name FROM partition_info WHERE id = 1");
+        if (results.length === 0) {
+            await getEventLogDirectory(this.env).registerPartition(partition);
+            await sql.exec("INSERT INTO partition_info (id, name, route_host, day) VALUES (1, ?, ?, ?)", [partition.name, partition.routeHost, partition.day]);
+        }
+        this.registered = true;
+    }
+
+    /**
+     * Stores one event, as sent by the worker's event logger.
+     * @param {object} logEntry - The decision's action, rule, context, route host, shadow and log-only flags and
+     *     sample rate, with the request's headers and `cf` properties.
+     */
+    async insertEvent(logEntry) {
+        await this.ctx.storage.sql.exec(
+            `INSERT INTO
+                 events (id,
+                         timestamp,
+                         action,
+                         rule_id,
+                         context,
+                         route_host,
+                         ip_address,
+                         user_agent,
+                         country,
+                         asn,
+                         colo,
+                         cf_blob,
+                         headers,
+                         shadow,
+                         sample_rate,
+                         log_only)
+                 VALUES
+                     (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                crypto.randomUUID(),
+                logEntry.timestamp || Date.now(),
+                logEntry.action,
+                logEntry.ruleId,
+                logEntry.context,
+                logEntry.routeHost,
+                logEntry.request?.headers['cf-connecting-ip'],
+                logEntry.request?.headers['user-agent'],
+                logEntry.request?.cf?.country,
+                logEntry.request?.cf?.asn,
+                logEntry.request?.cf?.colo,
+                JSON.stringify(logEntry.request?.cf || {}),
+                JSON.stringify(logEntry.request?.headers || {}),
+                logEntry.shadow ? 1 : 0,
+                logEntry.sampleRate ?? 1,
+                logEntry.logOnly ? 1 : 0
+            ]
+        );
+    }
+
+    /**
+     * Runs a SQL console query against this partition's events in a time
+     * range. The query is checked again here, so no caller can run anything
+     * the sandbox rejects, and reads at most `MAX_CONSOLE_SCANNED_ROWS` events.
+     * @param {string} query - A SELECT statement over `events`.
+     * @param {Array} params - The query's parameters.
+     * @param {{since: number, until: number}} range - The time range of the events read, in milliseconds.
+     * @returns {Promise<{rows: object[], scanCutOff: boolean}>} The rows, at most one more than
+     *     `MAX_CONSOLE_ROWS`, and whether the range holds more events than the query read.
+     * @throws {Error} If the sandbox rejects the query.
+     */
+    async queryEvents(query, params, {since, until}) {
+        const prepared = prepareConsoleQuery(query, params, {since, until});
+        if (prepared.error) throw new Error(prepared.error);
+        const sql = this.ctx.storage.sql;
+        const {results} = await sql.exec(prepared.sql, prepared.params);
+        const {results: [{count}]} = await sql.exec(
+            "SELECT COUNT(*) AS count FROM (SELECT 1 FROM events WHERE timestamp >= ? AND timestamp <= ? LIMIT ?)",
+            [since, until, MAX_CONSOLE_SCANNED_ROWS + 1]
+        );
+        return {rows: results, scanCutOff: count > MAX_CONSOLE_SCANNED_ROWS};
+    }
+
+    /**
+     * Reads this partition's rollups for a timeseries.
+     * @param {object} query - A query from `parseTimeseriesQuery`.
+     * @returns {Promise<object[]>} The rollup rows, from `queryRollups`.
+     */
+    async getRollups(query) {
+        return queryRollups(this.ctx.storage.sql, query);
+    }
+
+    /**
+     * Computes this partition's share of the analytics summary. Counts are not
+     * rounded or cut to a top 5 here, so the directory can add them up.
+     * @param {number} since - The start of the window, in milliseconds.
+     * @param {{withTimeseries?: boolean}} [options] - Whether to include the hourly request counts.
+     * @returns {Promise<object>} The partial summary.
+     */
+    async summarizeEvents(since, {withTimeseries = true} = {}) {
+        const sql = this.ctx.storage.sql;
+        // Sampled ALLOWs stand for 1 / sample_rate requests each; log-only rows count as rule hits, not requests.
+        const [actions, total, blocked, countries, asns, rules, timeseries] = await Promise.all([
+            sql.exec("SELECT action, SUM(1.0 / sample_rate) AS count FROM events WHERE shadow = 0 AND log_only = 0 AND timestamp > ? GROUP BY action", [since]),
+            sql.exec("SELECT SUM(1.0 / sample_rate) AS count FROM events WHERE shadow = 0 AND log_only = 0 AND timestamp > ?", [since]),
+            sql.exec("SELECT COUNT(*) AS count FROM events WHERE action = 'BLOCK' AND shadow = 0 AND log_only = 0 AND timestamp > ?", [since]),
+            sql.exec("SELECT country, COUNT(*) AS count FROM events WHERE action = 'BLOCK' AND shadow = 0 AND log_only = 0 AND country IS NOT NULL AND timestamp > ? GROUP BY country", [since]),
+            sql.exec("SELECT asn, COUNT(*) AS count FROM events WHERE action = 'BLOCK' AND shadow = 0 AND log_only = 0 AND asn IS NOT NULL AND timestamp > ? GROUP BY asn", [since]),
+            sql.exec("SELECT rule_id, COUNT(*) AS count FROM events WHERE rule_id IS NOT NULL AND shadow = 0 AND timestamp > ? GROUP BY rule_id", [since]),
+            withTimeseries
+                ? sql.exec("SELECT bucket AS timestamp, SUM(requests) AS count FROM rollups_hour WHERE bucket > ? - 3600000 GROUP BY bucket", [since])
+                : {results: []}
+        ]);
+        return {
+            total: total.results[0]?.count || 0,
+            blocked: blocked.results[0]?.count || 0,
+            actions: actions.results,
+            countries: countries.results,
+            asns: asns.results,
+            rules: rules.results,
+            timeseries: timeseries.results
+        };
+    }
+
+    /**
+     * Counts each rule's shadow and enforced hits in this partition.
+     * @param {number} since - The start of the window, in milliseconds.
+     * @returns {Promise<object[]>} One row per rule, context and route host that has shadow hits.
+     */
+    async getShadowHits(since) {
+        const {results} = await this.ctx.storage.sql.exec(
+            `SELECT rule_id, context, route_host,
+                    SUM(shadow)                                     AS shadow_hits,
+                    SUM(1 - shadow)                                 AS enforced_hits,
+                    MAX(CASE WHEN shadow = 1 THEN timestamp END)    AS last_shadow_hit
+             FROM events
+             WHERE rule_id IS NOT NULL AND timestamp > ?
+             GROUP BY rule_id, context, route_host
+             HAVING SUM(shadow) > 0`,
+            [since]
+        );
+        return results;
+    }
+
+    /**
+     * Archives all of this partition's events as one NDJSON object, oldest
+     * first, reading them a page at a time.
+     * @param {string} key - The archive object key.
+     * @returns {Promise<number>} The number of events archived.
+     */
+    async archiveEvents(key) {
+        const sql = this.ctx.storage.sql;
+        let last = null;
+        return archiveNdjson(getArchiveBucket(this.env, {archive_enabled: true}), key, async () => {
+            const {results} = last
+                ? await sql.exec("SELECT * FROM events WHERE (timestamp, id) > (?, ?) ORDER BY timestamp, id LIMIT ?", [last.timestamp, last.id, RETENTION_BATCH_SIZE])
+                : await sql.exec("SELECT * FROM events ORDER BY timestamp, id LIMIT ?", [RETENTION_BATCH_SIZE]);
+            if (results.length > 0) last = results[results.length - 1];
+            return results;
+        });
+    }
+
+    /**
+     * Deletes all of this partition's storage. The empty tables are created
+     * again, so a late write to the same partition still succeeds.
+     */
+    async dropPartition() {
+        await this.ctx.storage.deleteAll();
+        this.registered = false;
+        await this.initializeDatabase();
+    }
+
+    // --- Directory RPC Methods ---
+    /**
+     * Records that a partition exists. Called by the partition on its first write.
+     * @param {{name: string, routeHost: string|null, day: string}} partition - The partition.
+     */
+    async registerPartition({name, routeHost, day}) {
+        await ensureRetentionAlarm(this.ctx.storage);
+        await this.ctx.storage.sql.exec(
+            "INSERT OR IGNORE INTO partitions (name, route_host, day, created_at) VALUES (?, ?, ?, ?)",
+            [name, routeHost, day, Date.now()]
+        );
+    }
+
+    /**
+     * Lists the partitions that can hold events in a time range.
+     * @param {{since?: number, until?: number, routeHost?: string}} [filter] - The range, in milliseconds, and the
+     *     route host (`global` for events with no route).
+     * @returns {Promise<object[]>} The partitions, oldest first.
+     */
+    async listPartitions({since, until, routeHost} = {}) {
+        const conditions = [];
+        const params = [];
+        if (since !== undefined && since !== null) {
+            conditions.push('day >= ?');
+            params.push(_toPartitionDay(since));
+        }
+        if (until !== undefined && until !== null) {
+            conditions.push('day <= ?');
+            params.push(_toPartitionDay(until));
+        }
+        if (routeHost) {
+            conditions.push(routeHost === 'global' ? 'route_host IS NULL' : 'route_host = ?');
+            if (routeHost !== 'global') params.push(routeHost);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const {results} = await this.ctx.storage.sql.exec(`SELECT name, route_host, day, created_at FROM partitions ${where} ORDER BY day, name`, params);
+        return results;
+    }
+
+    /**
+     * Drops a partition's storage and removes it from the directory.
+     * @param {string} name - The partition's name.
+     * @returns {Promise<boolean>} False if the directory does not know the partition.
+     */
+    async deletePartition(name) {
+        const {results} = await this.ctx.storage.sql.exec("SELECT name FROM partitions WHERE name = ?", [name]);
+        if (results.length === 0) return false;
+        await getEventPartitionStub(this.env, name).dropPartition();
+        await this.ctx.storage.sql.exec("DELETE FROM partitions WHERE name = ?", [name]);
+        return true;
+    }
+
+    /**
+     * Calls every partition in parallel. A partition that fails, or does not
+     * answer within the time limit, is reported rather than failing the whole
+     * query. The time limit only stops the wait: the partition's call is not
+     * cancelled and runs to its end.
+     * @param {object[]} partitions - Directory rows, from `listPartitions`.
+     * @param {function(object): Promise<*>} call - Calls the partition's stub.
+     * @param {{timeoutMs?: number}} [options] - How long to wait for the partitions, if limited.
+     * @returns {Promise<{results: {partition: object, result: *}[], errors: {partition: string, error: string, timedOut?: boolean}[]}>}
+     */
+    async fanOut(partitions, call, {timeoutMs} = {}) {
+        let timer;
+        const timeout = new Error(`No answer within ${timeoutMs} ms.`);
+        const deadline = timeoutMs && new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(timeout), timeoutMs);
+        });
+        const settled = await Promise.allSettled(partitions.map(partition => {
+            const answer = call(getEventPartitionStub(this.env, partition.name));
+            return deadline ? Promise.race([answer, deadline]) : answer;
+        }));
+        clearTimeout(timer);
+        const results = [];
+        const errors = [];
+        settled.forEach((outcome, index) => {
+            if (outcome.status === 'fulfilled') {
+                results.push({partition: partitions[index], result: outcome.value});
+            } else {
+                console.error(`EventLogsDO: Partition ${partitions[index].name} failed.`, outcome.reason);
+                const error = {partition: partitions[index].name, error: outcome.reason?.message || String(outcome.reason)};
+                errors.push(outcome.reason === timeout ? {...error, timedOut: true} : error);
             }
+        });
+        return {results, errors};
+    }
 
+    /**
+     * The directory's retention alarm. A run that hits its bounds comes back
+     * shortly to continue; one that is done comes back at the next interval.
+     */
+    async alarm() {
+        const globalDO = this.env.WAFU_GLOBAL_DO.get(this.env.WAFU_GLOBAL_DO.idFromName('singleton'));
+        const {done} = await this.runRetention(await globalDO.getRetentionConfig());
+        await this.ctx.storage.setAlarm(Date.now() + (done ? RETENTION_INTERVAL_MS : RETENTION_CONTINUE_MS));
+    }
 
-            const actions = results[0].results;
-            const total = results[1].results;
-            const blocked = results[2].results;
-            const topCountries = results[3].results;
-            const topAsns = results[4].results;
-            const topRules = results[5].results;
-            const timeseries = results[6].results;
-
-            const summary = {
-                totalRequests: (total && total.length > 0) ? total[0].count : 0,
-                threatsBlocked: (blocked && blocked.length > 0) ? blocked[0].count : 0,
-                eventsByAction: actions || [],
-                topBlockedCountries: topCountries || [],
-                topBlockedAsns: topAsns || [],
-                topTriggeredRules: topRules || [],
-                eventsTimeseries: timeseries || [],
-            };
+    /**
+     * Applies the retention config, within the bounds of one alarm run:
+     * expired partitions are summarized into `partition_aggregates`, archived
+     * if archiving is enabled, and dropped; expired daily aggregates and any
+     * events stored on the directory itself are deleted.
+     * @param {object} config - The retention config.
+     * @param {number} [now] - The current time, in milliseconds.
+     * @returns {Promise<{droppedPartitions: number, deletedEvents: number, deletedAggregates: number, done: boolean}>}
+     */
+    async runRetention(config, now = Date.now()) {
+        const sql = this.ctx.storage.sql;
+        const bucket = getArchiveBucket(this.env, config);
+        const eventCutoff = getRetentionCutoff(config.event_days, now);
 
+        const {results: expired} = await sql.exec(
+            "SELECT name, route_host, day FROM partitions WHERE day < ? ORDER BY day LIMIT ?",
+            [_toPartitionDay(eventCutoff), RETENTION_MAX_BATCHES]
+        );
+        for (const partition of expired) {
+            const stub = getEventPartitionStub(this.env, partition.name);
+            const {timeseries, ...aggregate} = await stub.summarizeEvents(0, {withTimeseries: false});
             await sql.exec(
+                "INSERT OR REPLACE INTO partition_aggregates (name, route_host, day, data) VALUES (?, ?, ?, ?)",
+                [partition.name, partition.route_host, partition.day, JSON.stringify(aggregate)]
+            );
+            await this.keepDayRollups(await stub.getRollups({since: 0, until: Number.MAX_SAFE_INTEGER, granularity: 'day', groupBy: ROLLUP_DIMENSIONS}));
+            if (bucket) await stub.archiveEvents(`events/${partition.route_host || 'global'}/${partition.day}.ndjson.gz`);
+            await this.deletePartition(partition.name);
+        }
+
+        // Events written before the log was partitioned live on the directory itself.
+        const legacy = await deleteExpiredRows(sql, 'events', eventCutoff, {
+            beforeDelete: bucket ? rows => archiveRows(bucket, `events/unpartitioned/${rows[0].timestamp}-${rows[0].id}.ndjson.gz`, rows) : undefined
+        });
+
+        const aggregateCutoffDay = _toPartitionDay(getRetentionCutoff(config.aggregate_days, now));
+        const {results: expiredAggregates} = await sql.exec(
+            "SELECT name FROM partition_aggregates WHERE day < ? LIMIT ?",
+            [aggregateCutoffDay, RETENTION_BATCH_SIZE]
+        );
+        if (expiredAggregates.length > 0) {
+            const names = expiredAggregates.map(row => row.name);
+            await sql.exec(`DELETE FROM partition_aggregates WHERE name IN (${names.map(() => '?').join(', ')})`, names);
+        }
+        await sql.exec("DELETE FROM rollups_day WHERE bucket < ?", [Date.parse(aggregateCutoffDay)]);
+
+        return {
+            droppedPartitions: expired.length,
+            deletedEvents: legacy.deleted,
+            deletedAggregates: expiredAggregates.length,
+            done: expired.length < RETENTION_MAX_BATCHES && legacy.done && expiredAggregates.length < RETENTION_BATCH_SIZE
+        };
+    }
+
+    /**
+     * Adds a dropped partition's day rollups to the directory's.
+     * @param {object[]} rows - The partition's day rollups, grouped by every dimension.
+     */
+    async keepDayRollups(rows) {
+        for (const row of rows) {
+            await this.ctx.storage.sql.exec(
+                `INSERT INTO rollups_day (bucket, route_host, action, rule_id, country, asn, events, requests)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT (bucket, route_host, action, rule_id, country, asn)
+                     DO UPDATE SET events = events + excluded.events, requests = requests + excluded.requests`,
+                [row.bucket, row.route_host, row.action, row.rule_id, row.country, row.asn, row.events, row.requests]
+            );
+        }
+    }
+
+    /**
+     * Builds the 24-hour analytics summary from the partitions' shares and
+     * stores it for the summary API.
+     */
+    async runAggregation() {
+        console.log("EventLogsDO: Starting analytics aggregation...");
+        await ensureRetentionAlarm(this.ctx.storage);
+        try {
+            const since = Date.now() - SUMMARY_WINDOW_MS;
+            const {results, errors} = await this.fanOut(await this.listPartitions({since}), partition => partition.summarizeEvents(since));
+            const summary = {..._mergeSummaries(results.map(({result}) => result)), partitionErrors: errors};
+
+            await this.ctx.storage.sql.exec(
                 "INSERT OR REPLACE INTO analytics_summary_24h (id, last_updated, data) VALUES (1, ?, ?)",
                 [Date.now(), JSON.stringify(summary)]
             );
@@ -185,3 +652,73 @@ export class EventLogsDO extends DurableObject {
         }
     }
 }
+
+function _toPartitionDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Adds up `count` per key across partitions and returns the largest first.
+function _sumCounts(lists, key, limit) {
+    const totals = new Map();
+    for (const row of lists.flat()) totals.set(row[key], (totals.get(row[key]) || 0) + row.count);
+    const rows = [...totals].map(([value, count]) => ({[key]: value, count: Math.round(count)})).sort((a, b) => b.count - a.count);
+    return limit ? rows.slice(0, limit) : rows;
+}
+
+function _mergeSummaries(partials) {
+    return {
+        totalRequests: Math.round(partials.reduce((sum, partial) => sum + partial.total, 0)),
+        threatsBlocked: partials.reduce((sum, partial) => sum + partial.blocked, 0),
+        eventsByAction: _sumCounts(partials.map(partial => partial.actions), 'action'),
+        topBlockedCountries: _sumCounts(partials.map(partial => partial.countries), 'country', 5),
+        topBlockedAsns: _sumCounts(partials.map(partial => partial.asns), 'asn', 5),
+        topTriggeredRules: _sumCounts(partials.map(partial => partial.rules), 'rule_id', 5),
+        eventsTimeseries: _sumCounts(partials.map(partial => partial.timeseries), 'timestamp').sort((a, b) => a.timestamp - b.timestamp)
+    };
+}
+
+function _mergeShadowHits(results) {
+    const merged = new Map();
+    for (const row of results.flatMap(({result}) => result)) {
+        const key = JSON.stringify([row.rule_id, row.context, row.route_host]);
+        const existing = merged.get(key);
+        if (!existing) {
+            merged.set(key, {...row});
+        } else {
+            existing.shadow_hits += row.shadow_hits;
+            existing.enforced_hits += row.enforced_hits;
+            existing.last_shadow_hit = Math.max(existing.last_shadow_hit || 0, row.last_shadow_hit || 0) || null;
+        }
+    }
+    return [...merged.values()].sort((a, b) => b.shadow_hits - a.shadow_hits);
+}
+
+/**
+ * Returns the partition an event belongs to.
+ * @param {string|null} routeHost - The event's route host, or null for events with no route.
+ * @param {number} timestamp - The event's time, in milliseconds.
+ * @returns {{name: string, routeHost: string|null, day: string}} The partition.
+ */
+export function getEventPartition(routeHost, timestamp) {
+    const day = _toPartitionDay(timestamp);
+    return {name: `events:${routeHost || 'global'}:${day}`, routeHost: routeHost || null, day};
+}
+
+/**
+ * Returns the stub of an event log partition.
+ * @param {object} env - The worker or Durable Object environment.
+ * @param {string} name - The partition's name.
+ * @returns {DurableObjectStub} The partition's `EventLogsDO`.
+ */
+export function getEventPartitionStub(env, name) {
+    return env.WAFU_EVENT_LOGS_DO.get(env.WAFU_EVENT_LOGS_DO.idFromName(name));
+}
+
+/**
+ * Returns the stub of the event log directory.
+ * @param {object} env - The worker or Durable Object environment.
+ * @returns {DurableObjectStub} The directory's `EventLogsDO`.
+ */
+export function getEventLogDirectory(env) {
+    return getEventPartitionStub(env, EVENT_LOG_DIRECTORY);
+}
@@ -9,7 +9,18 @@
  */
 
 import {DurableObject} from "cloudflare:workers";
-import {getRequestData, evaluateExpression} from './utils.js';
+import {getRequestData, compileRules, explainRule, readRuleFromRequest, loadReferencedLists, addMissingColumns, parseRuleRow, loadRule} from './utils.js';
+import {checkRateLimit} from './rate-limit-do.js';
+import {getChallengeScope} from './challenge.js';
+import {DEFAULT_MAX_BODY_SIZE, hasRequestBody} from './body-inspection.js';
+import {DEFAULT_ALLOW_SAMPLE_RATE} from './event-logger.js';
+import {compileManagedRules, evaluateManagedRules, handleManagedRulesApi, initializeManagedRulesTable, loadManagedRulesConfig} from './managed-rules.js';
+import {addRuleScore, createScoreTally, getScoreDecision, handleScoringApi, initializeScoringTable, loadScoringConfig, summarizeScore} from './anomaly-scoring.js';
+import {handleRetentionApi, initializeRetentionTable, loadRetentionConfig} from './retention.js';
+import {auditConfigChange, flushAuditOutbox, getAuditUserId, initializeAuditOutbox, queueAuditLog} from './audit-logs-do.js';
+import {previewRevert, revertAuditEntry} from './audit-revert.js';
+import {authenticateUser, getSessionUser, handleUsersApi, initializeUsersTable} from './users.js';
+import {handleRouteSettingsApi, loadRouteSettings} from './route-settings.js';
 
 // The class now extends DurableObject
 export class GlobalRulesDO extends DurableObject {
@@ -18,6 +29,10 @@ export class GlobalRulesDO extends DurableObject {
         this.ctx = ctx;
         this.env = env;
         this.cache = null;
+        this.compiledRules = [];
+        this.lists = {};
+        this.managedRules = null;
+        this.scoringConfig = null;
 
         // Use this.ctx.waitUntil to run initialization without blocking the constructor
         this.ctx.waitUntil(this.initializeDatabase());
@@ -29,17 +44,26 @@ export class GlobalRulesDO extends DurableObject {
     async initializeDatabase() {
         // The storage API is now on this.ctx.storage
         const sql = this.ctx.storage.sql;
-        await sql.exec(`CREATE TABLE IF NOT EXISTS global_rules (id TEXT PRIMARY KEY, name TEXT, description TEXT, enabled INTEGER, action TEXT, expression TEXT, tags TEXT, priority INTEGER, trigger_alert INTEGER, block_http_code INTEGER)`);
-        await sql.exec(`CREATE TABLE IF NOT EXISTS routes (id TEXT PRIMARY KEY, incominghost TEXT UNIQUE, origin_type TEXT, origin_url TEXT, origin_service_name TEXT, enabled INTEGER)`);
-        await sql.exec(`CREATE TABLE IF NOT EXISTS users (id TEXT PRIMARY KEY, username TEXT UNIQUE, password_hash TEXT, role TEXT, created_at INTEGER)`);
+        await sql.exec(`CREATE TABLE IF NOT EXISTS global_rules (id TEXT PRIMARY KEY, name TEXT, description TEXT, enabled INTEGER, action TEXT, expression TEXT, tags TEXT, priority INTEGER, trigger_alert INTEGER, block_http_code INTEGER, type TEXT DEFAULT 'CUSTOM', rate_limit TEXT, score INTEGER, category TEXT, shadow INTEGER NOT NULL DEFAULT 0)`);
+        await addMissingColumns(sql, 'global_rules', {type: "TEXT DEFAULT 'CUSTOM'", rate_limit: 'TEXT', score: 'INTEGER', category: 'TEXT', shadow: 'INTEGER NOT NULL DEFAULT 0'});
+        await sql.exec(`CREATE TABLE IF NOT EXISTS routes (id TEXT PRIMARY KEY, incominghost TEXT UNIQUE, origin_type TEXT, origin_url TEXT, origin_service_name TEXT, enabled INTEGER, inspect_body INTEGER DEFAULT 0, max_body_size INTEGER DEFAULT ${DEFAULT_MAX_BODY_SIZE}, shadow INTEGER DEFAULT 0, allow_sample_rate REAL DEFAULT ${DEFAULT_ALLOW_SAMPLE_RATE})`);
+        await addMissingColumns(sql, 'routes', {inspect_body: 'INTEGER DEFAULT 0', max_body_size: `INTEGER DEFAULT ${DEFAULT_MAX_BODY_SIZE}`, shadow: 'INTEGER DEFAULT 0', allow_sample_rate: `REAL DEFAULT ${DEFAULT_ALLOW_SAMPLE_RATE}`});
+        await initializeUsersTable(sql);
         await sql.exec(`CREATE TABLE IF NOT EXISTS gates (id TEXT PRIMARY KEY, name TEXT, jwt_secret TEXT, access_token_ttl_seconds INTEGER, refresh_token_ttl_seconds INTEGER)`);
         await sql.exec(`CREATE TABLE IF NOT EXISTS threat_feeds (id TEXT PRIMARY KEY, name TEXT, url TEXT, enabled INTEGER, refresh_schedule TEXT, last_updated_at INTEGER, last_update_status TEXT, last_update_error TEXT, item_count INTEGER, kv_size_bytes INTEGER, type TEXT)`);
         await sql.exec(`CREATE TABLE IF NOT EXISTS integrations (id TEXT PRIMARY KEY, name TEXT, type TEXT, url TEXT, enabled INTEGER)`);
         await sql.exec(`CREATE TABLE IF NOT EXISTS error_pages (http_code INTEGER PRIMARY KEY, name TEXT, description TEXT, content_type TEXT, body TEXT)`);
+        await initializeManagedRulesTable(sql);
+        await initializeScoringTable(sql);
+        await initializeRetentionTable(sql);
+        await initializeAuditOutbox(sql);
     }
 
     /**
-     * Loads the entire configuration from SQLite into the in-memory cache.
+     * Loads the entire configuration from SQLite into the in-memory cache and
+     * compiles the enabled global rules, in priority order, and the global
+     * managed ruleset for evaluation. The global anomaly scoring config is
+     * loaded alongside them.
      */
     async loadCache() {
         if (this.cache) return;
@@ -52,55 +76,217 @@ export class GlobalRulesDO extends DurableObject {
 
         const [routesRes, globalRulesRes, errorPagesRes] = await Promise.all([routesPromise, globalRulesPromise, errorPagesPromise]);
 
-        this.cache = {
+        const cache = {
             routes: routesRes.results,
-            globalRules: globalRulesRes.results.map(r => ({
-                ...r,
-                expression: JSON.parse(r.expression),
-                tags: JSON.parse(r.tags)
-            })),
+            globalRules: globalRulesRes.results.map(parseRuleRow),
             errorPages: errorPagesRes.results,
         };
+        const lists = await loadReferencedLists(cache.globalRules, this.env.WAFU_LOOKUP_TABLES);
+        this.compiledRules = compileRules(cache.globalRules, lists);
+        this.lists = lists;
+        this.managedRules = compileManagedRules(await loadManagedRulesConfig(sql));
+        this.scoringConfig = await loadScoringConfig(sql);
+        this.cache = cache;
+    }
+
+    // --- RPC Method for the Log Retention Alarms ---
+    /**
+     * Returns the retention config enforced by `EventLogsDO` and `AuditLogsDO`.
+     * @returns {Promise<object>} The config.
+     */
+    async getRetentionConfig() {
+        return loadRetentionConfig(this.ctx.storage.sql);
+    }
+
+    // --- RPC Methods for Admin Sign-In ---
+    /**
+     * Checks an admin user's credentials.
+     * @param {string} username - The username.
+     * @param {string} password - The password.
+     * @returns {Promise<object|null>} The user, without the password hash, or null if the credentials are wrong.
+     */
+    async authenticateUser(username, password) {
+        return authenticateUser(this.ctx.storage.sql, username, password);
+    }
+
+    /**
+     * Returns the current account of a signed-in session's user.
+     * @param {string} userId - The session's user ID.
+     * @param {number} [issuedAt] - When the session's token was issued, in seconds.
+     * @returns {Promise<object|null>} The user, or null if the account no longer exists or its password
+     *     changed after the token was issued.
+     */
+    async getSessionUser(userId, issuedAt) {
+        return getSessionUser(this.ctx.storage.sql, userId, issuedAt);
     }
 
     // --- RPC Method for WAF Evaluation ---
-    async evaluate(wafRequestPayload) {
+    /**
+     * Evaluates the global rules against a request.
+     * @param {object} wafRequestPayload - The serialized request.
+     * @param {{clearedScope?: string|null, simulate?: boolean}} [options] - The scope of the client's challenge
+     *     clearance, if any: CHALLENGE rules are skipped when it matches the request's route, except that CHALLENGE
+     *     rate limits still count the client and BLOCK it once it is over the limit. With `simulate`, rate limit
+     *     counters are left untouched (RATE_LIMIT rules count as under their limit) and the decision carries
+     *     a `trace` of every rule evaluated, with its conditions.
+     * @returns {Promise<object>} The decision. When the matched route inspects bodies and the payload does not
+     *     carry one yet, no rules are run and the action is `INSPECT_BODY`: the worker buffers the body and
+     *     calls again. With anomaly scoring enabled, the decision carries the accumulated score. Shadowed rules
+     *     that matched do not decide anything; they are listed in `shadowMatches` with their would-be action.
+     *     Likewise, a managed ruleset LOG decision is listed in `logMatches` and evaluation goes on.
+     */
+    async evaluate(wafRequestPayload, {clearedScope = null, simulate = false} = {}) {
         await this.loadCache();
         const requestData = getRequestData(wafRequestPayload);
-        const activeGlobalRules = (this.cache.globalRules || []).filter(r => r.enabled).sort((a, b) => a.priority - b.priority);
+        const matchedRoute = this.findMatchingRoute(wafRequestPayload.headers.host, this.cache.routes || []);
+        const challengeCleared = clearedScope !== null && clearedScope === getChallengeScope(matchedRoute);
+        const trace = simulate ? [] : null;
+        const shadowMatches = [];
+        const logMatches = [];
+        const decide = (decision) => {
+            if (shadowMatches.length > 0) decision.shadowMatches = shadowMatches;
+            if (logMatches.length > 0) decision.logMatches = logMatches;
+            if (trace) decision.trace = trace;
+            return decision;
+        };
 
-        for (const rule of activeGlobalRules) {
-            if (evaluateExpression(rule.expression, requestData)) {
-                let blockResponse = this.cache.errorPages.find(p => p.http_code === (rule.block_http_code || 403));
-                if (!blockResponse) {
-                    blockResponse = {http_code: 403, content_type: 'text/html', body: '<h1>Forbidden</h1>'};
+        if (matchedRoute?.inspect_body && !wafRequestPayload.body && hasRequestBody(wafRequestPayload)) {
+            return {action: 'INSPECT_BODY', matchedRoute};
+        }
+
+        // The managed ruleset runs first, so an ALLOW rule cannot exempt traffic from attack detection.
+        // A LOG match is only recorded, like a shadow match, so it cannot let the request past the rules below.
+        const managedDecision = evaluateManagedRules(this.managedRules, requestData);
+        if (managedDecision?.action === 'LOG') {
+            logMatches.push({ruleId: managedDecision.matchedRuleId, action: 'LOG', managedMatches: managedDecision.managedMatches});
+        } else if (managedDecision && !(managedDecision.action === 'CHALLENGE' && challengeCleared)) {
+            return decide({...managedDecision, ...this.getBlockResponse(403), matchedRoute});
+        }
+
+        const tally = createScoreTally(this.scoringConfig);
+        for (const {rule, matches} of this.compiledRules) {
+            // A cleared client skips CHALLENGE rules, but is still counted by CHALLENGE rate limits.
+            if (rule.action === 'CHALLENGE' && challengeCleared && rule.type !== 'RATE_LIMIT') continue;
+            // SCORE rules only contribute while global scoring is enabled.
+            if (rule.action === 'SCORE' && !tally) continue;
+            const entry = trace ? explainRule(rule, requestData, this.lists) : null;
+            if (entry) trace.push(entry);
+            if (matches(requestData)) {
+                if (rule.action === 'SCORE') {
+                    if (rule.shadow) shadowMatches.push({ruleId: rule.id, action: rule.action});
+                    else addRuleScore(tally, rule);
+                    continue;
+                }
+
+                let retryAfter;
+                if (rule.type === 'RATE_LIMIT') {
+                    if (simulate) {
+                        entry.rateLimit = 'not counted in simulations';
+                        continue;
+                    }
+                    const limit = await checkRateLimit(this.env.WAFU_RATE_LIMIT_DO, rule, requestData);
+                    if (!limit.limited) continue;
+                    retryAfter = limit.retryAfter;
+                }
+
+                // A shadowed rule only records what it would have done; evaluation goes on as if it had not matched.
+                if (rule.shadow) {
+                    shadowMatches.push({ruleId: rule.id, action: rule.action});
+                    continue;
                 }
 
-                return {
-                    action: rule.action,
+                // A score that has already crossed a threshold outranks a later ALLOW or LOG rule.
+                if (rule.action === 'ALLOW' || rule.action === 'LOG') {
+                    const scoreDecision = getScoreDecision(this.scoringConfig, tally, challengeCleared);
+                    if (scoreDecision) return decide({...scoreDecision, ...summarizeScore(tally), ...this.getBlockResponse(403), matchedRoute});
+                }
+
+                // A cleared client over a CHALLENGE rate limit has solved a challenge already, so it is blocked instead.
+                return decide({
+                    action: rule.action === 'CHALLENGE' && challengeCleared ? 'BLOCK' : rule.action,
                     matchedRuleId: rule.id,
-                    blockResponse: {
-                        statusCode: blockResponse.http_code,
-                        contentType: blockResponse.content_type,
-                        body: blockResponse.body
-                    },
-                    matchedRoute: this.findMatchingRoute(wafRequestPayload.headers.host, this.cache.routes || [])
-                };
+                    retryAfter,
+                    ...summarizeScore(tally),
+                    ...this.getBlockResponse(rule.block_http_code || 403),
+                    matchedRoute
+                });
             }
         }
 
-        const matchedRoute = this.findMatchingRoute(wafRequestPayload.headers.host, this.cache.routes || []);
+        const scoreDecision = getScoreDecision(this.scoringConfig, tally, challengeCleared);
+        if (scoreDecision) {
+            return decide({...scoreDecision, ...summarizeScore(tally), ...this.getBlockResponse(403), matchedRoute});
+        }
+
         if (!matchedRoute) {
-            return {action: 'NONE', matchedRoute: null};
+            return decide({action: 'NONE', matchedRoute: null, ...summarizeScore(tally)});
+        }
+        return decide({action: 'ALLOW', matchedRoute: matchedRoute, ...summarizeScore(tally)});
+    }
+
+    /**
+     * Looks up the configured error page for a block status code.
+     * @param {number} httpCode - The status code to respond with.
+     * @returns {{blockResponse: {statusCode: number, contentType: string, body: string}}} The decision's block response.
+     */
+    getBlockResponse(httpCode) {
+        let blockResponse = this.cache.errorPages.find(p => p.http_code === httpCode);
+        if (!blockResponse) {
+            blockResponse = {http_code: 403, content_type: 'text/html', body: '<h1>Forbidden</h1>'};
         }
-        return {action: 'ALLOW', matchedRoute: matchedRoute};
+        return {
+            blockResponse: {
+                statusCode: blockResponse.http_code,
+                contentType: blockResponse.content_type,
+                body: blockResponse.body
+            }
+        };
+    }
+
+    // --- RPC Methods for Reverting Audit Entries ---
+    /**
+     * Describes what reverting an audit entry of this object would do.
+     * @param {object} entry - The `audit_logs` row.
+     * @returns {Promise<object>} The preview, from `previewRevert`.
+     */
+    async previewRevert(entry) {
+        return previewRevert(this.ctx.storage.sql, entry, {rulesTable: 'global_rules'});
+    }
+
+    /**
+     * Reverts an audit entry of this object.
+     * @param {object} entry - The `audit_logs` row.
+     * @param {string} userId - The user reverting it.
+     * @returns {Promise<{status: number, body: object}>} The API response, from `revertAuditEntry`.
+     */
+    async revertAuditEntry(entry, userId) {
+        const result = await revertAuditEntry(this.ctx.storage.sql, entry, {rulesTable: 'global_rules', userId});
+        this.cache = null;
+        this.ctx.waitUntil(flushAuditOutbox(this.env, this.ctx.storage));
+        return result;
+    }
+
+    /**
+     * Delivers audit entries that could not be delivered when they were queued.
+     */
+    async alarm() {
+        await flushAuditOutbox(this.env, this.ctx.storage);
     }
 
     /**
      * Handles traditional fetch-based requests, primarily for the UI API.
+     * Every change made through the API is audited; its entry is delivered to
+     * the audit log once the response is sent.
      */
     async fetch(request) {
+        const response = await this.handleApiRequest(request);
+        if (request.method !== 'GET') this.ctx.waitUntil(flushAuditOutbox(this.env, this.ctx.storage));
+        return response;
+    }
+
+    async handleApiRequest(request) {
         const url = new URL(request.url);
+        const sql = this.ctx.storage.sql;
 
         if (request.method !== 'GET' && url.pathname.startsWith('/api/')) {
             this.cache = null;
@@ -115,11 +301,39 @@ export class GlobalRulesDO extends DurableObject {
             return this.handleRulesApi(request);
         }
 
+        const usersMatch = url.pathname.match(/^\/api\/global\/users(?:\/([^/]+))?$/);
+        if (usersMatch) {
+            return handleUsersApi(request, sql, usersMatch[1] ? decodeURIComponent(usersMatch[1]) : null);
+        }
+
+        if (url.pathname === '/api/global/managed-rules') {
+            const audit = {context: 'global', action: 'UPDATE_MANAGED_RULES', targetId: 'managed-rules', load: loadManagedRulesConfig};
+            return auditConfigChange(request, sql, audit, () => handleManagedRulesApi(request, sql));
+        }
+
+        if (url.pathname === '/api/global/anomaly-scoring') {
+            const audit = {context: 'global', action: 'UPDATE_ANOMALY_SCORING', targetId: 'anomaly-scoring', load: loadScoringConfig};
+            return auditConfigChange(request, sql, audit, () => handleScoringApi(request, sql));
+        }
+
+        if (url.pathname === '/api/global/retention') {
+            const audit = {context: 'global', action: 'UPDATE_RETENTION', targetId: 'retention', load: loadRetentionConfig};
+            return auditConfigChange(request, sql, audit, () => handleRetentionApi(request, sql));
+        }
+
+        const routeSettingsMatch = url.pathname.match(/^\/api\/routes\/([^/]+)\/settings$/);
+        if (routeSettingsMatch) {
+            const routeId = decodeURIComponent(routeSettingsMatch[1]);
+            const audit = {context: routeId, action: 'UPDATE_ROUTE_SETTINGS', targetId: 'settings', load: storage => loadRouteSettings(storage, routeId)};
+            return auditConfigChange(request, sql, audit, () => handleRouteSettingsApi(request, sql, routeId));
+        }
+
         return new Response('Not found in GlobalDO', {status: 404});
     }
 
     /**
-     * Handles CRUD operations for global rules.
+     * Handles CRUD operations for global rules. Each change queues an audit
+     * entry with the stored rule before and after it.
      */
     async handleRulesApi(request) {
         const sql = this.ctx.storage.sql;
@@ -127,25 +341,38 @@ export class GlobalRulesDO extends DurableObject {
         const ruleId = url.pathname.split('/').pop();
 
         if (request.method === 'POST') {
-            const rule = await request.json();
+            const {results: existingRules} = await sql.exec("SELECT id, enabled, priority FROM global_rules");
+            const {rule, errorResponse} = await readRuleFromRequest(request, {existingRules, isNew: true});
+            if (errorResponse) return errorResponse;
             await sql.exec(
-                "INSERT INTO global_rules (id, name, description, enabled, action, expression, tags, priority, trigger_alert, block_http_code) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
-                [rule.id, rule.name, rule.description, rule.enabled, rule.action, JSON.stringify(rule.expression), JSON.stringify(rule.tags), rule.priority, rule.trigger_alert, rule.block_http_code]
+                "INSERT INTO global_rules (id, name, description, enabled, action, expression, tags, priority, trigger_alert, block_http_code, type, rate_limit, score, category, shadow) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+                [rule.id, rule.name, rule.description, rule.enabled, rule.action, JSON.stringify(rule.expression), JSON.stringify(rule.tags), rule.priority, rule.trigger_alert, rule.block_http_code, rule.type, rule.rate_limit ? JSON.stringify(rule.rate_limit) : null, rule.score, rule.category, rule.shadow]
             );
+            await queueAuditLog(sql, {userId: getAuditUserId(request), context: 'global', action: 'CREATE_RULE', targetId: rule.id, dataBefore: null, dataAfter: await loadRule(sql, 'global_rules', rule.id)});
             return new Response(JSON.stringify(rule), {status: 201});
         }
 
         if (request.method === 'PUT' && ruleId) {
-            const rule = await request.json();
+            const {results: existingRules} = await sql.exec("SELECT id, enabled, priority FROM global_rules WHERE id != ?", [ruleId]);
+            const {rule, errorResponse} = await readRuleFromRequest(request, {existingRules});
+            if (errorResponse) return errorResponse;
+            const before = await loadRule(sql, 'global_rules', ruleId);
             await sql.exec(
-                "UPDATE global_rules SET name=?, description=?, enabled=?, action=?, expression=?, tags=?, priority=?, trigger_alert=?, block_http_code=? WHERE id=?",
-                [rule.name, rule.description, rule.enabled, rule.action, JSON.stringify(rule.expression), JSON.stringify(rule.tags), rule.priority, rule.trigger_alert, rule.block_http_code, ruleId]
+                "UPDATE global_rules SET name=?, description=?, enabled=?, action=?, expression=?, tags=?, priority=?, trigger_alert=?, block_http_code=?, type=?, rate_limit=?, score=?, category=?, shadow=? WHERE id=?",
+                [rule.name, rule.description, rule.enabled, rule.action, JSON.stringify(rule.expression), JSON.stringify(rule.tags), rule.priority, rule.trigger_alert, rule.block_http_code, rule.type, rule.rate_limit ? JSON.stringify(rule.rate_limit) : null, rule.score, rule.category, rule.shadow, ruleId]
             );
+            if (before) {
+                await queueAuditLog(sql, {userId: getAuditUserId(request), context: 'global', action: 'UPDATE_RULE', targetId: ruleId, dataBefore: before, dataAfter: await loadRule(sql, 'global_rules', ruleId)});
+            }
             return new Response(JSON.stringify(rule));
         }
 
         if (request.method === 'DELETE' && ruleId) {
+            const before = await loadRule(sql, 'global_rules', ruleId);
             await sql.exec("DELETE FROM global_rules WHERE id = ?", [ruleId]);
+            if (before) {
+                await queueAuditLog(sql, {userId: getAuditUserId(request), context: 'global', action: 'DELETE_RULE', targetId: ruleId, dataBefore: before, dataAfter: null});
+            }
             return new Response('Rule deleted');
         }
 
@@ -0,0 +1,204 @@
+/*
+ * =============================================================================
+ * FILE: src/ip-utils.js
+ *
+ * DESCRIPTION:
+ * IP address helpers for the rule engine. It parses and normalizes IPv4 and
+ * IPv6 addresses and provides a binary radix trie for matching an address
+ * against a large set of CIDR prefixes in time proportional to the address
+ * length rather than the number of prefixes.
+ * =============================================================================
+ */
+
+/**
+ * Parses an IPv4 or IPv6 address into its bytes. IPv4-mapped IPv6 addresses
+ * (`::ffff:192.0.2.1`) are returned as IPv4 so both forms match the same prefixes.
+ * @param {string} ip - The address to parse.
+ * @returns {{version: number, bytes: number[]}|null} The parsed address, or null if invalid.
+ */
+export function parseIp(ip) {
+    if (typeof ip !== 'string') return null;
+    let text = ip.trim().toLowerCase();
+    if (text.startsWith('[') && text.endsWith(']')) text = text.slice(1, -1);
+    const zoneIndex = text.indexOf('%');
+    if (zoneIndex !== -1) text = text.slice(0, zoneIndex);
+
+    if (!text.includes(':')) {
+        const bytes = _parseIpv4(text);
+        return bytes ? {version: 4, bytes} : null;
+    }
+
+    const bytes = _parseIpv6(text);
+    if (!bytes) return null;
+    const isMapped = bytes.slice(0, 10).every(b => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+    if (isMapped) return {version: 4, bytes: bytes.slice(12)};
+    return {version: 6, bytes};
+}
+
+function _parseIpv4(text) {
+    const parts = text.split('.');
+    if (parts.length !== 4) return null;
+    const bytes = [];
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part)) return null;
+        const value = Number(part);
+        if (value > 255) return null;
+        bytes.push(value);
+    }
+    return bytes;
+}
+
+function _parseIpv6(text) {
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+
+    const parseGroups = (part) => {
+        if (part === '') return [];
+        const groups = [];
+        const pieces = part.split(':');
+        for (let i = 0; i < pieces.length; i++) {
+            const piece = pieces[i];
+            // The last piece may be an embedded IPv4 address, e.g. `64:ff9b::192.0.2.1`.
+            if (i === pieces.length - 1 && piece.includes('.')) {
+                const v4 = _parseIpv4(piece);
+                if (!v4) return null;
+                groups.push((v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]);
+            } else {
+                if (!/^[0-9a-f]{1,4}$/.test(piece)) return null;
+                groups.push(parseInt(piece, 16));
+            }
+        }
+        return groups;
+    };
+
+    const head = parseGroups(halves[0]);
+    const tail = halves.length === 2 ? parseGroups(halves[1]) : [];
+    if (!head || !tail) return null;
+
+    let groups;
+    if (halves.length === 2) {
+        const missing = 8 - head.length - tail.length;
+        if (missing < 1) return null;
+        groups = [...head, ...new Array(missing).fill(0), ...tail];
+    } else {
+        groups = head;
+    }
+    if (groups.length !== 8) return null;
+    return groups.flatMap(g => [g >> 8, g & 0xff]);
+}
+
+/**
+ * Formats a parsed address in its canonical text form (RFC 5952 for IPv6).
+ * @param {{version: number, bytes: number[]}} parsed - The output of `parseIp`.
+ * @returns {string} The canonical address.
+ */
+export function formatIp(parsed) {
+    if (parsed.version === 4) return parsed.bytes.join('.');
+
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) groups.push((parsed.bytes[i] << 8) | parsed.bytes[i + 1]);
+
+    // Find the longest run of two or more zero groups to compress with `::`.
+    let bestStart = -1, bestLength = 0;
+    for (let i = 0; i < 8;) {
+        if (groups[i] !== 0) {
+            i++;
+            continue;
+        }
+        let j = i;
+        while (j < 8 && groups[j] === 0) j++;
+        if (j - i > bestLength && j - i >= 2) {
+            bestStart = i;
+            bestLength = j - i;
+        }
+        i = j;
+    }
+
+    const hex = groups.map(g => g.toString(16));
+    if (bestStart === -1) return hex.join(':');
+    const head = hex.slice(0, bestStart).join(':');
+    const tail = hex.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+/**
+ * Normalizes an address to its canonical form so equality checks are reliable.
+ * @param {string} ip - The address to normalize.
+ * @returns {string|undefined} The canonical address, or undefined if it is not a valid IP.
+ */
+export function normalizeIp(ip) {
+    const parsed = parseIp(ip);
+    return parsed ? formatIp(parsed) : undefined;
+}
+
+/**
+ * Parses a CIDR prefix such as `10.0.0.0/8` or `2001:db8::/32`. A bare address
+ * is treated as a single-host prefix (/32 or /128).
+ * @param {string} cidr - The prefix to parse.
+ * @returns {{version: number, bytes: number[], prefixLength: number}|null} The parsed prefix, or null if invalid.
+ */
+export function parseCidr(cidr) {
+    if (typeof cidr !== 'string') return null;
+    const [address, length, ...rest] = cidr.trim().split('/');
+    if (rest.length > 0) return null;
+    const parsed = parseIp(address);
+    if (!parsed) return null;
+
+    const maxLength = parsed.version === 4 ? 32 : 128;
+    if (length === undefined) return {...parsed, prefixLength: maxLength};
+    if (!/^\d{1,3}$/.test(length)) return null;
+
+    // A mapped IPv6 prefix (e.g. ::ffff:10.0.0.0/104) keeps its meaning once converted to IPv4.
+    let prefixLength = Number(length);
+    if (parsed.version === 4 && address.includes(':')) prefixLength -= 96;
+    if (prefixLength < 0 || prefixLength > maxLength) return null;
+    return {...parsed, prefixLength};
+}
+
+/**
+ * A binary radix trie of CIDR prefixes, with one root per address family.
+ */
+export class CidrTrie {
+    constructor(prefixes = []) {
+        this.roots = {4: {}, 6: {}};
+        this.size = 0;
+        for (const prefix of prefixes) this.insert(prefix);
+    }
+
+    /**
+     * Adds a prefix to the trie. Invalid prefixes are ignored.
+     * @param {string} cidr - A CIDR prefix or bare address.
+     * @returns {boolean} True if the prefix was added.
+     */
+    insert(cidr) {
+        const parsed = parseCidr(cidr);
+        if (!parsed) return false;
+        let node = this.roots[parsed.version];
+        for (let i = 0; i < parsed.prefixLength; i++) {
+            if (node.terminal) return true; // Already covered by a shorter prefix.
+            const bit = (parsed.bytes[i >> 3] >> (7 - (i & 7))) & 1;
+            node = node[bit] || (node[bit] = {});
+        }
+        node.terminal = true;
+        this.size++;
+        return true;
+    }
+
+    /**
+     * Checks whether an address falls within any prefix in the trie.
+     * @param {string} ip - The address to look up.
+     * @returns {boolean} True if a covering prefix exists.
+     */
+    contains(ip) {
+        const parsed = parseIp(ip);
+        if (!parsed) return false;
+        let node = this.roots[parsed.version];
+        const bitLength = parsed.bytes.length * 8;
+        for (let i = 0; i < bitLength; i++) {
+            if (node.terminal) return true;
+            node = node[(parsed.bytes[i >> 3] >> (7 - (i & 7))) & 1];
+            if (!node) return false;
+        }
+        return !!node.terminal;
+    }
+}
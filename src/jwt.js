@@ -0,0 +1,55 @@
+/*
+ * =============================================================================
+ * FILE: src/jwt.js
+ *
+ * DESCRIPTION:
+ * HS256 JSON Web Token helpers shared by the admin API and the challenge flow.
+ * =============================================================================
+ */
+
+/**
+ * Signs a payload as an HS256 JWT.
+ * @param {object} payload - The claims to sign.
+ * @param {string} secret - The HMAC signing secret.
+ * @returns {Promise<string>} The encoded token.
+ */
+export async function createJwt(payload, secret) {
+    const header = {alg: 'HS256', typ: 'JWT'};
+    const encodedHeader = btoa(JSON.stringify(header)).replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+    const encodedPayload = btoa(JSON.stringify(payload)).replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+    const data = `${encodedHeader}.${encodedPayload}`;
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), {
+        name: 'HMAC',
+        hash: 'SHA-256'
+    }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(data));
+    const encodedSignature = btoa(String.fromCharCode(...new Uint8Array(signature))).replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+    return `${data}.${encodedSignature}`;
+}
+
+/**
+ * Verifies an HS256 JWT's signature and expiry.
+ * @param {string} token - The encoded token.
+ * @param {string} secret - The HMAC signing secret.
+ * @returns {Promise<object|null>} The decoded payload, or null if the token is invalid or expired.
+ */
+export async function verifyJwt(token, secret) {
+    try {
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+        const [header, payload, signature] = parts;
+        const data = `${header}.${payload}`;
+        const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), {
+            name: 'HMAC',
+            hash: 'SHA-256'
+        }, false, ['verify']);
+        const signatureBytes = Uint8Array.from(atob(signature.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+        const isValid = await crypto.subtle.verify('HMAC', key, signatureBytes, new TextEncoder().encode(data));
+        if (!isValid) return null;
+        const decodedPayload = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+        if (decodedPayload.exp && Date.now() / 1000 > decodedPayload.exp) return null;
+        return decodedPayload;
+    } catch (e) {
+        return null;
+    }
+}
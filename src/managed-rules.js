@@ -0,0 +1,378 @@
+/*
+ * =============================================================================
+ * FILE: src/managed-rules.js
+ *
+ * DESCRIPTION:
+ * The built-in managed ruleset: baseline attack signatures, in the spirit of
+ * the OWASP Core Rule Set, for SQL injection, XSS, path traversal, command
+ * injection and scanner user agents. Each signature inspects one or more
+ * targets (the URI path, query parameters, selected headers, the user agent
+ * and, for routes with body inspection, the body) after URL decoding.
+ *
+ * The ruleset is configured per scope (globally or per route) and runs in
+ * one of two modes:
+ *   - `anomaly`: every matching signature adds its score, and the configured
+ *     action applies once the total reaches the anomaly threshold.
+ *   - `first_match`: the first matching signature decides, with its own
+ *     action override or the configured action.
+ * Individual signatures can be disabled or have their score and action
+ * overridden by ID.
+ * =============================================================================
+ */
+
+// Scores follow the CRS severities: critical 5, error 4, warning 3, notice 2.
+export const MANAGED_SIGNATURES = [
+    // --- SQL injection ---
+    {
+        id: 'WAFU-SQLI-001',
+        category: 'sqli',
+        description: 'UNION-based SQL injection',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /\bunion\b(?:\s|\/\*.*?\*\/)+(?:all\s+|distinct\s+)?select\b/i,
+        score: 5
+    },
+    {
+        id: 'WAFU-SQLI-002',
+        category: 'sqli',
+        description: 'Boolean tautology after a closing quote (e.g. \' OR 1=1)',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /['"`)]\s*(?:or|and|\|\||&&)\s+['"`(]?\s*(\w+)\s*['"`)]?\s*(?:=|like)\s*['"`(]?\s*\1\b/i,
+        score: 5
+    },
+    {
+        id: 'WAFU-SQLI-003',
+        category: 'sqli',
+        description: 'Quote followed by a SQL comment terminating the query',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /['"`]\s*(?:;\s*)?(?:--(?:\s|$)|#|\/\*)/,
+        score: 5
+    },
+    {
+        id: 'WAFU-SQLI-004',
+        category: 'sqli',
+        description: 'Stacked query with a data-modifying statement',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /;\s*(?:drop|delete|insert|update|alter|create|truncate|exec(?:ute)?|declare)\s+(?:table|from|into|database|\w+\s+set|@|\w+\s*\()/i,
+        score: 5
+    },
+    {
+        id: 'WAFU-SQLI-005',
+        category: 'sqli',
+        description: 'Time-based blind SQL injection functions',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /\b(?:sleep|benchmark|pg_sleep)\s*\(\s*\d|\bwaitfor\s+delay\s+['"]/i,
+        score: 5
+    },
+    {
+        id: 'WAFU-SQLI-006',
+        category: 'sqli',
+        description: 'Database metadata and file access',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /\binformation_schema\s*\.|\bmysql\.user\b|\bpg_catalog\s*\.|\bsysobjects\b|\bload_file\s*\(|\binto\s+(?:out|dump)file\b/i,
+        score: 5
+    },
+
+    // --- Cross-site scripting ---
+    {
+        id: 'WAFU-XSS-001',
+        category: 'xss',
+        description: 'Script tag',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /<\s*script\b[^>]*>|<\s*\/\s*script\s*>/i,
+        score: 5
+    },
+    {
+        id: 'WAFU-XSS-002',
+        category: 'xss',
+        description: 'Inline event handler attribute in markup',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /<[a-z][^>]*?[\s\/"']on[a-z]{3,}\s*=/i,
+        score: 5
+    },
+    {
+        id: 'WAFU-XSS-003',
+        category: 'xss',
+        description: 'javascript: or vbscript: URI',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /(?:^|[\s"'=(<])(?:java|vb)script\s*:/i,
+        score: 5
+    },
+    {
+        id: 'WAFU-XSS-004',
+        category: 'xss',
+        description: 'Embedding tags commonly used to execute script',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /<\s*(?:iframe|frame|object|embed|applet|base|svg|math|meta\s[^>]*http-equiv)\b/i,
+        score: 4
+    },
+    {
+        id: 'WAFU-XSS-005',
+        category: 'xss',
+        description: 'DOM sinks and dialog functions typical of XSS payloads',
+        targets: ['path', 'query', 'headers'],
+        pattern: /\bdocument\s*\.\s*(?:cookie|domain|write)\b|\b(?:alert|prompt|confirm)\s*(?:\(|`)/i,
+        score: 3
+    },
+
+    // --- Path traversal ---
+    {
+        id: 'WAFU-LFI-001',
+        category: 'path_traversal',
+        description: 'Directory traversal sequence',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /(?:^|[\/\\])\.\.(?:[\/\\]|$)/,
+        score: 5
+    },
+    {
+        id: 'WAFU-LFI-002',
+        category: 'path_traversal',
+        description: 'Access to well-known sensitive system files',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /\/etc\/(?:passwd|shadow|group|hosts)\b|\/proc\/self\/|\b(?:boot|win)\.ini\b|c:\\windows\\/i,
+        score: 5
+    },
+    {
+        id: 'WAFU-LFI-003',
+        category: 'path_traversal',
+        description: 'Null byte used to truncate a file path',
+        targets: ['path', 'query'],
+        pattern: /\x00/,
+        score: 4
+    },
+
+    // --- Command injection ---
+    {
+        id: 'WAFU-RCE-001',
+        category: 'command_injection',
+        description: 'Shell command chained after a command separator',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /(?:[;&|`\n]|\$\()\s*(?:cat|ls|id|whoami|uname|wget|curl|nc|ncat|netcat|bash|sh|zsh|python[23]?|perl|ping|nslookup|powershell|cmd(?:\.exe)?)\b(?:\s|$|[;&|`)])/i,
+        score: 5
+    },
+    {
+        id: 'WAFU-RCE-002',
+        category: 'command_injection',
+        description: 'JNDI lookup (Log4Shell) or shell variable expansion',
+        targets: ['path', 'query', 'headers', 'body'],
+        pattern: /\$\{\s*(?:jndi|env|sys|lower|upper|::-)[:}]|\$\{IFS\}/i,
+        score: 5
+    },
+
+    // --- Scanners ---
+    {
+        id: 'WAFU-SCAN-001',
+        category: 'scanner',
+        description: 'User agent of a known vulnerability scanner',
+        targets: ['user_agent'],
+        pattern: /\b(?:sqlmap|nikto|nmap|masscan|acunetix|nessus|openvas|w3af|dirbuster|gobuster|wpscan|zgrab|nuclei|havij|netsparker|jaeles|ffuf|feroxbuster|arachni|skipfish)\b/i,
+        score: 5
+    },
+];
+
+export const MANAGED_RULES_MODES = ['anomaly', 'first_match'];
+export const MANAGED_RULES_ACTIONS = ['BLOCK', 'CHALLENGE', 'LOG'];
+
+export const DEFAULT_MANAGED_RULES_CONFIG = {
+    enabled: false,
+    mode: 'anomaly',
+    action: 'BLOCK',
+    anomaly_threshold: 5,
+    disabled_ids: [],
+    overrides: {}
+};
+
+// Headers inspected by signatures targeting `headers`. Others (e.g. Authorization) carry opaque tokens.
+const INSPECTED_HEADERS = ['cookie', 'referer', 'origin', 'x-forwarded-for', 'x-forwarded-host', 'x-real-ip'];
+
+/**
+ * Validates a managed ruleset config submitted to the API.
+ * @param {object} config - The submitted config.
+ * @returns {string|null} An error message, or null if the config is valid.
+ */
+export function getManagedRulesConfigError(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return 'The managed ruleset config must be an object.';
+    if (config.mode !== undefined && !MANAGED_RULES_MODES.includes(config.mode)) {
+        return `mode must be one of ${MANAGED_RULES_MODES.join(', ')}.`;
+    }
+    if (config.action !== undefined && !MANAGED_RULES_ACTIONS.includes(config.action)) {
+        return `action must be one of ${MANAGED_RULES_ACTIONS.join(', ')}.`;
+    }
+    if (config.anomaly_threshold !== undefined && (!Number.isInteger(config.anomaly_threshold) || config.anomaly_threshold < 1)) {
+        return 'anomaly_threshold must be an integer of at least 1.';
+    }
+    const knownIds = new Set(MANAGED_SIGNATURES.map(s => s.id));
+    if (config.disabled_ids !== undefined) {
+        if (!Array.isArray(config.disabled_ids)) return 'disabled_ids must be an array.';
+        const unknown = config.disabled_ids.find(id => !knownIds.has(id));
+        if (unknown !== undefined) return `Unknown signature ID "${unknown}" in disabled_ids.`;
+    }
+    if (config.overrides !== undefined) {
+        if (!config.overrides || typeof config.overrides !== 'object' || Array.isArray(config.overrides)) return 'overrides must be an object.';
+        for (const [id, override] of Object.entries(config.overrides)) {
+            if (!knownIds.has(id)) return `Unknown signature ID "${id}" in overrides.`;
+            if (!override || typeof override !== 'object' || Array.isArray(override)) return `The override for ${id} must be an object.`;
+            if (override.action !== undefined && !MANAGED_RULES_ACTIONS.includes(override.action)) {
+                return `The action override for ${id} must be one of ${MANAGED_RULES_ACTIONS.join(', ')}.`;
+            }
+            if (override.score !== undefined && (!Number.isInteger(override.score) || override.score < 0)) {
+                return `The score override for ${id} must be a non-negative integer.`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolves a stored config into the signatures to run, with overrides
+ * applied. Called once per cache load.
+ * @param {object|null} config - The stored config.
+ * @returns {object|null} The compiled ruleset, or null if it is disabled.
+ */
+export function compileManagedRules(config) {
+    const resolved = {...DEFAULT_MANAGED_RULES_CONFIG, ...config};
+    if (!resolved.enabled) return null;
+    const disabled = new Set(resolved.disabled_ids);
+    const signatures = MANAGED_SIGNATURES
+        .filter(signature => !disabled.has(signature.id))
+        .map(signature => {
+            const override = resolved.overrides[signature.id] || {};
+            return {
+                ...signature,
+                score: override.score ?? signature.score,
+                action: override.action || resolved.action
+            };
+        });
+    return {mode: resolved.mode, action: resolved.action, threshold: resolved.anomaly_threshold, signatures};
+}
+
+function _decode(value) {
+    let decoded = String(value);
+    // Decode twice to catch double-encoded payloads such as %252e%252e%252f.
+    for (let i = 0; i < 2; i++) {
+        try {
+            const next = decodeURIComponent(decoded.replace(/\+/g, ' '));
+            if (next === decoded) break;
+            decoded = next;
+        } catch (e) {
+            break;
+        }
+    }
+    return decoded;
+}
+
+function _collectTargets(requestData) {
+    const targets = {path: [], query: [], headers: [], user_agent: [], body: []};
+
+    if (requestData['derived.uri.path']) targets.path.push(_decode(requestData['derived.uri.path']));
+    for (const [name, value] of new URLSearchParams(requestData['derived.uri.query.string'] || '')) {
+        targets.query.push(_decode(name), _decode(value));
+    }
+    for (const header of INSPECTED_HEADERS) {
+        const value = requestData[`request.headers.${header}`];
+        if (value) targets.headers.push(_decode(value));
+    }
+    if (requestData['request.headers.user-agent']) targets.user_agent.push(requestData['request.headers.user-agent']);
+
+    // Parsed body fields are inspected individually so form separators do not look like command separators.
+    for (const [field, value] of Object.entries(requestData)) {
+        if (field.startsWith('request.body.json.') || field.startsWith('request.body.form.')) {
+            targets.body.push(...[].concat(value).filter(item => typeof item === 'string'));
+        }
+    }
+    if (targets.body.length === 0 && requestData['request.body.raw']) targets.body.push(requestData['request.body.raw']);
+    return targets;
+}
+
+/**
+ * Runs the managed ruleset against a request. In first-match mode, a
+ * signature whose action is LOG does not end the search: a later BLOCK or
+ * CHALLENGE signature still decides.
+ * @param {object|null} ruleset - The output of `compileManagedRules`.
+ * @param {object} requestData - The flattened request data.
+ * @returns {{action: string, matchedRuleId: string, managedMatches: object[], anomalyScore?: number}|null}
+ *     A decision if the ruleset triggered, otherwise null. A LOG decision is only to be recorded; callers keep
+ *     evaluating their rules after it.
+ */
+export function evaluateManagedRules(ruleset, requestData) {
+    if (!ruleset) return null;
+    const targets = _collectTargets(requestData);
+
+    const managedMatches = [];
+    let score = 0;
+    for (const signature of ruleset.signatures) {
+        const matched = signature.targets.some(target => targets[target].some(value => signature.pattern.test(value)));
+        if (!matched) continue;
+
+        const match = {id: signature.id, category: signature.category, score: signature.score};
+        managedMatches.push(match);
+        if (ruleset.mode === 'first_match') {
+            if (signature.action !== 'LOG') return {action: signature.action, matchedRuleId: signature.id, managedMatches};
+            continue;
+        }
+        score += signature.score;
+    }
+
+    if (ruleset.mode === 'first_match') {
+        return managedMatches.length > 0 ? {action: 'LOG', matchedRuleId: managedMatches[0].id, managedMatches} : null;
+    }
+    if (score >= ruleset.threshold) {
+        return {action: ruleset.action, matchedRuleId: 'managed-anomaly-score', managedMatches, anomalyScore: score};
+    }
+    return null;
+}
+
+// --- Storage and API ---
+
+/**
+ * Creates the single-row table holding a scope's managed ruleset config.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ */
+export async function initializeManagedRulesTable(sql) {
+    await sql.exec(`CREATE TABLE IF NOT EXISTS managed_rules_config (id INTEGER PRIMARY KEY CHECK (id = 1), config TEXT)`);
+}
+
+/**
+ * Reads a scope's managed ruleset config, with defaults applied.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @returns {Promise<object>} The config.
+ */
+export async function loadManagedRulesConfig(sql) {
+    const {results} = await sql.exec("SELECT config FROM managed_rules_config WHERE id = 1");
+    return {...DEFAULT_MANAGED_RULES_CONFIG, ...(results.length > 0 ? JSON.parse(results[0].config) : {})};
+}
+
+/**
+ * Handles `GET` (config plus the signature catalogue) and `PUT` (replace the
+ * config) for a scope's managed ruleset.
+ * @param {Request} request - The API request.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @returns {Promise<Response>} The API response.
+ */
+export async function handleManagedRulesApi(request, sql) {
+    const headers = {'Content-Type': 'application/json'};
+
+    if (request.method === 'GET') {
+        const signatures = MANAGED_SIGNATURES.map(({pattern, ...signature}) => signature);
+        return new Response(JSON.stringify({config: await loadManagedRulesConfig(sql), signatures}), {headers});
+    }
+
+    if (request.method === 'PUT') {
+        let submitted;
+        try {
+            submitted = await request.json();
+        } catch (e) {
+            return new Response(JSON.stringify({error: 'Invalid JSON body'}), {status: 400, headers});
+        }
+        const error = getManagedRulesConfigError(submitted);
+        if (error) return new Response(JSON.stringify({error}), {status: 400, headers});
+
+        const config = {...DEFAULT_MANAGED_RULES_CONFIG, ...submitted, enabled: !!submitted.enabled};
+        await sql.exec(
+            "INSERT INTO managed_rules_config (id, config) VALUES (1, ?) ON CONFLICT(id) DO UPDATE SET config = excluded.config",
+            [JSON.stringify(config)]
+        );
+        return new Response(JSON.stringify(config), {headers});
+    }
+
+    return new Response(JSON.stringify({error: 'Invalid request for managed rules API'}), {status: 400, headers});
+}
@@ -93,6 +93,23 @@ export class OtpDO extends DurableObject {
         return new Response('Not Found in OtpDO', {status: 404});
     }
 
+    // --- RPC Method for Single-Use Challenge Tokens ---
+    /**
+     * Records that a challenge token was used. The instance is named after the
+     * token's ID and, like an OTP, deletes itself once the token has expired.
+     * @param {number} expiresAt - When the token expires, in milliseconds.
+     * @returns {Promise<boolean>} True the first time, false if the token was used before.
+     */
+    async useChallengeToken(expiresAt) {
+        const sql = this.ctx.storage.sql;
+        await sql.exec("CREATE TABLE IF NOT EXISTS challenge_state (id INTEGER PRIMARY KEY CHECK (id = 1), used_at INTEGER NOT NULL)");
+        const {results} = await sql.exec("SELECT used_at FROM challenge_state WHERE id = 1");
+        if (results.length > 0) return false;
+        await sql.exec("INSERT INTO challenge_state (id, used_at) VALUES (1, ?)", [Date.now()]);
+        await this.ctx.storage.setAlarm(expiresAt + (60 * 1000));
+        return true;
+    }
+
     async initialize(request) {
         try {
             const {token, userId, gateId, context, expiresAt} = await request.json();
@@ -0,0 +1,60 @@
+/*
+ * =============================================================================
+ * FILE: src/permissions.js
+ *
+ * DESCRIPTION:
+ * The admin API's roles and its permission matrix. The worker checks every
+ * API call against the matrix before forwarding it: each entry matches an
+ * endpoint by path and lists the roles that may read it (GET) and the roles
+ * that may change it (any other method). Endpoints that belong to a route, or
+ * to the global config, name that scope; an editor may only change the scopes
+ * assigned to them; endpoints without a scope, such as simulations, change
+ * nothing. Calls to endpoints missing from the matrix are refused.
+ * =============================================================================
+ */
+
+export const ROLES = {
+    administrator: 'Full access, including users.',
+    editor: 'Read-only, and changes the rules and config of the routes assigned to them.',
+    auditor: 'Read-only, plus the audit log.',
+    analyst: 'The SQL console only.',
+    viewer: 'Read-only.'
+};
+
+// The roles that can read the configuration and analytics.
+const READ_ROLES = ['administrator', 'editor', 'auditor', 'viewer'];
+
+// `scope` returns the route an endpoint belongs to, `global` for the global config, from the path's match.
+export const API_PERMISSIONS = [
+    {path: /^\/api\/global\/users(?:\/[^/]+)?$/, read: ['administrator'], write: ['administrator']},
+    {path: /^\/api\/global\/audit-logs(?:\/.*)?$/, read: ['administrator', 'auditor'], write: ['administrator']},
+    {path: /^\/api\/global\/sql-query$/, read: [], write: ['administrator', 'analyst']},
+    {path: /^\/api\/(?:global\/)?analytics\/.+$/, read: READ_ROLES, write: ['administrator']},
+    // Simulations are POSTs, but change nothing.
+    {path: /^\/api\/simulate$/, read: [], write: READ_ROLES},
+    // Retention also sets how long the audit log is kept, so only administrators change it.
+    {path: /^\/api\/global\/retention$/, read: READ_ROLES, write: ['administrator']},
+    {path: /^\/api\/global\/.+$/, read: READ_ROLES, write: ['administrator', 'editor'], scope: () => 'global'},
+    {path: /^\/api\/routes\/([^/]+)(?:\/.*)?$/, read: READ_ROLES, write: ['administrator', 'editor'], scope: match => match[1]}
+];
+
+/**
+ * Checks whether a user may call an admin API endpoint.
+ * @param {{role: string, routes?: string[]}} user - The signed-in user, with the scopes assigned to an editor.
+ * @param {string} method - The HTTP method.
+ * @param {string} pathname - The API path, without the `/wafu` prefix, e.g. `/api/routes/route-1/rules`.
+ * @returns {boolean} Whether the call is allowed.
+ */
+export function isApiCallAllowed(user, method, pathname) {
+    for (const permission of API_PERMISSIONS) {
+        const match = pathname.match(permission.path);
+        if (!match) continue;
+        const roles = method === 'GET' || method === 'HEAD' ? permission.read : permission.write;
+        if (!roles.includes(user.role)) return false;
+        if (user.role === 'editor' && roles === permission.write && permission.scope) {
+            return (user.routes || []).includes(permission.scope(match));
+        }
+        return true;
+    }
+    return false;
+}
@@ -0,0 +1,126 @@
+/*
+ * =============================================================================
+ * FILE: src/rate-limit-do.js
+ *
+ * DESCRIPTION:
+ * Defines the `RateLimitDO` class, a sharded counter used by RATE_LIMIT
+ * rules. Each shard holds the counters for many clients and implements a
+ * sliding window by weighting the previous fixed window's count. Counters
+ * are kept in memory: they are short-lived by nature, and losing them when
+ * a shard is evicted only resets the current windows.
+ *
+ * The module also exports the helpers the rules Durable Objects use to
+ * derive a client's counter key and to query the right shard.
+ * =============================================================================
+ */
+
+import {DurableObject} from "cloudflare:workers";
+
+export const RATE_LIMIT_SHARDS = 16;
+
+// How often (in hits) a shard sweeps expired counters out of memory.
+const SWEEP_INTERVAL = 1000;
+
+export class RateLimitDO extends DurableObject {
+    constructor(ctx, env) {
+        super(ctx, env);
+        this.ctx = ctx;
+        this.env = env;
+        this.counters = new Map();
+        this.hitsSinceSweep = 0;
+    }
+
+    // --- RPC Method for Counting a Request ---
+    /**
+     * Records a request for a client and reports whether it is over the limit.
+     * @param {string} key - The counter key (rule ID plus client characteristics).
+     * @param {{threshold: number, period: number, mitigationTimeout: number}} limit - The rule's limit, in seconds.
+     * @returns {{limited: boolean, count: number, retryAfter: number}} The decision, with `retryAfter` in seconds.
+     */
+    async hit(key, {threshold, period, mitigationTimeout}) {
+        const now = Date.now();
+        const periodMs = period * 1000;
+        const windowStart = Math.floor(now / periodMs) * periodMs;
+
+        let entry = this.counters.get(key);
+        if (!entry || entry.periodMs !== periodMs || entry.windowStart < windowStart - periodMs) {
+            entry = {periodMs, windowStart, current: 0, previous: 0, blockedUntil: entry?.blockedUntil || 0};
+        } else if (entry.windowStart < windowStart) {
+            entry = {...entry, windowStart, previous: entry.current, current: 0};
+        }
+
+        if (entry.blockedUntil > now) {
+            this.counters.set(key, entry);
+            return {limited: true, count: entry.current, retryAfter: Math.ceil((entry.blockedUntil - now) / 1000)};
+        }
+
+        entry.current++;
+        const previousWeight = 1 - (now - windowStart) / periodMs;
+        const count = Math.floor(entry.previous * previousWeight) + entry.current;
+
+        let result = {limited: false, count, retryAfter: 0};
+        if (count > threshold) {
+            entry.blockedUntil = mitigationTimeout > 0 ? now + mitigationTimeout * 1000 : windowStart + periodMs;
+            result = {limited: true, count, retryAfter: Math.max(1, Math.ceil((entry.blockedUntil - now) / 1000))};
+        }
+
+        this.counters.set(key, entry);
+        if (++this.hitsSinceSweep >= SWEEP_INTERVAL) this.sweep(now);
+        return result;
+    }
+
+    /**
+     * Drops counters whose windows and mitigation periods have both expired.
+     */
+    sweep(now) {
+        this.hitsSinceSweep = 0;
+        for (const [key, entry] of this.counters) {
+            if (entry.windowStart + 2 * entry.periodMs < now && entry.blockedUntil < now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+}
+
+function _hashKey(key) {
+    // FNV-1a, to spread keys evenly across shards.
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Builds the counter key for a request: the rule ID followed by the values of
+ * the rule's characteristics (e.g. `ip.src`, `request.cf.botManagement.ja4`,
+ * `request.headers.x-api-key` or `request.cf.asn`). A request without one of
+ * the characteristics is counted by its IP address in its place, so the
+ * clients that lack it do not all share one counter.
+ * @param {object} rule - A RATE_LIMIT rule with a parsed `rate_limit` config.
+ * @param {object} requestData - The flattened request data.
+ * @returns {string} The counter key.
+ */
+export function getRateLimitKey(rule, requestData) {
+    const characteristics = rule.rate_limit?.characteristics || ['ip.src'];
+    const values = characteristics.map(field => {
+        const value = requestData[field];
+        return value === null || value === undefined || value === '' ? {ip: requestData['ip.src'] ?? null} : value;
+    });
+    return `${rule.id}:${JSON.stringify(values)}`;
+}
+
+/**
+ * Counts a request against a RATE_LIMIT rule on the shard owning its key.
+ * @param {DurableObjectNamespace} namespace - The `WAFU_RATE_LIMIT_DO` binding.
+ * @param {object} rule - A RATE_LIMIT rule with a parsed `rate_limit` config.
+ * @param {object} requestData - The flattened request data.
+ * @returns {Promise<{limited: boolean, count: number, retryAfter: number}>} The shard's decision.
+ */
+export async function checkRateLimit(namespace, rule, requestData) {
+    const key = getRateLimitKey(rule, requestData);
+    const shard = namespace.get(namespace.idFromName(`shard-${_hashKey(key) % RATE_LIMIT_SHARDS}`));
+    const {threshold, period, mitigation_timeout: mitigationTimeout} = rule.rate_limit;
+    return shard.hit(key, {threshold, period, mitigationTimeout: mitigationTimeout || 0});
+}
@@ -0,0 +1,208 @@
+/*
+ * =============================================================================
+ * FILE: src/retention.js
+ *
+ * DESCRIPTION:
+ * Retention for the event and audit logs. The policy (`/api/global/retention`,
+ * stored by `GlobalRulesDO`) sets how many days raw events, their daily
+ * aggregates and audit log entries are kept. `EventLogsDO` and `AuditLogsDO`
+ * enforce it from Durable Object alarms, deleting in bounded batches and
+ * calling back soon when more is left, so pruning never holds an object for
+ * long. With archiving enabled, what is about to be deleted is first written
+ * as gzip-compressed NDJSON to the `WAFU_ARCHIVE` bucket; anything with an
+ * R2-style `put(key, body, options)` method can stand in for it.
+ * =============================================================================
+ */
+
+export const DEFAULT_RETENTION_CONFIG = {
+    event_days: 30,
+    aggregate_days: 365,
+    audit_days: 365,
+    archive_enabled: false
+};
+
+// How often the alarms prune, and how soon they come back when a run hit its bounds.
+export const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+export const RETENTION_CONTINUE_MS = 1000;
+
+// The bounds of one alarm run: rows per DELETE statement, and statements per run.
+export const RETENTION_BATCH_SIZE = 500;
+export const RETENTION_MAX_BATCHES = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates a retention config submitted to the API.
+ * @param {object} config - The submitted config.
+ * @returns {string|null} An error message, or null if the config is valid.
+ */
+export function getRetentionConfigError(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return 'The retention config must be an object.';
+    for (const key of ['event_days', 'aggregate_days', 'audit_days']) {
+        const value = config[key];
+        if (value !== undefined && (!Number.isInteger(value) || value < 1 || value > 3650)) {
+            return `${key} must be an integer from 1 to 3650.`;
+        }
+    }
+    const eventDays = config.event_days ?? DEFAULT_RETENTION_CONFIG.event_days;
+    const aggregateDays = config.aggregate_days ?? DEFAULT_RETENTION_CONFIG.aggregate_days;
+    if (aggregateDays < eventDays) return 'aggregate_days must be at least event_days.';
+    if (config.archive_enabled !== undefined && typeof config.archive_enabled !== 'boolean') return 'archive_enabled must be true or false.';
+    return null;
+}
+
+/**
+ * Returns the cutoff for a retention period: anything older is pruned.
+ * @param {number} days - The retention period.
+ * @param {number} [now] - The current time, in milliseconds.
+ * @returns {number} The cutoff, in milliseconds.
+ */
+export function getRetentionCutoff(days, now = Date.now()) {
+    return now - days * DAY_MS;
+}
+
+/**
+ * Deletes the rows older than a cutoff, a bounded batch at a time.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {string} table - The table, which must have `id` and `timestamp` columns.
+ * @param {number} cutoff - Rows with an earlier `timestamp` are deleted.
+ * @param {{beforeDelete?: function(object[]): Promise<void>}} [options] - Called with each batch before it is
+ *     deleted, e.g. to archive it. If it throws, nothing more is deleted.
+ * @returns {Promise<{deleted: number, done: boolean}>} How many rows were deleted, and whether none are left.
+ */
+export async function deleteExpiredRows(sql, table, cutoff, {beforeDelete} = {}) {
+    let deleted = 0;
+    for (let batch = 0; batch < RETENTION_MAX_BATCHES; batch++) {
+        const {results} = await sql.exec(`SELECT * FROM ${table} WHERE timestamp < ? ORDER BY timestamp LIMIT ?`, [cutoff, RETENTION_BATCH_SIZE]);
+        if (results.length === 0) return {deleted, done: true};
+        if (beforeDelete) await beforeDelete(results);
+        const ids = results.map(row => row.id);
+        await sql.exec(`DELETE FROM ${table} WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+        deleted += ids.length;
+        if (results.length < RETENTION_BATCH_SIZE) return {deleted, done: true};
+    }
+    return {deleted, done: false};
+}
+
+/**
+ * Writes rows to the archive as one gzip-compressed NDJSON object. Rows are
+ * read a page at a time and only the compressed output is held in memory.
+ * @param {object} bucket - The `WAFU_ARCHIVE` R2 bucket, or a stand-in with the same `put`.
+ * @param {string} key - The object key, e.g. `events/app.example.com/2024-05-01.ndjson.gz`.
+ * @param {function(): Promise<object[]>} nextPage - Returns the next page of rows, or an empty array at the end.
+ * @returns {Promise<number>} The number of rows archived.
+ */
+export async function archiveNdjson(bucket, key, nextPage) {
+    const encoder = new TextEncoder();
+    let rowCount = 0;
+    const ndjson = new ReadableStream({
+        async pull(controller) {
+            const rows = await nextPage();
+            if (rows.length === 0) {
+                controller.close();
+                return;
+            }
+            rowCount += rows.length;
+            controller.enqueue(encoder.encode(rows.map(row => JSON.stringify(row) + '\n').join('')));
+        }
+    });
+    const compressed = await new Response(ndjson.pipeThrough(new CompressionStream('gzip'))).arrayBuffer();
+    await bucket.put(key, compressed, {
+        httpMetadata: {contentType: 'application/x-ndjson', contentEncoding: 'gzip'},
+        customMetadata: {rows: String(rowCount)}
+    });
+    return rowCount;
+}
+
+/**
+ * Writes one batch of rows to the archive, as `archiveNdjson` does.
+ * @param {object} bucket - The archive bucket.
+ * @param {string} key - The object key.
+ * @param {object[]} rows - The rows.
+ * @returns {Promise<number>} The number of rows archived.
+ */
+export async function archiveRows(bucket, key, rows) {
+    let pending = rows;
+    return archiveNdjson(bucket, key, async () => {
+        const page = pending;
+        pending = [];
+        return page;
+    });
+}
+
+/**
+ * Returns the archive bucket if archiving is enabled.
+ * @param {object} env - The Durable Object's environment.
+ * @param {object} config - The retention config.
+ * @returns {object|null} The bucket, or null if archiving is disabled.
+ * @throws {Error} If archiving is enabled but the `WAFU_ARCHIVE` binding is missing, so nothing is pruned unarchived.
+ */
+export function getArchiveBucket(env, config) {
+    if (!config.archive_enabled) return null;
+    if (!env.WAFU_ARCHIVE) throw new Error('Archiving is enabled but the WAFU_ARCHIVE binding is missing.');
+    return env.WAFU_ARCHIVE;
+}
+
+/**
+ * Makes sure a Durable Object has a retention alarm scheduled.
+ * @param {DurableObjectStorage} storage - The Durable Object's storage.
+ */
+export async function ensureRetentionAlarm(storage) {
+    if (await storage.getAlarm() === null) {
+        await storage.setAlarm(Date.now() + RETENTION_INTERVAL_MS);
+    }
+}
+
+// --- Storage and API ---
+
+/**
+ * Creates the single-row table holding the retention config.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ */
+export async function initializeRetentionTable(sql) {
+    await sql.exec(`CREATE TABLE IF NOT EXISTS retention_config (id INTEGER PRIMARY KEY CHECK (id = 1), config TEXT)`);
+}
+
+/**
+ * Reads the retention config, with defaults applied.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @returns {Promise<object>} The config.
+ */
+export async function loadRetentionConfig(sql) {
+    const {results} = await sql.exec("SELECT config FROM retention_config WHERE id = 1");
+    return {...DEFAULT_RETENTION_CONFIG, ...(results.length > 0 ? JSON.parse(results[0].config) : {})};
+}
+
+/**
+ * Handles `GET` and `PUT` for the retention config.
+ * @param {Request} request - The API request.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @returns {Promise<Response>} The API response.
+ */
+export async function handleRetentionApi(request, sql) {
+    const headers = {'Content-Type': 'application/json'};
+
+    if (request.method === 'GET') {
+        return new Response(JSON.stringify(await loadRetentionConfig(sql)), {headers});
+    }
+
+    if (request.method === 'PUT') {
+        let submitted;
+        try {
+            submitted = await request.json();
+        } catch (e) {
+            return new Response(JSON.stringify({error: 'Invalid JSON body'}), {status: 400, headers});
+        }
+        const error = getRetentionConfigError(submitted);
+        if (error) return new Response(JSON.stringify({error}), {status: 400, headers});
+
+        const config = {...DEFAULT_RETENTION_CONFIG, ...submitted};
+        await sql.exec(
+            "INSERT INTO retention_config (id, config) VALUES (1, ?) ON CONFLICT(id) DO UPDATE SET config = excluded.config",
+            [JSON.stringify(config)]
+        );
+        return new Response(JSON.stringify(config), {headers});
+    }
+
+    return new Response(JSON.stringify({error: 'Invalid request for retention API'}), {status: 400, headers});
+}
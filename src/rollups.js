@@ -0,0 +1,196 @@
+/*
+ * =============================================================================
+ * FILE: src/rollups.js
+ *
+ * DESCRIPTION:
+ * Minute, hour and day rollups of the event log, for charting. Each event log
+ * partition keeps one table per granularity (`rollups_minute`, `rollups_hour`,
+ * `rollups_day`) with the number of events and of requests they stand for
+ * (sampled ALLOWs count 1 / sample_rate each) per bucket, route, action,
+ * rule, country and ASN. The tables are updated as each batch of events is
+ * written. Shadow hits are not counted, as in the analytics summary, and
+ * log-only events count as events but not as requests.
+ *
+ * Missing dimensions are stored as `''` (or ASN 0) so they can be part of
+ * the primary key, and are returned as null.
+ * =============================================================================
+ */
+
+export const ROLLUP_GRANULARITIES = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+export const ROLLUP_DIMENSIONS = ['route_host', 'action', 'rule_id', 'country', 'asn'];
+
+// The most buckets one timeseries request can cover, e.g. a day of minutes.
+export const MAX_TIMESERIES_BUCKETS = 1500;
+
+/**
+ * Creates the rollup tables.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ */
+export async function initializeRollupTables(sql) {
+    for (const granularity of Object.keys(ROLLUP_GRANULARITIES)) {
+        await sql.exec(`
+            CREATE TABLE IF NOT EXISTS rollups_${granularity}
+                (
+                    bucket                     INTEGER NOT NULL, -- The bucket's start, in milliseconds
+                    route_host                 TEXT    NOT NULL DEFAULT '',
+                    action                     TEXT    NOT NULL,
+                    rule_id                    TEXT    NOT NULL DEFAULT '',
+                    country                    TEXT    NOT NULL DEFAULT '',
+                    asn                        INTEGER NOT NULL DEFAULT 0,
+                    events                     INTEGER NOT NULL,
+                    requests                   REAL    NOT NULL,
+                    PRIMARY KEY (bucket, route_host, action, rule_id, country, asn)
+                )
+        `);
+    }
+}
+
+/**
+ * Adds a batch of events to the rollups, one upsert per bucket and key.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {object[]} events - The events, as built by the worker's event logger.
+ */
+export async function addToRollups(sql, events) {
+    for (const [granularity, size] of Object.entries(ROLLUP_GRANULARITIES)) {
+        const rows = new Map();
+        for (const event of events) {
+            if (event.shadow) continue;
+            const key = [
+                Math.floor((event.timestamp || Date.now()) / size) * size,
+                event.routeHost || '',
+                event.action,
+                event.ruleId || '',
+                event.request?.cf?.country || '',
+                event.request?.cf?.asn || 0
+            ];
+            const id = JSON.stringify(key);
+            const row = rows.get(id) || {key, events: 0, requests: 0};
+            row.events += 1;
+            if (!event.logOnly) row.requests += 1 / (event.sampleRate || 1);
+            rows.set(id, row);
+        }
+        for (const {key, events: count, requests} of rows.values()) {
+            await sql.exec(
+                `INSERT INTO rollups_${granularity} (bucket, route_host, action, rule_id, country, asn, events, requests)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT (bucket, route_host, action, rule_id, country, asn)
+                     DO UPDATE SET events = events + excluded.events, requests = requests + excluded.requests`,
+                [...key, count, requests]
+            );
+        }
+    }
+}
+
+/**
+ * Builds the rollups from the stored events if there are events but no
+ * rollups yet, as in a partition written before rollups existed.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ */
+export async function backfillRollups(sql) {
+    const {results} = await sql.exec(
+        "SELECT EXISTS (SELECT 1 FROM rollups_day) AS has_rollups, EXISTS (SELECT 1 FROM events WHERE shadow = 0) AS has_events"
+    );
+    if (results[0].has_rollups || !results[0].has_events) return;
+    for (const [granularity, size] of Object.entries(ROLLUP_GRANULARITIES)) {
+        await sql.exec(
+            `INSERT INTO rollups_${granularity} (bucket, route_host, action, rule_id, country, asn, events, requests)
+             SELECT (timestamp / ?) * ?, COALESCE(route_host, ''), action, COALESCE(rule_id, ''), COALESCE(country, ''),
+                    COALESCE(asn, 0), COUNT(*), SUM(CASE WHEN log_only = 1 THEN 0 ELSE 1.0 / sample_rate END)
+             FROM events
+             WHERE shadow = 0
+             GROUP BY 1, 2, 3, 4, 5, 6`,
+            [size, size]
+        );
+    }
+}
+
+/**
+ * Validates the query of a timeseries request and applies its defaults.
+ * @param {URLSearchParams} searchParams - `since` and `until` (milliseconds, default the last 24 hours),
+ *     `granularity` (`minute`, `hour` or `day`, default `hour`), `groupBy` (a comma-separated list of
+ *     `ROLLUP_DIMENSIONS`) and `routeHost` (`global` for events with no route).
+ * @returns {{error: string}|{since: number, until: number, granularity: string, groupBy: string[], routeHost: string|null}}
+ */
+export function parseTimeseriesQuery(searchParams) {
+    const granularity = searchParams.get('granularity') || 'hour';
+    const size = ROLLUP_GRANULARITIES[granularity];
+    if (!size) return {error: `granularity must be one of: ${Object.keys(ROLLUP_GRANULARITIES).join(', ')}.`};
+
+    const until = searchParams.has('until') ? Number(searchParams.get('until')) : Date.now();
+    const since = searchParams.has('since') ? Number(searchParams.get('since')) : until - ROLLUP_GRANULARITIES.day;
+    if (!Number.isFinite(since) || !Number.isFinite(until) || since >= until) {
+        return {error: 'since and until must be timestamps, with since before until.'};
+    }
+    if ((until - since) / size > MAX_TIMESERIES_BUCKETS) {
+        return {error: `A ${granularity} timeseries can cover at most ${MAX_TIMESERIES_BUCKETS} buckets; choose a coarser granularity.`};
+    }
+
+    const groupBy = (searchParams.get('groupBy') || '').split(',').map(dimension => dimension.trim()).filter(Boolean);
+    const unknown = groupBy.find(dimension => !ROLLUP_DIMENSIONS.includes(dimension));
+    if (unknown) return {error: `Cannot group by "${unknown}". Dimensions: ${ROLLUP_DIMENSIONS.join(', ')}.`};
+
+    return {since: Math.floor(since / size) * size, until, granularity, groupBy: [...new Set(groupBy)], routeHost: searchParams.get('routeHost') || null};
+}
+
+/**
+ * Reads rollup buckets in a time range, summed over the dimensions that are not grouped by.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {{since: number, until: number, granularity: string, groupBy: string[], routeHost?: string|null}} query - A
+ *     query from `parseTimeseriesQuery`.
+ * @returns {Promise<object[]>} One row per bucket and group, with `bucket`, the grouped dimensions, `events` and `requests`.
+ */
+export async function queryRollups(sql, {since, until, granularity, groupBy, routeHost}) {
+    const columns = groupBy.filter(dimension => ROLLUP_DIMENSIONS.includes(dimension));
+    const conditions = ['bucket >= ?', 'bucket < ?'];
+    const params = [since, until];
+    if (routeHost) {
+        conditions.push('route_host = ?');
+        params.push(routeHost === 'global' ? '' : routeHost);
+    }
+    const {results} = await sql.exec(
+        `SELECT bucket, ${columns.map(column => `${column}, `).join('')}SUM(events) AS events, SUM(requests) AS requests
+         FROM rollups_${granularity}
+         WHERE ${conditions.join(' AND ')}
+         GROUP BY ${['bucket', ...columns].join(', ')}`,
+        params
+    );
+    return results;
+}
+
+/**
+ * Merges rollup rows from several partitions into one series per group.
+ * @param {object[]} rows - Rows from `queryRollups`.
+ * @param {string[]} groupBy - The grouped dimensions.
+ * @returns {{key: object, events: number, requests: number, points: {timestamp: number, events: number, requests: number}[]}[]}
+ *     The series, largest first. Buckets with no events are left out of `points`.
+ */
+export function mergeTimeseries(rows, groupBy) {
+    const series = new Map();
+    for (const row of rows) {
+        const key = Object.fromEntries(groupBy.map(dimension => [dimension, row[dimension] === '' || row[dimension] === 0 ? null : row[dimension]]));
+        const id = JSON.stringify(key);
+        if (!series.has(id)) series.set(id, {key, events: 0, requests: 0, points: new Map()});
+        const entry = series.get(id);
+        const point = entry.points.get(row.bucket) || {timestamp: row.bucket, events: 0, requests: 0};
+        point.events += row.events;
+        point.requests += row.requests;
+        entry.points.set(row.bucket, point);
+        entry.events += row.events;
+        entry.requests += row.requests;
+    }
+    return [...series.values()]
+        .map(entry => ({
+            key: entry.key,
+            events: entry.events,
+            requests: Math.round(entry.requests),
+            points: [...entry.points.values()]
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .map(point => ({...point, requests: Math.round(point.requests)}))
+        }))
+        .sort((a, b) => b.requests - a.requests);
+}
@@ -9,7 +9,12 @@
  */
 
 import {DurableObject} from "cloudflare:workers";
-import {getRequestData, evaluateExpression} from './utils.js';
+import {getRequestData, compileRules, explainRule, readRuleFromRequest, loadReferencedLists, addMissingColumns, parseRuleRow, loadRule} from './utils.js';
+import {checkRateLimit} from './rate-limit-do.js';
+import {compileManagedRules, evaluateManagedRules, handleManagedRulesApi, initializeManagedRulesTable, loadManagedRulesConfig} from './managed-rules.js';
+import {addRuleScore, createScoreTally, getScoreDecision, handleScoringApi, initializeScoringTable, loadScoringConfig, summarizeScore} from './anomaly-scoring.js';
+import {auditConfigChange, flushAuditOutbox, getAuditUserId, initializeAuditOutbox, queueAuditLog} from './audit-logs-do.js';
+import {previewRevert, revertAuditEntry} from './audit-revert.js';
 
 // The class now extends DurableObject
 export class RouteRulesDO extends DurableObject {
@@ -18,6 +23,10 @@ export class RouteRulesDO extends DurableObject {
         this.ctx = ctx;
         this.env = env;
         this.cache = null;
+        this.compiledRules = [];
+        this.lists = {};
+        this.managedRules = null;
+        this.scoringConfig = null;
 
         // Use this.ctx.waitUntil to run initialization without blocking the constructor
         this.ctx.waitUntil(this.initializeDatabase());
@@ -42,68 +51,210 @@ export class RouteRulesDO extends DurableObject {
                     tags                  TEXT,             -- JSON string
                     priority              INTEGER NOT NULL,
                     trigger_alert         INTEGER NOT NULL DEFAULT 0,
-                    block_http_code       INTEGER          DEFAULT 403
+                    block_http_code       INTEGER          DEFAULT 403,
+                    type                  TEXT             DEFAULT 'CUSTOM', -- 'CUSTOM' or 'RATE_LIMIT'
+                    rate_limit            TEXT,                              -- JSON string
+                    score                 INTEGER,                           -- SCORE rules only
+                    category              TEXT,                              -- SCORE rules only
+                    shadow                INTEGER NOT NULL DEFAULT 0         -- 1: log the would-be action only
                 )
         `);
+        await addMissingColumns(sql, 'route_rules', {type: "TEXT DEFAULT 'CUSTOM'", rate_limit: 'TEXT', score: 'INTEGER', category: 'TEXT', shadow: 'INTEGER NOT NULL DEFAULT 0'});
+        await initializeManagedRulesTable(sql);
+        await initializeScoringTable(sql);
+        await initializeAuditOutbox(sql);
     }
 
     /**
-     * Loads this route's rules from SQLite into the in-memory cache.
+     * Loads this route's rules from SQLite into the in-memory cache and
+     * compiles the enabled ones, in priority order, for evaluation, along with
+     * the route's managed ruleset and anomaly scoring config.
      */
     async loadCache() {
         if (this.cache) return;
         console.log(`RouteRulesDO (${this.id}): Cache miss. Reloading from SQLite.`);
         const {results} = await this.ctx.storage.sql.exec("SELECT * FROM route_rules");
-        this.cache = results.map(r => ({...r, expression: JSON.parse(r.expression), tags: JSON.parse(r.tags)}));
+        const rules = results.map(parseRuleRow);
+        const lists = await loadReferencedLists(rules, this.env.WAFU_LOOKUP_TABLES);
+        this.compiledRules = compileRules(rules, lists);
+        this.lists = lists;
+        this.managedRules = compileManagedRules(await loadManagedRulesConfig(this.ctx.storage.sql));
+        this.scoringConfig = await loadScoringConfig(this.ctx.storage.sql);
+        this.cache = rules;
     }
 
     // --- RPC Method for WAF Evaluation ---
-    async evaluate(wafRequestPayload) {
+    /**
+     * Evaluates the route's rules against a request.
+     * @param {object} wafRequestPayload - The serialized request.
+     * @param {{challengeCleared?: boolean, simulate?: boolean}} [options] - Whether the client holds a challenge
+     *     clearance for this route, in which case CHALLENGE rules are skipped (CHALLENGE rate limits still count the
+     *     client, and BLOCK it once it is over the limit). With `simulate`, rate limit counters are left untouched
+     *     and the decision carries a `trace` of every rule evaluated, as in `GlobalRulesDO`.
+     * @returns {Promise<object>} The decision. With anomaly scoring enabled, it carries the accumulated score.
+     *     Matching shadowed rules are listed in `shadowMatches`, and a managed ruleset LOG decision in
+     *     `logMatches`, as in `GlobalRulesDO`.
+     */
+    async evaluate(wafRequestPayload, {challengeCleared = false, simulate = false} = {}) {
         await this.loadCache();
         const requestData = getRequestData(wafRequestPayload);
-        const activeRules = (this.cache || []).filter(r => r.enabled).sort((a, b) => a.priority - b.priority);
+        const trace = simulate ? [] : null;
+        const shadowMatches = [];
+        const logMatches = [];
+        const decide = (decision) => {
+            if (shadowMatches.length > 0) decision.shadowMatches = shadowMatches;
+            if (logMatches.length > 0) decision.logMatches = logMatches;
+            if (trace) decision.trace = trace;
+            return decision;
+        };
+
+        // The managed ruleset runs first, so an ALLOW rule cannot exempt traffic from attack detection.
+        // A LOG match is only recorded, like a shadow match, so it cannot let the request past the rules below.
+        const managedDecision = evaluateManagedRules(this.managedRules, requestData);
+        if (managedDecision?.action === 'LOG') {
+            logMatches.push({ruleId: managedDecision.matchedRuleId, action: 'LOG', managedMatches: managedDecision.managedMatches});
+        } else if (managedDecision && !(managedDecision.action === 'CHALLENGE' && challengeCleared)) {
+            return decide({...managedDecision, blockHttpCode: 403});
+        }
+
+        const tally = createScoreTally(this.scoringConfig);
+        for (const {rule, matches} of this.compiledRules) {
+            // A cleared client skips CHALLENGE rules, but is still counted by CHALLENGE rate limits.
+            if (rule.action === 'CHALLENGE' && challengeCleared && rule.type !== 'RATE_LIMIT') continue;
+            // SCORE rules only contribute while scoring is enabled for the route.
+            if (rule.action === 'SCORE' && !tally) continue;
+            const entry = trace ? explainRule(rule, requestData, this.lists) : null;
+            if (entry) trace.push(entry);
+            if (matches(requestData)) {
+                if (rule.action === 'SCORE') {
+                    if (rule.shadow) shadowMatches.push({ruleId: rule.id, action: rule.action});
+                    else addRuleScore(tally, rule);
+                    continue;
+                }
+
+                let retryAfter;
+                if (rule.type === 'RATE_LIMIT') {
+                    if (simulate) {
+                        entry.rateLimit = 'not counted in simulations';
+                        continue;
+                    }
+                    const limit = await checkRateLimit(this.env.WAFU_RATE_LIMIT_DO, rule, requestData);
+                    if (!limit.limited) continue;
+                    retryAfter = limit.retryAfter;
+                }
+
+                // A shadowed rule only records what it would have done; evaluation goes on as if it had not matched.
+                if (rule.shadow) {
+                    shadowMatches.push({ruleId: rule.id, action: rule.action});
+                    continue;
+                }
+
+                // A score that has already crossed a threshold outranks a later ALLOW or LOG rule.
+                if (rule.action === 'ALLOW' || rule.action === 'LOG') {
+                    const scoreDecision = getScoreDecision(this.scoringConfig, tally, challengeCleared);
+                    if (scoreDecision) return decide({...scoreDecision, blockHttpCode: 403, ...summarizeScore(tally)});
+                }
 
-        for (const rule of activeRules) {
-            if (evaluateExpression(rule.expression, requestData)) {
-                return {
-                    action: rule.action,
+                // A cleared client over a CHALLENGE rate limit has solved a challenge already, so it is blocked instead.
+                return decide({
+                    action: rule.action === 'CHALLENGE' && challengeCleared ? 'BLOCK' : rule.action,
                     matchedRuleId: rule.id,
-                    blockHttpCode: rule.block_http_code || 403
-                };
+                    blockHttpCode: rule.block_http_code || 403,
+                    retryAfter,
+                    ...summarizeScore(tally)
+                });
             }
         }
 
+        const scoreDecision = getScoreDecision(this.scoringConfig, tally, challengeCleared);
+        if (scoreDecision) return decide({...scoreDecision, blockHttpCode: 403, ...summarizeScore(tally)});
+
         // DEFAULT BLOCK: If no rule explicitly allows the request, block it.
-        return {
+        return decide({
             action: 'BLOCK',
-            matchedRuleId: 'default-route-block'
-        };
+            matchedRuleId: 'default-route-block',
+            ...summarizeScore(tally)
+        });
+    }
+
+    // --- RPC Methods for Reverting Audit Entries ---
+    /**
+     * Describes what reverting an audit entry of this object would do.
+     * @param {object} entry - The `audit_logs` row.
+     * @returns {Promise<object>} The preview, from `previewRevert`.
+     */
+    async previewRevert(entry) {
+        return previewRevert(this.ctx.storage.sql, entry, {rulesTable: 'route_rules'});
+    }
+
+    /**
+     * Reverts an audit entry of this object.
+     * @param {object} entry - The `audit_logs` row.
+     * @param {string} userId - The user reverting it.
+     * @returns {Promise<{status: number, body: object}>} The API response, from `revertAuditEntry`.
+     */
+    async revertAuditEntry(entry, userId) {
+        const result = await revertAuditEntry(this.ctx.storage.sql, entry, {rulesTable: 'route_rules', userId});
+        this.cache = null;
+        this.ctx.waitUntil(flushAuditOutbox(this.env, this.ctx.storage));
+        return result;
+    }
+
+    /**
+     * Delivers audit entries that could not be delivered when they were queued.
+     */
+    async alarm() {
+        await flushAuditOutbox(this.env, this.ctx.storage);
     }
 
     /**
      * Handles traditional fetch-based requests, primarily for the UI API.
+     * Changes are audited as in `GlobalRulesDO`, with the route's ID as the
+     * audit context.
      */
     async fetch(request) {
+        const response = await this.handleApiRequest(request);
+        if (request.method !== 'GET') this.ctx.waitUntil(flushAuditOutbox(this.env, this.ctx.storage));
+        return response;
+    }
+
+    async handleApiRequest(request) {
         const url = new URL(request.url);
+        const sql = this.ctx.storage.sql;
 
         if (request.method !== 'GET' && url.pathname.startsWith('/api/')) {
             this.cache = null;
         }
 
-        if (url.pathname.startsWith('/api/routes/') && url.pathname.endsWith('/rules')) {
-            return this.handleRulesApi(request);
+        const rulesMatch = url.pathname.match(/^\/api\/routes\/([^/]+)\/rules(?:\/([^/]+))?$/);
+        if (rulesMatch) {
+            return this.handleRulesApi(request, rulesMatch[1], rulesMatch[2]);
+        }
+
+        const routeId = url.pathname.split('/')[3];
+        if (url.pathname.startsWith('/api/routes/') && url.pathname.endsWith('/managed-rules')) {
+            const audit = {context: routeId, action: 'UPDATE_MANAGED_RULES', targetId: 'managed-rules', load: loadManagedRulesConfig};
+            return auditConfigChange(request, sql, audit, () => handleManagedRulesApi(request, sql));
+        }
+
+        if (url.pathname.startsWith('/api/routes/') && url.pathname.endsWith('/anomaly-scoring')) {
+            const audit = {context: routeId, action: 'UPDATE_ANOMALY_SCORING', targetId: 'anomaly-scoring', load: loadScoringConfig};
+            return auditConfigChange(request, sql, audit, () => handleScoringApi(request, sql));
         }
 
         return new Response('Not found in RouteRulesDO', {status: 404});
     }
 
     /**
-     * Handles CRUD operations for route-specific rules.
+     * Handles CRUD operations for route-specific rules
+     * (`/api/routes/<route ID>/rules[/<rule ID>]`). Each change queues an
+     * audit entry with the stored rule before and after it.
+     * @param {Request} request - The API request.
+     * @param {string} routeId - The route, which is the audit context.
+     * @param {string|undefined} ruleId - The rule, for PUT and DELETE.
      */
-    async handleRulesApi(request) {
+    async handleRulesApi(request, routeId, ruleId) {
         const sql = this.ctx.storage.sql;
-        const url = new URL(request.url);
-        const ruleId = url.pathname.split('/').slice(-2, -1)[0];
 
         if (request.method === 'GET') {
             await this.loadCache();
@@ -111,25 +262,38 @@ export class RouteRulesDO extends DurableObject {
         }
 
         if (request.method === 'POST') {
-            const rule = await request.json();
+            const {results: existingRules} = await sql.exec("SELECT id, enabled, priority FROM route_rules");
+            const {rule, errorResponse} = await readRuleFromRequest(request, {existingRules, isNew: true});
+            if (errorResponse) return errorResponse;
             await sql.exec(
-                "INSERT INTO route_rules (id, name, description, enabled, action, expression, tags, priority, trigger_alert, block_http_code) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
-                [rule.id, rule.name, rule.description, rule.enabled, rule.action, JSON.stringify(rule.expression), JSON.stringify(rule.tags), rule.priority, rule.trigger_alert, rule.block_http_code]
+                "INSERT INTO route_rules (id, name, description, enabled, action, expression, tags, priority, trigger_alert, block_http_code, type, rate_limit, score, category, shadow) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+                [rule.id, rule.name, rule.description, rule.enabled, rule.action, JSON.stringify(rule.expression), JSON.stringify(rule.tags), rule.priority, rule.trigger_alert, rule.block_http_code, rule.type, rule.rate_limit ? JSON.stringify(rule.rate_limit) : null, rule.score, rule.category, rule.shadow]
             );
+            await queueAuditLog(sql, {userId: getAuditUserId(request), context: routeId, action: 'CREATE_RULE', targetId: rule.id, dataBefore: null, dataAfter: await loadRule(sql, 'route_rules', rule.id)});
             return new Response(JSON.stringify(rule), {status: 201});
         }
 
         if (request.method === 'PUT' && ruleId) {
-            const rule = await request.json();
+            const {results: existingRules} = await sql.exec("SELECT id, enabled, priority FROM route_rules WHERE id != ?", [ruleId]);
+            const {rule, errorResponse} = await readRuleFromRequest(request, {existingRules});
+            if (errorResponse) return errorResponse;
+            const before = await loadRule(sql, 'route_rules', ruleId);
             await sql.exec(
-                "UPDATE route_rules SET name=?, description=?, enabled=?, action=?, expression=?, tags=?, priority=?, trigger_alert=?, block_http_code=? WHERE id=?",
-                [rule.name, rule.description, rule.enabled, rule.action, JSON.stringify(rule.expression), JSON.stringify(rule.tags), rule.priority, rule.trigger_alert, rule.block_http_code, ruleId]
+                "UPDATE route_rules SET name=?, description=?, enabled=?, action=?, expression=?, tags=?, priority=?, trigger_alert=?, block_http_code=?, type=?, rate_limit=?, score=?, category=?, shadow=? WHERE id=?",
+                [rule.name, rule.description, rule.enabled, rule.action, JSON.stringify(rule.expression), JSON.stringify(rule.tags), rule.priority, rule.trigger_alert, rule.block_http_code, rule.type, rule.rate_limit ? JSON.stringify(rule.rate_limit) : null, rule.score, rule.category, rule.shadow, ruleId]
             );
+            if (before) {
+                await queueAuditLog(sql, {userId: getAuditUserId(request), context: routeId, action: 'UPDATE_RULE', targetId: ruleId, dataBefore: before, dataAfter: await loadRule(sql, 'route_rules', ruleId)});
+            }
             return new Response(JSON.stringify(rule));
         }
 
         if (request.method === 'DELETE' && ruleId) {
+            const before = await loadRule(sql, 'route_rules', ruleId);
             await sql.exec("DELETE FROM route_rules WHERE id = ?", [ruleId]);
+            if (before) {
+                await queueAuditLog(sql, {userId: getAuditUserId(request), context: routeId, action: 'DELETE_RULE', targetId: ruleId, dataBefore: before, dataAfter: null});
+            }
             return new Response('Rule deleted');
         }
 
@@ -0,0 +1,102 @@
+/*
+ * =============================================================================
+ * FILE: src/route-settings.js
+ *
+ * DESCRIPTION:
+ * A route's own settings: body inspection and its size limit, shadow mode
+ * and the ALLOW sample rate. They are columns of `GlobalRulesDO`'s `routes`
+ * table, which the worker reads as it evaluates the route's requests, so
+ * `GlobalRulesDO` serves them at `/api/routes/<id>/settings`; the worker
+ * sends that path there rather than to the route's `RouteRulesDO`. `PUT`
+ * changes only the settings given. Changes are audited under the route's
+ * context as `UPDATE_ROUTE_SETTINGS`.
+ * =============================================================================
+ */
+
+import {DEFAULT_MAX_BODY_SIZE, MAX_BODY_SIZE_LIMIT} from './body-inspection.js';
+import {DEFAULT_ALLOW_SAMPLE_RATE} from './event-logger.js';
+
+export const DEFAULT_ROUTE_SETTINGS = {
+    inspect_body: false,
+    max_body_size: DEFAULT_MAX_BODY_SIZE,
+    shadow: false,
+    allow_sample_rate: DEFAULT_ALLOW_SAMPLE_RATE
+};
+
+/**
+ * Validates route settings submitted to the API.
+ * @param {object} settings - The submitted settings, any subset of `DEFAULT_ROUTE_SETTINGS`.
+ * @returns {string|null} An error message, or null if the settings are valid.
+ */
+export function getRouteSettingsError(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'The settings must be an object.';
+    const unknown = Object.keys(settings).find(key => !Object.hasOwn(DEFAULT_ROUTE_SETTINGS, key));
+    if (unknown) return `Unknown setting "${unknown}". Routes have: ${Object.keys(DEFAULT_ROUTE_SETTINGS).join(', ')}.`;
+    for (const key of ['inspect_body', 'shadow']) {
+        if (settings[key] !== undefined && typeof settings[key] !== 'boolean') return `${key} must be true or false.`;
+    }
+    if (settings.max_body_size !== undefined
+        && (!Number.isInteger(settings.max_body_size) || settings.max_body_size < 1 || settings.max_body_size > MAX_BODY_SIZE_LIMIT)) {
+        return `max_body_size must be a whole number of bytes from 1 to ${MAX_BODY_SIZE_LIMIT}.`;
+    }
+    if (settings.allow_sample_rate !== undefined
+        && (typeof settings.allow_sample_rate !== 'number' || !(settings.allow_sample_rate >= 0 && settings.allow_sample_rate <= 1))) {
+        return 'allow_sample_rate must be a number from 0 to 1.';
+    }
+    return null;
+}
+
+/**
+ * Reads a route's settings.
+ * @param {SqlStorage} sql - `GlobalRulesDO`'s SQL storage.
+ * @param {string} routeId - The route's ID.
+ * @returns {Promise<object|null>} The settings, or null if there is no such route.
+ */
+export async function loadRouteSettings(sql, routeId) {
+    const {results} = await sql.exec("SELECT inspect_body, max_body_size, shadow, allow_sample_rate FROM routes WHERE id = ?", [routeId]);
+    if (results.length === 0) return null;
+    const row = results[0];
+    return {
+        inspect_body: !!row.inspect_body,
+        max_body_size: row.max_body_size ?? DEFAULT_ROUTE_SETTINGS.max_body_size,
+        shadow: !!row.shadow,
+        allow_sample_rate: row.allow_sample_rate ?? DEFAULT_ROUTE_SETTINGS.allow_sample_rate
+    };
+}
+
+/**
+ * Handles `GET` and `PUT` for a route's settings.
+ * @param {Request} request - The API request.
+ * @param {SqlStorage} sql - `GlobalRulesDO`'s SQL storage.
+ * @param {string} routeId - The route's ID.
+ * @returns {Promise<Response>} The API response.
+ */
+export async function handleRouteSettingsApi(request, sql, routeId) {
+    const headers = {'Content-Type': 'application/json'};
+    const respond = (body, status = 200) => new Response(JSON.stringify(body), {status, headers});
+
+    const current = await loadRouteSettings(sql, routeId);
+    if (!current) return respond({error: 'Route not found'}, 404);
+
+    if (request.method === 'GET') return respond(current);
+
+    if (request.method === 'PUT') {
+        let submitted;
+        try {
+            submitted = await request.json();
+        } catch (e) {
+            return respond({error: 'Invalid JSON body'}, 400);
+        }
+        const error = getRouteSettingsError(submitted);
+        if (error) return respond({error}, 400);
+
+        const settings = {...current, ...submitted};
+        await sql.exec(
+            "UPDATE routes SET inspect_body = ?, max_body_size = ?, shadow = ?, allow_sample_rate = ? WHERE id = ?",
+            [settings.inspect_body ? 1 : 0, settings.max_body_size, settings.shadow ? 1 : 0, settings.allow_sample_rate, routeId]
+        );
+        return respond(await loadRouteSettings(sql, routeId));
+    }
+
+    return respond({error: 'Invalid request for route settings API'}, 400);
+}
@@ -0,0 +1,308 @@
+/*
+ * =============================================================================
+ * FILE: src/rule-validation.js
+ *
+ * DESCRIPTION:
+ * Schema validation for rules written through the rules APIs of both
+ * GlobalRulesDO and RouteRulesDO. A rule is checked as a whole (action, type,
+ * priority, rate limit and score settings) and condition by condition (known
+ * field, operator allowed for the field's data type, transformations, value
+ * shape and regex syntax), so a malformed rule is rejected when it is saved
+ * instead of being stored and silently never matching.
+ *
+ * Errors are returned as a list. Condition errors carry the condition's path
+ * in the expression, in the same form the admin UI's rule editor uses for its
+ * inline errors: dot-separated indexes into nested groups, so `2` is the third
+ * top-level condition and `1.0` the first condition of the second group. Rule
+ * errors carry the name of the rule property instead.
+ * =============================================================================
+ */
+
+import {WAF_OPERATORS, findFieldDefinition} from '../public/fields.js';
+import {FIELD_TRANSFORMATION_IDS, getTransformedDataType} from '../public/transformations.js';
+import {parseCidr, parseIp} from './ip-utils.js';
+
+export const RULE_TYPES = ['CUSTOM', 'RATE_LIMIT'];
+export const RULE_ACTIONS = ['BLOCK', 'CHALLENGE', 'ALLOW', 'LOG', 'SCORE'];
+export const RATE_LIMIT_ACTIONS = ['BLOCK', 'CHALLENGE', 'LOG'];
+
+// Operators restricted to some data types; the rest (equality, `in` and the null checks) work on every type.
+const NUMERIC_TYPES = ['integer', 'float'];
+const TEXT_TYPES = ['string', 'ip', 'array'];
+const OPERATOR_DATA_TYPES = {
+    greater_than: NUMERIC_TYPES,
+    less_than: NUMERIC_TYPES,
+    between: NUMERIC_TYPES,
+    in_cidr: ['ip'],
+    not_in_cidr: ['ip'],
+    has_any: ['array'],
+    has_all: ['array'],
+    equals_ci: TEXT_TYPES,
+    contains: TEXT_TYPES,
+    not_contains: TEXT_TYPES,
+    starts_with: TEXT_TYPES,
+    ends_with: TEXT_TYPES,
+    wildcard: TEXT_TYPES,
+    matches: TEXT_TYPES,
+    not_matches: TEXT_TYPES,
+};
+
+// Operators whose value is a list: an array, comma-separated text or a `{list: name}` reference.
+const LIST_VALUE_OPERATORS = ['in', 'not_in', 'in_cidr', 'not_in_cidr', 'has_any', 'has_all'];
+
+const LIST_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+
+/**
+ * Checks whether an operator can be used on a data type.
+ * @param {string} operator - The condition's operator.
+ * @param {string} dataType - The data type compared, after transformations.
+ * @returns {boolean} True if the operator is allowed.
+ */
+export function isOperatorCompatible(operator, dataType) {
+    return !OPERATOR_DATA_TYPES[operator] || OPERATOR_DATA_TYPES[operator].includes(dataType);
+}
+
+/**
+ * Checks a RATE_LIMIT rule's configuration before it is saved.
+ * @param {object} rule - The submitted rule.
+ * @returns {string|null} An error message, or null if the configuration is valid.
+ */
+export function getRateLimitConfigError(rule) {
+    const config = rule.rate_limit;
+    if (!config || typeof config !== 'object') return 'RATE_LIMIT rules require a rate_limit configuration.';
+    if (!Array.isArray(config.characteristics) || config.characteristics.length === 0) {
+        return 'rate_limit.characteristics must list at least one field.';
+    }
+    const unknownField = config.characteristics.find(field => !findFieldDefinition(field));
+    if (unknownField !== undefined) return `rate_limit.characteristics has an unknown field: ${JSON.stringify(unknownField)}.`;
+    if (new Set(config.characteristics).size !== config.characteristics.length) return 'rate_limit.characteristics lists a field twice.';
+    if (!Number.isInteger(config.threshold) || config.threshold < 1) return 'rate_limit.threshold must be a positive integer.';
+    if (!Number.isInteger(config.period) || config.period < 1) return 'rate_limit.period must be a positive number of seconds.';
+    if (config.mitigation_timeout !== undefined && (!Number.isInteger(config.mitigation_timeout) || config.mitigation_timeout < 0)) {
+        return 'rate_limit.mitigation_timeout must be a non-negative number of seconds.';
+    }
+    if (!RATE_LIMIT_ACTIONS.includes(rule.action)) return `RATE_LIMIT rules must use one of: ${RATE_LIMIT_ACTIONS.join(', ')}.`;
+    return null;
+}
+
+/**
+ * Checks a SCORE rule's score and category before it is saved.
+ * @param {object} rule - The submitted rule.
+ * @returns {string|null} An error message, or null if the rule is valid.
+ */
+export function getScoreRuleError(rule) {
+    if (!Number.isInteger(rule.score) || rule.score === 0) return 'SCORE rules require a non-zero integer score.';
+    if (rule.category !== undefined && rule.category !== null && !/^[\w-]{1,32}$/.test(rule.category)) {
+        return 'category must be 1-32 letters, digits, underscores or hyphens.';
+    }
+    if (rule.type === 'RATE_LIMIT') return `RATE_LIMIT rules must use one of: ${RATE_LIMIT_ACTIONS.join(', ')}.`;
+    return null;
+}
+
+// Splits a list value into its items, as the engine does. `{list}` references are checked by name only.
+function _toListItems(value) {
+    if (Array.isArray(value)) return value;
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function _isScalar(value) {
+    return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+}
+
+// Checks one value (or list item) against the type it is compared as.
+function _getItemError(item, valueType, plural) {
+    if (!_isScalar(item)) return plural ? 'Values must be strings or numbers.' : 'Value must be a string or a number.';
+    const text = String(item).trim();
+    if (valueType === 'integer' && !INTEGER_PATTERN.test(text)) return plural ? 'Values must be integers.' : 'Value must be an integer.';
+    if (valueType === 'float' && !NUMBER_PATTERN.test(text)) return plural ? 'Values must be numbers.' : 'Value must be a number.';
+    if (valueType === 'boolean' && text !== 'true' && text !== 'false') return 'Value must be true or false.';
+    return null;
+}
+
+/**
+ * Validates a single condition.
+ * @param {object} condition - The `{field, operator, value, transforms?}` condition.
+ * @returns {string|null} An error message, or null if the condition is valid.
+ */
+export function getConditionError(condition) {
+    const {field, operator, value, transforms} = condition;
+
+    const definition = findFieldDefinition(field);
+    if (!definition) return typeof field === 'string' && field ? `Unknown field "${field}".` : 'A field is required.';
+    if (definition.dynamic) {
+        const key = field.substring(definition.id.length + 1);
+        if (key === '') return `Enter a ${definition.keyName} after "${definition.id}.".`;
+        if (definition.keyPattern && !definition.keyPattern.test(key)) return `"${key}" is not a valid ${definition.keyName}.`;
+    }
+
+    if (transforms !== undefined && transforms !== null) {
+        if (!Array.isArray(transforms)) return 'transforms must be a list of transformation IDs.';
+        const unknown = transforms.find(id => !FIELD_TRANSFORMATION_IDS.includes(id));
+        if (unknown !== undefined) return `Unknown transformation "${unknown}". Available: ${FIELD_TRANSFORMATION_IDS.join(', ')}.`;
+    }
+
+    if (!WAF_OPERATORS.includes(operator)) return `Unknown operator "${operator}".`;
+    const dataType = getTransformedDataType(definition.dataType, transforms);
+    if (!isOperatorCompatible(operator, dataType)) return `The ${operator} operator cannot be used on ${dataType} values.`;
+    if (operator === 'is_null' || operator === 'is_not_null') return null;
+
+    if (value === undefined || value === null) return 'A value is required.';
+    const valueType = dataType === 'array' ? (definition.itemType || 'string') : dataType;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if (!LIST_VALUE_OPERATORS.includes(operator)) return `The ${operator} operator does not take a list.`;
+        if (typeof value.list !== 'string' || !LIST_NAME_PATTERN.test(value.list)) return 'List references must name a list, e.g. {"list": "bad_ips"}.';
+        return null;
+    }
+
+    if (operator === 'between') {
+        const bounds = _toListItems(value);
+        if (bounds.length !== 2 || bounds.some(bound => !_isScalar(bound) || !NUMBER_PATTERN.test(String(bound).trim()))) {
+            return 'between requires two numbers, the lower and upper bound.';
+        }
+        return null;
+    }
+    if (operator === 'greater_than' || operator === 'less_than') {
+        return _isScalar(value) && NUMBER_PATTERN.test(String(value).trim()) ? null : 'Value must be a number.';
+    }
+    if (operator === 'in_cidr' || operator === 'not_in_cidr' || ((operator === 'in' || operator === 'not_in') && valueType === 'ip')) {
+        const invalid = _toListItems(value).find(item => typeof item !== 'string' || !parseCidr(item));
+        return invalid === undefined ? null : `"${invalid}" is not a valid IP address or CIDR prefix.`;
+    }
+    if (LIST_VALUE_OPERATORS.includes(operator)) {
+        const items = _toListItems(value);
+        if (items.length === 0) return 'The list of values is empty.';
+        for (const item of items) {
+            const error = _getItemError(item, valueType, true);
+            if (error) return error;
+        }
+        return null;
+    }
+
+    if (Array.isArray(value)) return `The ${operator} operator takes a single value, not a list.`;
+    if (operator === 'matches' || operator === 'not_matches') {
+        try {
+            new RegExp(String(value), 'i');
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    }
+    if (operator === 'equals' || operator === 'not_equals') {
+        if (valueType === 'ip') return typeof value === 'string' && parseIp(value) ? null : 'Value must be a valid IPv4 or IPv6 address.';
+        return _getItemError(value, valueType, false);
+    }
+    return _isScalar(value) ? null : 'Value must be a string or a number.';
+}
+
+function _isGroup(node) {
+    return Array.isArray(node) || (!!node && typeof node === 'object' && (Array.isArray(node.all) || Array.isArray(node.any) || 'not' in node));
+}
+
+function _walkGroup(node, path, visit) {
+    if (!_isGroup(node)) {
+        _walkChild(node, [...path, 0], visit);
+    } else if (Array.isArray(node) || Array.isArray(node.all) || Array.isArray(node.any)) {
+        const children = Array.isArray(node) ? node : node.all || node.any;
+        children.forEach((child, index) => _walkChild(child, [...path, index], visit));
+    } else if (_isGroup(node.not)) {
+        _walkGroup(node.not, path, visit);
+    } else {
+        _walkChild(node.not, [...path, 0], visit);
+    }
+}
+
+function _walkChild(child, path, visit) {
+    if (_isGroup(child)) _walkGroup(child, path, visit);
+    else visit(child, path.join('.'));
+}
+
+/**
+ * Calls `visit` for every condition of an expression with the condition's
+ * path, walking the expression the way the rule editor builds its tree: the
+ * root and every group contribute one path index per child, a `not` around a
+ * group keeps that group's children, and a `not` around a single condition
+ * becomes a group holding it.
+ * @param {object[]|object} expression - A flat condition array or `all`/`any`/`not` group tree.
+ * @param {function(*, string): void} visit - Called with each condition (or malformed node) and its path.
+ */
+export function forEachCondition(expression, visit) {
+    if (Array.isArray(expression) && expression.length === 0) return;
+    _walkGroup(expression, [], visit);
+}
+
+/**
+ * Validates a structured rule expression.
+ * @param {object[]|object} expression - A flat condition array or `all`/`any`/`not` group tree.
+ * @returns {{condition: string, field?: string, message: string}[]} The errors, keyed by condition path.
+ */
+export function validateExpression(expression) {
+    const errors = [];
+    if (expression === null || expression === undefined) return errors;
+    if (typeof expression !== 'object') {
+        errors.push({property: 'expression', message: 'expression must be a condition list, a group or rule-language text.'});
+        return errors;
+    }
+    forEachCondition(expression, (condition, path) => {
+        if (!condition || typeof condition !== 'object') {
+            errors.push({condition: path, message: 'Expected a condition or a group.'});
+            return;
+        }
+        const message = getConditionError(condition);
+        if (message) errors.push({condition: path, field: condition.field, message});
+    });
+    return errors;
+}
+
+/**
+ * Validates a rule submitted to the rules APIs. The expression must already
+ * be in the structured format (rule-language text is parsed first).
+ * @param {object} rule - The submitted rule.
+ * @param {{existingRules?: object[]}} [options] - The scope's stored rules, used to keep the priorities of enabled
+ *     rules unique. The rule itself, matched by ID, is ignored.
+ * @returns {{property?: string, condition?: string, field?: string, message: string}[]} The errors; empty if the
+ *     rule is valid.
+ */
+export function validateRule(rule, {existingRules = []} = {}) {
+    const errors = [];
+    const fail = (property, message) => errors.push({property, message});
+
+    if (typeof rule.id !== 'string' || rule.id.trim() === '') fail('id', 'id is required.');
+    for (const property of ['name', 'description']) {
+        if (rule[property] !== undefined && rule[property] !== null && typeof rule[property] !== 'string') fail(property, `${property} must be a string.`);
+    }
+    if (!RULE_TYPES.includes(rule.type)) fail('type', `type must be one of: ${RULE_TYPES.join(', ')}.`);
+    if (!RULE_ACTIONS.includes(rule.action)) fail('action', `action must be one of: ${RULE_ACTIONS.join(', ')}.`);
+
+    if (!Number.isInteger(rule.priority) || rule.priority < 1) {
+        fail('priority', 'priority must be an integer of at least 1.');
+    } else if (rule.enabled) {
+        const conflict = existingRules.find(other => other.id !== rule.id && other.enabled && other.priority === rule.priority);
+        if (conflict) fail('priority', `Priority ${rule.priority} is already used by rule "${conflict.id}".`);
+    }
+
+    if (rule.block_http_code !== undefined && rule.block_http_code !== null
+        && (!Number.isInteger(rule.block_http_code) || rule.block_http_code < 400 || rule.block_http_code > 599)) {
+        fail('block_http_code', 'block_http_code must be an HTTP status code from 400 to 599.');
+    }
+    if (rule.shadow !== undefined && rule.shadow !== null && ![true, false, 0, 1].includes(rule.shadow)) {
+        fail('shadow', 'shadow must be true or false.');
+    }
+    if (rule.tags !== undefined && rule.tags !== null && (!Array.isArray(rule.tags) || rule.tags.some(tag => typeof tag !== 'string'))) {
+        fail('tags', 'tags must be a list of strings.');
+    }
+
+    if (rule.type === 'RATE_LIMIT') {
+        const error = getRateLimitConfigError(rule);
+        if (error) fail('rate_limit', error);
+    }
+    if (rule.action === 'SCORE') {
+        const error = getScoreRuleError(rule);
+        if (error) fail('score', error);
+    }
+
+    errors.push(...validateExpression(rule.expression));
+    return errors;
+}
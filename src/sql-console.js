@@ -0,0 +1,225 @@
+/*
+ * =============================================================================
+ * FILE: src/sql-console.js
+ *
+ * DESCRIPTION:
+ * The sandbox for the read-only SQL console served by `EventLogsDO`. A query
+ * is tokenized and checked before it runs: it must be a single SELECT
+ * statement (no CTEs), may only read the `events` table and its columns, may
+ * only call an allow-list of side-effect-free functions and only takes `?`
+ * parameters. It reads `events` at most once and cannot join, so its work
+ * grows with the rows it scans and no faster. The checked query is rebuilt
+ * from its tokens: its `events` reference becomes a scan of at most
+ * `MAX_CONSOLE_SCANNED_ROWS` events in the query's time range (the latest
+ * ones), and the whole is wrapped in an outer `LIMIT`, so every partition
+ * does bounded work and returns a bounded number of rows. The partitions
+ * queried, the time they get to answer and the size of the merged result are
+ * bounded by `EventLogsDO`.
+ * =============================================================================
+ */
+
+export const CONSOLE_TABLES = ['events'];
+
+export const CONSOLE_COLUMNS = [
+    'id', 'timestamp', 'action', 'rule_id', 'context', 'route_host', 'ip_address', 'user_agent',
+    'country', 'asn', 'colo', 'cf_blob', 'headers', 'shadow', 'sample_rate', 'log_only'
+];
+
+// Scalar, aggregate, date and JSON functions that read their arguments and nothing else, and return no more than
+// they are given. Functions that can build a value far larger than their input are left out: `printf` (widths and
+// precisions), `replace`, `group_concat` (across every row scanned) and `hex` (which doubles with each nesting).
+export const CONSOLE_FUNCTIONS = [
+    'abs', 'avg', 'coalesce', 'count', 'date', 'datetime', 'ifnull', 'iif', 'instr', 'json_array_length',
+    'json_extract', 'json_type', 'json_valid', 'julianday', 'length', 'lower', 'ltrim', 'max', 'min', 'nullif',
+    'round', 'rtrim', 'strftime', 'substr', 'substring', 'sum', 'time', 'total', 'trim', 'typeof', 'unixepoch',
+    'upper'
+];
+
+export const MAX_CONSOLE_ROWS = 1000;
+export const MAX_CONSOLE_PARAMS = 32;
+// The most events of one partition a query reads; `EventLogsDO` reports a partition that has more in range.
+export const MAX_CONSOLE_SCANNED_ROWS = 100000;
+const MAX_QUERY_LENGTH = 10000;
+
+const KEYWORDS = new Set([
+    'all', 'and', 'as', 'asc', 'between', 'blob', 'by', 'case', 'cast', 'collate', 'cross', 'desc', 'distinct',
+    'else', 'end', 'escape', 'except', 'exists', 'false', 'from', 'glob', 'group', 'having', 'in', 'inner',
+    'integer', 'intersect', 'is', 'isnull', 'join', 'left', 'like', 'limit', 'natural', 'nocase', 'not', 'notnull',
+    'null', 'numeric', 'offset', 'on', 'or', 'order', 'outer', 'real', 'rtrim', 'select', 'text', 'then', 'true',
+    'union', 'using', 'when', 'where'
+]);
+
+// Keywords after which a table name (or a subquery) is expected.
+const TABLE_KEYWORDS = new Set(['from']);
+
+// Keywords that end a FROM clause, after which a comma no longer introduces a table.
+const CLAUSE_KEYWORDS = new Set(['where', 'group', 'having', 'order', 'limit', 'union', 'intersect', 'except', 'on', 'using']);
+
+/**
+ * Splits a query into tokens, dropping whitespace and comments.
+ * @param {string} query - The SQL text.
+ * @returns {{type: string, text: string, value: string}[]} The tokens. `type` is `word`, `quoted` (a quoted
+ *     identifier), `string`, `number`, `param` or `symbol`; `value` is the lowercase word or unquoted identifier.
+ * @throws {Error} On unterminated strings, identifiers or comments, and on unsupported characters.
+ */
+export function tokenizeQuery(query) {
+    const tokens = [];
+    let i = 0;
+    while (i < query.length) {
+        const rest = query.slice(i);
+        let match;
+        if ((match = /^\s+/.exec(rest))) {
+            i += match[0].length;
+        } else if (rest.startsWith('--')) {
+            const end = query.indexOf('\n', i);
+            i = end === -1 ? query.length : end + 1;
+        } else if (rest.startsWith('/*')) {
+            const end = query.indexOf('*/', i + 2);
+            if (end === -1) throw new Error('Unterminated comment.');
+            i = end + 2;
+        } else if ((match = /^[xX]?'(?:[^']|'')*'/.exec(rest))) {
+            tokens.push({type: 'string', text: match[0], value: match[0]});
+            i += match[0].length;
+        } else if (rest[0] === "'") {
+            throw new Error('Unterminated string.');
+        } else if ((match = /^(?:"(?:[^"]|"")*"|`(?:[^`]|``)*`|\[[^\]]*\])/.exec(rest))) {
+            const name = match[0].slice(1, -1).replace(/""/g, '"').replace(/``/g, '`');
+            tokens.push({type: 'quoted', text: `"${name.replace(/"/g, '""')}"`, value: name.toLowerCase()});
+            i += match[0].length;
+        } else if ('"`['.includes(rest[0])) {
+            throw new Error('Unterminated quoted identifier.');
+        } else if ((match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest))) {
+            tokens.push({type: 'word', text: match[0], value: match[0].toLowerCase()});
+            i += match[0].length;
+        } else if ((match = /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/.exec(rest))) {
+            tokens.push({type: 'number', text: match[0], value: match[0]});
+            i += match[0].length;
+        } else if ((match = /^(?:\?\d*|[:@$][A-Za-z_]\w*)/.exec(rest))) {
+            tokens.push({type: 'param', text: match[0], value: match[0]});
+            i += match[0].length;
+        } else if ((match = /^(?:\|\||<=|>=|<>|!=|==|<<|>>|[-+*/%<>=(),.;&|~])/.exec(rest))) {
+            tokens.push({type: 'symbol', text: match[0], value: match[0]});
+            i += match[0].length;
+        } else {
+            throw new Error(`Unexpected character "${rest[0]}".`);
+        }
+    }
+    return tokens;
+}
+
+const _isName = (token) => token && (token.type === 'word' || token.type === 'quoted');
+const _isKeyword = (token) => token?.type === 'word' && KEYWORDS.has(token.value);
+
+// Aliases are names given with AS, or written right after a table, a column, a literal or a closing parenthesis.
+function _collectAliases(tokens) {
+    const aliases = new Set();
+    tokens.forEach((token, index) => {
+        const next = tokens[index + 1];
+        if (!_isName(next) || _isKeyword(next)) return;
+        if (token.value === 'as' || token.value === ')' || ['string', 'number'].includes(token.type)
+            || (_isName(token) && !_isKeyword(token))) {
+            aliases.add(next.value);
+        }
+    });
+    return aliases;
+}
+
+// Names written right before a parenthesis, which SQLite reads as function calls whatever their quoting.
+const _collectCalledNames = (tokens) => new Set(tokens.filter((token, index) => _isName(token) && !_isKeyword(token) && tokens[index + 1]?.value === '(').map(token => token.value));
+
+// The events a query reads in place of `events`: the latest of its time range, up to the scan limit.
+const _boundedScan = (since, until) => `(SELECT * FROM events WHERE timestamp >= ${Math.floor(since)} AND timestamp <= ${Math.ceil(until)} ORDER BY timestamp DESC LIMIT ${MAX_CONSOLE_SCANNED_ROWS})`;
+
+/**
+ * Checks a console query against the sandbox and builds the statement to run.
+ * @param {string} query - The submitted query.
+ * @param {Array} [params] - Its positional parameters.
+ * @param {{limit?: number, since?: number, until?: number}} [options] - The row limit, at most `MAX_CONSOLE_ROWS`,
+ *     and the time range of the events read, in milliseconds.
+ * @returns {{error: string}|{sql: string, params: Array, limit: number}} An error, or the statement to run, which
+ *     fetches one row more than the limit so truncation can be detected.
+ */
+export function prepareConsoleQuery(query, params = [], {limit = MAX_CONSOLE_ROWS, since = 0, until = Number.MAX_SAFE_INTEGER} = {}) {
+    if (typeof query !== 'string' || query.trim() === '') return {error: 'query is required.'};
+    if (query.length > MAX_QUERY_LENGTH) return {error: `The query must be at most ${MAX_QUERY_LENGTH} characters.`};
+    if (!Array.isArray(params) || params.length > MAX_CONSOLE_PARAMS
+        || params.some(param => param !== null && !['string', 'number', 'boolean'].includes(typeof param))) {
+        return {error: `params must be a list of at most ${MAX_CONSOLE_PARAMS} strings, numbers, booleans or nulls.`};
+    }
+    const rowLimit = Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_CONSOLE_ROWS) : MAX_CONSOLE_ROWS;
+
+    let tokens;
+    try {
+        tokens = tokenizeQuery(query);
+    } catch (e) {
+        return {error: e.message};
+    }
+    if (tokens[tokens.length - 1]?.value === ';') tokens = tokens.slice(0, -1);
+    if (tokens.some(token => token.value === ';')) return {error: 'Only one statement is allowed.'};
+    if (tokens[0]?.type !== 'word' || tokens[0].value !== 'select') return {error: 'Only SELECT queries are allowed.'};
+    if (tokens.some(token => token.type === 'word' && token.value === 'with')) return {error: 'Common table expressions (WITH) are not allowed.'};
+
+    const parameterCount = tokens.filter(token => token.type === 'param').length;
+    if (tokens.some(token => token.type === 'param' && token.text !== '?')) return {error: 'Only positional "?" parameters are allowed.'};
+    if (parameterCount !== params.length) return {error: `The query has ${parameterCount} parameters but ${params.length} were given.`};
+
+    const aliases = _collectAliases(tokens);
+    const calledNames = _collectCalledNames(tokens);
+    const shadowingAlias = [...aliases].find(alias => CONSOLE_FUNCTIONS.includes(alias) || calledNames.has(alias));
+    if (shadowingAlias) return {error: `The alias "${shadowingAlias}" is the name of a function.`};
+
+    // Per parenthesis depth: whether the tokens are in a FROM clause, where a comma would join another table.
+    const inFromClause = [false];
+    const tableReferences = [];
+    for (let index = 0; index < tokens.length; index++) {
+        const token = tokens[index];
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+        const depth = inFromClause.length - 1;
+
+        if (token.value === ',' && inFromClause[depth]) return {error: 'Joins are not allowed.'};
+        if (token.value === '(') {
+            inFromClause.push(false);
+            continue;
+        }
+        if (token.value === ')') {
+            if (inFromClause.length === 1) return {error: 'Unbalanced parentheses.'};
+            inFromClause.pop();
+            continue;
+        }
+        if (!_isName(token)) continue;
+
+        if (token.type === 'word' && token.value === 'join') return {error: 'Joins are not allowed.'};
+        const expectsTable = TABLE_KEYWORDS.has(previous?.value);
+        if (token.type === 'word' && TABLE_KEYWORDS.has(token.value)) {
+            inFromClause[depth] = true;
+            continue;
+        }
+        if (token.type === 'word' && CLAUSE_KEYWORDS.has(token.value)) inFromClause[depth] = false;
+        if (_isKeyword(token)) continue;
+
+        if (next?.value === '(') {
+            if (!CONSOLE_FUNCTIONS.includes(token.value)) return {error: `The function "${token.value}" is not allowed.`};
+        } else if (expectsTable) {
+            if (!CONSOLE_TABLES.includes(token.value)) return {error: `Unknown table "${token.value}". Queries can read: ${CONSOLE_TABLES.join(', ')}.`};
+            tableReferences.push(index);
+        } else if (next?.value === '.') {
+            if (!CONSOLE_TABLES.includes(token.value) && !aliases.has(token.value)) return {error: `Unknown table or alias "${token.value}".`};
+        } else if (previous?.value === '.') {
+            if (!CONSOLE_COLUMNS.includes(token.value)) return {error: `Unknown column "${token.value}".`};
+        } else if (!CONSOLE_COLUMNS.includes(token.value) && !aliases.has(token.value)) {
+            return {error: `Unknown column "${token.value}".`};
+        }
+    }
+    if (inFromClause.length !== 1) return {error: 'Unbalanced parentheses.'};
+    if (tableReferences.length > 1) return {error: 'A query can read the events table only once.'};
+
+    // The scan keeps the name `events` unless the query gives the table an alias of its own.
+    const statement = tokens.map((token, index) => {
+        if (!tableReferences.includes(index)) return token.text;
+        const next = tokens[index + 1];
+        const hasAlias = next?.value === 'as' || (_isName(next) && !_isKeyword(next));
+        return hasAlias ? _boundedScan(since, until) : `${_boundedScan(since, until)} AS events`;
+    }).join(' ');
+    return {sql: `SELECT * FROM (${statement}) LIMIT ${rowLimit + 1}`, params: params.map(param => typeof param === 'boolean' ? Number(param) : param), limit: rowLimit};
+}
@@ -0,0 +1,253 @@
+/*
+ * =============================================================================
+ * FILE: src/users.js
+ *
+ * DESCRIPTION:
+ * Admin user accounts, stored in `GlobalRulesDO`'s `users` table and managed
+ * at `/api/global/users`. Passwords are stored as PBKDF2-SHA256 hashes with a
+ * random salt, in the form `pbkdf2-sha256$<iterations>$<salt>$<hash>`
+ * (base64). Each user has one of the roles in `permissions.js`; an editor
+ * also has the routes (or `global`) they may change. Usernames are stored in
+ * lowercase. Every change is audited, with the account as stored but never
+ * its password hash.
+ *
+ * Until the first user is created, the worker accepts the shared
+ * `WAFU_ADMIN_SECRET` as a bootstrap administrator login, so a new
+ * deployment can create its accounts. The first account must be an
+ * administrator, since the bootstrap login ends as soon as it exists.
+ *
+ * A session is only valid if its token was issued after the user's password
+ * last changed, so changing a password signs out the user's other sessions.
+ * =============================================================================
+ */
+
+import {ROLES} from './permissions.js';
+import {addMissingColumns} from './utils.js';
+import {getAuditUserId, queueAuditLog} from './audit-logs-do.js';
+
+// The most PBKDF2 iterations the Workers runtime allows.
+export const PASSWORD_HASH_ITERATIONS = 100000;
+export const MIN_PASSWORD_LENGTH = 12;
+
+// The session of the bootstrap login, which is only valid while there are no users.
+export const BOOTSTRAP_USER = {id: 'bootstrap', username: 'admin@wafu.com', role: 'administrator', routes: []};
+
+// Verified against when the username is unknown, so that takes as long as a wrong password.
+const UNKNOWN_USER_HASH = `pbkdf2-sha256$${PASSWORD_HASH_ITERATIONS}$${'A'.repeat(22)}==$${'A'.repeat(43)}=`;
+
+const _toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const _fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+async function _derivePasswordKey(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    return new Uint8Array(await crypto.subtle.deriveBits({name: 'PBKDF2', hash: 'SHA-256', salt, iterations}, key, 256));
+}
+
+/**
+ * Hashes a password for storage.
+ * @param {string} password - The password.
+ * @returns {Promise<string>} The hash, with its algorithm, iterations and salt.
+ */
+export async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await _derivePasswordKey(password, salt, PASSWORD_HASH_ITERATIONS);
+    return `pbkdf2-sha256$${PASSWORD_HASH_ITERATIONS}$${_toBase64(salt)}$${_toBase64(hash)}`;
+}
+
+/**
+ * Checks a password against a stored hash, in constant time.
+ * @param {string} password - The password to check.
+ * @param {string} stored - A hash from `hashPassword`.
+ * @returns {Promise<boolean>} Whether the password matches.
+ */
+export async function verifyPassword(password, stored) {
+    const [algorithm, iterations, salt, hash] = (stored || '').split('$');
+    if (algorithm !== 'pbkdf2-sha256' || !salt || !hash) return false;
+    const expected = _fromBase64(hash);
+    const actual = await _derivePasswordKey(password, _fromBase64(salt), Number(iterations));
+    let difference = expected.length ^ actual.length;
+    for (let i = 0; i < actual.length; i++) difference |= actual[i] ^ (expected[i] ?? 0);
+    return difference === 0;
+}
+
+/**
+ * Creates the users table, and adds the columns added since.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ */
+export async function initializeUsersTable(sql) {
+    await sql.exec(`CREATE TABLE IF NOT EXISTS users (id TEXT PRIMARY KEY, username TEXT UNIQUE, password_hash TEXT, role TEXT, created_at INTEGER, routes TEXT NOT NULL DEFAULT '[]', password_updated_at INTEGER)`);
+    await addMissingColumns(sql, 'users', {routes: "TEXT NOT NULL DEFAULT '[]'", password_updated_at: 'INTEGER'});
+}
+
+/**
+ * Validates a user submitted to the API.
+ * @param {object} user - The submitted user, merged over the stored one for an update.
+ * @param {{requirePassword?: boolean}} [options] - Whether a password must be given, as for a new user.
+ * @returns {string|null} An error message, or null if the user is valid.
+ */
+export function getUserError(user, {requirePassword = false} = {}) {
+    if (!user || typeof user !== 'object' || Array.isArray(user)) return 'The user must be an object.';
+    if (typeof user.username !== 'string' || !/^[^\s]{1,128}$/.test(user.username)) {
+        return 'username must be 1 to 128 characters, without spaces.';
+    }
+    if (!Object.hasOwn(ROLES, user.role)) return `role must be one of: ${Object.keys(ROLES).join(', ')}.`;
+    if (user.routes !== undefined && (!Array.isArray(user.routes)
+        || user.routes.some(route => typeof route !== 'string' || route === '' || route.length > 128))) {
+        return 'routes must be a list of route IDs, or "global".';
+    }
+    if (user.role !== 'editor' && user.routes?.length > 0) return 'Only editors are assigned routes.';
+    if (requirePassword && user.password === undefined) return 'password is required.';
+    if (user.password !== undefined && (typeof user.password !== 'string' || user.password.length < MIN_PASSWORD_LENGTH)) {
+        return `password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+    }
+    return null;
+}
+
+function _toUser(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        routes: JSON.parse(row.routes || '[]'),
+        created_at: row.created_at,
+        password_updated_at: row.password_updated_at
+    };
+}
+
+/**
+ * Reads one user, without the password hash.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {string} id - The user's ID.
+ * @returns {Promise<object|null>} The user, or null if there is none with that ID.
+ */
+export async function loadUser(sql, id) {
+    const {results} = await sql.exec("SELECT * FROM users WHERE id = ?", [id]);
+    return results.length > 0 ? _toUser(results[0]) : null;
+}
+
+/**
+ * Checks a username and password.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {string} username - The username, in any case.
+ * @param {string} password - The password.
+ * @returns {Promise<object|null>} The user, or null if the credentials are wrong.
+ */
+export async function authenticateUser(sql, username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string') return null;
+    const {results} = await sql.exec("SELECT * FROM users WHERE username = ?", [username.trim().toLowerCase()]);
+    const valid = await verifyPassword(password, results[0]?.password_hash || UNKNOWN_USER_HASH);
+    return valid && results.length > 0 ? _toUser(results[0]) : null;
+}
+
+/**
+ * Returns the user a session belongs to, as it is stored now, so role
+ * changes and deleted accounts take effect on a session's next call.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {string} id - The session's user ID (the token's `sub`).
+ * @param {number} [issuedAt] - When the session's token was issued (its `iat`, in seconds). A token issued
+ *     before the user's password last changed is not valid.
+ * @returns {Promise<object|null>} The user, `BOOTSTRAP_USER` for a bootstrap session while there are no users, or null.
+ */
+export async function getSessionUser(sql, id, issuedAt) {
+    if (id === BOOTSTRAP_USER.id) {
+        const {results} = await sql.exec("SELECT COUNT(*) AS count FROM users");
+        return results[0].count === 0 ? BOOTSTRAP_USER : null;
+    }
+    const user = await loadUser(sql, id);
+    // `iat` is in whole seconds, so a token issued in the same second as the change is still accepted.
+    if (user && issuedAt !== undefined && !(issuedAt >= Math.floor((user.password_updated_at || 0) / 1000))) return null;
+    return user;
+}
+
+async function _countAdministrators(sql, exceptId = null) {
+    const {results} = await sql.exec("SELECT COUNT(*) AS count FROM users WHERE role = 'administrator' AND id IS NOT ?", [exceptId]);
+    return results[0].count;
+}
+
+/**
+ * Handles the users API: `GET /api/global/users` lists the users, `POST`
+ * creates one, and `GET`, `PUT` (which changes only the fields given) and
+ * `DELETE` on `/api/global/users/<id>` read, update and delete one. Until an
+ * administrator exists, only an administrator can be created; the last
+ * administrator cannot be deleted or given another role.
+ * @param {Request} request - The API request.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {string|null} userId - The user ID from the path, if any.
+ * @returns {Promise<Response>} The API response.
+ */
+export async function handleUsersApi(request, sql, userId) {
+    const headers = {'Content-Type': 'application/json'};
+    const respond = (body, status = 200) => new Response(JSON.stringify(body), {status, headers});
+
+    if (request.method === 'GET' && !userId) {
+        const {results} = await sql.exec("SELECT * FROM users ORDER BY username");
+        return respond({users: results.map(_toUser)});
+    }
+
+    let submitted = null;
+    if (request.method === 'POST' || request.method === 'PUT') {
+        try {
+            submitted = await request.json();
+        } catch (e) {
+            return respond({error: 'Invalid JSON body'}, 400);
+        }
+        if (submitted && typeof submitted.username === 'string') submitted.username = submitted.username.trim().toLowerCase();
+    }
+
+    if (request.method === 'POST' && !userId) {
+        const error = getUserError(submitted, {requirePassword: true});
+        if (error) return respond({error}, 400);
+        const {results: existing} = await sql.exec("SELECT id FROM users WHERE username = ?", [submitted.username]);
+        if (existing.length > 0) return respond({error: `The username "${submitted.username}" is taken.`}, 409);
+        if (submitted.role !== 'administrator' && await _countAdministrators(sql) === 0) {
+            return respond({error: 'The first account must be an administrator.'}, 409);
+        }
+        const id = crypto.randomUUID();
+        const now = Date.now();
+        const passwordHash = await hashPassword(submitted.password);
+        await sql.exec(
+            "INSERT INTO users (id, username, password_hash, role, created_at, routes, password_updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [id, submitted.username, passwordHash, submitted.role, now, JSON.stringify(submitted.routes || []), now]
+        );
+        const user = await loadUser(sql, id);
+        await queueAuditLog(sql, {userId: getAuditUserId(request), context: 'global', action: 'CREATE_USER', targetId: id, dataBefore: null, dataAfter: user});
+        return respond(user, 201);
+    }
+
+    if (!userId) return respond({error: 'Invalid request for users API'}, 400);
+    const before = await loadUser(sql, userId);
+    if (!before) return respond({error: 'User not found'}, 404);
+
+    if (request.method === 'GET') return respond(before);
+
+    if (request.method === 'PUT') {
+        if (!submitted || typeof submitted !== 'object' || Array.isArray(submitted)) return respond({error: 'The user must be an object.'}, 400);
+        const user = {...before, ...submitted};
+        if (user.role !== 'editor' && submitted.routes === undefined) user.routes = [];
+        const error = getUserError(user);
+        if (error) return respond({error}, 400);
+        if (before.role === 'administrator' && user.role !== 'administrator' && await _countAdministrators(sql, userId) === 0) {
+            return respond({error: 'The last administrator cannot be given another role.'}, 409);
+        }
+        const {results: existing} = await sql.exec("SELECT id FROM users WHERE username = ? AND id != ?", [user.username, userId]);
+        if (existing.length > 0) return respond({error: `The username "${user.username}" is taken.`}, 409);
+        // Hashed before the writes, so the change and its audit entry are written together.
+        const passwordHash = submitted.password !== undefined ? await hashPassword(submitted.password) : null;
+        await sql.exec("UPDATE users SET username = ?, role = ?, routes = ? WHERE id = ?", [user.username, user.role, JSON.stringify(user.routes), userId]);
+        if (passwordHash) await sql.exec("UPDATE users SET password_hash = ?, password_updated_at = ? WHERE id = ?", [passwordHash, Date.now(), userId]);
+        const after = await loadUser(sql, userId);
+        await queueAuditLog(sql, {userId: getAuditUserId(request), context: 'global', action: 'UPDATE_USER', targetId: userId, dataBefore: before, dataAfter: after});
+        return respond(after);
+    }
+
+    if (request.method === 'DELETE') {
+        if (before.role === 'administrator' && await _countAdministrators(sql, userId) === 0) {
+            return respond({error: 'The last administrator cannot be deleted.'}, 409);
+        }
+        await sql.exec("DELETE FROM users WHERE id = ?", [userId]);
+        await queueAuditLog(sql, {userId: getAuditUserId(request), context: 'global', action: 'DELETE_USER', targetId: userId, dataBefore: before, dataAfter: null});
+        return respond({deleted: userId});
+    }
+
+    return respond({error: 'Invalid request for users API'}, 400);
+}
@@ -9,6 +9,16 @@
  * =============================================================================
  */
 
+import {parseRuleExpression} from '../public/expression-language.js';
+import {compileFieldTransformations, getTransformedDataType} from '../public/transformations.js';
+import {findFieldDefinition} from '../public/fields.js';
+import {CidrTrie, normalizeIp} from './ip-utils.js';
+import {getBodyFields, hasRequestBody} from './body-inspection.js';
+import {forEachCondition, validateRule} from './rule-validation.js';
+
+// Path segments beyond this index are still in `derived.uri.path.segments` but get no indexed field.
+const MAX_INDEXED_PATH_SEGMENTS = 32;
+
 /**
  * Flattens and normalizes the request data for the rule engine.
  * @param {object} req - The request data passed from the main worker.
@@ -19,16 +29,22 @@ export function getRequestData(req) {
     const cf = req.cf || {};
     const headers = req.headers || {};
     const queryParams = new URLSearchParams(url.search);
+    const pathSegments = url.pathname.split('/').filter(Boolean);
+    const lastSegment = url.pathname.endsWith('/') ? '' : pathSegments[pathSegments.length - 1] || '';
 
     const data = {
+        'ip.src': normalizeIp(headers['cf-connecting-ip']),
         'request.method': req.method,
         'request.url': req.url,
         'request.cf.httpProtocol': cf.httpProtocol,
         'request.cf.requestPriority': cf.requestPriority,
-        'derived.body.has_body': !!(req.body && (headers['content-length'] > 0 || headers['transfer-encoding'] === 'chunked')),
+        'derived.body.has_body': hasRequestBody(req),
         'derived.uri.path': url.pathname,
         'derived.uri.query.string': url.search,
         'derived.uri.query.param_count': Array.from(queryParams.keys()).length,
+        'derived.uri.query.names': [...new Set(queryParams.keys())],
+        'derived.uri.path.segments': pathSegments,
+        'derived.uri.extension': /\.([^.]+)$/.exec(lastSegment)?.[1] ?? null,
         'request.cf.country': cf.country,
         'request.cf.continent': cf.continent,
         'request.cf.region': cf.region,
@@ -69,67 +85,535 @@ export function getRequestData(req) {
     for (const [key, value] of Object.entries(headers)) {
         data[`request.headers.${key.toLowerCase()}`] = value;
     }
+
+    pathSegments.slice(0, MAX_INDEXED_PATH_SEGMENTS).forEach((segment, index) => {
+        data[`derived.uri.path.segment.${index}`] = segment;
+    });
+    // A repeated parameter or cookie is a list of its values, so `?role=user&role=admin` still matches `equals admin`.
+    for (const [name, value] of queryParams) {
+        _addRepeatedField(data, `request.query.${name}`, value);
+    }
+    for (const [name, value] of _parseCookies(headers.cookie)) {
+        _addRepeatedField(data, `request.cookies.${name}`, value);
+    }
+
+    // Only present when the route has body inspection enabled.
+    if (req.body) {
+        Object.assign(data, getBodyFields(req.body, headers['content-type']));
+    }
     return data;
 }
 
+function _addRepeatedField(data, key, value) {
+    if (!(key in data)) data[key] = value;
+    else if (Array.isArray(data[key])) data[key].push(value);
+    else data[key] = [data[key], value];
+}
+
+// Splits a Cookie header into `[name, value]` pairs. Values are left encoded; rules can apply `url_decode`.
+function _parseCookies(header) {
+    if (!header) return [];
+    const cookies = [];
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const name = part.slice(0, index).trim();
+        if (name) cookies.push([name, part.slice(index + 1).trim().replace(/^"(.*)"$/, '$1')]);
+    }
+    return cookies;
+}
+
+// Negated operators compile to their positive form, with the result inverted.
+const NEGATED_OPERATORS = {
+    not_equals: 'equals',
+    not_contains: 'contains',
+    not_matches: 'matches',
+    not_in: 'in',
+    not_in_cidr: 'in_cidr',
+};
+
 /**
- * Evaluates a single condition from a rule's expression.
- * @param {*} actualValue - The value from the request.
- * @param {string} operator - The comparison operator.
- * @param {*} ruleValue - The value from the rule.
- * @returns {boolean} True if the condition matches.
+ * Coerces a request or rule value to a field's declared data type, so that
+ * comparisons do not depend on loose `==` semantics. Values that cannot be
+ * coerced become `NaN` (numbers) or `null` (booleans) and never compare equal.
+ * @param {*} value - The value to coerce.
+ * @param {string} dataType - The data type from the field definition.
+ * @returns {*} The coerced value.
  */
-function _checkCondition(actualValue, operator, ruleValue) {
-    if (operator === 'is_null') return actualValue === null || actualValue === undefined;
-    if (operator === 'is_not_null') return actualValue !== null && actualValue !== undefined;
-    if (actualValue === null || actualValue === undefined) return false;
+function _coerceValue(value, dataType) {
+    switch (dataType) {
+        case 'integer':
+        case 'float':
+            if (typeof value === 'number') return value;
+            return value === null || value === undefined || String(value).trim() === '' ? NaN : Number(value);
+        case 'boolean':
+            if (value === true || value === 'true') return true;
+            if (value === false || value === 'false') return false;
+            return null;
+        default:
+            // Request IPs are already normalized by `getRequestData`; rule IPs are normalized by `_coerceRuleValue`.
+            return String(value);
+    }
+}
+
+function _coerceRuleValue(value, dataType) {
+    if (dataType === 'ip') return normalizeIp(String(value)) ?? String(value);
+    return _coerceValue(value, dataType);
+}
+
+function _toNumber(value) {
+    return _coerceValue(value, 'float');
+}
+
+// Rule values for list operators may be arrays, `{list}` references resolved to arrays, or comma-separated text.
+function _toRuleList(ruleValue) {
+    if (Array.isArray(ruleValue)) return ruleValue;
+    if (ruleValue === null || ruleValue === undefined || ruleValue === '') return [];
+    return String(ruleValue).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Converts a glob (`*` for any run of characters, `?` for one) into an anchored, case-insensitive regex.
+function _wildcardToRegex(pattern) {
+    const source = String(pattern ?? '').replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'is');
+}
+
+/**
+ * Builds the test for a positive operator. Regexes are built, `in` lists are
+ * turned into Sets and CIDR lists into tries exactly once here, instead of on
+ * every request. The test receives a single value already coerced to
+ * `valueType`.
+ * @param {string} field - The condition's field, for error messages.
+ * @param {string} operator - The positive operator.
+ * @param {*} ruleValue - The value from the rule, with list references resolved.
+ * @param {string} valueType - The data type values are compared as.
+ * @param {boolean} strict - Throw on invalid rule values instead of compiling them to a non-match.
+ * @returns {function(*): boolean|null} The test, or null if the condition can never match.
+ */
+function _compileTest(field, operator, ruleValue, valueType, strict) {
+    const invalid = (message) => {
+        if (strict) throw new Error(`${message} for field "${field}"`);
+        console.error(`Rule engine: ${message.charAt(0).toLowerCase()}${message.slice(1)} for field "${field}"; the condition will never match.`);
+        return null;
+    };
 
     switch (operator) {
-        case 'equals':
-            return actualValue == ruleValue;
-        case 'not_equals':
-            return actualValue != ruleValue;
-        case 'contains':
-            return typeof actualValue === 'string' && actualValue.includes(ruleValue);
-        case 'not_contains':
-            return typeof actualValue === 'string' && !actualValue.includes(ruleValue);
-        case 'in':
-            return Array.isArray(ruleValue) && ruleValue.includes(actualValue);
-        case 'not_in':
-            return Array.isArray(ruleValue) && !ruleValue.includes(actualValue);
-        case 'greater_than':
-            return actualValue > ruleValue;
-        case 'less_than':
-            return actualValue < ruleValue;
-        case 'matches':
+        case 'equals': {
+            const expected = _coerceRuleValue(ruleValue, valueType);
+            return (value) => value === expected;
+        }
+        case 'equals_ci': {
+            const expected = String(ruleValue ?? '').toLowerCase();
+            return (value) => String(value).toLowerCase() === expected;
+        }
+        case 'contains': {
+            const expected = String(ruleValue ?? '');
+            return (value) => String(value).includes(expected);
+        }
+        case 'starts_with': {
+            const expected = String(ruleValue ?? '');
+            return (value) => String(value).startsWith(expected);
+        }
+        case 'ends_with': {
+            const expected = String(ruleValue ?? '');
+            return (value) => String(value).endsWith(expected);
+        }
+        case 'wildcard': {
+            const regex = _wildcardToRegex(ruleValue);
+            return (value) => regex.test(String(value));
+        }
+        case 'matches': {
+            let regex;
             try {
-                return new RegExp(ruleValue, 'i').test(actualValue);
+                regex = new RegExp(ruleValue, 'i');
             } catch (e) {
-                return false;
+                return invalid(`Invalid regular expression: ${e.message}`);
             }
-        case 'not_matches':
-            try {
-                return !new RegExp(ruleValue, 'i').test(actualValue);
-            } catch (e) {
-                return false;
+            return (value) => regex.test(String(value));
+        }
+        case 'in': {
+            // IP fields match addresses against networks, so `in` accepts CIDR prefixes as well as addresses.
+            if (valueType === 'ip') {
+                const trie = new CidrTrie(_toRuleList(ruleValue).map(String));
+                return (value) => trie.contains(value);
             }
+            const set = new Set(_toRuleList(ruleValue).map(item => _coerceRuleValue(item, valueType)));
+            return (value) => set.has(value);
+        }
+        case 'in_cidr': {
+            const trie = new CidrTrie(_toRuleList(ruleValue).map(String));
+            return (value) => trie.contains(String(value));
+        }
+        case 'greater_than':
+        case 'less_than': {
+            // Ordering is always numeric; non-numeric values never match.
+            const bound = _toNumber(ruleValue);
+            if (Number.isNaN(bound)) return invalid(`${operator} requires a number`);
+            return operator === 'greater_than'
+                ? (value) => _toNumber(value) > bound
+                : (value) => _toNumber(value) < bound;
+        }
+        case 'between': {
+            const bounds = _toRuleList(ruleValue).map(_toNumber);
+            if (bounds.length !== 2 || bounds.some(Number.isNaN)) return invalid('between requires two numbers, the lower and upper bound');
+            const [min, max] = bounds[0] <= bounds[1] ? bounds : [bounds[1], bounds[0]];
+            return (value) => {
+                const number = _toNumber(value);
+                return number >= min && number <= max;
+            };
+        }
         default:
+            return invalid(`Unknown operator "${operator}"`);
+    }
+}
+
+/**
+ * Compiles a single condition into an evaluator function. The condition's
+ * `transforms`, if any, are applied to the field value, and both the request
+ * value and the rule value are coerced to the field's declared data type (see
+ * `public/fields.js`) before they are compared.
+ *
+ * List-valued fields (data type `array`) are compared item by item: a positive
+ * operator matches if any item matches and a negated one if no item does.
+ * `has_any` and `has_all` compare the whole list against the rule's values.
+ * @param {object} condition - The `{field, operator, value, transforms?}` condition.
+ * @param {object} lists - Named lists referenced by `{list: name}` values.
+ * @param {boolean} strict - Throw on invalid regexes, unknown operators or transformations and malformed
+ *     rule values instead of compiling them to a non-match.
+ * @returns {function(object): boolean} The condition evaluator.
+ */
+function _compileCondition(condition, lists, strict) {
+    const {field, operator} = condition;
+    const ruleValue = condition.value?.list ? (lists[condition.value.list] || []) : condition.value;
+
+    let getValue = (requestData) => requestData[field];
+    if (Array.isArray(condition.transforms) && condition.transforms.length > 0) {
+        let transform;
+        try {
+            transform = compileFieldTransformations(condition.transforms);
+        } catch (e) {
+            if (strict) throw new Error(`${e.message} for field "${field}"`);
+            console.error(`Rule engine: condition on field "${field}" has an unknown transformation and will never match.`, e);
+            return () => false;
+        }
+        getValue = (requestData) => transform(requestData[field]);
+    }
+
+    if (operator === 'is_null' || operator === 'is_not_null') {
+        const wantNull = operator === 'is_null';
+        return (requestData) => {
+            const value = getValue(requestData);
+            return (value === null || value === undefined) === wantNull;
+        };
+    }
+
+    const definition = findFieldDefinition(field);
+    const dataType = getTransformedDataType(definition?.dataType || 'string', condition.transforms);
+    const valueType = dataType === 'array' ? (definition?.itemType || 'string') : dataType;
+
+    if (operator === 'has_any' || operator === 'has_all') {
+        const expected = _toRuleList(ruleValue).map(item => _coerceRuleValue(item, valueType));
+        return (requestData) => {
+            const value = getValue(requestData);
+            if (value === null || value === undefined) return false;
+            const items = new Set((Array.isArray(value) ? value : [value]).map(item => _coerceValue(item, valueType)));
+            return operator === 'has_any' ? expected.some(item => items.has(item)) : expected.length > 0 && expected.every(item => items.has(item));
+        };
+    }
+
+    const negated = operator in NEGATED_OPERATORS;
+    const test = _compileTest(field, NEGATED_OPERATORS[operator] || operator, ruleValue, valueType, strict);
+    if (!test) return () => false;
+    // Most fields are strings already, so they skip coercion on the hot path.
+    const coerce = valueType === 'string' || valueType === 'ip'
+        ? (value) => typeof value === 'string' ? value : String(value)
+        : (value) => _coerceValue(value, valueType);
+
+    return (requestData) => {
+        const value = getValue(requestData);
+        if (value === null || value === undefined) return false;
+        const matched = Array.isArray(value)
+            ? value.some(item => item !== null && item !== undefined && test(coerce(item)))
+            : test(coerce(value));
+        return matched !== negated;
+    };
+}
+
+/**
+ * Compiles a single node of an expression tree. A node is either a
+ * condition (`{field, operator, value}`), a group (`{all: [...]}`,
+ * `{any: [...]}` or `{not: node}`), or a plain array, which is treated as an
+ * implicit `all` group for backwards compatibility with flat expressions.
+ * @param {object|object[]} node - The expression node to compile.
+ * @param {object} lists - Named lists referenced by `{list: name}` values.
+ * @param {boolean} strict - Throw on conditions that could never match, such as invalid regexes.
+ * @returns {function(object): boolean} The node evaluator.
+ */
+function _compileNode(node, lists, strict) {
+    if (Array.isArray(node)) return _compileNode({all: node}, lists, strict);
+    if (!node || typeof node !== 'object') return () => false;
+    if (Array.isArray(node.all)) {
+        const children = node.all.map(child => _compileNode(child, lists, strict));
+        return (requestData) => {
+            for (const child of children) {
+                if (!child(requestData)) return false;
+            }
+            return true;
+        };
+    }
+    if (Array.isArray(node.any)) {
+        const children = node.any.map(child => _compileNode(child, lists, strict));
+        return (requestData) => {
+            for (const child of children) {
+                if (child(requestData)) return true;
+            }
             return false;
+        };
+    }
+    if ('not' in node) {
+        const inner = _compileNode(node.not, lists, strict);
+        return (requestData) => !inner(requestData);
     }
+    return _compileCondition(node, lists, strict);
 }
 
 /**
- * Evaluates a full rule expression.
- * @param {object[]} expression - An array of match conditions.
+ * Compiles a rule expression into an evaluator function.
+ * @param {object[]|object} expression - A flat array of match conditions (implicitly ANDed) or a
+ *   nested `all`/`any`/`not` group tree.
+ * @param {object} [lists] - Named lists, as loaded by `loadReferencedLists`.
+ * @param {{strict?: boolean}} [options] - With `strict`, invalid regexes, unknown operators or transformations and
+ *   malformed rule values throw instead of never matching.
+ * @returns {function(object): boolean} A function taking the flattened request data.
+ */
+export function compileExpression(expression, lists = {}, {strict = false} = {}) {
+    if (!expression || (Array.isArray(expression) && expression.length === 0)) return () => true;
+    return _compileNode(expression, lists, strict);
+}
+
+/**
+ * Evaluates a full rule expression. Prefer `compileRules` on hot paths; this
+ * compiles the expression on every call.
+ * @param {object[]|object} expression - A flat condition array or group tree.
  * @param {object} requestData - The flattened request data.
- * @returns {boolean} True if all conditions in the expression match.
+ * @param {object} [lists] - Named lists, as loaded by `loadReferencedLists`.
+ * @returns {boolean} True if the expression matches the request.
  */
-export function evaluateExpression(expression, requestData) {
-    if (!expression || expression.length === 0) return true;
-    for (const match of expression) {
-        if (!_checkCondition(requestData[match.field], match.operator, match.value)) {
-            return false;
+export function evaluateExpression(expression, requestData, lists = {}) {
+    return compileExpression(expression, lists)(requestData);
+}
+
+// Reads a condition's field value, after its transformations, as the compiled condition sees it.
+function _readConditionValue(condition, requestData) {
+    const value = requestData[condition.field];
+    if (!Array.isArray(condition.transforms) || condition.transforms.length === 0) return value;
+    try {
+        return compileFieldTransformations(condition.transforms)(value);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Evaluates a rule expression condition by condition, for simulations. Unlike
+ * the compiled evaluator, every condition is evaluated, so the result shows
+ * all conditions that passed or failed along with the values they saw.
+ * @param {object[]|object} expression - A flat condition array or group tree.
+ * @param {object} requestData - The flattened request data.
+ * @param {object} [lists] - Named lists, as loaded by `loadReferencedLists`.
+ * @returns {{matched: boolean, conditions: object[]}} Whether the expression matched, and one entry per
+ *     condition with its path (as in rule validation errors), the condition, the actual value and whether it passed.
+ */
+export function explainExpression(expression, requestData, lists = {}) {
+    const conditions = [];
+    forEachCondition(expression || [], (condition, path) => {
+        if (!condition || typeof condition !== 'object') return;
+        const actual = _readConditionValue(condition, requestData);
+        conditions.push({
+            path,
+            field: condition.field,
+            operator: condition.operator,
+            value: condition.value,
+            ...(condition.transforms?.length ? {transforms: condition.transforms} : {}),
+            actual: actual === undefined ? null : actual,
+            passed: _compileCondition(condition, lists, false)(requestData)
+        });
+    });
+    return {matched: compileExpression(expression, lists)(requestData), conditions};
+}
+
+/**
+ * Builds a rule's entry in a simulation trace.
+ * @param {object} rule - The rule.
+ * @param {object} requestData - The flattened request data.
+ * @param {object} lists - Named lists, as loaded by `loadReferencedLists`.
+ * @returns {object} The rule's ID, name, action and priority, whether it matched, and its conditions.
+ */
+export function explainRule(rule, requestData, lists) {
+    return {
+        ruleId: rule.id,
+        name: rule.name,
+        action: rule.action,
+        priority: rule.priority,
+        ...(rule.action === 'SCORE' ? {score: rule.score, category: rule.category || 'uncategorized'} : {}),
+        ...(rule.shadow ? {shadow: true} : {}),
+        ...explainExpression(rule.expression, requestData, lists)
+    };
+}
+
+/**
+ * Compiles a rule set for evaluation: disabled rules are dropped, the rest
+ * are sorted by priority and each expression is compiled once.
+ * @param {object[]} rules - Rules with parsed expressions.
+ * @param {object} lists - Named lists, as loaded by `loadReferencedLists`.
+ * @returns {{rule: object, matches: function(object): boolean}[]} The compiled rules, in evaluation order.
+ */
+export function compileRules(rules, lists) {
+    return rules
+        .filter(rule => rule.enabled)
+        .sort((a, b) => a.priority - b.priority)
+        .map(rule => ({rule, matches: compileExpression(rule.expression, lists)}));
+}
+
+/**
+ * Adds columns introduced after a table was first created. `CREATE TABLE IF
+ * NOT EXISTS` leaves existing tables untouched, so new columns are added here.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {string} table - The table to migrate.
+ * @param {object} columns - A map of column name to its SQL definition.
+ */
+export async function addMissingColumns(sql, table, columns) {
+    const {results} = await sql.exec(`PRAGMA table_info(${table})`);
+    const existing = new Set(results.map(column => column.name));
+    for (const [name, definition] of Object.entries(columns)) {
+        if (!existing.has(name)) {
+            await sql.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
         }
     }
-    return true;
+}
+
+/**
+ * Parses a stored rule row, whose expression, tags and rate limit are JSON.
+ * @param {object} row - A row of `global_rules` or `route_rules`.
+ * @returns {object} The rule.
+ */
+export function parseRuleRow(row) {
+    return {
+        ...row,
+        expression: JSON.parse(row.expression),
+        tags: JSON.parse(row.tags),
+        rate_limit: row.rate_limit ? JSON.parse(row.rate_limit) : null
+    };
+}
+
+/**
+ * Reads one stored rule.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {string} table - `global_rules` or `route_rules`.
+ * @param {string} id - The rule's ID.
+ * @returns {Promise<object|null>} The rule, or null if there is none with that ID.
+ */
+export async function loadRule(sql, table, id) {
+    const {results} = await sql.exec(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    return results.length > 0 ? parseRuleRow(results[0]) : null;
+}
+
+/**
+ * Stores a rule as read by `loadRule`, replacing any rule with the same ID.
+ * @param {SqlStorage} sql - The Durable Object's SQL storage.
+ * @param {string} table - `global_rules` or `route_rules`.
+ * @param {object} rule - The rule.
+ */
+export async function saveRule(sql, table, rule) {
+    await sql.exec(
+        `INSERT OR REPLACE INTO ${table} (id, name, description, enabled, action, expression, tags, priority, trigger_alert, block_http_code, type, rate_limit, score, category, shadow) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [rule.id, rule.name, rule.description, rule.enabled, rule.action, JSON.stringify(rule.expression), JSON.stringify(rule.tags), rule.priority, rule.trigger_alert, rule.block_http_code, rule.type, rule.rate_limit ? JSON.stringify(rule.rate_limit) : null, rule.score, rule.category, rule.shadow]
+    );
+}
+
+function _ruleErrorResponse(body, status = 400) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: {'Content-Type': 'application/json'}
+    });
+}
+
+/**
+ * Reads a rule submitted to the rules APIs and prepares it for storage. An
+ * expression written in the rule language is parsed into the structured
+ * format, and the rule is then checked against the rule schema (see
+ * `validateRule`). Syntax errors are reported with their line and column;
+ * schema errors as a list keyed by rule property or condition path. A new
+ * rule whose ID is already taken is refused with 409.
+ * @param {Request} request - The POST or PUT request.
+ * @param {{existingRules?: object[], isNew?: boolean}} [options] - The scope's other stored rules, for the priority
+ *     check, and whether the rule is being created, so its ID must not be taken.
+ * @returns {Promise<{rule?: object, errorResponse?: Response}>} The prepared rule, or a 400 or 409 response.
+ */
+export async function readRuleFromRequest(request, {existingRules = [], isNew = false} = {}) {
+    let rule;
+    try {
+        rule = await request.json();
+    } catch (e) {
+        return {errorResponse: _ruleErrorResponse({error: 'Invalid JSON body'})};
+    }
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return {errorResponse: _ruleErrorResponse({error: 'The rule must be an object.'})};
+    }
+    try {
+        rule.expression = typeof rule.expression === 'string' ? parseRuleExpression(rule.expression) : (rule.expression ?? []);
+    } catch (e) {
+        return {errorResponse: _ruleErrorResponse({error: e.message, line: e.line, column: e.column})};
+    }
+    rule.type = rule.type || 'CUSTOM';
+
+    const errors = validateRule(rule, {existingRules});
+    if (errors.length > 0) return {errorResponse: _ruleErrorResponse({error: 'Invalid rule', errors})};
+    if (isNew && existingRules.some(existing => existing.id === rule.id)) {
+        return {errorResponse: _ruleErrorResponse({error: `A rule with the ID "${rule.id}" already exists.`}, 409)};
+    }
+
+    rule.shadow = rule.shadow ? 1 : 0;
+    if (rule.action !== 'SCORE') {
+        rule.score = null;
+        rule.category = null;
+    }
+    return {rule};
+}
+
+function _collectListNames(node, names) {
+    if (Array.isArray(node)) {
+        node.forEach(child => _collectListNames(child, names));
+    } else if (node && typeof node === 'object') {
+        if (Array.isArray(node.all)) node.all.forEach(child => _collectListNames(child, names));
+        else if (Array.isArray(node.any)) node.any.forEach(child => _collectListNames(child, names));
+        else if ('not' in node) _collectListNames(node.not, names);
+        else if (node.value?.list) names.add(node.value.list);
+    }
+    return names;
+}
+
+/**
+ * Loads every named list (`$name` in the rule language) referenced by a set of
+ * rules. Lists are stored in the `WAFU_LOOKUP_TABLES` KV namespace as JSON
+ * arrays keyed by name; a missing list resolves to an empty array.
+ * @param {object[]} rules - Rules with parsed expressions.
+ * @param {KVNamespace} lookupTables - The KV namespace holding the lists.
+ * @returns {Promise<object>} A map of list name to its items.
+ */
+export async function loadReferencedLists(rules, lookupTables) {
+    const names = new Set();
+    for (const rule of rules) _collectListNames(rule.expression, names);
+
+    const lists = {};
+    await Promise.all([...names].map(async (name) => {
+        try {
+            const items = lookupTables ? await lookupTables.get(name, {type: 'json'}) : null;
+            lists[name] = Array.isArray(items) ? items : [];
+        } catch (e) {
+            console.error(`Failed to load lookup list "${name}".`, e);
+            lists[name] = [];
+        }
+    }));
+    return lists;
 }
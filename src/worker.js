@@ -15,50 +15,204 @@ export {RouteRulesDO} from './route-rules-do.js';
 export {OtpDO} from './otp-do.js';
 export {EventLogsDO} from './event-logs-do.js';
 export {AuditLogsDO} from './audit-logs-do.js';
+export {RateLimitDO} from './rate-limit-do.js';
 
-// --- JWT and Auth Functions ---
-async function createJwt(payload, secret) {
-    const header = {alg: 'HS256', typ: 'JWT'};
-    const encodedHeader = btoa(JSON.stringify(header)).replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
-    const encodedPayload = btoa(JSON.stringify(payload)).replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
-    const data = `${encodedHeader}.${encodedPayload}`;
-    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), {
-        name: 'HMAC',
-        hash: 'SHA-256'
-    }, false, ['sign']);
-    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(data));
-    const encodedSignature = btoa(String.fromCharCode(...new Uint8Array(signature))).replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
-    return `${data}.${encodedSignature}`;
-}
-
-async function verifyJwt(token, secret) {
-    try {
-        const parts = token.split('.');
-        if (parts.length !== 3) return null;
-        const [header, payload, signature] = parts;
-        const data = `${header}.${payload}`;
-        const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), {
-            name: 'HMAC',
-            hash: 'SHA-256'
-        }, false, ['verify']);
-        const signatureBytes = Uint8Array.from(atob(signature.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
-        const isValid = await crypto.subtle.verify('HMAC', key, signatureBytes, new TextEncoder().encode(data));
-        if (!isValid) return null;
-        const decodedPayload = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
-        if (decodedPayload.exp && Date.now() / 1000 > decodedPayload.exp) return null;
-        return decodedPayload;
-    } catch (e) {
-        return null;
-    }
-}
+// --- Module Imports ---
+import {createJwt, verifyJwt} from './jwt.js';
+import {createChallengeResponse, getChallengeScope, getClearedScope, handleChallengeVerify} from './challenge.js';
+import {readBodyForInspection} from './body-inspection.js';
+import {getDecisionEvents, queueEvents} from './event-logger.js';
+import {isApiCallAllowed} from './permissions.js';
+import {BOOTSTRAP_USER} from './users.js';
 
+// --- Auth Functions ---
+/**
+ * Reads the admin session from the request's bearer token. The account is
+ * looked up on every call, so a changed role or a deleted user takes effect
+ * at once rather than when the token expires.
+ * @returns {Promise<{isAuthenticated: boolean, user: {id: string, role: string, routes: string[]}|null}>} The
+ *     session; the user's `id` is their username, as recorded in the audit log.
+ */
 async function getAdminUserFromJwt(request, env) {
     const authHeader = request.headers.get('Authorization');
     if (!authHeader || !authHeader.startsWith('Bearer ')) return {isAuthenticated: false, user: null};
     const token = authHeader.substring(7);
     const payload = await verifyJwt(token, env.JWT_SECRET);
     if (!payload) return {isAuthenticated: false, user: null};
-    return {isAuthenticated: true, user: {id: payload.sub, role: payload.role || 'viewer'}};
+    const globalDO = env.WAFU_GLOBAL_DO.get(env.WAFU_GLOBAL_DO.idFromName('singleton'));
+    const account = await globalDO.getSessionUser(payload.sub, payload.iat ?? 0);
+    if (!account) return {isAuthenticated: false, user: null};
+    return {isAuthenticated: true, user: {id: account.username, role: account.role, routes: account.routes}};
+}
+
+/**
+ * Handles `POST /wafu/api/admin/login` with a `username` and `password`.
+ * Until the first user is created, the `WAFU_ADMIN_SECRET` signs in as the
+ * bootstrap administrator.
+ */
+async function handleAdminLogin(request, env) {
+    try {
+        const {username, password} = await request.json();
+        const globalDO = env.WAFU_GLOBAL_DO.get(env.WAFU_GLOBAL_DO.idFromName('singleton'));
+        let account = await globalDO.authenticateUser(username, password);
+        if (!account && typeof password === 'string' && password === env.WAFU_ADMIN_SECRET) {
+            account = await globalDO.getSessionUser(BOOTSTRAP_USER.id);
+        }
+        if (account) {
+            const payload = {
+                sub: account.id,
+                role: account.role,
+                iat: Math.floor(Date.now() / 1000),
+                exp: Math.floor(Date.now() / 1000) + (60 * 60 * 8)
+            };
+            const token = await createJwt(payload, env.JWT_SECRET);
+            const user = {id: account.username, role: account.role, routes: account.routes};
+            return new Response(JSON.stringify({token, user}), {headers: {'Content-Type': 'application/json'}});
+        }
+    } catch (e) {
+    }
+    return new Response(JSON.stringify({error: 'Invalid credentials'}), {
+        status: 401,
+        headers: {'Content-Type': 'application/json'}
+    });
+}
+
+// --- WAF Response Helpers ---
+/**
+ * Builds the response for a BLOCK decision. Route decisions carry
+ * only a status code, so they fall back to a plain Forbidden page. Decisions
+ * from RATE_LIMIT rules also carry a `Retry-After` header.
+ */
+function createBlockResponse(decision) {
+    const blockResponse = decision.blockResponse || {
+        statusCode: decision.blockHttpCode || 403,
+        contentType: 'text/html',
+        body: '<h1>Forbidden</h1>'
+    };
+    const headers = {'Content-Type': blockResponse.contentType};
+    if (decision.retryAfter) headers['Retry-After'] = String(decision.retryAfter);
+    return new Response(blockResponse.body, {status: blockResponse.statusCode, headers});
+}
+
+// --- WAF Pipeline ---
+/**
+ * Runs a request through the WAF: the global rules, then, if they let it
+ * through to a route, that route's rules. Routes that inspect bodies get the
+ * body buffered and the global rules run again with it. A shadowed route's
+ * BLOCK or CHALLENGE is only recorded, and the request is allowed.
+ * @param {Request} request - The request to evaluate.
+ * @param {object} cf - The request's `cf` properties.
+ * @param {object} env - The worker environment.
+ * @param {{clearedScope?: string|null, simulate?: boolean}} [options] - The client's challenge clearance scope,
+ *     and whether this is a simulation (see `GlobalRulesDO.evaluate`).
+ * @returns {Promise<{globalDecision: object, routeDecision: object|null, route: object|null, originRequest: Request}>}
+ *     The decisions, the matched route and the request to forward, which carries the full body.
+ */
+async function evaluateRequest(request, cf, env, {clearedScope = null, simulate = false} = {}) {
+    const wafRequestPayload = {
+        url: request.url,
+        method: request.method,
+        headers: Object.fromEntries(request.headers),
+        cf,
+        hasBody: request.body !== null
+    };
+    const globalDO = env.WAFU_GLOBAL_DO.get(env.WAFU_GLOBAL_DO.idFromName('singleton'));
+    let globalDecision = await globalDO.evaluate(wafRequestPayload, {clearedScope, simulate});
+
+    // The route inspects bodies: buffer this one, keeping a tee'd copy for the origin, and evaluate again.
+    let originRequest = request;
+    if (globalDecision.action === 'INSPECT_BODY') {
+        const inspected = await readBodyForInspection(request, globalDecision.matchedRoute.max_body_size);
+        originRequest = inspected.request;
+        wafRequestPayload.body = inspected.body;
+        globalDecision = await globalDO.evaluate(wafRequestPayload, {clearedScope, simulate});
+    }
+
+    // A LOG decision only records the match, so the request continues to the route's rules.
+    const route = globalDecision.matchedRoute || null;
+    let routeDecision = null;
+    if ((globalDecision.action === 'ALLOW' || globalDecision.action === 'LOG') && route) {
+        const routeDO = env.WAFU_ROUTE_DO.get(env.WAFU_ROUTE_DO.idFromName(route.id));
+        routeDecision = await routeDO.evaluate(wafRequestPayload, {
+            challengeCleared: clearedScope === getChallengeScope(route),
+            simulate
+        });
+    }
+    if (routeDecision && route.shadow) routeDecision = shadowRouteDecision(routeDecision);
+    return {globalDecision, routeDecision, route, originRequest};
+}
+
+/**
+ * Applies a shadowed route's log-only mode: a BLOCK or CHALLENGE becomes an
+ * ALLOW, and the decision it replaced is kept as a shadow match.
+ * @param {object} decision - The route's decision.
+ * @returns {object} The decision to enforce.
+ */
+function shadowRouteDecision(decision) {
+    if (decision.action !== 'BLOCK' && decision.action !== 'CHALLENGE') return decision;
+    const {action, matchedRuleId = null, blockHttpCode, retryAfter, shadowMatches = [], ...rest} = decision;
+    return {...rest, action: 'ALLOW', shadowMatches: [...shadowMatches, {ruleId: matchedRuleId, action, routeShadow: true}]};
+}
+
+/**
+ * Handles `POST /wafu/api/simulate`: runs a synthetic request (`method`, `url`,
+ * `headers`, `cf` and an optional `body`) through the live pipeline without
+ * forwarding it or counting it against rate limits, and returns the final
+ * decision along with each stage's decision and per-rule trace.
+ * @param {Request} request - The API request.
+ * @param {object} env - The worker environment.
+ * @returns {Promise<Response>} The simulation result.
+ */
+async function handleSimulation(request, env) {
+    const headers = {'Content-Type': 'application/json'};
+    const badRequest = (error) => new Response(JSON.stringify({error}), {status: 400, headers});
+
+    let submitted;
+    try {
+        submitted = await request.json();
+    } catch (e) {
+        return badRequest('Invalid JSON body');
+    }
+    const {method = 'GET', url, cf = {}, body} = submitted || {};
+    let targetUrl;
+    try {
+        targetUrl = new URL(url);
+    } catch (e) {
+        return badRequest('url must be an absolute URL, e.g. https://app.example.com/login.');
+    }
+    const httpMethod = String(method).toUpperCase();
+    if (!/^[A-Z]+$/.test(httpMethod)) return badRequest('method must be an HTTP method.');
+    if (submitted.headers !== undefined && (typeof submitted.headers !== 'object' || Array.isArray(submitted.headers))) {
+        return badRequest('headers must be an object of header names to values.');
+    }
+    if (typeof cf !== 'object' || cf === null || Array.isArray(cf)) return badRequest('cf must be an object.');
+    if (body !== undefined && body !== null && typeof body !== 'string') return badRequest('body must be a string.');
+
+    const requestHeaders = new Headers();
+    try {
+        for (const [name, value] of Object.entries(submitted.headers || {})) requestHeaders.set(name, String(value));
+    } catch (e) {
+        return badRequest(`Invalid header: ${e.message}`);
+    }
+    // A real request always carries these, and the inspected body's size is read from the length.
+    if (!requestHeaders.has('host')) requestHeaders.set('host', targetUrl.host);
+    const hasBody = typeof body === 'string' && body.length > 0 && !['GET', 'HEAD'].includes(httpMethod);
+    if (hasBody && !requestHeaders.has('content-length')) {
+        requestHeaders.set('content-length', String(new TextEncoder().encode(body).length));
+    }
+
+    const syntheticRequest = new Request(targetUrl, {method: httpMethod, headers: requestHeaders, body: hasBody ? body : undefined});
+    const {globalDecision, routeDecision, route} = await evaluateRequest(syntheticRequest, cf, env, {simulate: true});
+
+    const finalDecision = routeDecision || globalDecision;
+    return new Response(JSON.stringify({
+        action: finalDecision.action,
+        stage: routeDecision ? 'route' : 'global',
+        matchedRuleId: finalDecision.matchedRuleId || null,
+        route: route ? {id: route.id, incomingHost: route.incomingHost} : null,
+        global: globalDecision,
+        routeDecision
+    }), {headers});
 }
 
 // --- Main Worker Definition (ES Module Syntax) ---
@@ -68,44 +222,49 @@ export default {
 
         // ROUTE 1: Admin UI & API - All admin functions are namespaced under /wafu.
         if (url.pathname.startsWith('/wafu')) {
-            // ROUTE 1A: Admin API
+            // ROUTE 1A: Challenge verification for the CHALLENGE action's interstitial
+            if (url.pathname === '/wafu/challenge/verify' && request.method === 'POST') {
+                return handleChallengeVerify(request, env);
+            }
+
+            // ROUTE 1B: Admin API
             if (url.pathname.startsWith('/wafu/api/')) {
                 // Admin Login Endpoint
                 if (url.pathname === '/wafu/api/admin/login' && request.method === 'POST') {
-                    try {
-                        const {password} = await request.json();
-                        if (password === env.WAFU_ADMIN_SECRET) {
-                            const payload = {
-                                sub: 'admin@wafu.com',
-                                role: 'administrator',
-                                iat: Math.floor(Date.now() / 1000),
-                                exp: Math.floor(Date.now() / 1000) + (60 * 60 * 8)
-                            };
-                            const token = await createJwt(payload, env.JWT_SECRET);
-                            return new Response(JSON.stringify({token}), {headers: {'Content-Type': 'application/json'}});
-                        }
-                    } catch (e) {
-                    }
-                    return new Response(JSON.stringify({error: 'Invalid credentials'}), {
-                        status: 401,
-                        headers: {'Content-Type': 'application/json'}
-                    });
+                    return handleAdminLogin(request, env);
                 }
 
-                // All other Authenticated API calls
+                // All other Authenticated API calls, checked against the permission matrix (see permissions.js).
                 const {isAuthenticated, user} = await getAdminUserFromJwt(request, env);
                 if (!isAuthenticated) {
                     return new Response(JSON.stringify({error: 'Unauthorized'}), {status: 401});
                 }
-                if (request.method !== 'GET' && user.role !== 'administrator') {
+                // The Durable Objects serve the API without the '/wafu' namespace prefix.
+                const apiUrl = new URL(request.url);
+                apiUrl.pathname = url.pathname.substring('/wafu'.length);
+                if (!isApiCallAllowed(user, request.method, apiUrl.pathname)) {
                     return new Response(JSON.stringify({error: 'Forbidden'}), {status: 403});
                 }
+                if (url.pathname === '/wafu/api/simulate' && request.method === 'POST') {
+                    return handleSimulation(request, env);
+                }
 
-                const apiRequest = new Request(request);
+                const apiRequest = new Request(apiUrl, request);
                 apiRequest.headers.set('X-WAFu-User-ID', user.id);
 
+                // The event log directory serves the analytics, the timeseries and the (audited) SQL console over the event log.
+                if (url.pathname.startsWith('/wafu/api/global/analytics/') || url.pathname.startsWith('/wafu/api/analytics/')
+                    || url.pathname === '/wafu/api/global/sql-query') {
+                    const eventLogsDO = env.WAFU_EVENT_LOGS_DO.get(env.WAFU_EVENT_LOGS_DO.idFromName('singleton'));
+                    return eventLogsDO.fetch(apiRequest);
+                }
+                if (url.pathname.startsWith('/wafu/api/global/audit-logs')) {
+                    const auditLogsDO = env.WAFU_AUDIT_LOGS_DO.get(env.WAFU_AUDIT_LOGS_DO.idFromName('singleton'));
+                    return auditLogsDO.fetch(apiRequest);
+                }
                 const globalDO = env.WAFU_GLOBAL_DO.get(env.WAFU_GLOBAL_DO.idFromName('singleton'));
-                if (url.pathname.startsWith('/wafu/api/global/')) {
+                // A route's settings are columns of the routes table, which the global Durable Object keeps.
+                if (url.pathname.startsWith('/wafu/api/global/') || /^\/wafu\/api\/routes\/[^/]+\/settings$/.test(url.pathname)) {
                     return globalDO.fetch(apiRequest);
                 }
 
@@ -118,46 +277,36 @@ export default {
                 return new Response(JSON.stringify({error: 'API endpoint not found'}), {status: 404});
             }
 
-            // ROUTE 1B: Admin UI Static Assets
+            // ROUTE 1C: Admin UI Static Assets
             return env.ASSETS.fetch(request);
         }
 
 
         // ROUTE 2: WAF Evaluation for all public traffic
-        const wafRequestPayload = {
-            url: request.url,
-            method: request.method,
-            headers: Object.fromEntries(request.headers),
-            cf: request.cf
-        };
-        const globalDO = env.WAFU_GLOBAL_DO.get(env.WAFU_GLOBAL_DO.idFromName('singleton'));
-        const globalDecision = await globalDO.evaluate(wafRequestPayload);
+        const clearedScope = await getClearedScope(request, env);
+        const {globalDecision, routeDecision, route, originRequest} = await evaluateRequest(request, request.cf, env, {clearedScope});
+        queueEvents(ctx, env, getDecisionEvents(request, {globalDecision, routeDecision, route}));
 
-        if (globalDecision.action === 'BLOCK' || globalDecision.action === 'CHALLENGE') {
-            return new Response(globalDecision.blockResponse.body, {
-                status: globalDecision.blockResponse.statusCode,
-                headers: {'Content-Type': globalDecision.blockResponse.contentType}
-            });
+        if (globalDecision.action === 'CHALLENGE') {
+            return createChallengeResponse(request, env, getChallengeScope(globalDecision.matchedRoute), {retryAfter: globalDecision.retryAfter});
+        }
+        if (globalDecision.action === 'BLOCK') {
+            return createBlockResponse(globalDecision);
         }
 
-        if (globalDecision.action === 'ALLOW' && globalDecision.matchedRoute) {
-            const route = globalDecision.matchedRoute;
-            const routeDO = env.WAFU_ROUTE_DO.get(env.WAFU_ROUTE_DO.idFromName(route.id));
-            const routeDecision = await routeDO.evaluate(wafRequestPayload);
-
+        if (routeDecision) {
             if (routeDecision.action === 'ALLOW' || routeDecision.action === 'LOG') {
                 if (route.origin_type === 'service' && env[route.origin_service_name]) {
-                    return env[route.origin_service_name].fetch(request);
+                    return env[route.origin_service_name].fetch(originRequest);
                 } else if (route.origin_type === 'url' && route.origin_url) {
-                    return fetch(route.origin_url, request);
+                    return fetch(route.origin_url, originRequest);
                 } else {
                     return new Response(`WAFu Error: The origin for route ${route.incomingHost} is not correctly configured.`, {status: 500});
                 }
+            } else if (routeDecision.action === 'CHALLENGE') {
+                return createChallengeResponse(request, env, getChallengeScope(route), {retryAfter: routeDecision.retryAfter});
             } else {
-                return new Response(globalDecision.blockResponse.body, {
-                    status: globalDecision.blockResponse.statusCode,
-                    headers: {'Content-Type': globalDecision.blockResponse.contentType}
-                });
+                return createBlockResponse(routeDecision);
             }
         }
 
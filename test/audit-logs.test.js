@@ -0,0 +1,129 @@
+/*
+ * =============================================================================
+ * FILE: test/audit-logs.test.js
+ *
+ * DESCRIPTION:
+ * The audit log's hash chain: an untouched chain verifies, changing,
+ * re-hashing or removing an entry is reported at the first broken link, and
+ * the export carries every entry between its start and head lines so the
+ * chain can be checked outside WAFu. Pruning moves the chain's start.
+ *
+ * USAGE:
+ *     node --test test/
+ * =============================================================================
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SQLITE_SKIP, createStorage} from './helpers/sql-storage.js';
+import {AUDIT_CHAIN_GENESIS, AuditLogsDO, hashAuditEntry} from '../src/audit-logs-do.js';
+
+const ENTRIES = [
+    {id: 'entry-1', timestamp: 1000, userId: 'admin@example.com', context: 'global', action: 'CREATE_RULE', targetId: 'block-admin', dataAfter: {id: 'block-admin'}},
+    {id: 'entry-2', timestamp: 2000, userId: 'editor@example.com', context: 'route-1', action: 'UPDATE_RULE', targetId: 'rate-login', dataBefore: {limit: 10}, dataAfter: {limit: 5}},
+    {id: 'entry-3', timestamp: 3000, userId: 'admin@example.com', context: 'global', action: 'DELETE_RULE', targetId: 'block-admin', dataBefore: {id: 'block-admin'}}
+];
+
+/** Creates an audit log holding `ENTRIES`, written through its `/log` endpoint. */
+async function createAuditLog() {
+    let ready;
+    const state = {
+        storage: createStorage(),
+        blockConcurrencyWhile(callback) {
+            const result = callback();
+            ready ??= result;
+            return result;
+        }
+    };
+    const auditLog = new AuditLogsDO(state, {});
+    await ready;
+    for (const entry of ENTRIES) {
+        const response = await auditLog.fetch(new Request('https://wafu.internal/log', {method: 'POST', body: JSON.stringify(entry)}));
+        assert.equal(response.status, 200);
+    }
+    return auditLog;
+}
+
+async function readExport(auditLog) {
+    const response = await auditLog.fetch(new Request('https://wafu.internal/api/global/audit-logs/export'));
+    const lines = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+    return {head: response.headers.get('X-WAFu-Audit-Chain-Head'), lines};
+}
+
+test('an untouched chain verifies', {skip: SQLITE_SKIP}, async () => {
+    const auditLog = await createAuditLog();
+    const result = await auditLog.verifyChain();
+    assert.equal(result.valid, true);
+    assert.equal(result.entries, 3);
+    assert.equal(result.firstBrokenLink, null);
+    assert.deepEqual(result.start, {seq: 0, hash: AUDIT_CHAIN_GENESIS});
+    assert.deepEqual(result.head, await auditLog.getChainHead());
+    assert.equal(result.head.seq, 3);
+});
+
+test('a changed entry is reported as the first broken link', {skip: SQLITE_SKIP}, async () => {
+    const auditLog = await createAuditLog();
+    await auditLog.state.storage.sql.exec("UPDATE audit_logs SET data_after = ? WHERE id = 'entry-2'", [JSON.stringify({limit: 500})]);
+
+    const result = await auditLog.verifyChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.entries, 1);
+    assert.deepEqual(result.firstBrokenLink, {seq: 2, id: 'entry-2', reason: "The hash does not match the entry's content."});
+});
+
+test('a changed entry given a new hash breaks the link after it', {skip: SQLITE_SKIP}, async () => {
+    const auditLog = await createAuditLog();
+    const sql = auditLog.state.storage.sql;
+    const {results: [row]} = await sql.exec("SELECT * FROM audit_logs WHERE id = 'entry-2'");
+    const changed = {...row, data_after: JSON.stringify({limit: 500})};
+    await sql.exec("UPDATE audit_logs SET data_after = ?, hash = ? WHERE id = 'entry-2'", [changed.data_after, await hashAuditEntry(changed)]);
+
+    const result = await auditLog.verifyChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.entries, 2);
+    assert.deepEqual(result.firstBrokenLink, {seq: 3, id: 'entry-3', reason: 'The previous hash does not match the entry before it.'});
+});
+
+test('a removed entry is reported', {skip: SQLITE_SKIP}, async () => {
+    const auditLog = await createAuditLog();
+    await auditLog.state.storage.sql.exec("DELETE FROM audit_logs WHERE id = 'entry-2'");
+
+    const {valid, firstBrokenLink} = await auditLog.verifyChain();
+    assert.equal(valid, false);
+    assert.deepEqual(firstBrokenLink, {seq: 3, id: 'entry-3', reason: 'Expected entry 2, found 3.'});
+});
+
+test('the export holds the whole chain between its start and head', {skip: SQLITE_SKIP}, async () => {
+    const auditLog = await createAuditLog();
+    const {head, lines} = await readExport(auditLog);
+
+    assert.deepEqual(lines.map(line => line.type), ['start', 'entry', 'entry', 'entry', 'head']);
+    assert.deepEqual(lines[0], {type: 'start', seq: 0, hash: AUDIT_CHAIN_GENESIS});
+    const last = lines[lines.length - 1];
+    assert.equal(head, `${last.seq}:${last.hash}`);
+    assert.deepEqual(lines.slice(1, -1).map(line => line.id), ['entry-1', 'entry-2', 'entry-3']);
+
+    // The export can be checked on its own, from its start line to its head.
+    let previous = lines[0];
+    for (const {type, ...entry} of lines.slice(1, -1)) {
+        assert.equal(entry.seq, previous.seq + 1);
+        assert.equal(entry.prev_hash, previous.hash);
+        assert.equal(entry.hash, await hashAuditEntry(entry));
+        previous = entry;
+    }
+    assert.deepEqual({seq: last.seq, hash: last.hash}, {seq: previous.seq, hash: previous.hash});
+});
+
+test('pruning moves the start of the chain, which still verifies', {skip: SQLITE_SKIP}, async () => {
+    const auditLog = await createAuditLog();
+    const {hash: prunedHash} = (await auditLog.state.storage.sql.exec("SELECT hash FROM audit_logs WHERE seq = 1")).results[0];
+    assert.deepEqual(await auditLog.pruneChain(1500, null), {deleted: 1, done: true});
+
+    const result = await auditLog.verifyChain();
+    assert.equal(result.valid, true);
+    assert.equal(result.entries, 2);
+    assert.deepEqual(result.start, {seq: 1, hash: prunedHash});
+    const {lines} = await readExport(auditLog);
+    assert.deepEqual(lines[0], {type: 'start', seq: 1, hash: prunedHash});
+    assert.equal(lines[1].prev_hash, prunedHash);
+});
@@ -0,0 +1,86 @@
+/*
+ * =============================================================================
+ * FILE: test/event-logs.test.js
+ *
+ * DESCRIPTION:
+ * How an event log partition counts requests: a request is counted once in
+ * the summary and the rollups, however many rows it logged (its managed
+ * ruleset LOG matches, or a global LOG decision followed by the route's),
+ * while every row still counts as a hit of its rule.
+ *
+ * USAGE:
+ *     node --test test/
+ * =============================================================================
+ */
+
+import './helpers/workers-runtime.js';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SQLITE_SKIP, createStorage} from './helpers/sql-storage.js';
+
+const {EventLogsDO} = await import('../src/event-logs-do.js');
+const {getDecisionEvents} = await import('../src/event-logger.js');
+
+const ROUTE = {incomingHost: 'app.example.com'};
+
+async function createPartition() {
+    const partition = new EventLogsDO({storage: createStorage(), waitUntil() {}}, {});
+    await partition.initializeDatabase();
+    partition.registered = true;
+    return partition;
+}
+
+function buildRequest() {
+    const request = new Request('https://app.example.com/login', {headers: {'cf-connecting-ip': '203.0.113.7'}});
+    request.cf = {country: 'DE', asn: 64500};
+    return request;
+}
+
+test('a request is counted once however many rows it logged', {skip: SQLITE_SKIP}, async () => {
+    const partition = await createPartition();
+    // A global LOG rule hands over to the route, which blocks; its managed ruleset also logged a match.
+    const handedOver = getDecisionEvents(buildRequest(), {
+        globalDecision: {action: 'LOG', matchedRuleId: 'global-log'},
+        routeDecision: {action: 'BLOCK', matchedRuleId: 'route-block', logMatches: [{action: 'LOG', ruleId: 'WAFU-SQLI-001'}]},
+        route: ROUTE
+    });
+    assert.deepEqual(handedOver.map(event => [event.action, event.ruleId, event.logOnly]), [
+        ['LOG', 'global-log', true],
+        ['BLOCK', 'route-block', false],
+        ['LOG', 'WAFU-SQLI-001', true]
+    ]);
+    // A global BLOCK ends evaluation, so its decision is the request's.
+    const blocked = getDecisionEvents(buildRequest(), {
+        globalDecision: {action: 'BLOCK', matchedRuleId: 'global-block', logMatches: [{action: 'LOG', ruleId: 'WAFU-XSS-001'}]},
+        routeDecision: null,
+        route: ROUTE
+    });
+    await partition.writeEvents(null, [...handedOver, ...blocked]);
+
+    const summary = await partition.summarizeEvents(0, {withTimeseries: false});
+    assert.equal(summary.total, 2);
+    assert.equal(summary.blocked, 2);
+    assert.deepEqual(summary.actions, [{action: 'BLOCK', count: 2}]);
+    assert.deepEqual(summary.countries, [{country: 'DE', count: 2}]);
+    assert.deepEqual(
+        summary.rules.map(rule => [rule.rule_id, rule.count]).sort(),
+        [['WAFU-SQLI-001', 1], ['WAFU-XSS-001', 1], ['global-block', 1], ['global-log', 1], ['route-block', 1]]
+    );
+
+    const {results: [rollup]} = await partition.ctx.storage.sql.exec("SELECT SUM(events) AS events, SUM(requests) AS requests FROM rollups_hour");
+    assert.deepEqual(rollup, {events: 5, requests: 2});
+});
+
+test('rollups backfilled from stored events leave log-only rows out of the requests', {skip: SQLITE_SKIP}, async () => {
+    const partition = await createPartition();
+    const events = getDecisionEvents(buildRequest(), {
+        globalDecision: {action: 'ALLOW'},
+        routeDecision: {action: 'CHALLENGE', matchedRuleId: 'route-challenge', logMatches: [{action: 'LOG', ruleId: 'WAFU-RCE-001'}]},
+        route: ROUTE
+    });
+    for (const event of events) await partition.insertEvent(event);
+    await partition.initializeDatabase();
+
+    const {results: [rollup]} = await partition.ctx.storage.sql.exec("SELECT SUM(events) AS events, SUM(requests) AS requests FROM rollups_day");
+    assert.deepEqual(rollup, {events: 2, requests: 1});
+});
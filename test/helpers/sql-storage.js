@@ -0,0 +1,51 @@
+/*
+ * =============================================================================
+ * FILE: test/helpers/sql-storage.js
+ *
+ * DESCRIPTION:
+ * An in-memory stand-in for a Durable Object's storage, backed by
+ * `node:sqlite`, with `sql.exec(query, params)` returning `{results}` as the
+ * modules under test expect. `node:sqlite` needs Node.js 22.5 or later;
+ * on older versions `SQLITE_SKIP` is the reason to pass as a test's `skip`
+ * option.
+ * =============================================================================
+ */
+
+const {DatabaseSync} = process.getBuiltinModule('node:sqlite') ?? {};
+
+export const SQLITE_SKIP = DatabaseSync ? false : 'node:sqlite needs Node.js 22.5 or later';
+
+/**
+ * Creates an empty storage.
+ * @returns {{sql: {exec: Function}, setAlarm: Function, getAlarm: Function, deleteAlarm: Function, deleteAll: Function}}
+ */
+export function createStorage() {
+    let db = new DatabaseSync(':memory:');
+    let alarm = null;
+    return {
+        sql: {
+            async exec(query, params = []) {
+                // Schema scripts hold several statements and take no parameters.
+                if (params.length === 0 && /;\s*\S/.test(query.trim().replace(/;\s*$/, ''))) {
+                    db.exec(query);
+                    return {results: []};
+                }
+                const bindings = params.map(value => value === undefined ? null : typeof value === 'boolean' ? Number(value) : value);
+                return {results: db.prepare(query).all(...bindings).map(row => ({...row}))};
+            }
+        },
+        async setAlarm(time) {
+            alarm = time;
+        },
+        async getAlarm() {
+            return alarm;
+        },
+        async deleteAlarm() {
+            alarm = null;
+        },
+        async deleteAll() {
+            db = new DatabaseSync(':memory:');
+            alarm = null;
+        }
+    };
+}
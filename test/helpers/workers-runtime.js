@@ -0,0 +1,26 @@
+/*
+ * =============================================================================
+ * FILE: test/helpers/workers-runtime.js
+ *
+ * DESCRIPTION:
+ * Lets Node.js load the modules that import `cloudflare:workers`, by
+ * resolving it to a `DurableObject` base class that keeps `ctx` and `env`
+ * like the runtime's. Import this first, then import the modules under test
+ * dynamically (`await import(...)`), since static imports are resolved
+ * before this registers the hook.
+ * =============================================================================
+ */
+
+import {register} from 'node:module';
+
+const RUNTIME = 'export class DurableObject { constructor(ctx, env) { this.ctx = ctx; this.env = env; } }';
+
+const HOOKS = `
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === 'cloudflare:workers') {
+        return {url: 'data:text/javascript,' + encodeURIComponent(${JSON.stringify(RUNTIME)}), shortCircuit: true};
+    }
+    return nextResolve(specifier, context);
+}`;
+
+register(`data:text/javascript,${encodeURIComponent(HOOKS)}`);
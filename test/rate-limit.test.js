@@ -0,0 +1,150 @@
+/*
+ * =============================================================================
+ * FILE: test/rate-limit.test.js
+ *
+ * DESCRIPTION:
+ * RATE_LIMIT counting: a shard's sliding window weights the previous
+ * window's count, counters expire once their windows have passed, a
+ * mitigation timeout outlasts them, a request without one of the rule's
+ * characteristics is counted by its IP address in its place, and every
+ * request of a client goes to the shard its key hashes to.
+ *
+ * USAGE:
+ *     node --test test/
+ * =============================================================================
+ */
+
+import './helpers/workers-runtime.js';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+const {RATE_LIMIT_SHARDS, RateLimitDO, checkRateLimit, getRateLimitKey} = await import('../src/rate-limit-do.js');
+
+// The start of a one-minute window.
+const WINDOW_START = 10 * 60 * 1000;
+
+/** Stops `Date.now` at `time` for the rest of the test; returns a function that moves it. */
+function stopClock(t, time) {
+    let now = time;
+    t.mock.method(Date, 'now', () => now);
+    return next => {
+        now = next;
+    };
+}
+
+/** Hits the shard `times` times and returns each count and whether it was limited. */
+async function hitTimes(shard, times, limit) {
+    const results = [];
+    for (let i = 0; i < times; i++) {
+        const {limited, count} = await shard.hit('rule:client', limit);
+        results.push([count, limited]);
+    }
+    return results;
+}
+
+test('requests over the threshold are limited until the window ends', async t => {
+    const setNow = stopClock(t, WINDOW_START + 15000);
+    const shard = new RateLimitDO({}, {});
+    const limit = {threshold: 3, period: 60, mitigationTimeout: 0};
+
+    assert.deepEqual(await hitTimes(shard, 4, limit), [[1, false], [2, false], [3, false], [4, true]]);
+    setNow(WINDOW_START + 30000);
+    assert.deepEqual(await shard.hit('rule:client', limit), {limited: true, count: 4, retryAfter: 30});
+    // Other clients have their own counters.
+    assert.equal((await shard.hit('rule:other-client', limit)).limited, false);
+});
+
+test('the previous window counts in proportion to how much of it the sliding window still covers', async t => {
+    const setNow = stopClock(t, WINDOW_START + 10000);
+    const shard = new RateLimitDO({}, {});
+    const limit = {threshold: 5, period: 60, mitigationTimeout: 0};
+    await hitTimes(shard, 4, limit);
+
+    // A quarter into the next window, three quarters of the previous one's 4 requests still count.
+    setNow(WINDOW_START + 60000 + 15000);
+    assert.deepEqual(await hitTimes(shard, 3, limit), [[4, false], [5, false], [6, true]]);
+});
+
+test('counters expire once the window after theirs has passed', async t => {
+    const setNow = stopClock(t, WINDOW_START + 10000);
+    const shard = new RateLimitDO({}, {});
+    const limit = {threshold: 3, period: 60, mitigationTimeout: 0};
+    await hitTimes(shard, 4, limit);
+
+    setNow(WINDOW_START + 2 * 60000 + 1000);
+    assert.deepEqual(await shard.hit('rule:client', limit), {limited: false, count: 1, retryAfter: 0});
+
+    setNow(WINDOW_START + 5 * 60000);
+    shard.sweep(Date.now());
+    assert.equal(shard.counters.size, 0);
+});
+
+test('a mitigation timeout keeps the client limited after its windows expire', async t => {
+    const setNow = stopClock(t, WINDOW_START);
+    const shard = new RateLimitDO({}, {});
+    const limit = {threshold: 1, period: 10, mitigationTimeout: 300};
+
+    assert.deepEqual(await shard.hit('rule:client', limit), {limited: false, count: 1, retryAfter: 0});
+    assert.deepEqual(await shard.hit('rule:client', limit), {limited: true, count: 2, retryAfter: 300});
+
+    setNow(WINDOW_START + 200000);
+    assert.equal((await shard.hit('rule:client', limit)).retryAfter, 100);
+    shard.sweep(Date.now());
+    assert.equal(shard.counters.size, 1);
+
+    setNow(WINDOW_START + 300000);
+    assert.deepEqual(await shard.hit('rule:client', limit), {limited: false, count: 1, retryAfter: 0});
+});
+
+test('a missing characteristic is replaced by the IP address', () => {
+    const rule = {id: 'rate-api', rate_limit: {characteristics: ['ip.src', 'request.headers.x-api-key']}};
+    const withKey = {'ip.src': '203.0.113.7', 'request.headers.x-api-key': 'key-1'};
+    assert.equal(getRateLimitKey(rule, withKey), 'rate-api:["203.0.113.7","key-1"]');
+
+    const keyOnly = {id: 'rate-api', rate_limit: {characteristics: ['request.headers.x-api-key']}};
+    const first = getRateLimitKey(keyOnly, {'ip.src': '203.0.113.7'});
+    const second = getRateLimitKey(keyOnly, {'ip.src': '198.51.100.2', 'request.headers.x-api-key': ''});
+    assert.equal(first, 'rate-api:[{"ip":"203.0.113.7"}]');
+    assert.equal(second, 'rate-api:[{"ip":"198.51.100.2"}]');
+    // A header whose value looks like an IP address does not share the counter.
+    assert.notEqual(getRateLimitKey(keyOnly, {'ip.src': '198.51.100.2', 'request.headers.x-api-key': '203.0.113.7'}), first);
+
+    assert.equal(getRateLimitKey({id: 'rate-default', rate_limit: {}}, {'ip.src': '203.0.113.7'}), 'rate-default:["203.0.113.7"]');
+});
+
+test('each client is counted on the shard its key hashes to', async () => {
+    const calls = [];
+    const namespace = {
+        idFromName: name => ({name}),
+        get: id => ({
+            async hit(key, limit) {
+                calls.push({shard: id.name, key, limit});
+                return {limited: false, count: 1, retryAfter: 0};
+            }
+        })
+    };
+    const rule = {id: 'rate-login', rate_limit: {characteristics: ['ip.src'], threshold: 10, period: 60}};
+
+    for (let i = 0; i < 64; i++) {
+        await checkRateLimit(namespace, rule, {'ip.src': `203.0.113.${i}`});
+        await checkRateLimit(namespace, rule, {'ip.src': `203.0.113.${i}`});
+    }
+
+    const shardOf = new Map();
+    for (const {shard, key, limit} of calls) {
+        assert.equal(shard, `shard-${fnv1a(key) % RATE_LIMIT_SHARDS}`);
+        assert.equal(shardOf.get(key) ?? shard, shard, `${key} moved between shards`);
+        assert.deepEqual(limit, {threshold: 10, period: 60, mitigationTimeout: 0});
+        shardOf.set(key, shard);
+    }
+    assert.ok(new Set(shardOf.values()).size > RATE_LIMIT_SHARDS / 2, 'clients are spread across the shards');
+});
+
+/** 32-bit FNV-1a, as the shards are chosen by. */
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (const char of text) {
+        hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+    }
+    return hash >>> 0;
+}
@@ -0,0 +1,94 @@
+/*
+ * =============================================================================
+ * FILE: test/route-settings.test.js
+ *
+ * DESCRIPTION:
+ * The route settings API served by `GlobalRulesDO`: settings are written to
+ * the `routes` columns the worker reads, only the settings given change,
+ * invalid settings are refused with a message, and every change is audited
+ * under the route's context.
+ *
+ * USAGE:
+ *     node --test test/
+ * =============================================================================
+ */
+
+import './helpers/workers-runtime.js';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SQLITE_SKIP, createStorage} from './helpers/sql-storage.js';
+
+const {GlobalRulesDO} = await import('../src/global-rules-do.js');
+const {DEFAULT_ROUTE_SETTINGS} = await import('../src/route-settings.js');
+const {getAllowSampleRate} = await import('../src/event-logger.js');
+
+async function createGlobalRules() {
+    const globalRules = new GlobalRulesDO({storage: createStorage(), waitUntil() {}}, {});
+    await globalRules.initializeDatabase();
+    await globalRules.ctx.storage.sql.exec("INSERT INTO routes (id, incominghost, enabled) VALUES ('route-1', 'app.example.com', 1)");
+    return globalRules;
+}
+
+/** Calls the global Durable Object's API and returns the status and JSON body. */
+async function callApi(globalRules, method, path, body) {
+    const response = await globalRules.handleApiRequest(new Request(`https://wafu.internal${path}`, {
+        method,
+        headers: {'X-WAFu-User-ID': 'editor@example.com'},
+        body: body === undefined ? undefined : JSON.stringify(body)
+    }));
+    return {status: response.status, body: await response.json()};
+}
+
+test('settings are stored in the route columns the worker reads', {skip: SQLITE_SKIP}, async () => {
+    const globalRules = await createGlobalRules();
+    assert.deepEqual((await callApi(globalRules, 'GET', '/api/routes/route-1/settings')).body, DEFAULT_ROUTE_SETTINGS);
+
+    const {status, body} = await callApi(globalRules, 'PUT', '/api/routes/route-1/settings', {inspect_body: true, max_body_size: 65536, shadow: true, allow_sample_rate: 0.25});
+    assert.equal(status, 200);
+    assert.deepEqual(body, {inspect_body: true, max_body_size: 65536, shadow: true, allow_sample_rate: 0.25});
+
+    // Only the settings given change.
+    assert.equal((await callApi(globalRules, 'PUT', '/api/routes/route-1/settings', {max_body_size: 1024})).body.inspect_body, true);
+
+    await globalRules.loadCache();
+    const [route] = globalRules.cache.routes;
+    assert.equal(route.inspect_body, 1);
+    assert.equal(route.max_body_size, 1024);
+    assert.equal(route.shadow, 1);
+    assert.equal(getAllowSampleRate(route), 0.25);
+});
+
+test('invalid settings are refused with a message', {skip: SQLITE_SKIP}, async () => {
+    const globalRules = await createGlobalRules();
+    const cases = [
+        [[], /must be an object/],
+        [{inspectBody: true}, /Unknown setting "inspectBody"/],
+        [{inspect_body: 'yes'}, /inspect_body must be true or false/],
+        [{shadow: 1}, /shadow must be true or false/],
+        [{max_body_size: 0}, /max_body_size must be a whole number/],
+        [{max_body_size: 2 * 1024 * 1024}, /max_body_size must be a whole number/],
+        [{allow_sample_rate: 1.5}, /allow_sample_rate must be a number from 0 to 1/],
+        [{allow_sample_rate: '0.5'}, /allow_sample_rate must be a number from 0 to 1/]
+    ];
+    for (const [settings, error] of cases) {
+        const response = await callApi(globalRules, 'PUT', '/api/routes/route-1/settings', settings);
+        assert.equal(response.status, 400, JSON.stringify(settings));
+        assert.match(response.body.error, error);
+    }
+    assert.deepEqual((await callApi(globalRules, 'GET', '/api/routes/route-1/settings')).body, DEFAULT_ROUTE_SETTINGS);
+    assert.equal((await callApi(globalRules, 'PUT', '/api/routes/route-9/settings', {inspect_body: true})).status, 404);
+});
+
+test('changes are audited under the route', {skip: SQLITE_SKIP}, async () => {
+    const globalRules = await createGlobalRules();
+    await callApi(globalRules, 'PUT', '/api/routes/route-1/settings', {inspect_body: true});
+
+    const {results} = await globalRules.ctx.storage.sql.exec("SELECT entry FROM audit_outbox");
+    assert.equal(results.length, 1);
+    const entry = JSON.parse(results[0].entry);
+    assert.equal(entry.action, 'UPDATE_ROUTE_SETTINGS');
+    assert.equal(entry.context, 'route-1');
+    assert.equal(entry.userId, 'editor@example.com');
+    assert.equal(entry.dataBefore.inspect_body, false);
+    assert.equal(entry.dataAfter.inspect_body, true);
+});
@@ -0,0 +1,64 @@
+/*
+ * =============================================================================
+ * FILE: test/rules-api.test.js
+ *
+ * DESCRIPTION:
+ * Creating rules through the global and route rules APIs: a rule whose ID is
+ * already taken in its scope is refused with 409 and a message, and the
+ * stored rule and its audit trail are left as they were.
+ *
+ * USAGE:
+ *     node --test test/
+ * =============================================================================
+ */
+
+import './helpers/workers-runtime.js';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SQLITE_SKIP, createStorage} from './helpers/sql-storage.js';
+
+const {GlobalRulesDO} = await import('../src/global-rules-do.js');
+const {RouteRulesDO} = await import('../src/route-rules-do.js');
+
+const SCOPES = [
+    {name: 'global', ConfigDO: GlobalRulesDO, path: '/api/global/rules', table: 'global_rules'},
+    {name: 'route', ConfigDO: RouteRulesDO, path: '/api/routes/route-1/rules', table: 'route_rules'}
+];
+
+const buildRule = (changes = {}) => ({
+    id: 'block-admin',
+    name: 'Block admin',
+    enabled: true,
+    action: 'BLOCK',
+    priority: 1,
+    trigger_alert: false,
+    expression: [{field: 'derived.uri.path', operator: 'starts_with', value: '/admin'}],
+    ...changes
+});
+
+async function postRule(configDO, path, rule) {
+    const response = await configDO.handleApiRequest(new Request(`https://wafu.internal${path}`, {
+        method: 'POST',
+        headers: {'X-WAFu-User-ID': 'editor@example.com'},
+        body: JSON.stringify(rule)
+    }));
+    return {status: response.status, body: await response.json()};
+}
+
+for (const {name, ConfigDO, path, table} of SCOPES) {
+    test(`${name} rules: creating a rule with a taken ID returns 409`, {skip: SQLITE_SKIP}, async () => {
+        const configDO = new ConfigDO({storage: createStorage(), waitUntil() {}}, {});
+        await configDO.initializeDatabase();
+        const sql = configDO.ctx.storage.sql;
+
+        assert.equal((await postRule(configDO, path, buildRule())).status, 201);
+        const duplicate = await postRule(configDO, path, buildRule({name: 'Replacement', priority: 2}));
+        assert.equal(duplicate.status, 409);
+        assert.equal(duplicate.body.error, 'A rule with the ID "block-admin" already exists.');
+
+        const {results: rules} = await sql.exec(`SELECT id, name FROM ${table}`);
+        assert.deepEqual(rules, [{id: 'block-admin', name: 'Block admin'}]);
+        const {results: audited} = await sql.exec("SELECT entry FROM audit_outbox");
+        assert.equal(audited.length, 1);
+    });
+}
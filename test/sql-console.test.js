@@ -0,0 +1,81 @@
+/*
+ * =============================================================================
+ * FILE: test/sql-console.test.js
+ *
+ * DESCRIPTION:
+ * The SQL console's sandbox: queries that would write, read other tables,
+ * call functions off the allow-list (however quoted or aliased), join, read
+ * the events table twice or build huge values must be rejected with a
+ * message, and accepted queries must read a bounded scan of the events.
+ *
+ * USAGE:
+ *     node --test test/
+ * =============================================================================
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {MAX_CONSOLE_ROWS, MAX_CONSOLE_SCANNED_ROWS, prepareConsoleQuery} from '../src/sql-console.js';
+
+// Each query and the error it must be rejected with.
+const REJECTED_QUERIES = [
+    // Values far larger than their input.
+    {query: "SELECT printf('%.*c', 1000000000, 'x') FROM events", error: /function "printf" is not allowed/},
+    {query: "SELECT printf('%999999999d', 1) FROM events", error: /function "printf" is not allowed/},
+    {query: "SELECT replace(hex(x'00'), '0', headers) FROM events", error: /function "replace" is not allowed/},
+    {query: "SELECT replace(headers, 'a', headers) FROM events", error: /function "replace" is not allowed/},
+    {query: 'SELECT group_concat(headers) FROM events', error: /function "group_concat" is not allowed/},
+    {query: 'SELECT hex(hex(hex(hex(headers)))) FROM events', error: /function "hex" is not allowed/},
+    {query: 'SELECT "printf"(\'%.*c\', 1000000000, \'x\') FROM events', error: /function "printf" is not allowed/},
+    {query: 'SELECT `replace`(headers, \'a\', headers) FROM events', error: /function "replace" is not allowed/},
+    // Statements other than one SELECT.
+    {query: 'DELETE FROM events', error: /Only SELECT/},
+    {query: 'SELECT 1; DROP TABLE events', error: /Only one statement/},
+    {query: 'WITH e AS (SELECT * FROM events) SELECT * FROM e', error: /Only SELECT/},
+    {query: 'SELECT * FROM events WHERE id IN (WITH x AS (SELECT 1) SELECT * FROM x)', error: /WITH/},
+    // Other tables, and reading the events more than once.
+    {query: 'SELECT * FROM sqlite_master', error: /Unknown table "sqlite_master"/},
+    {query: 'SELECT * FROM "partitions"', error: /Unknown table "partitions"/},
+    {query: 'SELECT * FROM events a JOIN events b ON a.id = b.id', error: /Joins are not allowed/},
+    {query: 'SELECT * FROM events a, events b', error: /Joins are not allowed/},
+    {query: 'SELECT * FROM events WHERE id IN (SELECT id FROM events)', error: /only once/},
+    {query: 'SELECT * FROM events UNION ALL SELECT * FROM events', error: /only once/},
+    // Functions off the list, however they are named.
+    {query: 'SELECT randomblob(1000000000) FROM events', error: /function "randomblob" is not allowed/},
+    {query: 'SELECT "zeroblob"(1000000000) FROM events', error: /function "zeroblob" is not allowed/},
+    {query: 'SELECT count(*) AS sum FROM events', error: /alias "sum" is the name of a function/},
+    {query: 'SELECT id AS load_extension FROM events WHERE load_extension(id)', error: /alias "load_extension" is the name of a function/},
+    // Unknown columns and named parameters.
+    {query: 'SELECT password_hash FROM events', error: /Unknown column "password_hash"/},
+    {query: 'SELECT * FROM events WHERE id = :id', error: /positional/}
+];
+
+for (const {query, error} of REJECTED_QUERIES) {
+    test(`rejects ${query}`, () => {
+        const prepared = prepareConsoleQuery(query);
+        assert.ok(prepared.error, `accepted: ${prepared.sql}`);
+        assert.match(prepared.error, error);
+    });
+}
+
+test('accepted queries read a bounded scan of the time range', () => {
+    const prepared = prepareConsoleQuery(
+        "SELECT action, count(*) AS hits FROM events WHERE country = ? GROUP BY action ORDER BY hits DESC",
+        ['DE'],
+        {since: 1000, until: 2000, limit: 10}
+    );
+    assert.equal(prepared.error, undefined);
+    assert.deepEqual(prepared.params, ['DE']);
+    assert.equal(prepared.limit, 10);
+    assert.ok(prepared.sql.includes(`FROM (SELECT * FROM events WHERE timestamp >= 1000 AND timestamp <= 2000 ORDER BY timestamp DESC LIMIT ${MAX_CONSOLE_SCANNED_ROWS}) AS events`));
+    assert.ok(prepared.sql.endsWith('LIMIT 11'));
+});
+
+test('the row limit is capped', () => {
+    assert.equal(prepareConsoleQuery('SELECT id FROM events', [], {limit: MAX_CONSOLE_ROWS * 10}).limit, MAX_CONSOLE_ROWS);
+});
+
+test('parameters must match the placeholders', () => {
+    assert.match(prepareConsoleQuery('SELECT id FROM events WHERE action = ?', []).error, /1 parameters but 0 were given/);
+    assert.match(prepareConsoleQuery('SELECT id FROM events WHERE action = ?', [{}]).error, /params must be a list/);
+});
@@ -0,0 +1,92 @@
+/*
+ * =============================================================================
+ * FILE: test/users.test.js
+ *
+ * DESCRIPTION:
+ * The users API's safeguards against locking everyone out: the first
+ * account must be an administrator (the bootstrap login ends once any
+ * account exists), and the last administrator cannot be deleted or
+ * demoted. Also covers sessions: a token issued before the user's password
+ * last changed is no longer accepted.
+ *
+ * USAGE:
+ *     node --test test/
+ * =============================================================================
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SQLITE_SKIP, createStorage} from './helpers/sql-storage.js';
+import {BOOTSTRAP_USER, getSessionUser, handleUsersApi, initializeUsersTable} from '../src/users.js';
+import {initializeAuditOutbox} from '../src/audit-logs-do.js';
+
+const PASSWORD = 'correct horse battery';
+
+async function createUsersStorage() {
+    const {sql} = createStorage();
+    await initializeUsersTable(sql);
+    await initializeAuditOutbox(sql);
+    return sql;
+}
+
+/** Calls the users API as an administrator and returns the status and JSON body. */
+async function callUsersApi(sql, method, {id = null, body} = {}) {
+    const request = new Request(`https://wafu.example.com/api/global/users${id ? `/${id}` : ''}`, {
+        method,
+        headers: {'X-WAFu-User-ID': 'admin@example.com'},
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const response = await handleUsersApi(request, sql, id);
+    return {status: response.status, body: await response.json()};
+}
+
+test('the first account must be an administrator', {skip: SQLITE_SKIP}, async () => {
+    const sql = await createUsersStorage();
+
+    for (const role of ['editor', 'auditor', 'analyst', 'viewer']) {
+        const {status, body} = await callUsersApi(sql, 'POST', {body: {username: `${role}@example.com`, password: PASSWORD, role}});
+        assert.equal(status, 409, role);
+        assert.match(body.error, /first account must be an administrator/);
+    }
+    // Nothing was created, so the bootstrap login still works.
+    assert.deepEqual(await getSessionUser(sql, BOOTSTRAP_USER.id), BOOTSTRAP_USER);
+
+    const admin = await callUsersApi(sql, 'POST', {body: {username: 'admin@example.com', password: PASSWORD, role: 'administrator'}});
+    assert.equal(admin.status, 201);
+    assert.equal(await getSessionUser(sql, BOOTSTRAP_USER.id), null);
+
+    const viewer = await callUsersApi(sql, 'POST', {body: {username: 'viewer@example.com', password: PASSWORD, role: 'viewer'}});
+    assert.equal(viewer.status, 201);
+});
+
+test('the last administrator cannot be deleted or demoted', {skip: SQLITE_SKIP}, async () => {
+    const sql = await createUsersStorage();
+    const {body: first} = await callUsersApi(sql, 'POST', {body: {username: 'first@example.com', password: PASSWORD, role: 'administrator'}});
+
+    const demoted = await callUsersApi(sql, 'PUT', {id: first.id, body: {role: 'viewer'}});
+    assert.equal(demoted.status, 409);
+    assert.match(demoted.body.error, /last administrator cannot be given another role/);
+    const deleted = await callUsersApi(sql, 'DELETE', {id: first.id});
+    assert.equal(deleted.status, 409);
+    assert.match(deleted.body.error, /last administrator cannot be deleted/);
+    assert.equal((await getSessionUser(sql, first.id)).role, 'administrator');
+
+    // With a second administrator, either can go.
+    const {body: second} = await callUsersApi(sql, 'POST', {body: {username: 'second@example.com', password: PASSWORD, role: 'administrator'}});
+    assert.equal((await callUsersApi(sql, 'PUT', {id: first.id, body: {role: 'viewer'}})).status, 200);
+    assert.equal((await callUsersApi(sql, 'DELETE', {id: second.id})).status, 409);
+    assert.equal((await callUsersApi(sql, 'DELETE', {id: first.id})).status, 200);
+});
+
+test('a password change ends the sessions issued before it', {skip: SQLITE_SKIP}, async () => {
+    const sql = await createUsersStorage();
+    const {body: user} = await callUsersApi(sql, 'POST', {body: {username: 'admin@example.com', password: PASSWORD, role: 'administrator'}});
+    const changedAt = Math.floor(user.password_updated_at / 1000);
+
+    assert.equal((await getSessionUser(sql, user.id, changedAt)).id, user.id);
+    assert.equal(await getSessionUser(sql, user.id, changedAt - 1), null);
+
+    await sql.exec("UPDATE users SET password_updated_at = ? WHERE id = ?", [(changedAt + 60) * 1000, user.id]);
+    assert.equal(await getSessionUser(sql, user.id, changedAt), null);
+    assert.equal((await getSessionUser(sql, user.id, changedAt + 60)).id, user.id);
+});